@@ -10,8 +10,19 @@
     let themeLoader = null;
     let findManager = null;
     let settingsManager = null;
+    let htmlSanitizer = null;
     let lineMapper = null;
     let wysiwygEngine = null;
+    let shortcutCatalog = null; // ShortcutProcessor the Settings panel lists and checks shortcuts with
+    let diffPreview = null;
+    let linter = null; // MarkdownLinter for the active document (see setupLinting)
+    let problemsPanel = null;
+    let lintOverlay = null;
+    let lintTimer = null;
+    let backlinksPanel = null; // Documents linking to the active one (see setupBacklinks)
+    let backlinksTimer = null;
+    let templateManager = null; // Templates to create documents from (see setupTemplates)
+    let templatePicker = null;
 
     // Initialize when DOM is ready
     function init() {
@@ -26,8 +37,14 @@
         window.SettingsError = SettingsError;
         console.log('SettingsManager initialized:', settingsManager.settings);
 
+        // Sanitizer for rendered HTML, configured by the security settings
+        htmlSanitizer = new HtmlSanitizer(getSanitizerPolicy());
+        settingsManager.onChange('security.allowedSchemes', () => htmlSanitizer.setPolicy(getSanitizerPolicy()));
+        settingsManager.onChange('security.allowDataImages', () => htmlSanitizer.setPolicy(getSanitizerPolicy()));
+
         // Initialize theme loader
         themeLoader = new ThemeLoader({
+            sanitizer: htmlSanitizer,
             onThemeChange: (theme) => {
                 updateThemeDisplay(theme);
             }
@@ -41,6 +58,54 @@
         initializeWysiwygEditor();
     }
 
+    /**
+     * Build the HtmlSanitizer policy from the security settings
+     * @returns {Object} Policy overrides
+     */
+    function getSanitizerPolicy() {
+        const security = settingsManager.settings.security;
+        return {
+            allowedSchemes: security.allowedSchemes
+                .split(',')
+                .map(scheme => scheme.trim().toLowerCase())
+                .filter(scheme => scheme !== ''),
+            allowDataImages: security.allowDataImages
+        };
+    }
+
+    /**
+     * Check if a document may be rendered without sanitizing
+     * Only files opened from disk, and only when the user trusts local files. The
+     * documents it embeds are still sanitized unless trusted too (see sanitizeEmbeddedHtml).
+     * @param {MarkdownDocument} doc
+     * @returns {boolean}
+     */
+    function isTrustedDocument(doc) {
+        return Boolean(doc && doc.metadata.source === 'file' && settingsManager.settings.security.trustLocalFiles);
+    }
+
+    /**
+     * Turn sanitizing on or off for the document about to be shown
+     * @param {MarkdownDocument} doc
+     */
+    function applySanitizerForDocument(doc) {
+        htmlSanitizer.setEnabled(settingsManager.settings.security.sanitizeHtml && !isTrustedDocument(doc));
+    }
+
+    /**
+     * Sanitize the HTML of a ![[document]] embed shown in a trusted document, unless the
+     * embedded document is trusted as well (untrusted documents are sanitized as a whole)
+     * @param {string} html - Rendered content of the embedded document
+     * @param {MarkdownDocument} doc - The embedded document
+     * @returns {string}
+     */
+    function sanitizeEmbeddedHtml(html, doc) {
+        if (htmlSanitizer.enabled || !settingsManager.settings.security.sanitizeHtml || isTrustedDocument(doc)) {
+            return html;
+        }
+        return new HtmlSanitizer(htmlSanitizer.getPolicy()).sanitize(html);
+    }
+
     /**
      * Initialize panel management for editor panels
      */
@@ -99,6 +164,15 @@
             });
         }
 
+        // New from Template button
+        const newFromTemplateBtn = document.getElementById('new-from-template-btn');
+        if (newFromTemplateBtn) {
+            newFromTemplateBtn.addEventListener('click', function(event) {
+                event.stopPropagation();
+                handleNewFromTemplate();
+            });
+        }
+
         // Open File button
         const openFileBtn = document.getElementById('open-file-btn');
         if (openFileBtn) {
@@ -135,6 +209,24 @@
             });
         }
 
+        // Save As (portable) button
+        const savePortableBtn = document.getElementById('save-portable-btn');
+        if (savePortableBtn) {
+            savePortableBtn.addEventListener('click', function(event) {
+                event.stopPropagation();
+                handleSaveAsFile(true);
+            });
+        }
+
+        // Save as Template button
+        const saveTemplateBtn = document.getElementById('save-template-btn');
+        if (saveTemplateBtn) {
+            saveTemplateBtn.addEventListener('click', function(event) {
+                event.stopPropagation();
+                handleSaveAsTemplate();
+            });
+        }
+
         // Close File button
         const closeFileBtn = document.getElementById('close-file-btn');
         if (closeFileBtn) {
@@ -193,7 +285,8 @@
                     if (window.MarkdownEditor && window.MarkdownEditor.documentManager) {
                         const newDoc = window.MarkdownEditor.documentManager.createDocument({
                             name: filename,
-                            content: content
+                            content: content,
+                            metadata: { source: 'file' } // Can be trusted, see isTrustedDocument()
                         });
                         console.log('[DEBUG] Document created with ID:', newDoc.id);
 
@@ -312,6 +405,24 @@
                 handleReplace();
             });
         }
+
+        // Format Document button
+        const formatBtn = document.getElementById('format-btn');
+        if (formatBtn) {
+            formatBtn.addEventListener('click', function(event) {
+                event.stopPropagation();
+                handleFormatDocument();
+            });
+        }
+
+        // Normalize Markdown button
+        const normalizeBtn = document.getElementById('normalize-btn');
+        if (normalizeBtn) {
+            normalizeBtn.addEventListener('click', function(event) {
+                event.stopPropagation();
+                handleNormalizeMarkdown();
+            });
+        }
     }
 
     /**
@@ -536,6 +647,84 @@
         replaceNext();
     }
 
+    /**
+     * Handle Normalize Markdown action: preview the active document rewritten as
+     * standard markdown (see MarkdownNormalizer) and replace it if accepted
+     */
+    function handleNormalizeMarkdown() {
+        if (!window.MarkdownEditor || !window.MarkdownEditor.documentManager) return;
+
+        const activeDoc = window.MarkdownEditor.documentManager.getActiveDocument();
+        if (!activeDoc) {
+            console.warn('No active document to normalize');
+            return;
+        }
+
+        const normalized = new MarkdownNormalizer(window.MarkdownEditor.parser).normalize(activeDoc.content);
+        if (normalized === activeDoc.content) {
+            alert('This document is already standard markdown.');
+            return;
+        }
+
+        if (!diffPreview) {
+            diffPreview = new DiffPreview({ title: 'Normalize Markdown', applyLabel: 'Apply Changes' });
+        }
+        diffPreview.open(activeDoc.content, normalized, () => replaceActiveContent(normalized));
+    }
+
+    /**
+     * Handle Format Document action: rewrite the active document in the style set in
+     * Settings (see MarkdownFormatter). In source mode a selection formats only the
+     * blocks it touches.
+     */
+    function handleFormatDocument() {
+        if (!window.MarkdownEditor || !window.MarkdownEditor.documentManager) return;
+
+        const { documentManager, wysiwygEngine, parser } = window.MarkdownEditor;
+        const activeDoc = documentManager.getActiveDocument();
+        if (!activeDoc) {
+            console.warn('No active document to format');
+            return;
+        }
+
+        const formatter = new MarkdownFormatter(parser);
+        const options = { ...settingsManager.get('format'), breaks: settingsManager.get('markdown.breaks') };
+
+        const sourceTextarea = document.getElementById('source-editor');
+        if (wysiwygEngine.isSourceMode() && sourceTextarea &&
+            sourceTextarea.selectionStart !== sourceTextarea.selectionEnd) {
+            // Read in the whole document, so code and raw HTML around the selection are known
+            const { value, selectionStart, selectionEnd } = sourceTextarea;
+            const { start, end, text } = formatter.formatSelection(value, selectionStart, selectionEnd, options);
+            if (text !== value.slice(start, end)) {
+                sourceTextarea.setRangeText(text, start, end, 'select');
+                sourceTextarea.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            return;
+        }
+
+        const formatted = formatter.format(activeDoc.content, options);
+        if (formatted !== activeDoc.content) {
+            replaceActiveContent(formatted);
+        }
+    }
+
+    /**
+     * Replace the content of the active document and show it in the editor
+     * @param {string} content - New markdown
+     */
+    function replaceActiveContent(content) {
+        const { documentManager, wysiwygEngine } = window.MarkdownEditor;
+        documentManager.updateActiveContent(content);
+
+        const sourceTextarea = document.getElementById('source-editor');
+        if (wysiwygEngine.isSourceMode() && sourceTextarea) {
+            sourceTextarea.value = content;
+        } else {
+            wysiwygEngine.setMarkdown(content, true);
+        }
+    }
+
     /**
      * Setup View menu button handlers
      */
@@ -667,6 +856,12 @@
         const fontFamilySelect = document.getElementById('settings-font-family');
         const lineNumbersCheckbox = document.getElementById('settings-line-numbers');
         const wordWrapCheckbox = document.getElementById('settings-word-wrap');
+        const newlineBreaksCheckbox = document.getElementById('settings-newline-breaks');
+        const sanitizeHtmlCheckbox = document.getElementById('settings-sanitize-html');
+        const allowedSchemesInput = document.getElementById('settings-allowed-schemes');
+        const dataImagesCheckbox = document.getElementById('settings-data-images');
+        const trustLocalFilesCheckbox = document.getElementById('settings-trust-local-files');
+        const flattenEmbedsCheckbox = document.getElementById('settings-flatten-embeds');
         const exportBtn = document.getElementById('settings-export-btn');
         const importBtn = document.getElementById('settings-import-btn');
         const importInput = document.getElementById('settings-import-input');
@@ -709,6 +904,38 @@
                 wordWrapCheckbox.checked = settings.editor.wordWrap;
             }
 
+            // Newline = line break
+            if (newlineBreaksCheckbox) {
+                newlineBreaksCheckbox.checked = settings.markdown.breaks;
+            }
+
+            // Extended inline syntax
+            ExtendedInlineSyntax.NAMES.forEach(name => {
+                const checkbox = document.getElementById(`settings-syntax-${name}`);
+                if (checkbox) {
+                    checkbox.checked = settings.markdown[name];
+                }
+            });
+
+            // Security
+            if (sanitizeHtmlCheckbox) {
+                sanitizeHtmlCheckbox.checked = settings.security.sanitizeHtml;
+            }
+            if (allowedSchemesInput) {
+                allowedSchemesInput.value = settings.security.allowedSchemes;
+            }
+            if (dataImagesCheckbox) {
+                dataImagesCheckbox.checked = settings.security.allowDataImages;
+            }
+            if (trustLocalFilesCheckbox) {
+                trustLocalFilesCheckbox.checked = settings.security.trustLocalFiles;
+            }
+
+            // Export
+            if (flattenEmbedsCheckbox) {
+                flattenEmbedsCheckbox.checked = settings.export.flattenEmbeds;
+            }
+
         }
 
         // Font Size slider handler
@@ -795,6 +1022,69 @@
             });
         }
 
+        // Newline = line break checkbox handler (parsers listen for the change)
+        if (newlineBreaksCheckbox) {
+            newlineBreaksCheckbox.addEventListener('change', function(event) {
+                const value = event.target.checked;
+                try {
+                    settingsManager.set('markdown.breaks', value);
+                } catch (error) {
+                    console.error('Settings error:', error.message);
+                }
+            });
+        }
+
+        // Extended inline syntax handlers (parsers listen for the change)
+        ExtendedInlineSyntax.NAMES.forEach(name => {
+            const checkbox = document.getElementById(`settings-syntax-${name}`);
+            if (!checkbox) return;
+            checkbox.addEventListener('change', function(event) {
+                try {
+                    settingsManager.set(`markdown.${name}`, event.target.checked);
+                } catch (error) {
+                    console.error('Settings error:', error.message);
+                }
+            });
+        });
+
+        // Security handlers (the editor re-renders when these change)
+        const securityControls = [
+            { element: sanitizeHtmlCheckbox, path: 'security.sanitizeHtml', read: el => el.checked },
+            { element: allowedSchemesInput, path: 'security.allowedSchemes', read: el => el.value },
+            { element: dataImagesCheckbox, path: 'security.allowDataImages', read: el => el.checked },
+            { element: trustLocalFilesCheckbox, path: 'security.trustLocalFiles', read: el => el.checked }
+        ];
+        securityControls.forEach(({ element, path, read }) => {
+            if (!element) return;
+            element.addEventListener('change', function(event) {
+                try {
+                    settingsManager.set(path, read(event.target));
+                } catch (error) {
+                    console.error('Settings error:', error.message);
+                }
+            });
+        });
+
+        // Flatten embeds checkbox handler (read when saving)
+        if (flattenEmbedsCheckbox) {
+            flattenEmbedsCheckbox.addEventListener('change', function(event) {
+                try {
+                    settingsManager.set('export.flattenEmbeds', event.target.checked);
+                } catch (error) {
+                    console.error('Settings error:', error.message);
+                }
+            });
+        }
+
+        // Custom shortcuts and built-in shortcuts turned off by name
+        setupShortcutSettings();
+
+        // Format Document options
+        setupFormatSettings();
+
+        // Lint rules
+        setupLintSettings();
+
 
         // Export button handler
         if (exportBtn) {
@@ -957,6 +1247,371 @@
             applyWordWrap(settings.editor.wordWrap);
         }
 
+        // Newline = line break
+        const newlineBreaksCheckbox = document.getElementById('settings-newline-breaks');
+        if (newlineBreaksCheckbox) {
+            newlineBreaksCheckbox.checked = settings.markdown.breaks;
+        }
+
+        // Extended inline syntax
+        ExtendedInlineSyntax.NAMES.forEach(name => {
+            const checkbox = document.getElementById(`settings-syntax-${name}`);
+            if (checkbox) {
+                checkbox.checked = settings.markdown[name];
+            }
+        });
+
+        // Security
+        const sanitizeHtmlCheckbox = document.getElementById('settings-sanitize-html');
+        if (sanitizeHtmlCheckbox) {
+            sanitizeHtmlCheckbox.checked = settings.security.sanitizeHtml;
+        }
+        const allowedSchemesInput = document.getElementById('settings-allowed-schemes');
+        if (allowedSchemesInput) {
+            allowedSchemesInput.value = settings.security.allowedSchemes;
+        }
+        const dataImagesCheckbox = document.getElementById('settings-data-images');
+        if (dataImagesCheckbox) {
+            dataImagesCheckbox.checked = settings.security.allowDataImages;
+        }
+        const trustLocalFilesCheckbox = document.getElementById('settings-trust-local-files');
+        if (trustLocalFilesCheckbox) {
+            trustLocalFilesCheckbox.checked = settings.security.trustLocalFiles;
+        }
+
+        // Export
+        const flattenEmbedsCheckbox = document.getElementById('settings-flatten-embeds');
+        if (flattenEmbedsCheckbox) {
+            flattenEmbedsCheckbox.checked = settings.export.flattenEmbeds;
+        }
+
+        // Shortcuts
+        renderShortcutSettings();
+
+        // Format Document
+        refreshFormatSettings();
+
+        // Lint
+        refreshLintSettings();
+    }
+
+    /**
+     * Get the controls of the Format Document section
+     * @returns {Array<{element: HTMLElement, key: string, read: Function}>} - key is the setting under 'format'
+     */
+    function getFormatControls() {
+        return [
+            { id: 'settings-format-list-marker', key: 'listMarker', read: el => el.value },
+            { id: 'settings-format-numbering', key: 'orderedNumbering', read: el => el.value },
+            { id: 'settings-format-emphasis', key: 'emphasis', read: el => el.value },
+            { id: 'settings-format-strong', key: 'strong', read: el => el.value },
+            { id: 'settings-format-align-tables', key: 'alignTables', read: el => el.checked },
+            { id: 'settings-format-atx-headings', key: 'atxHeadings', read: el => el.checked },
+            { id: 'settings-format-prose-wrap', key: 'proseWrap', read: el => el.value },
+            { id: 'settings-format-wrap-column', key: 'wrapColumn', read: el => parseInt(el.value, 10) }
+        ]
+            .map(control => ({ ...control, element: document.getElementById(control.id) }))
+            .filter(control => control.element);
+    }
+
+    /**
+     * Setup the Format Document section (the options are read when formatting)
+     */
+    function setupFormatSettings() {
+        getFormatControls().forEach(({ element, key, read }) => {
+            element.addEventListener(element.type === 'range' ? 'input' : 'change', function(event) {
+                try {
+                    settingsManager.set(`format.${key}`, read(event.target));
+                } catch (error) {
+                    console.error('Settings error:', error.message);
+                }
+                refreshFormatSettings();
+            });
+        });
+
+        refreshFormatSettings();
+    }
+
+    /**
+     * Show the Format Document options; the wrap column only applies when wrapping
+     */
+    function refreshFormatSettings() {
+        if (!settingsManager) return;
+
+        const format = settingsManager.get('format');
+        getFormatControls().forEach(({ element, key }) => {
+            if (element.type === 'checkbox') {
+                element.checked = format[key];
+            } else {
+                element.value = format[key];
+            }
+        });
+
+        const wrapColumnSlider = document.getElementById('settings-format-wrap-column');
+        const wrapColumnValue = document.getElementById('settings-format-wrap-column-value');
+        if (wrapColumnSlider) {
+            wrapColumnSlider.disabled = format.proseWrap !== 'wrap';
+        }
+        if (wrapColumnValue) {
+            wrapColumnValue.textContent = format.wrapColumn;
+        }
+    }
+
+    /**
+     * Setup the Lint section: checking on or off, the severity of each rule (one select
+     * per MarkdownLinter rule) and the maximum line length
+     */
+    function setupLintSettings() {
+        const enabledCheckbox = document.getElementById('settings-lint-enabled');
+        const rulesList = document.getElementById('settings-lint-rules');
+        const maxLineLengthSlider = document.getElementById('settings-lint-max-line-length');
+
+        const setLint = (path, value) => {
+            try {
+                settingsManager.set(path, value);
+            } catch (error) {
+                console.error('Settings error:', error.message);
+            }
+            refreshLintSettings();
+        };
+
+        if (enabledCheckbox) {
+            enabledCheckbox.addEventListener('change', event => setLint('lint.enabled', event.target.checked));
+        }
+        if (maxLineLengthSlider) {
+            maxLineLengthSlider.addEventListener('input', event => setLint('lint.maxLineLength', parseInt(event.target.value, 10)));
+        }
+
+        if (rulesList) {
+            new MarkdownLinter().getRules().forEach(rule => {
+                const row = document.createElement('div');
+                row.className = 'settings-lint-rule';
+
+                const label = document.createElement('label');
+                label.setAttribute('for', `settings-lint-rule-${rule.name}`);
+                label.textContent = rule.name;
+                label.title = rule.description;
+
+                const select = document.createElement('select');
+                select.id = `settings-lint-rule-${rule.name}`;
+                select.setAttribute('data-lint-rule', rule.name);
+                select.setAttribute('data-default', rule.severity);
+                MarkdownLinter.SEVERITIES.forEach(severity => {
+                    const option = document.createElement('option');
+                    option.value = severity;
+                    option.textContent = severity[0].toUpperCase() + severity.slice(1);
+                    select.appendChild(option);
+                });
+
+                row.append(label, select);
+                rulesList.appendChild(row);
+            });
+
+            rulesList.addEventListener('change', event => {
+                const name = event.target.getAttribute('data-lint-rule');
+                if (name) {
+                    setLint(`lint.rules.${name}`, event.target.value);
+                }
+            });
+        }
+
+        refreshLintSettings();
+    }
+
+    /**
+     * Show the Lint options; rules missing from the settings show their default
+     */
+    function refreshLintSettings() {
+        if (!settingsManager) return;
+
+        const lint = settingsManager.get('lint');
+        const enabledCheckbox = document.getElementById('settings-lint-enabled');
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = lint.enabled;
+        }
+
+        document.querySelectorAll('#settings-lint-rules select[data-lint-rule]').forEach(select => {
+            select.value = lint.rules[select.getAttribute('data-lint-rule')] || select.getAttribute('data-default');
+            select.disabled = !lint.enabled;
+        });
+
+        const maxLineLengthSlider = document.getElementById('settings-lint-max-line-length');
+        const maxLineLengthValue = document.getElementById('settings-lint-max-line-length-value');
+        if (maxLineLengthSlider) {
+            maxLineLengthSlider.value = lint.maxLineLength;
+            maxLineLengthSlider.disabled = !lint.enabled;
+        }
+        if (maxLineLengthValue) {
+            maxLineLengthValue.textContent = lint.maxLineLength;
+        }
+    }
+
+    /**
+     * Setup the Shortcuts section: adding, turning off and removing custom shortcuts,
+     * and turning built-in shortcuts off by name (parsers listen for the changes)
+     */
+    function setupShortcutSettings() {
+        const addBtn = document.getElementById('settings-shortcut-add-btn');
+        const customList = document.getElementById('settings-custom-shortcuts');
+        const builtInList = document.getElementById('settings-builtin-shortcuts');
+        if (!addBtn || !customList || !builtInList || typeof ShortcutProcessor === 'undefined') return;
+
+        shortcutCatalog = new ShortcutProcessor();
+        const inputs = {
+            name: document.getElementById('settings-shortcut-name'),
+            scope: document.getElementById('settings-shortcut-scope'),
+            pattern: document.getElementById('settings-shortcut-pattern'),
+            template: document.getElementById('settings-shortcut-template')
+        };
+
+        const setCustomShortcuts = custom => {
+            try {
+                settingsManager.set('shortcuts.custom', custom);
+                showShortcutError(null);
+                return true;
+            } catch (error) {
+                showShortcutError(error.message);
+                return false;
+            }
+        };
+
+        addBtn.addEventListener('click', function(event) {
+            event.stopPropagation();
+            const custom = settingsManager.get('shortcuts.custom');
+            const definition = {
+                name: inputs.name.value.trim(),
+                scope: inputs.scope.value,
+                pattern: inputs.pattern.value,
+                template: inputs.template.value,
+                enabled: true
+            };
+
+            const error = shortcutCatalog.validateShortcut(definition) ||
+                (custom.some(shortcut => shortcut.name === definition.name)
+                    ? `There is already a shortcut named '${definition.name}'`
+                    : null);
+            if (error) {
+                showShortcutError(error);
+                return;
+            }
+
+            if (setCustomShortcuts([...custom, definition])) {
+                inputs.name.value = '';
+                inputs.pattern.value = '';
+                inputs.template.value = '';
+                renderShortcutSettings();
+            }
+        });
+
+        // Turn a custom shortcut on or off
+        customList.addEventListener('change', function(event) {
+            const name = event.target.getAttribute('data-shortcut-name');
+            if (!name) return;
+            setCustomShortcuts(settingsManager.get('shortcuts.custom').map(shortcut =>
+                shortcut.name === name ? { ...shortcut, enabled: event.target.checked } : shortcut));
+        });
+
+        // Remove a custom shortcut
+        customList.addEventListener('click', function(event) {
+            const button = event.target.closest('.settings-shortcut-remove');
+            if (!button) return;
+            event.stopPropagation();
+            const name = button.getAttribute('data-shortcut-name');
+            if (setCustomShortcuts(settingsManager.get('shortcuts.custom').filter(shortcut => shortcut.name !== name))) {
+                renderShortcutSettings();
+            }
+        });
+
+        // Turn a built-in shortcut on or off
+        builtInList.addEventListener('change', function(event) {
+            const name = event.target.getAttribute('data-shortcut-name');
+            if (!name) return;
+            const disabled = settingsManager.get('shortcuts.disabled').filter(other => other !== name);
+            try {
+                settingsManager.set('shortcuts.disabled', event.target.checked ? disabled : [...disabled, name]);
+            } catch (error) {
+                console.error('Settings error:', error.message);
+            }
+        });
+
+        renderShortcutSettings();
+    }
+
+    /**
+     * Fill the Shortcuts section lists from the current settings
+     */
+    function renderShortcutSettings() {
+        const customList = document.getElementById('settings-custom-shortcuts');
+        const builtInList = document.getElementById('settings-builtin-shortcuts');
+        if (!customList || !builtInList || !shortcutCatalog || !settingsManager) return;
+
+        const custom = settingsManager.get('shortcuts.custom');
+        customList.innerHTML = '';
+        if (custom.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'settings-hint';
+            empty.textContent = 'No custom shortcuts yet';
+            customList.appendChild(empty);
+        }
+        custom.forEach(shortcut => {
+            const item = createShortcutItem(shortcut.name, shortcut.enabled, shortcut.scope);
+            const rule = document.createElement('code');
+            rule.textContent = `${shortcut.pattern} → ${shortcut.template}`;
+            item.appendChild(rule);
+
+            const remove = document.createElement('button');
+            remove.className = 'settings-shortcut-remove';
+            remove.setAttribute('data-shortcut-name', shortcut.name);
+            remove.setAttribute('aria-label', `Remove ${shortcut.name}`);
+            remove.title = 'Remove';
+            remove.textContent = '✕';
+            item.appendChild(remove);
+            customList.appendChild(item);
+        });
+
+        const disabled = new Set(settingsManager.get('shortcuts.disabled'));
+        const builtIn = shortcutCatalog.getBuiltInShortcutNames();
+        builtInList.innerHTML = '';
+        [['codeBlock', 'code block'], ['block', 'line'], ['inline', 'inline']].forEach(([scope, label]) => {
+            builtIn[scope].forEach(name => builtInList.appendChild(createShortcutItem(name, !disabled.has(name), label)));
+        });
+    }
+
+    /**
+     * Create a shortcut row with a checkbox that turns it on or off
+     * @param {string} name - Shortcut name
+     * @param {boolean} enabled - Whether it is on
+     * @param {string} scope - Scope shown next to the name
+     * @returns {HTMLElement}
+     */
+    function createShortcutItem(name, enabled, scope) {
+        const item = document.createElement('label');
+        item.className = 'settings-checkbox settings-shortcut-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = enabled;
+        checkbox.setAttribute('data-shortcut-name', name);
+
+        const label = document.createElement('span');
+        label.textContent = name;
+        const scopeLabel = document.createElement('span');
+        scopeLabel.className = 'settings-shortcut-scope';
+        scopeLabel.textContent = scope;
+
+        item.append(checkbox, label, scopeLabel);
+        return item;
+    }
+
+    /**
+     * Show why a shortcut can't be added (or hide the message)
+     * @param {string|null} message
+     */
+    function showShortcutError(message) {
+        const error = document.getElementById('settings-shortcut-error');
+        if (!error) return;
+        error.textContent = message || '';
+        error.hidden = !message;
     }
 
     /**
@@ -1546,6 +2201,113 @@
         }
     }
 
+    /**
+     * Handle New from Template action: choose a template in the picker
+     */
+    function handleNewFromTemplate() {
+        if (!templateManager) return;
+
+        if (!templatePicker) {
+            templatePicker = new TemplatePicker({
+                onSelect: createFromTemplate,
+                onDelete: template => {
+                    if (confirm(`Delete the template "${template.name}"? This cannot be undone.`)) {
+                        templateManager.deleteTemplate(template.id);
+                    }
+                },
+                onExport: () => templateManager.exportToFile(),
+                onImport: () => {
+                    const importInput = document.getElementById('template-import-input');
+                    if (importInput) {
+                        importInput.click();
+                    }
+                }
+            });
+        }
+        templatePicker.open(templateManager.getAllTemplates());
+    }
+
+    /**
+     * Create a document from a template: ask for its title and the template's questions,
+     * fill in the placeholders (see DocumentTemplates) and put the cursor at {{cursor}}
+     * Cancelling a question creates nothing.
+     * @param {Object} template - From TemplateManager
+     */
+    function createFromTemplate(template) {
+        const { documentManager, tabController } = window.MarkdownEditor;
+
+        let title = '';
+        if (DocumentTemplates.usesTitle(template.content)) {
+            title = prompt('Title of the new document:', '');
+            if (title === null) return;
+            title = title.trim();
+        }
+
+        const answers = {};
+        for (const { question, defaultValue } of DocumentTemplates.getPrompts(template.content)) {
+            const answer = prompt(question, defaultValue);
+            if (answer === null) return;
+            answers[question] = answer;
+        }
+
+        const { content, cursor } = DocumentTemplates.expand(template.content, { title, answers });
+        const newDoc = documentManager.createDocument({ name: title || undefined, content });
+        documentManager.switchDocument(newDoc.id);
+        tabController.renderTabs();
+        tabController.scrollToActiveTab();
+
+        if (cursor !== null) {
+            placeCursor(content, cursor);
+        }
+        console.log('New file created from template:', template.name, newDoc.name);
+    }
+
+    /**
+     * Put the cursor at an offset of the active document's content
+     * In the WYSIWYG editor the cursor goes to the block holding that line, at the column
+     * when the block is being edited as text.
+     * @param {string} content - Content of the active document
+     * @param {number} offset - Offset in content
+     */
+    function placeCursor(content, offset) {
+        const sourceTextarea = document.getElementById('source-editor');
+        if (wysiwygEngine.isSourceMode() && sourceTextarea) {
+            sourceTextarea.focus();
+            sourceTextarea.setSelectionRange(offset, offset);
+            return;
+        }
+
+        const before = content.slice(0, offset).split('\n');
+        const block = wysiwygEngine.getBlockAtLine(before.length - 1);
+        if (block) {
+            block.scrollIntoView({ block: 'center' });
+            wysiwygEngine.editorElement.focus({ preventScroll: true });
+            const column = block.hasAttribute('data-wysiwyg-rendered') ? 0 : before[before.length - 1].length;
+            wysiwygEngine.setCursorAt(block, column);
+        }
+    }
+
+    /**
+     * Handle Save as Template action: save the active document's content as a template,
+     * under a name asked for
+     */
+    function handleSaveAsTemplate() {
+        const activeDoc = window.MarkdownEditor ? window.MarkdownEditor.documentManager.getActiveDocument() : null;
+        if (!templateManager || !activeDoc) {
+            console.warn('No active document to save as template');
+            return;
+        }
+
+        const name = prompt('Template name:', activeDoc.name);
+        if (name === null || !name.trim()) return;
+
+        const existing = templateManager.findTemplate(name);
+        if (existing && !confirm(`Replace the template "${existing.name}"?`)) return;
+
+        templateManager.saveTemplate(name, activeDoc.content);
+        console.log('Template saved:', name.trim());
+    }
+
     /**
      * Open regex documentation as read-only tab
      */
@@ -1588,6 +2350,18 @@
         alert('Open Folder feature will be available in the desktop app version.\n\nFor now, you can use "Open File" to open individual markdown files.');
     }
 
+    /**
+     * Get the markdown to save for the active document: its content, with the embedded
+     * documents written in place of the ![[document]] embeds when the
+     * 'export.flattenEmbeds' setting is on
+     * @param {string} content - Content of the active document
+     * @returns {string}
+     */
+    function getExportContent(content) {
+        if (!settingsManager.settings.export.flattenEmbeds) return content;
+        return window.MarkdownEditor.parser.flattenEmbeds(content);
+    }
+
     /**
      * Handle Save File action
      */
@@ -1600,7 +2374,7 @@
             }
 
             // Create a blob with the markdown content
-            const blob = new Blob([exportData.content], { type: 'text/markdown;charset=utf-8' });
+            const blob = new Blob([getExportContent(exportData.content)], { type: 'text/markdown;charset=utf-8' });
             const url = URL.createObjectURL(blob);
 
             // Create a temporary download link
@@ -1623,8 +2397,10 @@
 
     /**
      * Handle Save As File action
+     * @param {boolean} [portable=false] - Save the document as standard markdown (see
+     *        MarkdownNormalizer), leaving the open document as it is
      */
-    function handleSaveAsFile() {
+    function handleSaveAsFile(portable = false) {
         if (window.MarkdownEditor && window.MarkdownEditor.documentManager) {
             const activeDoc = window.MarkdownEditor.documentManager.getActiveDocument();
             if (!activeDoc) {
@@ -1633,7 +2409,7 @@
             }
 
             // Prompt user for custom filename
-            const currentName = activeDoc.name.replace(/\.md$/, ''); // Remove .md if present
+            const currentName = activeDoc.getDisplayName(Infinity).replace(/\.md$/, ''); // Remove .md if present
             const customName = prompt('Enter filename (without .md extension):', currentName);
 
             if (customName === null || customName.trim() === '') {
@@ -1642,9 +2418,13 @@
             }
 
             const filename = customName.trim() + '.md';
+            const exportContent = getExportContent(activeDoc.content);
+            const content = portable
+                ? new MarkdownNormalizer(window.MarkdownEditor.parser).normalize(exportContent)
+                : exportContent;
 
             // Create a blob with the markdown content
-            const blob = new Blob([activeDoc.content], { type: 'text/markdown;charset=utf-8' });
+            const blob = new Blob([content], { type: 'text/markdown;charset=utf-8' });
             const url = URL.createObjectURL(blob);
 
             // Create a temporary download link
@@ -1710,6 +2490,27 @@
         const blockProcessor = new BlockProcessor();
         const parser = new MarkdownParser(ruleEngine, blockProcessor);
 
+        // Apply the "newline = line break" preference and follow changes to it
+        if (settingsManager) {
+            parser.setBreaks(settingsManager.get('markdown.breaks'));
+            settingsManager.onChange('markdown.breaks', value => parser.setBreaks(value));
+
+            // Each extended inline syntax (==highlight==, H~2~O, ...) can be turned off
+            ExtendedInlineSyntax.NAMES.forEach(name => {
+                parser.setInlineSyntax(name, settingsManager.get(`markdown.${name}`));
+                settingsManager.onChange(`markdown.${name}`, value => parser.setInlineSyntax(name, value));
+            });
+
+            // User-defined shortcuts, and built-in ones turned off by name
+            const shortcutProcessor = parser.getShortcutProcessor();
+            if (shortcutProcessor) {
+                shortcutProcessor.setCustomShortcuts(settingsManager.get('shortcuts.custom'));
+                shortcutProcessor.setDisabledShortcuts(settingsManager.get('shortcuts.disabled'));
+                settingsManager.onChange('shortcuts.custom', value => shortcutProcessor.setCustomShortcuts(value));
+                settingsManager.onChange('shortcuts.disabled', value => shortcutProcessor.setDisabledShortcuts(value));
+            }
+        }
+
         // Initialize LineMapper (can be used for future features)
         lineMapper = new LineMapper({
             previewContainer: wysiwygElement,
@@ -1720,6 +2521,13 @@
 
         // Create WYSIWYG engine
         wysiwygEngine = new WysiwygEngine(wysiwygElement, lineMapper, parser);
+        wysiwygEngine.setSanitizer(htmlSanitizer);
+
+        // Show footnote text when hovering a footnote reference
+        new FootnotePopover({ container: wysiwygElement }).init();
+
+        // Scroll to headings when '#anchor' links (e.g. a [TOC]) are clicked
+        const anchorNavigator = new AnchorNavigator({ container: wysiwygElement }).init();
 
         // Create document manager for WYSIWYG mode
         const documentManager = new DocumentManager({
@@ -1727,14 +2535,40 @@
             autoSaveDelay: 1000,
             onDocumentSwitch: (doc) => {
                 // Load document content into WYSIWYG editor with rendering enabled by default
+                applySanitizerForDocument(doc);
+                parser.setCurrentDocument(doc);
                 wysiwygEngine.setMarkdown(doc.content, true);
+                scheduleLint();
+                scheduleBacklinks();
                 console.log('Switched to document:', doc.name);
             },
             onDocumentUpdate: (doc) => {
                 console.log('Document updated:', doc.name);
+                // The tab label can come from the front matter title
+                if (window.MarkdownEditor && window.MarkdownEditor.tabController) {
+                    window.MarkdownEditor.tabController.updateTab(doc.id);
+                }
+                scheduleLint();
+                scheduleBacklinks();
+                // Show the change in the embeds of the open document
+                if (doc !== documentManager.getActiveDocument()) {
+                    refreshEmbeds();
+                }
+            },
+            onDocumentCreate: () => {
+                scheduleBacklinks();
+                refreshEmbeds();
+            },
+            onDocumentClose: () => {
+                scheduleBacklinks();
+                refreshEmbeds();
             }
         });
 
+        // [[Wiki links]] resolve against the open documents
+        parser.setWikiLinkResolver(name => WikiLinks.resolve(name, documentManager.getAllDocuments()));
+        parser.setEmbedSanitizer(sanitizeEmbeddedHtml);
+
         // Setup auto-save: save content when input changes
         wysiwygElement.addEventListener('input', () => {
             // Skip saving during document loading to prevent corruption
@@ -1759,10 +2593,22 @@
             console.log('WYSIWYG: Active document:', activeDoc ? activeDoc.name : 'null');
             if (activeDoc) {
                 // Load with rendering enabled by default
+                applySanitizerForDocument(activeDoc);
+                parser.setCurrentDocument(activeDoc);
                 wysiwygEngine.setMarkdown(activeDoc.content, true);
             }
         }
 
+        // Re-render the open document when the security, inline syntax or shortcut settings change
+        ['security.sanitizeHtml', 'security.allowedSchemes', 'security.allowDataImages', 'security.trustLocalFiles',
+            ...ExtendedInlineSyntax.NAMES.map(name => `markdown.${name}`), 'shortcuts.custom', 'shortcuts.disabled']
+            .forEach(path => settingsManager.onChange(path, () => {
+                const activeDoc = documentManager.getActiveDocument();
+                if (!activeDoc || wysiwygEngine.sourceMode) return;
+                applySanitizerForDocument(activeDoc);
+                wysiwygEngine.setMarkdown(activeDoc.content, true);
+            }));
+
         console.log('WYSIWYG: All documents:', documentManager.getAllDocuments().map(d => d.name));
 
         // Initialize tab controller AFTER documents are loaded (same as split view)
@@ -1776,6 +2622,22 @@
         tabController.init();
         console.log('WYSIWYG: TabController initialized');
 
+        // Open the document a [[wiki link]] names (offering to create it), at its heading if it names one
+        new WikiLinkNavigator({
+            container: wysiwygElement,
+            documentManager: documentManager,
+            onOpen: (doc, link) => {
+                tabController.renderTabs();
+                tabController.scrollToActiveTab();
+                const heading = link.heading && !wysiwygEngine.isSourceMode()
+                    ? anchorNavigator.findTarget(`#${HeadingSlugger.slugify(link.heading)}`)
+                    : null;
+                if (heading) {
+                    anchorNavigator.scrollTo(heading);
+                }
+            }
+        }).init();
+
         // Focus the editor after initialization
         setTimeout(() => {
             wysiwygElement.focus();
@@ -1784,6 +2646,9 @@
         // Setup source mode toggle button and keyboard shortcut
         setupSourceModeToggle(wysiwygEngine, documentManager);
 
+        // Setup the emoji picker on the gap toolbar
+        setupEmojiPicker(wysiwygEngine);
+
         // Expose to global scope
         window.MarkdownEditor = {
             parser: parser,
@@ -1793,6 +2658,15 @@
             lineMapper: lineMapper
         };
 
+        // Check the document as it changes: Problems panel, source marks, WYSIWYG highlights
+        setupLinting(wysiwygEngine, parser);
+
+        // List the documents linking to the active one
+        setupBacklinks();
+
+        // Templates for New from Template
+        setupTemplates();
+
         console.log('WYSIWYG editor initialized');
     }
 
@@ -1853,6 +2727,222 @@
         console.log('Source mode toggle initialized');
     }
 
+    /**
+     * Setup the emoji picker: the chosen emoji is inserted at the cursor as its
+     * :shortcode: in source mode, and rendered (keeping the shortcode) in WYSIWYG mode
+     */
+    function setupEmojiPicker(wysiwygEngine) {
+        const button = document.getElementById('toolbar-emoji');
+        const sourceTextarea = document.getElementById('source-editor');
+
+        if (!button) {
+            console.warn('Emoji button not found');
+            return;
+        }
+
+        new EmojiPicker({
+            button: button,
+            onSelect: (name, emoji) => {
+                if (wysiwygEngine.isSourceMode() && sourceTextarea) {
+                    sourceTextarea.setRangeText(`:${name}:`, sourceTextarea.selectionStart, sourceTextarea.selectionEnd, 'end');
+                    sourceTextarea.dispatchEvent(new Event('input', { bubbles: true })); // Auto-save
+                    return;
+                }
+
+                if (!wysiwygEngine.editorElement.contains(document.activeElement)) {
+                    wysiwygEngine.editorElement.focus();
+                }
+                document.execCommand('insertHTML', false, wysiwygEngine.renderEmoji(name, emoji));
+            }
+        }).init();
+    }
+
+    /**
+     * Setup linting: the Problems panel on the gap toolbar, the marks over the source
+     * textarea, and re-checking when the mode or the settings that affect it change
+     */
+    function setupLinting(wysiwygEngine, parser) {
+        const button = document.getElementById('toolbar-problems');
+        const sourceTextarea = document.getElementById('source-editor');
+        const toggleButton = document.getElementById('toolbar-source-toggle');
+
+        linter = new MarkdownLinter(parser);
+        lintOverlay = new LintOverlay({ textarea: sourceTextarea }).init();
+        problemsPanel = new ProblemsPanel({
+            button: button,
+            onSelect: diagnostic => goToProblem(wysiwygEngine, diagnostic)
+        }).init();
+
+        // The marks move between the source textarea and the WYSIWYG blocks
+        if (toggleButton) {
+            toggleButton.addEventListener('click', () => runLint());
+        }
+        settingsManager.onAnyChange(({ path }) => {
+            if (path === '*' || /^(lint|shortcuts|markdown|security)\./.test(path)) {
+                scheduleLint();
+            }
+        });
+
+        runLint();
+    }
+
+    /**
+     * Lint the active document once typing pauses
+     */
+    function scheduleLint() {
+        if (!linter) return;
+        clearTimeout(lintTimer);
+        lintTimer = setTimeout(runLint, 300);
+    }
+
+    /**
+     * Lint the active document (see MarkdownLinter) and show the problems
+     */
+    function runLint() {
+        clearTimeout(lintTimer);
+        lintTimer = null;
+        if (!linter || !window.MarkdownEditor) return;
+
+        const { documentManager, wysiwygEngine } = window.MarkdownEditor;
+        const activeDoc = documentManager.getActiveDocument();
+        const sourceTextarea = document.getElementById('source-editor');
+        const sourceMode = wysiwygEngine.isSourceMode() && !!sourceTextarea;
+        const lint = settingsManager.get('lint');
+
+        let diagnostics = [];
+        if (activeDoc && lint.enabled) {
+            const markdown = sourceMode ? sourceTextarea.value : activeDoc.content;
+            diagnostics = linter.lint(markdown, { rules: lint.rules, maxLineLength: lint.maxLineLength });
+        }
+
+        problemsPanel.setDiagnostics(diagnostics);
+        lintOverlay.setDiagnostics(sourceMode ? diagnostics : []);
+        wysiwygEngine.setDiagnostics(sourceMode ? [] : diagnostics);
+    }
+
+    /**
+     * Show a problem chosen in the Problems panel: select it in source mode, or scroll
+     * its block into view in WYSIWYG mode
+     * @param {WysiwygEngine} wysiwygEngine
+     * @param {Object} diagnostic - From MarkdownLinter.lint()
+     */
+    function goToProblem(wysiwygEngine, diagnostic) {
+        const sourceTextarea = document.getElementById('source-editor');
+        if (wysiwygEngine.isSourceMode() && sourceTextarea) {
+            const lines = sourceTextarea.value.split('\n');
+            if (diagnostic.line >= lines.length) return;
+
+            const lineStart = lines.slice(0, diagnostic.line).reduce((offset, line) => offset + line.length + 1, 0);
+            sourceTextarea.focus();
+            sourceTextarea.setSelectionRange(lineStart + diagnostic.column, lineStart + diagnostic.endColumn);
+
+            // Center the line
+            const lineHeight = parseFloat(getComputedStyle(sourceTextarea).lineHeight);
+            sourceTextarea.scrollTop = Math.max(0, diagnostic.line * lineHeight - sourceTextarea.clientHeight / 2);
+            return;
+        }
+
+        const block = wysiwygEngine.getBlockAtLine(diagnostic.line);
+        if (block) {
+            block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            wysiwygEngine.editorElement.focus({ preventScroll: true });
+            wysiwygEngine.setCursorAt(block, 0);
+        }
+    }
+
+    /**
+     * Setup the Backlinks panel on the gap toolbar: choosing a document switches to it
+     */
+    function setupBacklinks() {
+        const button = document.getElementById('toolbar-backlinks');
+
+        if (!button) {
+            console.warn('Backlinks button not found');
+            return;
+        }
+
+        backlinksPanel = new BacklinksPanel({
+            button: button,
+            onSelect: doc => {
+                const { documentManager, tabController } = window.MarkdownEditor;
+                documentManager.switchDocument(doc.id);
+                tabController.renderTabs();
+                tabController.scrollToActiveTab();
+            }
+        }).init();
+
+        runBacklinks();
+    }
+
+    /**
+     * Look for backlinks once typing pauses (any document's content or name can change them)
+     */
+    function scheduleBacklinks() {
+        if (!backlinksPanel) return;
+        clearTimeout(backlinksTimer);
+        backlinksTimer = setTimeout(runBacklinks, 300);
+    }
+
+    /**
+     * Find the documents linking to the active document (see WikiLinks.findBacklinks)
+     */
+    function runBacklinks() {
+        clearTimeout(backlinksTimer);
+        backlinksTimer = null;
+        if (!backlinksPanel || !window.MarkdownEditor) return;
+
+        const { documentManager, parser } = window.MarkdownEditor;
+        const activeDoc = documentManager.getActiveDocument();
+        const backlinks = activeDoc
+            ? WikiLinks.findBacklinks(activeDoc, documentManager.getAllDocuments(), parser.getShortcutProcessor())
+            : [];
+
+        backlinksPanel.setBacklinks(backlinks, activeDoc);
+    }
+
+    /**
+     * Render the ![[document]] embeds of the open document again, after another document
+     * changed, was created or was closed (source mode shows no embeds)
+     */
+    function refreshEmbeds() {
+        if (wysiwygEngine && !wysiwygEngine.isSourceMode()) {
+            wysiwygEngine.refreshEmbeds();
+        }
+    }
+
+    /**
+     * Setup the templates: load them from storage, keep the picker showing them, and
+     * import the files chosen with the picker's Import button
+     */
+    function setupTemplates() {
+        templateManager = new TemplateManager({
+            onChange: templates => {
+                if (templatePicker) {
+                    templatePicker.setTemplates(templates);
+                }
+            }
+        });
+        templateManager.loadFromStorage();
+
+        const importInput = document.getElementById('template-import-input');
+        if (importInput) {
+            importInput.addEventListener('change', async function(event) {
+                const file = event.target.files[0];
+                if (file) {
+                    const result = await templateManager.importFromFile(file);
+                    if (result.success) {
+                        alert(`Imported ${result.imported} ${result.imported === 1 ? 'template' : 'templates'}.` +
+                            (result.warnings ? '\n\nWarnings:\n' + result.warnings.join('\n') : ''));
+                    } else {
+                        alert('Failed to import templates:\n' + result.errors.join('\n'));
+                    }
+                }
+                // Reset input so same file can be imported again
+                event.target.value = '';
+            });
+        }
+    }
+
     /**
      * Setup View panel controls for external window
      */
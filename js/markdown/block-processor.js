@@ -1,6 +1,9 @@
 /**
  * Block Processor Module
- * Handles block-level markdown elements (paragraphs, lists, blockquotes, code blocks, tables, hr)
+ * Handles block-level markdown elements (paragraphs, lists, blockquotes, code blocks, tables, hr,
+ * footnote and link reference definitions, [TOC] markers, ![[document]] embeds, front matter,
+ * callouts, display math)
+ * Builds a block-level AST (see MarkdownAst); HtmlSerializer turns it into HTML
  *
  * SOLID Principles:
  * - Single Responsibility: Only processes block-level elements
@@ -11,6 +14,9 @@ class BlockProcessor {
     constructor() {
         this.blockHandlers = this.initializeBlockHandlers();
         this.trackLines = false; // Enable data-line attributes for scroll sync
+        this.inlineParser = typeof InlineParser !== 'undefined' ? new InlineParser() : null;
+        this.serializer = new HtmlSerializer();
+        this.wikiLinkResolver = null; // (name) => document or null, see setWikiLinkResolver()
     }
 
     /**
@@ -19,6 +25,41 @@ class BlockProcessor {
      */
     setLineTracking(enabled) {
         this.trackLines = enabled;
+        this.serializer.setLineTracking(enabled);
+    }
+
+    /**
+     * Enable or disable "newline = line break" mode
+     * @param {boolean} enabled - Whether single newlines in paragraphs render as <br />
+     */
+    setBreaks(enabled) {
+        this.serializer.setBreaks(enabled);
+    }
+
+    /**
+     * Set how [[wiki link]] and ![[embed]] names are looked up, so [[Home]] naming a
+     * document is a link or an embed rather than keys
+     * @param {Function|null} resolver - (name) => document or null
+     */
+    setWikiLinkResolver(resolver) {
+        this.wikiLinkResolver = resolver;
+        this.serializer.setWikiLinkResolver(resolver);
+    }
+
+    /**
+     * Get the HTML serializer used by process()
+     * @returns {HtmlSerializer}
+     */
+    getSerializer() {
+        return this.serializer;
+    }
+
+    /**
+     * Get the parser of inline content
+     * @returns {InlineParser|null}
+     */
+    getInlineParser() {
+        return this.inlineParser;
     }
 
     /**
@@ -30,221 +71,495 @@ class BlockProcessor {
             orderedList: this.isOrderedListItem.bind(this),
             taskList: this.isTaskListItem.bind(this),
             blockquote: this.isBlockquote.bind(this),
+            container: Callouts.matchContainerOpen,
             codeBlock: this.isCodeBlock.bind(this),
+            math: MathSyntax.isBlockStart,
             horizontalRule: this.isHorizontalRule.bind(this),
             table: this.isTableRow.bind(this),
+            footnoteDefinition: this.isFootnoteDefinition.bind(this),
+            linkDefinition: this.isLinkDefinition.bind(this),
+            tableOfContents: TableOfContents.isMarker,
+            embed: line => DocumentEmbeds.match(line, this.wikiLinkResolver),
             heading: this.isHeading.bind(this),
             paragraph: this.isParagraph.bind(this)
         };
     }
 
     /**
-     * Process text into block-level HTML
-     * @param {string} html - Pre-processed HTML from inline rules
-     * @returns {string} - Fully processed HTML with blocks
+     * Process text into HTML
+     * @param {string} markdown - Markdown text (shortcuts already expanded)
+     * @returns {string} - HTML, without custom RuleEngine rules applied
+     */
+    process(markdown) {
+        return this.serializer.restoreRenderedBlocks(this.serializer.serialize(this.parse(markdown)));
+    }
+
+    /**
+     * Parse text into a block-level AST
+     * @param {string} markdown - Markdown text (shortcuts already expanded)
+     * @returns {Object} - Document node
      */
-    process(html) {
-        const lines = html.split('\n');
-        const result = [];
-        let inList = false;
-        let listType = null;
-        let listStartLine = 0; // Track where current list started
+    parse(markdown) {
+        const lines = markdown.split('\n');
+        const lastLine = lines.length - 1;
+
+        // Reference links may come before their definitions, so find the labels first
+        if (this.inlineParser) {
+            this.inlineParser.setReferenceLabels(this.collectDefinitionLabels(lines));
+        }
+
+        // Front matter is only recognized on the first line
+        const children = [];
+        const frontMatter = FrontMatter.extract(markdown);
+        const bodyStart = frontMatter ? frontMatter.lineCount : 0;
+        if (frontMatter) {
+            children.push(MarkdownAst.createNode(
+                MarkdownAst.NodeType.FRONT_MATTER,
+                { value: frontMatter.value, data: frontMatter.data },
+                MarkdownAst.createPosition(0, 0, bodyStart - 1, lines[bodyStart - 1].length)
+            ));
+        }
+        children.push(...this.parseBlocks(lines.slice(bodyStart), bodyStart));
+
+        const document = MarkdownAst.createNode(
+            MarkdownAst.NodeType.DOCUMENT,
+            { children },
+            MarkdownAst.createPosition(0, 0, lastLine, lines[lastLine].length)
+        );
+
+        this.assignHeadingIds(document);
+        return document;
+    }
+
+    /**
+     * Give every heading a unique, GitHub-compatible id (in document order)
+     * @param {Object} document - Document node
+     */
+    assignHeadingIds(document) {
+        const slugger = new HeadingSlugger();
+        MarkdownAst.findAll(document, MarkdownAst.NodeType.HEADING).forEach(heading => {
+            heading.id = slugger.slug(MarkdownAst.toPlainText(heading));
+        });
+    }
+
+    /**
+     * Parse a run of lines into block nodes
+     * Also used for the contents of list items, whose lines keep their
+     * original columns (the list marker is blanked out, not removed).
+     * @param {Array<string>} lines - Source lines
+     * @param {number} startLine - Source line of lines[0] (0-based)
+     * @returns {Array<Object>} - Block nodes
+     */
+    parseBlocks(lines, startLine) {
+        const children = [];
         let inCodeBlock = false;
+        let codeBlockFence = ''; // Opening marker ('```', '~~~~', ...), which the closing fence must match
         let codeBlockContent = [];
         let codeBlockLanguage = '';
         let codeBlockStartLine = 0; // Track where code block started
+        let codeBlockIndent = 0;
         let inTable = false;
         let tableRows = [];
         let tableStartLine = 0; // Track where table started
+        let paragraphLines = [];
+        let paragraphStartLine = 0; // Track where paragraph started
+
+        const closeParagraph = () => {
+            if (paragraphLines.length > 0) {
+                children.push(this.parseParagraph(paragraphLines, paragraphStartLine));
+                paragraphLines = [];
+            }
+        };
+
+        const closeTable = () => {
+            if (inTable) {
+                const table = this.parseTable(tableRows, tableStartLine);
+                if (table) children.push(table);
+                inTable = false;
+                tableRows = [];
+            }
+        };
 
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i];
             const trimmed = line.trim();
-            const lineNum = i; // 0-based line number
+            const lineNum = startLine + i; // 0-based line number
+
+            // Paragraph continuation: consecutive text lines join the open paragraph
+            if (paragraphLines.length > 0) {
+                // Setext heading: an underline of '=' (h1) or '-' (h2) turns the paragraph into a heading
+                if (this.isSetextUnderline(trimmed)) {
+                    children.push(this.parseSetextHeading(paragraphLines, paragraphStartLine, line));
+                    paragraphLines = [];
+                    continue;
+                }
+                if (trimmed && !this.startsBlock(line, lines[i + 1])) {
+                    paragraphLines.push(line);
+                    continue;
+                }
+                closeParagraph();
+            }
 
             // Code block handling
-            if (this.isCodeBlock(trimmed)) {
-                if (!inCodeBlock) {
-                    // Starting code block
-                    inCodeBlock = true;
-                    codeBlockStartLine = lineNum;
-                    codeBlockLanguage = trimmed.substring(3).trim(); // Get language after ```
-                    codeBlockContent = [];
-
-                    // Close any open list or table
-                    if (inList) {
-                        result.push(`</${listType}>`);
-                        inList = false;
-                        listType = null;
-                    }
-                    if (inTable) {
-                        result.push(this.processTable(tableRows, tableStartLine));
-                        inTable = false;
-                        tableRows = [];
-                    }
-                } else {
-                    // Ending code block
-                    inCodeBlock = false;
-                    result.push(this.processCodeBlock(codeBlockContent, codeBlockLanguage, codeBlockStartLine));
-                    codeBlockContent = [];
-                    codeBlockLanguage = '';
-                }
+            if (inCodeBlock && MarkdownEscapes.isFenceClose(trimmed, codeBlockFence)) {
+                // Ending code block
+                inCodeBlock = false;
+                children.push(this.parseCodeBlock(codeBlockContent, codeBlockLanguage, codeBlockStartLine, codeBlockIndent, lineNum, line.length));
+                codeBlockContent = [];
+                codeBlockLanguage = '';
+                continue;
+            }
+            const fence = inCodeBlock ? null : MarkdownEscapes.matchFence(trimmed);
+            if (fence) {
+                // Starting code block
+                inCodeBlock = true;
+                codeBlockFence = fence.marker;
+                codeBlockStartLine = lineNum;
+                codeBlockIndent = this.getIndent(line);
+                codeBlockLanguage = fence.info; // Language after the fence
+                codeBlockContent = [];
+
+                // Close any open table
+                closeTable();
                 continue;
             }
 
-            // If inside code block, collect lines
+            // If inside code block, collect lines (minus the fence's own indentation)
             if (inCodeBlock) {
-                codeBlockContent.push(line);
+                codeBlockContent.push(this.stripIndent(line, codeBlockIndent));
+                continue;
+            }
+
+            // Display math ($$ ... $$), possibly over several lines
+            const math = MathSyntax.matchBlock(lines, i);
+            if (math) {
+                closeTable();
+                children.push(MarkdownAst.createNode(MarkdownAst.NodeType.MATH, {
+                    value: math.tex
+                }, MarkdownAst.createPosition(
+                    lineNum, this.getIndent(line),
+                    startLine + math.end, lines[math.end].trimEnd().length
+                )));
+                i = math.end;
                 continue;
             }
 
             // Horizontal rule
             if (this.isHorizontalRule(trimmed)) {
-                // Close any open list or table
-                if (inList) {
-                    result.push(`</${listType}>`);
-                    inList = false;
-                    listType = null;
-                }
-                if (inTable) {
-                    result.push(this.processTable(tableRows, tableStartLine));
-                    inTable = false;
-                    tableRows = [];
-                }
-                result.push(this.wrapWithLine('<hr />', lineNum));
+                // Close any open table
+                closeTable();
+                children.push(MarkdownAst.createNode(
+                    MarkdownAst.NodeType.THEMATIC_BREAK,
+                    {},
+                    this.getLinePosition(line, lineNum)
+                ));
                 continue;
             }
 
-            // Table handling
-            if (this.isTableRow(trimmed)) {
-                // Close any open list
-                if (inList) {
-                    result.push(`</${listType}>`);
-                    inList = false;
-                    listType = null;
-                }
-
-                if (!inTable) {
-                    tableStartLine = lineNum;
+            // Table handling: a header row only starts a table when a separator row follows
+            if (inTable) {
+                if (this.isTableRow(trimmed)) {
+                    tableRows.push(line);
+                    continue;
                 }
+                // End of table, then process current line normally (fall through)
+                closeTable();
+            } else if (this.isTableRow(trimmed) && TableSyntax.isTableStart(line, lines[i + 1])) {
+                tableStartLine = lineNum;
                 inTable = true;
-                tableRows.push(trimmed);
+                tableRows.push(line);
                 continue;
-            } else if (inTable) {
-                // End of table
-                result.push(this.processTable(tableRows, tableStartLine));
-                inTable = false;
-                tableRows = [];
-                // Process current line normally (fall through)
             }
 
-            // Task list (special type of unordered list)
-            if (this.isTaskListItem(trimmed)) {
-                if (!inList || listType !== 'ul-task') {
-                    if (inList) result.push(`</${listType}>`);
-                    listStartLine = lineNum;
-                    result.push(this.wrapWithLine('<ul class="task-list">', lineNum, true));
-                    inList = true;
-                    listType = 'ul-task';
-                }
-                result.push(this.processTaskListItem(trimmed, lineNum));
+            // Footnote definition, consuming its indented continuation lines
+            if (this.isFootnoteDefinition(trimmed)) {
+                const result = this.parseFootnoteDefinition(lines, i, startLine);
+                children.push(result.node);
+                i = result.end - 1;
                 continue;
             }
 
-            // Unordered list
-            if (this.isUnorderedListItem(trimmed)) {
-                if (!inList || listType !== 'ul') {
-                    if (inList) result.push(`</${listType}>`);
-                    listStartLine = lineNum;
-                    result.push(this.wrapWithLine('<ul>', lineNum, true));
-                    inList = true;
-                    listType = 'ul';
-                }
-                result.push(this.processUnorderedListItem(trimmed, lineNum));
+            // Lists (task, unordered, ordered), consuming nested items and continuation lines
+            if (this.getListMarker(line)) {
+                const result = this.parseList(lines, i, startLine);
+                children.push(result.node);
+                i = result.end - 1;
                 continue;
             }
 
-            // Ordered list
-            if (this.isOrderedListItem(trimmed)) {
-                if (!inList || listType !== 'ol') {
-                    if (inList) result.push(`</${listType}>`);
-                    listStartLine = lineNum;
-                    result.push(this.wrapWithLine('<ol>', lineNum, true));
-                    inList = true;
-                    listType = 'ol';
-                }
-                result.push(this.processOrderedListItem(trimmed, lineNum));
+            // Callout container (':::kind' ... ':::')
+            if (Callouts.matchContainerOpen(trimmed)) {
+                closeTable();
+                const result = this.parseContainer(lines, i, startLine);
+                children.push(result.node);
+                i = result.end - 1;
                 continue;
             }
 
-            // Blockquote
+            // Blockquote, consuming contiguous quote lines and lazy continuation lines
             if (this.isBlockquote(trimmed)) {
-                if (inList) {
-                    result.push(`</${listType}>`);
-                    inList = false;
-                    listType = null;
-                }
-                result.push(this.processBlockquote(trimmed, lineNum));
+                const result = this.parseBlockquote(lines, i, startLine);
+                children.push(result.node);
+                i = result.end - 1;
                 continue;
             }
 
-            // Regular paragraph or heading
+            // Table of contents marker ([TOC] on a line of its own)
+            if (TableOfContents.isMarker(trimmed)) {
+                children.push(MarkdownAst.createNode(
+                    MarkdownAst.NodeType.TOC,
+                    {},
+                    this.getLinePosition(line, lineNum)
+                ));
+                continue;
+            }
+
+            // Document embed (![[name]] on a line of its own, see DocumentEmbeds)
+            const embed = DocumentEmbeds.match(trimmed, this.wikiLinkResolver);
+            if (embed !== null) {
+                children.push(MarkdownAst.createNode(
+                    MarkdownAst.NodeType.EMBED,
+                    { value: embed },
+                    this.getLinePosition(line, lineNum)
+                ));
+                continue;
+            }
+
+            // Link reference definition ([ref]: url "title"); it can't interrupt a paragraph
+            if (this.isLinkDefinition(trimmed)) {
+                children.push(this.parseLinkDefinition(line, lineNum));
+                continue;
+            }
+
+            // Heading, or the first line of a paragraph
             if (trimmed) {
-                if (inList) {
-                    result.push(`</${listType}>`);
-                    inList = false;
-                    listType = null;
-                }
-                // Check if it's a heading and process it
                 if (this.isHeading(trimmed)) {
-                    result.push(this.processHeading(trimmed, lineNum));
+                    children.push(this.parseHeading(line, lineNum));
                 } else {
-                    result.push(this.wrapWithLine(`<p>${line}</p>`, lineNum));
-                }
-            } else {
-                // Empty line - close lists
-                if (inList) {
-                    result.push(`</${listType}>`);
-                    inList = false;
-                    listType = null;
+                    paragraphLines = [line];
+                    paragraphStartLine = lineNum;
                 }
             }
         }
 
-        // Close any open list at end
-        if (inList) {
-            result.push(`</${listType}>`);
+        // Close any open paragraph or table at end
+        closeParagraph();
+        closeTable();
+
+        // Close any open code block at end (shouldn't happen but just in case)
+        if (inCodeBlock) {
+            const lastLine = lines.length - 1;
+            children.push(this.parseCodeBlock(codeBlockContent, codeBlockLanguage, codeBlockStartLine, codeBlockIndent, startLine + lastLine, lines[lastLine].length));
         }
 
-        // Close any open table at end
-        if (inTable) {
-            result.push(this.processTable(tableRows, tableStartLine));
+        return children;
+    }
+
+    /**
+     * Parse a list starting at a list item line
+     *
+     * An item owns the following lines that are indented further than its
+     * marker (nested lists, continuation text, code blocks), including blank
+     * lines between them, plus unindented text that directly continues its
+     * paragraph (lazy continuation). Items at the same or lower indentation continue the
+     * list unless they switch between bullets and numbers; anything else ends it.
+     *
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the first item line in lines
+     * @param {number} startLine - Source line of lines[0] (0-based)
+     * @returns {{node: Object, end: number}} - List node and index after its last line
+     */
+    parseList(lines, start, startLine) {
+        const first = this.getListMarker(lines[start]);
+        const list = MarkdownAst.createNode(MarkdownAst.NodeType.LIST, {
+            ordered: first.ordered,
+            taskList: false,
+            spread: false,
+            children: []
+        });
+
+        // Task items and plain bullets share a list; bullets and numbers do not
+        const isSibling = (marker) => marker
+            && marker.indent <= first.indent
+            && marker.ordered === first.ordered;
+
+        let i = start;
+        let end = start;
+
+        while (i < lines.length) {
+            const marker = this.getListMarker(lines[i]);
+            const itemLines = [this.maskListMarker(lines[i], marker)];
+            const lastContent = this.findContainerEnd(lines, i, itemLines[0], first.indent);
+
+            for (let j = i + 1; j <= lastContent; j++) {
+                itemLines.push(lines[j]);
+            }
+
+            list.children.push(this.parseListItem(itemLines, startLine + i, marker));
+            end = lastContent + 1;
+
+            // Blank lines may separate sibling items; that makes the list loose
+            let next = end;
+            while (next < lines.length && !lines[next].trim()) next++;
+            if (next >= lines.length || !isSibling(this.getListMarker(lines[next]))) break;
+            if (next > end) list.spread = true;
+            i = next;
         }
 
-        // Close any open code block at end (shouldn't happen but just in case)
-        if (inCodeBlock) {
-            result.push(this.processCodeBlock(codeBlockContent, codeBlockLanguage, codeBlockStartLine));
+        list.taskList = list.children.some(item => item.checked !== null);
+
+        // A loose list renders every item's paragraphs in <p> tags
+        if (list.children.some(item => item.spread)) list.spread = true;
+        if (list.spread) list.children.forEach(item => { item.spread = true; });
+
+        const firstItem = list.children[0].position;
+        const lastItem = list.children[list.children.length - 1].position;
+        list.position = MarkdownAst.createPosition(
+            firstItem.start.line, firstItem.start.column,
+            lastItem.end.line, lastItem.end.column
+        );
+
+        return { node: list, end };
+    }
+
+    /**
+     * Find the last line owned by a container block (list item or footnote definition)
+     * The container owns the following lines indented further than its marker,
+     * blank lines between them, and unindented lines that lazily continue its text.
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the container's first line in lines
+     * @param {string} firstContent - First line with the marker blanked out
+     * @param {number} indent - Indentation of the container's marker
+     * @returns {number} - Index of the container's last line
+     */
+    findContainerEnd(lines, start, firstContent, indent) {
+        let inFence = MarkdownEscapes.trackFence(firstContent.trim(), null);
+        let lastContent = start;
+
+        for (let j = start + 1; j < lines.length; j++) {
+            const line = lines[j];
+            if (!line.trim()) continue;
+
+            if (!inFence && this.getIndent(line) <= indent) {
+                const previous = j - 1 === start ? firstContent : lines[j - 1];
+                const lazy = lastContent === j - 1 && !this.startsBlock(line, lines[j + 1]) && !this.startsBlock(previous);
+                if (!lazy) break;
+            }
+            inFence = MarkdownEscapes.trackFence(line.trim(), inFence);
+            lastContent = j;
         }
 
-        return result.join('\n');
+        return lastContent;
     }
 
     /**
-     * Wrap HTML element with data-line attribute if tracking is enabled
-     * @param {string} html - HTML string
-     * @param {number} lineNum - Line number (0-based)
-     * @param {boolean} isContainer - Whether this is a container element (ul, ol)
-     * @returns {string} - HTML with optional data-line attribute
+     * Parse a list item from its lines
+     * @param {Array<string>} itemLines - Item lines, first line with the marker blanked out
+     * @param {number} lineNum - Source line of the item marker (0-based)
+     * @param {Object} marker - Marker info from getListMarker()
+     * @returns {Object} - List item node with block children
      */
-    wrapWithLine(html, lineNum, isContainer = false) {
-        if (!this.trackLines) return html;
+    parseListItem(itemLines, lineNum, marker) {
+        const children = this.parseBlocks(itemLines, lineNum);
+
+        // Blank lines between the item's own blocks make it loose
+        const spread = children.some((child, index) => index > 0
+            && child.position.start.line > children[index - 1].position.end.line + 1);
+
+        const lastLine = itemLines.length - 1;
+        return MarkdownAst.createNode(MarkdownAst.NodeType.LIST_ITEM, {
+            checked: marker.checked,
+            spread,
+            children
+        }, MarkdownAst.createPosition(
+            lineNum, marker.indent,
+            lineNum + lastLine, itemLines[lastLine].trimEnd().length
+        ));
+    }
 
-        // Don't add data-line to container opening tags (ul, ol)
-        // We add it to individual items instead
-        if (isContainer) return html;
+    /**
+     * Get list marker details for a line
+     * @param {string} line - Source line
+     * @returns {Object|null} - { indent, ordered, checked, markerLength }, or null if not a list item
+     */
+    getListMarker(line) {
+        const trimmed = line.trim();
+        const indent = this.getIndent(line);
+        let match;
+
+        if ((match = this.isTaskListItem(trimmed))) {
+            return { indent, ordered: false, checked: match[1].toLowerCase() === 'x', markerLength: match[0].length };
+        }
+        if (this.isUnorderedListItem(trimmed)) {
+            return { indent, ordered: false, checked: null, markerLength: 2 };
+        }
+        if ((match = this.isOrderedListItem(trimmed))) {
+            return { indent, ordered: true, checked: null, markerLength: match[0].length };
+        }
+        return null;
+    }
+
+    /**
+     * Check if a line starts a block that interrupts a paragraph
+     * @param {string} line - Source line
+     * @param {string} [nextLine] - Following line; a table row only counts when it is followed by a separator
+     * @returns {boolean}
+     */
+    startsBlock(line, nextLine) {
+        const trimmed = line.trim();
+        return Boolean(
+            this.isCodeBlock(trimmed) ||
+            MathSyntax.isBlockStart(trimmed) ||
+            this.isHorizontalRule(trimmed) ||
+            (this.isTableRow(trimmed) && TableSyntax.isTableStart(line, nextLine)) ||
+            this.getListMarker(line) ||
+            this.isBlockquote(trimmed) ||
+            Callouts.matchContainerOpen(trimmed) ||
+            this.isFootnoteDefinition(trimmed) ||
+            DocumentEmbeds.match(trimmed, this.wikiLinkResolver) !== null ||
+            this.isHeading(trimmed)
+        );
+    }
+
+    /**
+     * Replace a list (or footnote definition) marker with spaces so the content keeps its source columns
+     */
+    maskListMarker(line, marker) {
+        const contentColumn = marker.indent + marker.markerLength;
+        return ' '.repeat(contentColumn) + line.substring(contentColumn);
+    }
+
+    /**
+     * Remove up to a number of leading spaces from a line
+     */
+    stripIndent(line, count) {
+        const indent = Math.min(count, this.getIndent(line));
+        return line.substring(indent);
+    }
+
+    /**
+     * Get the number of leading whitespace characters in a line
+     */
+    getIndent(line) {
+        return line.length - line.trimStart().length;
+    }
+
+    /**
+     * Get the position of a single source line, excluding surrounding whitespace
+     */
+    getLinePosition(line, lineNum) {
+        return MarkdownAst.createPosition(lineNum, this.getIndent(line), lineNum, line.trimEnd().length);
+    }
 
-        // Insert data-line attribute after the opening tag
-        return html.replace(/^<(\w+)/, `<$1 data-line="${lineNum}"`);
+    /**
+     * Parse inline content of a block
+     * @param {string} text - Inline markdown
+     * @param {number} lineNum - Source line (0-based)
+     * @param {number|Array<number>} column - Source column of the first character, or of each line
+     * @returns {Array<Object>} - Inline nodes
+     */
+    parseInline(text, lineNum, column) {
+        return this.inlineParser ? this.inlineParser.parse(text, lineNum, column) : [];
     }
 
     /**
@@ -272,14 +587,14 @@ class BlockProcessor {
      * Check if line is blockquote
      */
     isBlockquote(line) {
-        return line.startsWith('> ');
+        return line.startsWith('>');
     }
 
     /**
      * Check if line is code block fence
      */
     isCodeBlock(line) {
-        return line.startsWith('```');
+        return MarkdownEscapes.matchFence(line) !== null;
     }
 
     /**
@@ -296,6 +611,44 @@ class BlockProcessor {
         return line.includes('|') && line.trim().startsWith('|') && line.trim().endsWith('|');
     }
 
+    /**
+     * Check if line is a footnote definition ([^id]: text)
+     */
+    isFootnoteDefinition(line) {
+        return line.match(/^\[\^([^\]\s]+)\]:(?:[ \t]|$)/);
+    }
+
+    /**
+     * Check if line is a link reference definition ([ref]: url "title")
+     * Footnote definitions ([^id]: text) are not link definitions
+     */
+    isLinkDefinition(line) {
+        return line.match(/^\[([^\]^][^\]]*)\]:[ \t]*(<[^>]*>|\S+)(?:[ \t]+("[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/);
+    }
+
+    /**
+     * Collect the normalized labels of all link reference definitions, including
+     * ones inside blockquotes and list items, but not inside code blocks
+     * @param {Array<string>} lines - Source lines
+     * @returns {Set<string>}
+     */
+    collectDefinitionLabels(lines) {
+        const labels = new Set();
+        let inFence = null;
+
+        lines.forEach(line => {
+            const content = line.replace(/^(?:\s*(?:>|[-*+]|\d+\.)(?=\s))*\s*/, '');
+            const wasInFence = inFence;
+            inFence = MarkdownEscapes.trackFence(content.trim(), inFence);
+            if (wasInFence || inFence) return;
+
+            const match = this.isLinkDefinition(content.trim());
+            if (match) labels.add(MarkdownAst.normalizeLabel(match[1]));
+        });
+
+        return labels;
+    }
+
     /**
      * Check if line is heading (markdown syntax)
      */
@@ -304,19 +657,10 @@ class BlockProcessor {
     }
 
     /**
-     * Process heading into HTML
-     * @param {string} line - The heading line
-     * @param {number} lineNum - Line number (0-based)
+     * Check if a trimmed line is a setext heading underline ('=====' or '-----')
      */
-    processHeading(line, lineNum) {
-        const match = line.match(/^(#{1,6}) (.+)$/);
-        if (match) {
-            const level = match[1].length;
-            const text = match[2];
-            const dataLine = this.trackLines ? ` data-line="${lineNum}"` : '';
-            return `<h${level}${dataLine}>${text}</h${level}>`;
-        }
-        return line;
+    isSetextUnderline(line) {
+        return /^(=+|-+)$/.test(line);
     }
 
     /**
@@ -327,133 +671,302 @@ class BlockProcessor {
     }
 
     /**
-     * Process unordered list item
-     * @param {string} line - The list item line
+     * Parse heading into a node
+     * @param {string} line - The heading line
      * @param {number} lineNum - Line number (0-based)
      */
-    processUnorderedListItem(line, lineNum) {
-        const dataLine = this.trackLines ? ` data-line="${lineNum}"` : '';
-        return `<li${dataLine}>${line.substring(2)}</li>`;
+    parseHeading(line, lineNum) {
+        const indent = this.getIndent(line);
+        const match = line.trim().match(/^(#{1,6}) (.+)$/);
+        const level = match[1].length;
+        const text = match[2];
+
+        return MarkdownAst.createNode(MarkdownAst.NodeType.HEADING, {
+            level,
+            raw: text,
+            children: this.parseInline(text, lineNum, indent + level + 1)
+        }, this.getLinePosition(line, lineNum));
     }
 
     /**
-     * Process ordered list item
-     * @param {string} line - The list item line
-     * @param {number} lineNum - Line number (0-based)
+     * Parse a setext heading (paragraph lines over an underline) into a node
+     * Its text is read like a paragraph's, so it can span lines.
+     * @param {Array<string>} lines - The heading's text lines
+     * @param {number} lineNum - Line number of the first line (0-based)
+     * @param {string} underline - The underline
      */
-    processOrderedListItem(line, lineNum) {
-        const dataLine = this.trackLines ? ` data-line="${lineNum}"` : '';
-        return `<li${dataLine}>${line.replace(/^\d+\. /, '')}</li>`;
+    parseSetextHeading(lines, lineNum, underline) {
+        const paragraph = this.parseParagraph(lines, lineNum);
+        const endLine = lineNum + lines.length;
+
+        return MarkdownAst.createNode(MarkdownAst.NodeType.HEADING, {
+            level: underline.trim()[0] === '=' ? 1 : 2,
+            raw: paragraph.raw,
+            children: paragraph.children
+        }, MarkdownAst.createPosition(
+            lineNum, paragraph.position.start.column,
+            endLine, underline.trimEnd().length
+        ));
     }
 
     /**
-     * Process task list item
-     * @param {string} line - The task list item line
-     * @param {number} lineNum - Line number (0-based)
+     * Parse paragraph into a node
+     * Lines are joined with newlines (soft breaks); trailing spaces are kept
+     * on inner lines so hard breaks survive, and trimmed from the last line
+     * @param {Array<string>} lines - The paragraph lines
+     * @param {number} lineNum - Line number of the first line (0-based)
+     */
+    parseParagraph(lines, lineNum) {
+        const columns = lines.map(line => this.getIndent(line));
+        const text = lines.map(line => line.trimStart()).join('\n').trimEnd();
+        const lastLine = lines.length - 1;
+
+        return MarkdownAst.createNode(MarkdownAst.NodeType.PARAGRAPH, {
+            raw: text,
+            children: this.parseInline(text, lineNum, columns)
+        }, MarkdownAst.createPosition(
+            lineNum, columns[0],
+            lineNum + lastLine, lines[lastLine].trimEnd().length
+        ));
+    }
+
+    /**
+     * Parse a blockquote starting at a quote line
+     *
+     * Contiguous '>' lines form one quote whose content (markers blanked out)
+     * is parsed as a full block document, so it can hold lists, headings,
+     * code fences and nested quotes. Unquoted text directly after quoted
+     * paragraph text continues that paragraph (lazy continuation).
+     *
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the first quote line in lines
+     * @param {number} startLine - Source line of lines[0] (0-based)
+     * @returns {{node: Object, end: number}} - Blockquote node and index after its last line
+     */
+    parseBlockquote(lines, start, startLine) {
+        const quoteLines = [];
+        let inFence = null;
+        let i = start;
+
+        for (; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (this.isBlockquote(line.trim())) {
+                const content = this.maskQuoteMarker(line);
+                inFence = MarkdownEscapes.trackFence(content.trim(), inFence);
+                quoteLines.push(content);
+                continue;
+            }
+
+            const previous = quoteLines[quoteLines.length - 1];
+            const lazy = line.trim() && !inFence && !this.startsBlock(line, lines[i + 1]) && this.isParagraphText(previous);
+            if (!lazy) break;
+            quoteLines.push(line);
+        }
+
+        const firstLine = startLine + start;
+        const lastLine = lines[i - 1];
+
+        // A GitHub alert ('> [!NOTE]') is a callout; its marker is blanked out like the quote markers
+        const alert = Callouts.matchAlert(quoteLines[0]);
+        if (alert) {
+            const markerColumn = quoteLines[0].indexOf(alert.marker);
+            quoteLines[0] = alert.text
+                ? ' '.repeat(quoteLines[0].indexOf(alert.text, markerColumn + alert.marker.length)) + alert.text
+                : '';
+        }
+
+        return {
+            node: MarkdownAst.createNode(alert ? MarkdownAst.NodeType.CALLOUT : MarkdownAst.NodeType.BLOCKQUOTE, {
+                ...(alert ? { kind: alert.kind, title: '', titleChildren: [], syntax: 'alert' } : {}),
+                children: this.parseBlocks(quoteLines, firstLine)
+            }, MarkdownAst.createPosition(
+                firstLine, this.getIndent(lines[start]),
+                startLine + i - 1, lastLine.trimEnd().length
+            )),
+            end: i
+        };
+    }
+
+    /**
+     * Parse a callout container starting at its ':::kind' line
+     * The container ends at the ':::' line that matches it (containers nest; fenced
+     * code is skipped) or at the end of the input.
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the opening line in lines
+     * @param {number} startLine - Source line of lines[0] (0-based)
+     * @returns {{node: Object, end: number}} - Callout node and index after its closing line
+     */
+    parseContainer(lines, start, startLine) {
+        const opening = Callouts.matchContainerOpen(lines[start]);
+        const titleColumn = lines[start].lastIndexOf(opening.title);
+        const close = Callouts.findContainerClose(lines, start);
+        const end = close === -1 ? lines.length : close; // Unclosed containers run to the end
+        const last = close === -1 ? lines.length - 1 : close;
+
+        return {
+            node: MarkdownAst.createNode(MarkdownAst.NodeType.CALLOUT, {
+                kind: opening.kind,
+                title: opening.title,
+                titleChildren: this.parseInline(opening.title, startLine + start, titleColumn),
+                syntax: 'container',
+                children: this.parseBlocks(lines.slice(start + 1, end), startLine + start + 1)
+            }, MarkdownAst.createPosition(
+                startLine + start, this.getIndent(lines[start]),
+                startLine + last, lines[last].trimEnd().length
+            )),
+            end: close === -1 ? lines.length : close + 1
+        };
+    }
+
+    /**
+     * Replace a quote marker ('>' and one optional space) with spaces so content keeps its source columns
      */
-    processTaskListItem(line, lineNum) {
-        const match = line.match(/^[-*+] \[([ xX])\] (.*)$/);
-        const dataLine = this.trackLines ? ` data-line="${lineNum}"` : '';
-        if (match) {
-            const checked = match[1].toLowerCase() === 'x';
-            const content = match[2];
-            const checkbox = checked
-                ? '<input type="checkbox" checked disabled />'
-                : '<input type="checkbox" disabled />';
-            return `<li class="task-list-item"${dataLine}>${checkbox} ${content}</li>`;
+    maskQuoteMarker(line) {
+        const markerEnd = this.getIndent(line) + 1;
+        const contentColumn = line[markerEnd] === ' ' ? markerEnd + 1 : markerEnd;
+        return ' '.repeat(contentColumn) + line.substring(contentColumn);
+    }
+
+    /**
+     * Check if a (possibly quoted) line is paragraph text that a lazy line can continue
+     */
+    isParagraphText(line) {
+        let content = line;
+        while (this.isBlockquote(content.trim())) {
+            content = this.maskQuoteMarker(content);
         }
-        return `<li${dataLine}>${line}</li>`;
+        return Boolean(content.trim()) && !this.startsBlock(content);
     }
 
     /**
-     * Process blockquote
-     * @param {string} line - The blockquote line
+     * Parse a footnote definition starting at its '[^id]:' line
+     * Like a list item, the definition owns the following indented lines, so it
+     * can hold several paragraphs, lists or code blocks.
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the definition line in lines
+     * @param {number} startLine - Source line of lines[0] (0-based)
+     * @returns {{node: Object, end: number}} - Footnote definition node and index after its last line
+     */
+    parseFootnoteDefinition(lines, start, startLine) {
+        const line = lines[start];
+        const match = this.isFootnoteDefinition(line.trim());
+        const marker = { indent: this.getIndent(line), markerLength: match[0].length };
+
+        const definitionLines = [this.maskListMarker(line, marker)];
+        const lastContent = this.findContainerEnd(lines, start, definitionLines[0], marker.indent);
+        for (let j = start + 1; j <= lastContent; j++) {
+            definitionLines.push(lines[j]);
+        }
+
+        const lineNum = startLine + start;
+        const lastLine = definitionLines.length - 1;
+        return {
+            node: MarkdownAst.createNode(MarkdownAst.NodeType.FOOTNOTE_DEFINITION, {
+                identifier: MarkdownAst.normalizeLabel(match[1]),
+                label: match[1],
+                children: this.parseBlocks(definitionLines, lineNum)
+            }, MarkdownAst.createPosition(
+                lineNum, marker.indent,
+                lineNum + lastLine, definitionLines[lastLine].trimEnd().length
+            )),
+            end: lastContent + 1
+        };
+    }
+
+    /**
+     * Parse a link reference definition line into a node
+     * @param {string} line - The definition line
      * @param {number} lineNum - Line number (0-based)
      */
-    processBlockquote(line, lineNum) {
-        const dataLine = this.trackLines ? ` data-line="${lineNum}"` : '';
-        return `<blockquote${dataLine}>${line.substring(2)}</blockquote>`;
+    parseLinkDefinition(line, lineNum) {
+        const match = this.isLinkDefinition(line.trim());
+        const url = match[2].startsWith('<') ? match[2].slice(1, -1) : match[2];
+        const title = match[3] ? match[3].slice(1, -1) : null;
+
+        return MarkdownAst.createNode(MarkdownAst.NodeType.DEFINITION, {
+            identifier: MarkdownAst.normalizeLabel(match[1]),
+            label: match[1],
+            url,
+            title
+        }, this.getLinePosition(line, lineNum));
     }
 
     /**
-     * Process code block (multi-line)
+     * Parse code block (multi-line)
      * @param {Array} lines - Lines inside the code block
      * @param {string} language - Language for syntax highlighting
-     * @param {number} startLine - Line number where code block started (0-based)
+     * @param {number} startLine - Line number of the opening fence (0-based)
+     * @param {number} startColumn - Column of the opening fence
+     * @param {number} endLine - Line number of the closing fence (0-based)
+     * @param {number} endColumn - Column after the closing fence
      */
-    processCodeBlock(lines, language, startLine) {
-        const escapedContent = lines
-            .map(line => this.escapeHtml(line))
-            .join('\n');
-
-        const langClass = language ? ` class="language-${language}"` : '';
-        const dataLine = this.trackLines ? ` data-line="${startLine}"` : '';
-        return `<pre${dataLine}><code${langClass}>${escapedContent}</code></pre>`;
+    parseCodeBlock(lines, language, startLine, startColumn, endLine, endColumn) {
+        return MarkdownAst.createNode(MarkdownAst.NodeType.CODE_BLOCK, {
+            language,
+            value: lines.join('\n')
+        }, MarkdownAst.createPosition(startLine, startColumn, endLine, endColumn));
     }
 
     /**
-     * Process table
-     * @param {Array} rows - Table rows
+     * Parse table
+     * @param {Array} rows - Table source lines (header, separator, body rows)
      * @param {number} startLine - Line number where table started (0-based)
+     * @returns {Object} - Table node with per-column alignment
      */
-    processTable(rows, startLine) {
-        if (rows.length < 2) return ''; // Need at least header and separator
-
-        const dataLine = this.trackLines ? ` data-line="${startLine}"` : '';
-        const tableHtml = [`<table${dataLine}>`];
-
-        // First row is header
-        const headerCells = this.parseTableRow(rows[0]);
-        tableHtml.push('<thead>');
-        tableHtml.push('<tr>');
-        headerCells.forEach(cell => {
-            tableHtml.push(`<th>${cell}</th>`);
+    parseTable(rows, startLine) {
+        const align = TableSyntax.parseAlignments(rows[1]);
+        const tableRows = [];
+
+        // First row is header, second row is the separator (read for alignment, then skipped)
+        rows.forEach((row, index) => {
+            if (index === 1) return;
+
+            const lineNum = startLine + index;
+            const cells = this.parseTableCells(row, lineNum, align.length);
+            tableRows.push(MarkdownAst.createNode(MarkdownAst.NodeType.TABLE_ROW, {
+                header: index === 0,
+                children: cells
+            }, this.getLinePosition(row, lineNum)));
         });
-        tableHtml.push('</tr>');
-        tableHtml.push('</thead>');
-
-        // Second row should be separator (skip it)
-        if (rows.length > 2) {
-            tableHtml.push('<tbody>');
-            for (let i = 2; i < rows.length; i++) {
-                const cells = this.parseTableRow(rows[i]);
-                tableHtml.push('<tr>');
-                cells.forEach(cell => {
-                    tableHtml.push(`<td>${cell}</td>`);
-                });
-                tableHtml.push('</tr>');
-            }
-            tableHtml.push('</tbody>');
-        }
 
-        tableHtml.push('</table>');
-        return tableHtml.join('\n');
+        const lastRow = rows[rows.length - 1];
+        return MarkdownAst.createNode(MarkdownAst.NodeType.TABLE, {
+            align,
+            children: tableRows
+        }, MarkdownAst.createPosition(
+            startLine, this.getIndent(rows[0]),
+            startLine + rows.length - 1, lastRow.trimEnd().length
+        ));
     }
 
     /**
-     * Parse table row into cells
+     * Parse table row into cell nodes with source columns
+     * Ragged rows are padded with empty cells (or truncated) to the header's column count
+     * @param {string} row - Table source line
+     * @param {number} lineNum - Line number (0-based)
+     * @param {number} columnCount - Number of columns in the table
+     * @returns {Array<Object>} - Table cell nodes
      */
-    parseTableRow(row) {
-        // Remove leading/trailing pipes and split by pipe
-        return row
-            .replace(/^\|/, '')
-            .replace(/\|$/, '')
-            .split('|')
-            .map(cell => cell.trim());
+    parseTableCells(row, lineNum, columnCount) {
+        const rowEnd = row.trimEnd().length;
+        const cells = TableSyntax.splitRow(row).map(cell => MarkdownAst.createNode(MarkdownAst.NodeType.TABLE_CELL, {
+            raw: cell.content,
+            children: this.parseInline(cell.content, lineNum, cell.start)
+        }, MarkdownAst.createPosition(lineNum, cell.start, lineNum, cell.end)));
+
+        return TableSyntax.normalizeCells(cells, columnCount, () => MarkdownAst.createNode(
+            MarkdownAst.NodeType.TABLE_CELL,
+            { raw: '', children: [] },
+            MarkdownAst.createPosition(lineNum, rowEnd, lineNum, rowEnd)
+        ));
     }
 
     /**
-     * Escape HTML entities in code blocks
+     * Parse table row into cells
      */
-    escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return text.replace(/[&<>"']/g, m => map[m]);
+    parseTableRow(row) {
+        return TableSyntax.getCells(row);
     }
 }
 
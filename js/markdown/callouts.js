@@ -0,0 +1,150 @@
+/**
+ * Callouts Module
+ * Syntax and markup of callout boxes, shared by BlockProcessor, HtmlSerializer and WysiwygEngine
+ *
+ *     > [!NOTE]                  :::warning Read this first
+ *     > GitHub alert syntax      Container syntax, any kind,
+ *                                with an optional title
+ *                                :::
+ *
+ * - GitHub alerts: NOTE, TIP, IMPORTANT, WARNING and CAUTION; text after the
+ *   marker on the same line starts the body ('note:' and 'warn:' expand to that)
+ * - Containers: ':::kind [title]' up to a line holding only ':::'; besides the
+ *   GitHub kinds there is 'success', and info, hint, warn, danger and error are
+ *   aliases. Other kinds get the note icon.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only knows callout syntax, kinds and their title markup
+ * - Open/Closed: New kinds are added to KINDS; themes style them by class
+ */
+
+class Callouts {
+    /**
+     * Callout kinds with their default title and icon
+     * @type {Object<string, {title: string, icon: string}>}
+     */
+    static KINDS = {
+        note: { title: 'Note', icon: 'ℹ' },
+        tip: { title: 'Tip', icon: '💡' },
+        important: { title: 'Important', icon: '❗' },
+        warning: { title: 'Warning', icon: '⚠' },
+        caution: { title: 'Caution', icon: '⛔' },
+        success: { title: 'Success', icon: '✔' }
+    };
+
+    /**
+     * Other names accepted for container kinds
+     * @type {Object<string, string>}
+     */
+    static ALIASES = {
+        info: 'note',
+        hint: 'tip',
+        warn: 'warning',
+        danger: 'caution',
+        error: 'caution'
+    };
+
+    /**
+     * Match the first line of a GitHub alert (the quote marker already removed)
+     * @param {string} line - Quote content, e.g. '[!NOTE]' or '[!TIP] Text'
+     * @returns {{kind: string, marker: string, text: string}|null} - marker is the
+     *          '[!KIND]' text as written, text whatever follows it
+     */
+    static matchAlert(line) {
+        const match = line.trim().match(/^(\[!(note|tip|important|warning|caution)\])(?:\s+(.*))?$/i);
+        if (!match) return null;
+        return { kind: match[2].toLowerCase(), marker: match[1], text: match[3] || '' };
+    }
+
+    /**
+     * Match the opening line of a container
+     * @param {string} line - Source line
+     * @returns {{kind: string, title: string}|null}
+     */
+    static matchContainerOpen(line) {
+        const match = line.trim().match(/^:::\s*([A-Za-z][\w-]*)(?:\s+(.*))?$/);
+        if (!match) return null;
+        return { kind: Callouts.normalizeKind(match[1]), title: (match[2] || '').trim() };
+    }
+
+    /**
+     * Check if a line closes a container
+     * @param {string} line - Source line
+     * @returns {boolean}
+     */
+    static isContainerClose(line) {
+        return /^:::\s*$/.test(line.trim());
+    }
+
+    /**
+     * Find the line closing the container opened at lines[start]
+     * Nested containers need their own ':::', and ':::' inside fenced code doesn't count.
+     * @param {string[]} lines - Source lines
+     * @param {number} start - Index of the opening line
+     * @returns {number} - Index of the closing line, or -1 when the container never closes
+     */
+    static findContainerClose(lines, start) {
+        let depth = 1;
+        let fence = null;
+
+        for (let i = start + 1; i < lines.length; i++) {
+            const trimmed = lines[i].trim();
+            const inFence = fence;
+            fence = MarkdownEscapes.trackFence(trimmed, fence);
+            if (inFence || fence) continue;
+
+            if (Callouts.matchContainerOpen(trimmed)) {
+                depth++;
+            } else if (Callouts.isContainerClose(trimmed) && --depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Lowercase a kind and resolve aliases
+     * @param {string} kind
+     * @returns {string}
+     */
+    static normalizeKind(kind) {
+        const name = kind.toLowerCase();
+        return Callouts.ALIASES[name] || name;
+    }
+
+    /**
+     * Default title of a kind ('Note', or the capitalized kind for unknown ones)
+     * @param {string} kind - Normalized kind
+     * @returns {string}
+     */
+    static getTitle(kind) {
+        const known = Callouts.KINDS[kind];
+        return known ? known.title : kind.charAt(0).toUpperCase() + kind.slice(1);
+    }
+
+    /**
+     * Render the title line of a callout
+     * @param {string} kind - Normalized kind
+     * @param {string} titleHtml - Title markup (already escaped)
+     * @returns {string}
+     */
+    static renderTitle(kind, titleHtml) {
+        const icon = (Callouts.KINDS[kind] || Callouts.KINDS.note).icon;
+        return `<p class="callout-title"><span class="callout-icon" aria-hidden="true">${icon}</span>${titleHtml}</p>`;
+    }
+
+    /**
+     * Get the class list of a callout box
+     * @param {string} kind - Normalized kind
+     * @returns {string} - 'callout callout-KIND'
+     */
+    static getClassName(kind) {
+        return `callout callout-${kind.replace(/[^a-z0-9-]/g, '')}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Callouts;
+}
@@ -0,0 +1,175 @@
+/**
+ * Code Block Renderers Module
+ * Registry of renderers for fenced code blocks, keyed by the fence's info string
+ *
+ *     ```csv
+ *     name,qty
+ *     apples,3
+ *     ```
+ *
+ * - The key is the first word of the info string, lowercased ('csv', 'chart', 'math', ...)
+ * - A renderer is (code, { language, info }) => HTML string; returning anything
+ *   else (or throwing) falls back to the normal escaped <pre><code> block
+ * - Shared by HtmlSerializer (preview) and WysiwygEngine; both keep the raw fence
+ *   in the markdown, so documents round-trip unchanged
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only maps fence languages to renderers
+ * - Open/Closed: Project-specific block types are registered, not added to BlockProcessor
+ */
+
+class CodeBlockRenderers {
+    constructor() {
+        this.renderers = new Map(); // language -> renderer
+        this.initializeDefaultRenderers();
+    }
+
+    /**
+     * Register the built-in renderers
+     */
+    initializeDefaultRenderers() {
+        this.register('csv', CodeBlockRenderers.renderCsv);
+    }
+
+    /**
+     * Get the registry key for a fence info string
+     * @param {string} info - Everything after the opening fence ('js', 'chart title="Sales"')
+     * @returns {string} - First word, lowercased ('' when there is none)
+     */
+    static getLanguage(info) {
+        return (info || '').trim().split(/\s+/)[0].toLowerCase();
+    }
+
+    /**
+     * Register or replace the renderer for a language
+     * @param {string} language - Fence language, e.g. 'chart'
+     * @param {Function} renderer - (code, { language, info }) => HTML string
+     */
+    register(language, renderer) {
+        const key = CodeBlockRenderers.getLanguage(language);
+        if (!key || typeof renderer !== 'function') {
+            console.warn(`CodeBlockRenderers: Invalid renderer for "${language}"`);
+            return;
+        }
+        this.renderers.set(key, renderer);
+    }
+
+    /**
+     * Remove the renderer for a language
+     * @param {string} language - Fence language
+     */
+    unregister(language) {
+        this.renderers.delete(CodeBlockRenderers.getLanguage(language));
+    }
+
+    /**
+     * Check if a fence info string has a renderer
+     * @param {string} info - Fence info string
+     * @returns {boolean}
+     */
+    has(info) {
+        return this.renderers.has(CodeBlockRenderers.getLanguage(info));
+    }
+
+    /**
+     * Get the languages that have renderers
+     * @returns {string[]}
+     */
+    getLanguages() {
+        return Array.from(this.renderers.keys());
+    }
+
+    /**
+     * Render a code block with the renderer registered for its language
+     * @param {string} code - Code between the fences
+     * @param {string} info - Fence info string
+     * @returns {string|null} - HTML, or null when the block should render as plain code
+     */
+    render(code, info) {
+        const language = CodeBlockRenderers.getLanguage(info);
+        const renderer = this.renderers.get(language);
+        if (!renderer) return null;
+
+        try {
+            const html = renderer(code, { language, info: (info || '').trim() });
+            return typeof html === 'string' ? html : null;
+        } catch (error) {
+            console.error(`Error rendering ${language} code block:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Built-in renderer: CSV as a table, the first row being the header
+     * Quoted fields may contain commas, doubled quotes and newlines.
+     * @param {string} code - CSV text
+     * @returns {string} - Table HTML
+     */
+    static renderCsv(code) {
+        const rows = CodeBlockRenderers.parseCsv(code);
+        if (rows.length === 0) return '';
+
+        const escape = text => text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        const renderRow = (row, cell) => `<tr>${row.map(text => `<${cell}>${escape(text)}</${cell}>`).join('')}</tr>`;
+
+        const [header, ...body] = rows;
+        const html = ['<table class="csv-table">', `<thead>${renderRow(header, 'th')}</thead>`];
+        if (body.length > 0) {
+            html.push(`<tbody>${body.map(row => renderRow(row, 'td')).join('')}</tbody>`);
+        }
+        html.push('</table>');
+
+        return html.join('');
+    }
+
+    /**
+     * Split CSV text into rows of fields
+     * @param {string} text - CSV text
+     * @returns {string[][]} - Rows, without blank lines
+     */
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field.replace(/\r$/, ''));
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeBlockRenderers;
+}
@@ -0,0 +1,222 @@
+/**
+ * Document Embeds Module
+ * Shows another document's content in place of a line holding only ![[name]], shared
+ * by BlockProcessor, MarkdownParser, WysiwygEngine and the exports
+ *
+ *     ![[License]]   ![[Glossary#Terms]]   ![[Glossary#Terms|Terms used here]]
+ *
+ * - The name resolves like a [[wiki link]] (see WikiLinks); the embedded document's
+ *   front matter is left out
+ * - '#Section' embeds that heading and what follows it, up to the next heading of the
+ *   same or a higher level (ATX '#' headings)
+ * - Embedded documents can embed others, up to MAX_DEPTH levels. An embed leading back
+ *   to a document already being shown is a cycle; like a missing document or section,
+ *   it shows a notice instead of content.
+ * - Within a paragraph ![[...]] isn't an embed
+ * - flatten() writes the embedded markdown in place of the embeds, for exports
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only knows the embed syntax, what an embed takes from a
+ *   document and when embedding stops
+ * - Dependency Inversion: Documents are looked up through a resolver and markdown is
+ *   rendered through a callback, so it depends neither on DocumentManager nor on the parser
+ */
+
+class DocumentEmbeds {
+    /**
+     * Embeds nested deeper than this show a notice instead of content
+     * @type {number}
+     */
+    static MAX_DEPTH = 3;
+
+    /**
+     * ![[target#heading|label]] on a line of its own, after any '>' quote markers
+     * @type {RegExp}
+     */
+    static LINE_PATTERN = /^((?: {0,3}>[ \t]?)*) {0,3}!\[\[([^[\]\n]+?)\]\][ \t]*$/;
+
+    /**
+     * Get the text between ![[ and ]] when a line is an embed
+     * @param {string} line - Source line (quote markers already removed)
+     * @param {Function|null} [resolve] - (target) => document or null; ![[Home]] embeds a
+     *        document named 'Home' it finds rather than showing keys (see WikiLinks.parse())
+     * @returns {string|null} - null when the line isn't an embed of a document
+     */
+    static match(line, resolve = null) {
+        const match = line.trim().match(DocumentEmbeds.LINE_PATTERN);
+        if (!match || match[1]) return null;
+
+        const link = WikiLinks.parse(DocumentEmbeds.toText(match[2]), resolve);
+        return link && link.target ? match[2] : null;
+    }
+
+    /**
+     * Resolve protected escapes in embed text (see MarkdownEscapes)
+     * @param {string} text
+     * @returns {string}
+     */
+    static toText(text) {
+        return typeof MarkdownEscapes !== 'undefined' ? MarkdownEscapes.toText(text) : text;
+    }
+
+    /**
+     * Get the markdown an embed takes from a document: all of it after the front matter,
+     * or one section
+     * @param {string} markdown - Content of the embedded document
+     * @param {string|null} heading - Heading of the section, as written in the embed
+     * @param {ShortcutProcessor} [shortcutProcessor] - Finds code and raw HTML blocks, whose
+     *        '#' lines aren't headings
+     * @returns {string|null} - null when there is no such section
+     */
+    static getContent(markdown, heading, shortcutProcessor = null) {
+        const text = (markdown || '').replace(/\r\n?/g, '\n');
+        const frontMatter = typeof FrontMatter !== 'undefined' ? FrontMatter.extract(text) : null;
+        const lines = text.split('\n').slice(frontMatter ? frontMatter.lineCount : 0);
+        if (!heading) return lines.join('\n');
+
+        const slug = HeadingSlugger.slugify(heading);
+        let start = -1;
+        let level = 0;
+
+        for (let i = 0; i < lines.length; i++) {
+            const end = shortcutProcessor ? shortcutProcessor.findBlockEnd(lines, i) : -1;
+            if (end !== -1) {
+                i = end;
+                continue;
+            }
+
+            const match = lines[i].match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/);
+            if (!match) continue;
+
+            if (start !== -1 && match[1].length <= level) {
+                return lines.slice(start, i).join('\n').trimEnd();
+            }
+            if (start === -1 && HeadingSlugger.slugify(DocumentEmbeds.getHeadingText(match[2] || '')) === slug) {
+                start = i;
+                level = match[1].length;
+            }
+        }
+
+        return start === -1 ? null : lines.slice(start).join('\n').trimEnd();
+    }
+
+    /**
+     * Get the text of a heading as its anchor sees it: escapes and entities resolved
+     * @param {string} source - Heading source without the '#' marker
+     * @returns {string}
+     */
+    static getHeadingText(source) {
+        if (typeof MarkdownEscapes === 'undefined') return source;
+        return MarkdownEscapes.toText(MarkdownEscapes.protectInline(source));
+    }
+
+    /**
+     * Find the document an embed shows and the markdown it takes from it
+     * @param {string} text - Text between ![[ and ]] (plain text, escapes resolved)
+     * @param {Object} options
+     * @param {Function|null} options.resolve - (target) => document or null
+     * @param {Array<MarkdownDocument>} [options.documents] - Documents being shown, outermost
+     *        first; embedding one of them again is a cycle
+     * @param {ShortcutProcessor} [options.shortcutProcessor] - See getContent()
+     * @returns {{link: Object, document: MarkdownDocument|null, content: string|null, error: string|null}}
+     */
+    static resolve(text, options = {}) {
+        const { resolve = null, documents = [], shortcutProcessor = null } = options;
+        const link = WikiLinks.parseReference(text) || { target: text, heading: null, label: null };
+        const document = resolve && link.target ? resolve(link.target) : null;
+        const result = { link, document, content: null, error: null };
+
+        if (!document) {
+            result.error = `No document named "${link.target}"`;
+        } else if (documents.some(shown => shown.id === document.id)) {
+            const start = documents.findIndex(shown => shown.id === document.id);
+            const titles = documents.slice(start).concat(document).map(shown => shown.getTitle());
+            result.error = `Embed cycle: ${titles.join(' → ')}`;
+        } else if (documents.length > DocumentEmbeds.MAX_DEPTH) {
+            result.error = `Embeds nested more than ${DocumentEmbeds.MAX_DEPTH} deep`;
+        } else {
+            result.content = DocumentEmbeds.getContent(document.content, link.heading, shortcutProcessor);
+            if (result.content === null) {
+                result.error = `No section "${link.heading}" in "${document.getTitle()}"`;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Render an embed: a title linking to the document above its rendered content, or
+     * above a notice when it can't be shown
+     * @param {string} text - Text between ![[ and ]] (plain text, escapes resolved)
+     * @param {Object} options - See resolve(), and:
+     * @param {Function} options.render - (markdown, document) => HTML of the embedded content
+     * @param {string} [options.attributes] - More attributes for the element, e.g. ' data-line="4"'
+     * @returns {string} - HTML
+     */
+    static render(text, options) {
+        const { resolve = null, render, attributes = '' } = options;
+        const embed = DocumentEmbeds.resolve(text, options);
+        const escape = value => value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+        const title = WikiLinks.render(text, resolve) || escape(text);
+        const body = embed.error
+            ? `<p class="document-embed-notice">${escape(embed.error)}</p>`
+            : `<div class="document-embed-content">\n${render(embed.content, embed.document)}\n</div>`;
+
+        return `<div class="document-embed${embed.error ? ' document-embed-error' : ''}" ` +
+            `data-embed="${escape(text)}"${attributes}>\n` +
+            `<div class="document-embed-title">${title}</div>\n${body}\n</div>`;
+    }
+
+    /**
+     * Write the embedded markdown in place of the embeds, nested ones included
+     * Embeds in blockquotes take the quote markers along; code and raw HTML are left alone.
+     * Embeds that can't be shown (see resolve()) stay as written.
+     * @param {string} markdown - Document content
+     * @param {Object} options - resolve, documents and shortcutProcessor, as for resolve()
+     * @returns {string}
+     */
+    static flatten(markdown, options = {}) {
+        if (!markdown || !markdown.includes('![[')) return markdown || '';
+
+        const { documents = [], shortcutProcessor = null } = options;
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const frontMatter = typeof FrontMatter !== 'undefined' ? FrontMatter.extract(markdown) : null;
+        const result = lines.slice(0, frontMatter ? frontMatter.lineCount : 0);
+
+        for (let i = result.length; i < lines.length; i++) {
+            const end = shortcutProcessor ? shortcutProcessor.findBlockEnd(lines, i) : -1;
+            if (end !== -1) {
+                result.push(...lines.slice(i, end + 1));
+                i = end;
+                continue;
+            }
+
+            const match = lines[i].match(DocumentEmbeds.LINE_PATTERN);
+            const embed = match ? DocumentEmbeds.resolve(DocumentEmbeds.toText(match[2]), options) : null;
+            if (!embed || embed.error) {
+                result.push(lines[i]);
+                continue;
+            }
+
+            const content = DocumentEmbeds.flatten(embed.content, {
+                ...options,
+                documents: [...documents, embed.document]
+            });
+            const prefix = match[1];
+            const blank = prefix.trimEnd();
+            const isBlank = line => line === undefined || line.trim() === '' || line.trim() === blank;
+
+            // Blank lines around the content, so it doesn't run into the lines next to it
+            if (!isBlank(result[result.length - 1])) result.push(blank);
+            result.push(...content.split('\n').map(line => (line ? prefix + line : blank)));
+            if (!isBlank(lines[i + 1])) result.push(blank);
+        }
+
+        return result.join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentEmbeds;
+}
@@ -0,0 +1,150 @@
+/**
+ * Document Templates Module
+ * Placeholders in templates (see TemplateManager), filled in when a document is
+ * created from one
+ *
+ *     # {{title}}
+ *     Date: {{date}} {{time}}   Attendees: {{prompt:Attendees}}   Status: {{prompt:Status|Draft}}
+ *
+ *     {{cursor}}
+ *
+ * - {{date}} and {{time}} are the creation date (2024-05-17) and time (14:05); a format
+ *   may follow a colon, built from YYYY, MM, DD, HH, mm and ss: {{date:DD.MM.YYYY}}
+ * - {{title}} is the title asked for the new document, which also names it
+ * - {{prompt:Question}} asks the question once, however often it appears; text after '|'
+ *   is the suggested answer
+ * - {{cursor}} marks where the caret goes (the first one counts); it is removed
+ * - Other {{...}} are left as written
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only finds and fills in placeholders; asking is left to the caller
+ * - Open/Closed: The date formats are a token table
+ */
+
+class DocumentTemplates {
+    /**
+     * {{name}} or {{name:argument}}, on one line
+     * @type {RegExp}
+     */
+    static PATTERN = /\{\{\s*([a-z]+)\s*(?::([^{}\n]*))?\}\}/gi;
+
+    /**
+     * Date format tokens and their values
+     * @type {Object<string, Function>}
+     */
+    static DATE_TOKENS = {
+        YYYY: date => String(date.getFullYear()),
+        MM: date => String(date.getMonth() + 1).padStart(2, '0'),
+        DD: date => String(date.getDate()).padStart(2, '0'),
+        HH: date => String(date.getHours()).padStart(2, '0'),
+        mm: date => String(date.getMinutes()).padStart(2, '0'),
+        ss: date => String(date.getSeconds()).padStart(2, '0')
+    };
+
+    /**
+     * Default formats of {{date}} and {{time}}
+     * @type {Object<string, string>}
+     */
+    static DEFAULT_FORMATS = {
+        date: 'YYYY-MM-DD',
+        time: 'HH:mm'
+    };
+
+    /**
+     * Get the questions a template asks, in order, each once
+     * @param {string} content - Template content
+     * @returns {Array<{question: string, defaultValue: string}>}
+     */
+    static getPrompts(content) {
+        const prompts = new Map();
+
+        for (const match of (content || '').matchAll(DocumentTemplates.PATTERN)) {
+            const prompt = DocumentTemplates.parsePrompt(match);
+            if (prompt && !prompts.has(prompt.question)) {
+                prompts.set(prompt.question, prompt);
+            }
+        }
+
+        return [...prompts.values()];
+    }
+
+    /**
+     * Read a {{prompt:Question|answer}} placeholder
+     * @param {Array} match - Match of PATTERN
+     * @returns {{question: string, defaultValue: string}|null} - null for other placeholders
+     */
+    static parsePrompt(match) {
+        if (match[1].toLowerCase() !== 'prompt' || !match[2]) return null;
+
+        const bar = match[2].indexOf('|');
+        const question = (bar === -1 ? match[2] : match[2].slice(0, bar)).trim();
+        const defaultValue = bar === -1 ? '' : match[2].slice(bar + 1).trim();
+        return question ? { question, defaultValue } : null;
+    }
+
+    /**
+     * Check if a template uses {{title}}
+     * @param {string} content - Template content
+     * @returns {boolean}
+     */
+    static usesTitle(content) {
+        return [...(content || '').matchAll(DocumentTemplates.PATTERN)]
+            .some(match => match[1].toLowerCase() === 'title');
+    }
+
+    /**
+     * Format a date
+     * @param {Date} date
+     * @param {string} format - e.g. 'DD.MM.YYYY HH:mm'
+     * @returns {string}
+     */
+    static formatDate(date, format) {
+        return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => DocumentTemplates.DATE_TOKENS[token](date));
+    }
+
+    /**
+     * Fill in the placeholders of a template
+     * @param {string} content - Template content
+     * @param {Object} [values]
+     * @param {Date} [values.date] - Creation time (now)
+     * @param {string} [values.title] - Title of the new document
+     * @param {Object<string, string>} [values.answers] - Answers by question (see getPrompts())
+     * @returns {{content: string, cursor: number|null}} - cursor is the offset of the first
+     *          {{cursor}} in the result, or null without one
+     */
+    static expand(content, values = {}) {
+        const { date = new Date(), title = '', answers = {} } = values;
+        let cursor = null;
+        let result = '';
+        let offset = 0;
+
+        for (const match of (content || '').matchAll(DocumentTemplates.PATTERN)) {
+            result += content.slice(offset, match.index);
+            offset = match.index + match[0].length;
+
+            const name = match[1].toLowerCase();
+            const argument = match[2] !== undefined ? match[2].trim() : '';
+            const prompt = DocumentTemplates.parsePrompt(match);
+
+            if (name === 'date' || name === 'time') {
+                result += DocumentTemplates.formatDate(date, argument || DocumentTemplates.DEFAULT_FORMATS[name]);
+            } else if (name === 'title') {
+                result += title;
+            } else if (name === 'cursor') {
+                if (cursor === null) cursor = result.length;
+            } else if (prompt) {
+                const answer = answers[prompt.question];
+                result += answer !== undefined && answer !== null ? answer : prompt.defaultValue;
+            } else {
+                result += match[0];
+            }
+        }
+
+        return { content: result + (content || '').slice(offset), cursor };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentTemplates;
+}
@@ -5,6 +5,9 @@
  * SOLID Principles:
  * - Single Responsibility: Only represents document data
  * - Open/Closed: Can be extended with metadata properties
+ *
+ * Front matter keys (title, tags, author, date, theme) are copied into
+ * metadata whenever the content changes, see FrontMatter.toMetadata()
  */
 
 class MarkdownDocument {
@@ -15,6 +18,7 @@ class MarkdownDocument {
         this.created = config.created || new Date();
         this.modified = config.modified || new Date();
         this.metadata = config.metadata || {};
+        this.updateFrontMatterMetadata();
     }
 
     /**
@@ -32,6 +36,25 @@ class MarkdownDocument {
     setContent(content) {
         this.content = content;
         this.modified = new Date();
+        this.updateFrontMatterMetadata();
+    }
+
+    /**
+     * Copy front matter keys into metadata, removing keys the front matter no longer sets
+     */
+    updateFrontMatterMetadata() {
+        if (typeof FrontMatter === 'undefined') return;
+
+        const frontMatter = FrontMatter.extract(this.content);
+        const values = frontMatter ? FrontMatter.toMetadata(frontMatter.data) : {};
+
+        FrontMatter.METADATA_KEYS.forEach(key => {
+            if (values[key] !== undefined) {
+                this.metadata[key] = values[key];
+            } else {
+                delete this.metadata[key];
+            }
+        });
     }
 
     /**
@@ -74,16 +97,26 @@ class MarkdownDocument {
         });
     }
 
+    /**
+     * Get the document title: the front matter title, or else the name
+     * @returns {string}
+     */
+    getTitle() {
+        return this.metadata.title || this.name;
+    }
+
     /**
      * Get display name (truncated if too long)
+     * Untitled documents show their front matter title instead.
      * @param {number} maxLength - Maximum length
      * @returns {string}
      */
     getDisplayName(maxLength = 20) {
-        if (this.name.length <= maxLength) {
-            return this.name;
+        const name = this.isUntitled() ? this.getTitle() : this.name;
+        if (name.length <= maxLength) {
+            return name;
         }
-        return this.name.substring(0, maxLength - 3) + '...';
+        return name.substring(0, maxLength - 3) + '...';
     }
 
     /**
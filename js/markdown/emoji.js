@@ -0,0 +1,252 @@
+/**
+ * Emoji Module
+ * Bundled table of emoji shortcodes, shared by ShortcutProcessor, WysiwygEngine and EmojiPicker
+ *
+ *     Shipped :rocket: :tada:   ->   Shipped 🚀 🎉
+ *
+ * - Names are the GitHub (gemoji) shortcodes, so documents render the same there
+ * - A shortcode may have aliases (':+1:' and ':thumbsup:'); the picker shows the main name
+ * - The table is bundled, not fetched: the editor works offline
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only knows emoji names and characters, not where they appear
+ * - Open/Closed: New emoji go into CATEGORIES, aliases into ALIASES
+ */
+
+class Emoji {
+    /**
+     * Emoji by category, in picker order
+     * @type {Object<string, Object<string, string>>}
+     */
+    static CATEGORIES = {
+        'Smileys': {
+            grinning: '😀', smiley: '😃', smile: '😄', grin: '😁', laughing: '😆', sweat_smile: '😅',
+            rofl: '🤣', joy: '😂', slightly_smiling_face: '🙂', upside_down_face: '🙃', wink: '😉',
+            blush: '😊', innocent: '😇', smiling_face_with_three_hearts: '🥰', heart_eyes: '😍',
+            star_struck: '🤩', kissing_heart: '😘', kissing: '😗', relaxed: '☺️', yum: '😋',
+            stuck_out_tongue: '😛', stuck_out_tongue_winking_eye: '😜', zany_face: '🤪',
+            money_mouth_face: '🤑', hugs: '🤗', hand_over_mouth: '🤭', shushing_face: '🤫', thinking: '🤔',
+            zipper_mouth_face: '🤐', raised_eyebrow: '🤨', neutral_face: '😐', expressionless: '😑',
+            no_mouth: '😶', smirk: '😏', unamused: '😒', roll_eyes: '🙄', grimacing: '😬', lying_face: '🤥',
+            relieved: '😌', pensive: '😔', sleepy: '😪', drooling_face: '🤤', sleeping: '😴', mask: '😷',
+            face_with_thermometer: '🤒', face_with_head_bandage: '🤕', nauseated_face: '🤢',
+            vomiting_face: '🤮', sneezing_face: '🤧', hot_face: '🥵', cold_face: '🥶', woozy_face: '🥴',
+            dizzy_face: '😵', exploding_head: '🤯', cowboy_hat_face: '🤠', partying_face: '🥳',
+            sunglasses: '😎', nerd_face: '🤓', monocle_face: '🧐', confused: '😕', worried: '😟',
+            slightly_frowning_face: '🙁', frowning_face: '☹️', open_mouth: '😮', hushed: '😯',
+            astonished: '😲', flushed: '😳', pleading_face: '🥺', fearful: '😨', cold_sweat: '😰',
+            disappointed_relieved: '😥', cry: '😢', sob: '😭', scream: '😱', confounded: '😖',
+            persevere: '😣', disappointed: '😞', sweat: '😓', weary: '😩', tired_face: '😫',
+            yawning_face: '🥱', triumph: '😤', rage: '😡', angry: '😠', cursing_face: '🤬',
+            smiling_imp: '😈', imp: '👿', skull: '💀', hankey: '💩', clown_face: '🤡', ghost: '👻',
+            alien: '👽', robot: '🤖', see_no_evil: '🙈', hear_no_evil: '🙉', speak_no_evil: '🙊',
+            heart: '❤️', orange_heart: '🧡', yellow_heart: '💛', green_heart: '💚', blue_heart: '💙',
+            purple_heart: '💜', black_heart: '🖤', white_heart: '🤍', broken_heart: '💔', two_hearts: '💕',
+            sparkling_heart: '💖', 100: '💯', anger: '💢', boom: '💥', dizzy: '💫', sweat_drops: '💦',
+            zzz: '💤'
+        },
+        'People': {
+            wave: '👋', raised_back_of_hand: '🤚', raised_hand: '✋', vulcan_salute: '🖖', ok_hand: '👌',
+            pinching_hand: '🤏', v: '✌️', crossed_fingers: '🤞', love_you_gesture: '🤟', metal: '🤘',
+            call_me_hand: '🤙', point_left: '👈', point_right: '👉', point_up_2: '👆', point_down: '👇',
+            point_up: '☝️', '+1': '👍', '-1': '👎', fist_raised: '✊', fist_oncoming: '👊', clap: '👏',
+            raised_hands: '🙌', open_hands: '👐', handshake: '🤝', pray: '🙏', writing_hand: '✍️',
+            muscle: '💪', brain: '🧠', eyes: '👀', eye: '👁️', tongue: '👅', lips: '👄', baby: '👶',
+            boy: '👦', girl: '👧', man: '👨', woman: '👩', older_man: '👴', older_woman: '👵', bow: '🙇',
+            facepalm: '🤦', shrug: '🤷', raising_hand: '🙋', ok_woman: '🙆', no_good: '🙅',
+            tipping_hand_person: '💁', technologist: '🧑‍💻', construction_worker: '👷', cop: '👮',
+            detective: '🕵️', guard: '💂', santa: '🎅', superhero: '🦸', mage: '🧙', zombie: '🧟',
+            runner: '🏃', dancer: '💃', man_dancing: '🕺', bust_in_silhouette: '👤',
+            busts_in_silhouette: '👥', footprints: '👣'
+        },
+        'Nature': {
+            dog: '🐶', cat: '🐱', mouse: '🐭', hamster: '🐹', rabbit: '🐰', fox_face: '🦊', bear: '🐻',
+            panda_face: '🐼', koala: '🐨', tiger: '🐯', lion: '🦁', cow: '🐮', pig: '🐷', frog: '🐸',
+            monkey_face: '🐵', chicken: '🐔', penguin: '🐧', bird: '🐦', baby_chick: '🐤', eagle: '🦅',
+            duck: '🦆', owl: '🦉', bat: '🦇', wolf: '🐺', boar: '🐗', horse: '🐴', unicorn: '🦄', bee: '🐝',
+            bug: '🐛', butterfly: '🦋', snail: '🐌', beetle: '🐞', ant: '🐜', spider: '🕷️', scorpion: '🦂',
+            turtle: '🐢', snake: '🐍', lizard: '🦎', 't-rex': '🦖', sauropod: '🦕', octopus: '🐙',
+            squid: '🦑', shrimp: '🦐', crab: '🦀', tropical_fish: '🐠', fish: '🐟', blowfish: '🐡',
+            dolphin: '🐬', whale: '🐳', shark: '🦈', crocodile: '🐊', elephant: '🐘', camel: '🐫',
+            giraffe: '🦒', cactus: '🌵', christmas_tree: '🎄', evergreen_tree: '🌲', deciduous_tree: '🌳',
+            palm_tree: '🌴', seedling: '🌱', herb: '🌿', shamrock: '☘️', four_leaf_clover: '🍀',
+            fallen_leaf: '🍂', leaves: '🍃', maple_leaf: '🍁', mushroom: '🍄', bouquet: '💐', rose: '🌹',
+            tulip: '🌷', sunflower: '🌻', cherry_blossom: '🌸', hibiscus: '🌺', blossom: '🌼',
+            sun_with_face: '🌞', full_moon: '🌕', new_moon: '🌑', crescent_moon: '🌙',
+            earth_africa: '🌍', earth_americas: '🌎', earth_asia: '🌏', star: '⭐', star2: '🌟',
+            sparkles: '✨', zap: '⚡', fire: '🔥', rainbow: '🌈', sunny: '☀️', partly_sunny: '⛅',
+            cloud: '☁️', cloud_with_rain: '🌧️', cloud_with_lightning_and_rain: '⛈️', snowflake: '❄️',
+            snowman: '⛄', tornado: '🌪️', fog: '🌫️', droplet: '💧', ocean: '🌊', umbrella: '☔',
+            comet: '☄️'
+        },
+        'Food': {
+            apple: '🍎', green_apple: '🍏', pear: '🍐', tangerine: '🍊', lemon: '🍋', banana: '🍌',
+            watermelon: '🍉', grapes: '🍇', strawberry: '🍓', melon: '🍈', cherries: '🍒', peach: '🍑',
+            mango: '🥭', pineapple: '🍍', coconut: '🥥', kiwi_fruit: '🥝', tomato: '🍅', eggplant: '🍆',
+            avocado: '🥑', broccoli: '🥦', carrot: '🥕', corn: '🌽', hot_pepper: '🌶️', cucumber: '🥒',
+            potato: '🥔', bread: '🍞', croissant: '🥐', cheese: '🧀', egg: '🥚', fried_egg: '🍳',
+            bacon: '🥓', pancakes: '🥞', hamburger: '🍔', fries: '🍟', pizza: '🍕', hotdog: '🌭',
+            sandwich: '🥪', taco: '🌮', burrito: '🌯', ramen: '🍜', spaghetti: '🍝', sushi: '🍣',
+            bento: '🍱', rice: '🍚', curry: '🍛', dumpling: '🥟', icecream: '🍦', ice_cream: '🍨',
+            doughnut: '🍩', cookie: '🍪', birthday: '🎂', cake: '🍰', cupcake: '🧁', pie: '🥧',
+            chocolate_bar: '🍫', candy: '🍬', lollipop: '🍭', honey_pot: '🍯', popcorn: '🍿', salt: '🧂',
+            coffee: '☕', tea: '🍵', cup_with_straw: '🥤', beer: '🍺', beers: '🍻', wine_glass: '🍷',
+            cocktail: '🍸', tropical_drink: '🍹', champagne: '🍾', clinking_glasses: '🥂',
+            tumbler_glass: '🥃'
+        },
+        'Activities': {
+            soccer: '⚽', basketball: '🏀', football: '🏈', baseball: '⚾', tennis: '🎾', volleyball: '🏐',
+            rugby_football: '🏉', '8ball': '🎱', ping_pong: '🏓', badminton: '🏸', golf: '⛳',
+            trophy: '🏆', medal_sports: '🏅', '1st_place_medal': '🥇', '2nd_place_medal': '🥈',
+            '3rd_place_medal': '🥉', dart: '🎯', bowling: '🎳', video_game: '🎮', game_die: '🎲',
+            jigsaw: '🧩', chess_pawn: '♟️', performing_arts: '🎭', art: '🎨', tada: '🎉',
+            confetti_ball: '🎊', balloon: '🎈', gift: '🎁', ribbon: '🎀', jack_o_lantern: '🎃',
+            fireworks: '🎆', sparkler: '🎇', microphone: '🎤', headphones: '🎧', musical_note: '🎵',
+            notes: '🎶', guitar: '🎸', musical_keyboard: '🎹', trumpet: '🎺', violin: '🎻', drum: '🥁',
+            clapper: '🎬', ticket: '🎫', ski: '🎿', snowboarder: '🏂', surfer: '🏄', swimmer: '🏊',
+            bicyclist: '🚴', running_shirt_with_sash: '🎽'
+        },
+        'Travel': {
+            car: '🚗', taxi: '🚕', bus: '🚌', ambulance: '🚑', fire_engine: '🚒', police_car: '🚓',
+            truck: '🚚', tractor: '🚜', bike: '🚲', motorcycle: '🏍️', steam_locomotive: '🚂',
+            bullettrain_side: '🚄', train2: '🚆', metro: '🚇', airplane: '✈️', small_airplane: '🛩️',
+            flight_departure: '🛫', flight_arrival: '🛬', rocket: '🚀', helicopter: '🚁', ship: '🚢',
+            boat: '⛵', anchor: '⚓', construction: '🚧', fuelpump: '⛽', vertical_traffic_light: '🚦',
+            world_map: '🗺️', statue_of_liberty: '🗽', tokyo_tower: '🗼', european_castle: '🏰',
+            stadium: '🏟️', house: '🏠', house_with_garden: '🏡', office: '🏢', hospital: '🏥', bank: '🏦',
+            hotel: '🏨', school: '🏫', factory: '🏭', tent: '⛺', mountain: '⛰️', volcano: '🌋',
+            desert_island: '🏝️', beach_umbrella: '🏖️', camping: '🏕️', city_sunset: '🌆',
+            bridge_at_night: '🌉', stars: '🌠', milky_way: '🌌', hourglass: '⌛',
+            hourglass_flowing_sand: '⏳', watch: '⌚', alarm_clock: '⏰', stopwatch: '⏱️',
+            calendar: '📆', date: '📅', spiral_calendar: '🗓️'
+        },
+        'Objects': {
+            iphone: '📱', computer: '💻', keyboard: '⌨️', desktop_computer: '🖥️', printer: '🖨️',
+            computer_mouse: '🖱️', floppy_disk: '💾', cd: '💿', camera: '📷', camera_flash: '📸',
+            video_camera: '📹', movie_camera: '🎥', tv: '📺', radio: '📻', telephone_receiver: '📞',
+            phone: '☎️', battery: '🔋', electric_plug: '🔌', bulb: '💡', flashlight: '🔦', candle: '🕯️',
+            moneybag: '💰', dollar: '💵', euro: '💶', credit_card: '💳', gem: '💎', wrench: '🔧',
+            hammer: '🔨', hammer_and_wrench: '🛠️', nut_and_bolt: '🔩', gear: '⚙️', link: '🔗',
+            chains: '⛓️', toolbox: '🧰', magnet: '🧲', scissors: '✂️', pushpin: '📌', round_pushpin: '📍',
+            paperclip: '📎', straight_ruler: '📏', triangular_ruler: '📐', lock: '🔒', unlock: '🔓',
+            key: '🔑', old_key: '🗝️', shield: '🛡️', bomb: '💣', mag: '🔍', mag_right: '🔎',
+            microscope: '🔬', telescope: '🔭', satellite: '📡', syringe: '💉', pill: '💊', test_tube: '🧪',
+            dna: '🧬', email: '📧', envelope: '✉️', incoming_envelope: '📨', inbox_tray: '📥',
+            outbox_tray: '📤', package: '📦', mailbox: '📫', memo: '📝', pencil2: '✏️', black_nib: '✒️',
+            pen: '🖊️', crayon: '🖍️', briefcase: '💼', file_folder: '📁', open_file_folder: '📂',
+            page_facing_up: '📄', page_with_curl: '📃', bookmark_tabs: '📑', bar_chart: '📊',
+            chart_with_upwards_trend: '📈', chart_with_downwards_trend: '📉', clipboard: '📋',
+            card_index: '📇', books: '📚', book: '📖', notebook: '📓', ledger: '📒', closed_book: '📕',
+            green_book: '📗', blue_book: '📘', orange_book: '📙', bookmark: '🔖', label: '🏷️',
+            newspaper: '📰', bell: '🔔', no_bell: '🔕', loudspeaker: '📢', mega: '📣', mute: '🔇',
+            loud_sound: '🔊', wastebasket: '🗑️', crystal_ball: '🔮', broom: '🧹', basket: '🧺',
+            soap: '🧼', sponge: '🧽', door: '🚪', bed: '🛏️', couch_and_lamp: '🛋️', shower: '🚿',
+            bathtub: '🛁', shopping_cart: '🛒', moyai: '🗿'
+        },
+        'Symbols': {
+            white_check_mark: '✅', heavy_check_mark: '✔️', ballot_box_with_check: '☑️', x: '❌',
+            negative_squared_cross_mark: '❎', heavy_multiplication_x: '✖️', heavy_plus_sign: '➕',
+            heavy_minus_sign: '➖', heavy_division_sign: '➗', question: '❓', grey_question: '❔',
+            exclamation: '❗', grey_exclamation: '❕', bangbang: '‼️', interrobang: '⁉️', warning: '⚠️',
+            no_entry: '⛔', no_entry_sign: '🚫', stop_sign: '🛑', radioactive: '☢️', biohazard: '☣️',
+            recycle: '♻️', information_source: 'ℹ️', o: '⭕', red_circle: '🔴', orange_circle: '🟠',
+            yellow_circle: '🟡', green_circle: '🟢', large_blue_circle: '🔵', purple_circle: '🟣',
+            black_circle: '⚫', white_circle: '⚪', red_square: '🟥', yellow_square: '🟨',
+            green_square: '🟩', blue_square: '🟦', large_orange_diamond: '🔶', large_blue_diamond: '🔷',
+            small_red_triangle: '🔺', arrow_up: '⬆️', arrow_down: '⬇️', arrow_left: '⬅️',
+            arrow_right: '➡️', arrow_upper_right: '↗️', arrow_lower_right: '↘️',
+            arrows_counterclockwise: '🔄', arrows_clockwise: '🔃', leftwards_arrow_with_hook: '↩️',
+            arrow_right_hook: '↪️', back: '🔙', end: '🔚', on: '🔛', soon: '🔜', top: '🔝', new: '🆕',
+            free: '🆓', up: '🆙', cool: '🆒', ok: '🆗', sos: '🆘', id: '🆔', vs: '🆚', a: '🅰️', b: '🅱️',
+            ab: '🆎', m: 'Ⓜ️', abc: '🔤', 1234: '🔢', hash: '#️⃣', asterisk: '*️⃣', zero: '0️⃣', one: '1️⃣',
+            two: '2️⃣', three: '3️⃣', four: '4️⃣', five: '5️⃣', six: '6️⃣', seven: '7️⃣', eight: '8️⃣',
+            nine: '9️⃣', keycap_ten: '🔟', copyright: '©️', registered: '®️', tm: '™️', infinity: '♾️',
+            heavy_dollar_sign: '💲', currency_exchange: '💱', speech_balloon: '💬',
+            thought_balloon: '💭', beginner: '🔰', trident: '🔱', fleur_de_lis: '⚜️',
+            eight_spoked_asterisk: '✳️', sparkle: '❇️', atom_symbol: '⚛️', peace_symbol: '☮️',
+            yin_yang: '☯️', hot_springs: '♨️', loop: '➿', curly_loop: '➰', checkered_flag: '🏁',
+            triangular_flag_on_post: '🚩', white_flag: '🏳️', black_flag: '🏴', rainbow_flag: '🏳️‍🌈',
+            pirate_flag: '🏴‍☠️'
+        }
+    };
+
+    /**
+     * Other names for emoji in CATEGORIES (alias -> main name)
+     * @type {Object<string, string>}
+     */
+    static ALIASES = {
+        satisfied: 'laughing', pout: 'rage', poop: 'hankey', shit: 'hankey', collision: 'boom',
+        hand: 'raised_hand', thumbsup: '+1', thumbsdown: '-1', fist: 'fist_raised',
+        facepunch: 'fist_oncoming', punch: 'fist_oncoming', information_desk_person: 'tipping_hand_person',
+        police_officer: 'cop', running: 'runner', honeybee: 'bee', lady_beetle: 'beetle',
+        flipper: 'dolphin', orange: 'tangerine', mandarin: 'tangerine', red_car: 'car', sailboat: 'boat',
+        telephone: 'phone', 'e-mail': 'email', pencil: 'memo', open_book: 'book',
+        heavy_exclamation_mark: 'exclamation'
+    };
+
+    /**
+     * Characters by name, aliases included (built on first use)
+     * @type {Map<string, string>|null}
+     */
+    static table = null;
+
+    /**
+     * Get the characters by name, building the table on first use
+     * @returns {Map<string, string>}
+     */
+    static getTable() {
+        if (!Emoji.table) {
+            Emoji.table = new Map();
+            for (const emoji of Object.values(Emoji.CATEGORIES)) {
+                for (const [name, char] of Object.entries(emoji)) {
+                    Emoji.table.set(name, char);
+                }
+            }
+            for (const [alias, name] of Object.entries(Emoji.ALIASES)) {
+                Emoji.table.set(alias, Emoji.table.get(name));
+            }
+        }
+        return Emoji.table;
+    }
+
+    /**
+     * Get the emoji for a shortcode name
+     * @param {string} name - Name without colons, e.g. 'rocket'
+     * @returns {string|null}
+     */
+    static get(name) {
+        return Emoji.getTable().get(name) || null;
+    }
+
+    /**
+     * Find emoji whose name (or alias) contains a query: an exact name first, then names
+     * starting with the query, then the rest
+     * @param {string} query - Part of a name; an empty query matches everything
+     * @param {number} [limit=Infinity] - Maximum number of results
+     * @returns {Array<{name: string, emoji: string}>}
+     */
+    static search(query, limit = Infinity) {
+        const needle = (query || '').trim().toLowerCase().replace(/^:|:$/g, '');
+        const exact = [];
+        const starts = [];
+        const contains = [];
+        const seen = new Set();
+
+        for (const [name, emoji] of Emoji.getTable()) {
+            const main = Emoji.ALIASES[name] || name;
+            if (seen.has(main)) continue;
+            const at = name.indexOf(needle);
+            if (at === -1) continue;
+            seen.add(main);
+            const group = name === needle ? exact : (at === 0 ? starts : contains);
+            group.push({ name: main, emoji });
+        }
+
+        return exact.concat(starts, contains).slice(0, limit);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Emoji;
+}
@@ -0,0 +1,121 @@
+/**
+ * Extended Inline Syntax Module
+ * Inline styles beyond emphasis, shared by InlineParser, RuleEngine, ShortcutProcessor and WysiwygEngine
+ *
+ *     ==highlight==   H~2~O   x^2^   ++underline++   [[Ctrl+S]]
+ *
+ * - Subscript and superscript can't hold spaces (as in pandoc), so "2^10 and 3^4" stays text
+ * - Highlight and underline need text right inside their markers, so "a == b == c" and
+ *   "C++ and C++" stay text
+ * - [[...]] is keyboard keys when it holds a key combination ('Ctrl+S', 'Shift+Alt+F4')
+ *   or a single key name ('Enter', 'Esc', 'F5') and no document has that name; any other
+ *   [[...]] is a wiki link (see WikiLinks)
+ * - Each syntax has a name (see NAMES) so it can be turned off on its own
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only knows the extended inline syntax and its markup
+ * - Open/Closed: New syntaxes are added to SYNTAXES; InlineParser and RuleEngine pick them up by name
+ */
+
+class ExtendedInlineSyntax {
+    /**
+     * Syntaxes by name: the element they render to, their marker and their pattern
+     * (InlineParser matches it at a marker; as a RuleEngine rule it runs after the emphasis rules)
+     * @type {Object<string, {tag: string, marker: string, pattern: RegExp}>}
+     */
+    static SYNTAXES = {
+        highlight: { tag: 'mark', marker: '==', pattern: /(?<!=)==(?=[^\s=])(.+?)(?<=[^\s=])==(?!=)/g },
+        subscript: { tag: 'sub', marker: '~', pattern: /(?<!~)~([^~\s"]+)~(?!~)/g },
+        superscript: { tag: 'sup', marker: '^', pattern: /\^([^^\s"]+)\^/g },
+        underline: { tag: 'u', marker: '++', pattern: /(?<![\w+])\+\+(?=[^\s+])(.+?)(?<=[^\s+])\+\+(?![\w+])/g },
+        keyboard: { tag: 'kbd', marker: '[[', pattern: /\[\[([^[\]\n]+?)\]\]/g }
+    };
+
+    /**
+     * Names of the syntaxes, in the order they are applied
+     * @type {string[]}
+     */
+    static NAMES = Object.keys(ExtendedInlineSyntax.SYNTAXES);
+
+    /**
+     * Key names recognized on their own in [[...]] (compared case-insensitively)
+     * @type {Set<string>}
+     */
+    static KEY_NAMES = new Set([
+        'ctrl', 'control', 'alt', 'altgr', 'option', 'opt', 'shift', 'cmd', 'command', 'meta', 'super', 'win',
+        'windows', 'fn', 'enter', 'return', 'esc', 'escape', 'tab', 'space', 'spacebar', 'backspace', 'delete',
+        'del', 'insert', 'ins', 'home', 'end', 'pageup', 'pagedown', 'pgup', 'pgdn', 'up', 'down', 'left',
+        'right', 'capslock', 'numlock', 'scrolllock', 'printscreen', 'prtsc', 'pause', 'break', 'menu', 'plus',
+        '↑', '↓', '←', '→', '⌘', '⌥', '⇧', '⌃', '⏎', '⌫', '⎋'
+    ]);
+
+    /**
+     * Rules for RuleEngine (and the WYSIWYG renderer), one per syntax
+     * @returns {Array<{name: string, pattern: RegExp, replacement: string|Function}>}
+     */
+    static getRules() {
+        return ExtendedInlineSyntax.NAMES.map(name => {
+            const { tag, pattern } = ExtendedInlineSyntax.SYNTAXES[name];
+            const replacement = name === 'keyboard'
+                ? (match, keys) => ExtendedInlineSyntax.isKeyCombination(keys) ? ExtendedInlineSyntax.renderKeys(keys) : match
+                : `<${tag}>$1</${tag}>`;
+            return { name, pattern, replacement };
+        });
+    }
+
+    /**
+     * Split the text of [[...]] into keys
+     * @param {string} text - e.g. 'Ctrl+Shift+P'
+     * @returns {string[]}
+     */
+    static splitKeys(text) {
+        return text.trim().split(/\s*\+\s*/);
+    }
+
+    /**
+     * Check if the text of [[...]] names keys: two or more keys joined by '+' (a key
+     * being a key name or a single character), or one key name on its own
+     * @param {string} text - Text between [[ and ]]
+     * @returns {boolean}
+     */
+    static isKeyCombination(text) {
+        const keys = ExtendedInlineSyntax.splitKeys(text);
+        const isKeyName = key => ExtendedInlineSyntax.KEY_NAMES.has(key.toLowerCase()) || /^F([1-9]|1[0-9]|2[0-4])$/i.test(key);
+
+        if (keys.length === 1) return isKeyName(keys[0]);
+        return keys.every(key => isKeyName(key) || [...key].length === 1);
+    }
+
+    /**
+     * Render keys as <kbd> elements joined by '+'
+     * @param {string} text - e.g. 'Ctrl+S'
+     * @returns {string} - '<kbd>Ctrl</kbd>+<kbd>S</kbd>'
+     */
+    static renderKeys(text) {
+        return ExtendedInlineSyntax.splitKeys(text).map(key => `<kbd>${key}</kbd>`).join('+');
+    }
+
+    /**
+     * Write the rendered elements back as markdown (the reverse of getRules)
+     * Only bare elements are converted: a <sup> with attributes is a footnote reference.
+     * @param {string} html - Inline HTML
+     * @returns {string}
+     */
+    static toMarkdown(html) {
+        let result = html.replace(/<kbd>[^<]*<\/kbd>(?:\+<kbd>[^<]*<\/kbd>)*/g,
+            keys => `[[${keys.replace(/<\/?kbd>/g, '')}]]`);
+
+        for (const name of ExtendedInlineSyntax.NAMES) {
+            const { tag, marker } = ExtendedInlineSyntax.SYNTAXES[name];
+            if (name === 'keyboard') continue;
+            result = result.replace(new RegExp(`<${tag}>(.+?)</${tag}>`, 'g'), (match, text) => marker + text + marker);
+        }
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExtendedInlineSyntax;
+}
@@ -0,0 +1,175 @@
+/**
+ * Front Matter Module
+ * Finds and reads the YAML front matter block at the start of a document
+ *
+ *     ---
+ *     title: Release notes
+ *     tags: [docs, release]
+ *     ---
+ *
+ * - The block must be the first line ('---') and end with '---' or '...';
+ *   its first entry must be a 'key:' line, so a leading horizontal rule stays one
+ * - Reads the YAML people put in front matter: 'key: value' scalars (plain or
+ *   quoted strings, numbers, booleans, null), inline lists ('[a, b]') and
+ *   block lists ('- item' lines). Nested maps are skipped.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only locates and reads front matter
+ * - Open/Closed: Shared by BlockProcessor, MarkdownParser, WysiwygEngine and MarkdownDocument
+ */
+
+class FrontMatter {
+    /**
+     * Front matter keys copied into MarkdownDocument.metadata
+     * @type {string[]}
+     */
+    static METADATA_KEYS = ['title', 'tags', 'author', 'date', 'theme'];
+
+    /**
+     * Find the front matter block at the start of a document
+     * @param {string} markdown - Whole document
+     * @returns {{raw: string, value: string, lineCount: number, data: Object}|null} -
+     *          raw: the block with its fences, value: the YAML between them,
+     *          lineCount: lines used including the fences, data: parsed keys
+     */
+    static extract(markdown) {
+        if (!markdown || !/^---[ \t]*\r?\n/.test(markdown)) return null;
+
+        const lines = markdown.split('\n');
+        for (let i = 1; i < lines.length; i++) {
+            if (/^(---|\.\.\.)\s*$/.test(lines[i])) {
+                const valueLines = lines.slice(1, i);
+                const firstEntry = valueLines.find(line => !/^\s*(#.*)?$/.test(line));
+                if (!firstEntry || !/^[A-Za-z_][\w-]*\s*:(\s|$)/.test(firstEntry)) return null;
+
+                const value = valueLines.join('\n');
+                return {
+                    raw: lines.slice(0, i + 1).join('\n'),
+                    value,
+                    lineCount: i + 1,
+                    data: FrontMatter.parse(value)
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse front matter YAML
+     * @param {string} yaml - Text between the fences
+     * @returns {Object} - Top-level keys and their values
+     */
+    static parse(yaml) {
+        const data = {};
+        let listKey = null; // Key whose block list ('- item' lines) is being read
+
+        yaml.split('\n').forEach(line => {
+            if (/^\s*(#.*)?$/.test(line)) return;
+
+            const item = line.match(/^\s*-\s+(.*)$/);
+            if (item && listKey) {
+                if (!Array.isArray(data[listKey])) data[listKey] = [];
+                data[listKey].push(FrontMatter.parseScalar(item[1]));
+                return;
+            }
+
+            const pair = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+            if (!pair) {
+                // Indented lines of a nested map
+                listKey = null;
+                return;
+            }
+
+            const [, key, value = ''] = pair;
+            if (value.trim() === '') {
+                data[key] = null; // Becomes a list if '- item' lines follow
+                listKey = key;
+            } else {
+                data[key] = FrontMatter.parseValue(value);
+                listKey = null;
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Parse the value of a 'key: value' line
+     * @param {string} text - Everything after the colon
+     * @returns {*}
+     */
+    static parseValue(text) {
+        const value = FrontMatter.stripComment(text).trim();
+
+        const list = value.match(/^\[(.*)\]$/);
+        if (list) {
+            return list[1].trim() === ''
+                ? []
+                : list[1].split(',').map(item => FrontMatter.parseScalar(item));
+        }
+
+        return FrontMatter.parseScalar(value);
+    }
+
+    /**
+     * Parse a single YAML scalar
+     * @param {string} text
+     * @returns {string|number|boolean|null}
+     */
+    static parseScalar(text) {
+        const value = FrontMatter.stripComment(text).trim();
+
+        if (/^".*"$/.test(value)) {
+            return value.slice(1, -1).replace(/\\(["\\])/g, '$1').replace(/\\n/g, '\n');
+        }
+        if (/^'.*'$/.test(value)) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+        if (/^(null|~)?$/i.test(value)) return null;
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+        return value;
+    }
+
+    /**
+     * Remove a trailing ' # comment' that isn't inside quotes
+     * @param {string} text
+     * @returns {string}
+     */
+    static stripComment(text) {
+        if (/^\s*["']/.test(text)) return text;
+        return text.replace(/\s+#.*$/, '');
+    }
+
+    /**
+     * Pick the document metadata keys out of parsed front matter
+     * Tags become a list of strings; the other keys become strings.
+     * @param {Object} data - Result of parse()
+     * @returns {Object} - Only the METADATA_KEYS that are set
+     */
+    static toMetadata(data) {
+        const metadata = {};
+
+        FrontMatter.METADATA_KEYS.forEach(key => {
+            const value = data[key];
+            if (value === undefined || value === null) return;
+
+            if (key === 'tags') {
+                metadata.tags = Array.isArray(value)
+                    ? value.filter(tag => tag !== null).map(String)
+                    : String(value).split(/[,\s]+/).filter(tag => tag !== '');
+            } else {
+                metadata[key] = Array.isArray(value) ? value.join(', ') : String(value);
+            }
+        });
+
+        return metadata;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrontMatter;
+}
@@ -0,0 +1,62 @@
+/**
+ * Heading Slugger Module
+ * Generates GitHub-compatible anchor ids for headings
+ *
+ * - Text is lowercased, punctuation and symbols are dropped, spaces become '-'
+ * - Repeated slugs in one document get a numeric suffix: 'intro', 'intro-1', 'intro-2'
+ * - One slugger per document: create a new one (or reset()) for each render
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only turns heading text into unique ids
+ * - Open/Closed: Shared by the preview (BlockProcessor) and WysiwygEngine
+ */
+
+class HeadingSlugger {
+    constructor() {
+        this.occurrences = new Map(); // slug -> number of times its base has been repeated
+    }
+
+    /**
+     * Convert heading text into a slug, without making it unique
+     * @param {string} text - Plain heading text
+     * @returns {string}
+     */
+    static slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .trim()
+            .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+            .replace(/ /g, '-');
+    }
+
+    /**
+     * Get a unique slug for heading text
+     * @param {string} text - Plain heading text
+     * @returns {string}
+     */
+    slug(text) {
+        const base = HeadingSlugger.slugify(text);
+        let slug = base;
+
+        while (this.occurrences.has(slug)) {
+            const count = this.occurrences.get(base) + 1;
+            this.occurrences.set(base, count);
+            slug = `${base}-${count}`;
+        }
+
+        this.occurrences.set(slug, 0);
+        return slug;
+    }
+
+    /**
+     * Forget the slugs handed out so far
+     */
+    reset() {
+        this.occurrences.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadingSlugger;
+}
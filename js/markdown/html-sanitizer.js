@@ -0,0 +1,349 @@
+/**
+ * HTML Sanitizer Module
+ * Allowlist-based cleanup of rendered HTML before it is put into innerHTML
+ *
+ * - Tags outside the policy are dropped but their text is kept;
+ *   script-like elements (script, style, iframe, ...) are dropped with their content
+ * - Presentation MathML (what TexToMathML produces) is allowed; links and
+ *   annotation-xml (which can carry HTML) are not
+ * - Attributes outside the policy, event handlers (on*) and URLs with schemes
+ *   outside the policy (javascript:, vbscript:, data: other than images) are removed
+ * - Every kept tag is re-serialized and all text is re-escaped, so markup the
+ *   sanitizer can't read never reaches the browser as markup
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only decides which markup is safe to render
+ * - Open/Closed: Behaviour comes from a policy object (see getDefaultPolicy)
+ * - Dependency Inversion: Works on strings, usable by any renderer or window
+ */
+
+class HtmlSanitizer {
+    /**
+     * Attributes whose values are URLs and need their scheme checked
+     * @type {string[]}
+     */
+    static URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background'];
+
+    /**
+     * Elements that are removed together with everything inside them
+     * @type {string[]}
+     */
+    static DROP_CONTENT_TAGS = [
+        'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'noscript', 'noembed', 'noframes', 'textarea', 'title', 'xmp', 'plaintext', 'select', 'svg',
+        'annotation-xml', 'maction'
+    ];
+
+    /**
+     * Elements that never have a closing tag
+     * @type {string[]}
+     */
+    static VOID_TAGS = ['br', 'hr', 'img', 'input', 'wbr', 'col'];
+
+    /**
+     * Default policy: everything the markdown renderers produce, nothing that runs code
+     * @returns {Object} Policy object
+     */
+    static getDefaultPolicy() {
+        return {
+            allowedTags: [
+                'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+                'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+                'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+                'mark', 'nav', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span',
+                'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+                'tr', 'u', 'ul', 'var', 'wbr',
+                // MathML
+                'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace',
+                'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover', 'mfrac', 'msqrt', 'mroot',
+                'mtable', 'mtr', 'mtd', 'mstyle', 'merror', 'mpadded', 'mphantom'
+            ],
+            allowedAttributes: {
+                '*': ['class', 'id', 'title', 'lang', 'dir', 'style', 'role', 'aria-label', 'aria-hidden', 'contenteditable'],
+                a: ['href', 'name'],
+                blockquote: ['cite'],
+                col: ['span'],
+                colgroup: ['span'],
+                del: ['cite', 'datetime'],
+                details: ['open'],
+                img: ['src', 'alt', 'width', 'height'],
+                input: ['type', 'checked', 'disabled'],
+                ins: ['cite', 'datetime'],
+                li: ['value'],
+                ol: ['start', 'type', 'reversed'],
+                q: ['cite'],
+                td: ['align', 'colspan', 'rowspan'],
+                th: ['align', 'colspan', 'rowspan', 'scope'],
+                math: ['xmlns', 'display'],
+                annotation: ['encoding'],
+                mi: ['mathvariant'],
+                mn: ['mathvariant'],
+                mtext: ['mathvariant'],
+                mo: ['stretchy', 'fence', 'separator', 'symmetric', 'largeop', 'movablelimits', 'form',
+                    'lspace', 'rspace', 'minsize', 'maxsize', 'accent'],
+                mover: ['accent'],
+                munder: ['accentunder'],
+                munderover: ['accent', 'accentunder'],
+                mfrac: ['linethickness'],
+                mspace: ['width', 'height', 'depth'],
+                mpadded: ['width', 'height', 'depth', 'lspace', 'voffset'],
+                mstyle: ['displaystyle', 'scriptlevel'],
+                mtable: ['columnalign', 'rowalign', 'columnspacing', 'rowspacing', 'displaystyle'],
+                mtr: ['columnalign', 'rowalign'],
+                mtd: ['columnalign', 'rowalign', 'columnspan', 'rowspan']
+            },
+            allowDataAttributes: true, // data-line, data-wysiwyg-markdown, ...
+            allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+            allowDataImages: true, // data:image/png etc. in <img src>
+            allowedStyles: ['text-align'] // CSS properties kept in style attributes
+        };
+    }
+
+    /**
+     * @param {Object} config - Policy overrides (see getDefaultPolicy) and
+     *        enabled: false to pass HTML through untouched (trusted documents)
+     */
+    constructor(config = {}) {
+        const { enabled = true, ...policy } = config;
+        this.enabled = enabled;
+        this.policy = null;
+        this.setPolicy(policy);
+    }
+
+    /**
+     * Replace the policy, starting from the defaults
+     * @param {Object} overrides - Policy properties to change
+     * @returns {HtmlSanitizer}
+     */
+    setPolicy(overrides = {}) {
+        this.policy = { ...HtmlSanitizer.getDefaultPolicy(), ...overrides };
+        return this;
+    }
+
+    /**
+     * Get a copy of the current policy (e.g. to send to another window)
+     * @returns {Object}
+     */
+    getPolicy() {
+        return structuredClone(this.policy);
+    }
+
+    /**
+     * Turn sanitizing on or off (off for trusted documents)
+     * @param {boolean} enabled
+     * @returns {HtmlSanitizer}
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        return this;
+    }
+
+    /**
+     * Sanitize an HTML string
+     * @param {string} html - HTML from the parser (or anywhere else)
+     * @returns {string} - HTML containing only what the policy allows
+     */
+    sanitize(html) {
+        if (!this.enabled || !html) return html || '';
+
+        const output = [];
+        let index = 0;
+
+        while (index < html.length) {
+            const next = html.indexOf('<', index);
+            if (next === -1) {
+                output.push(this.escapeText(html.substring(index)));
+                break;
+            }
+            output.push(this.escapeText(html.substring(index, next)));
+            index = this.sanitizeMarkup(html, next, output);
+        }
+
+        return output.join('');
+    }
+
+    /**
+     * Handle the markup starting with '<' at a position
+     * @param {string} html - Whole input
+     * @param {number} start - Position of '<'
+     * @param {string[]} output - Sanitized pieces
+     * @returns {number} - Position after the consumed markup
+     */
+    sanitizeMarkup(html, start, output) {
+        const rest = html.substring(start);
+
+        // Comments, doctypes and processing instructions are removed
+        if (rest.startsWith('<!--')) {
+            const end = html.indexOf('-->', start + 4);
+            return end === -1 ? html.length : end + 3;
+        }
+        if (/^<[!?]/.test(rest)) {
+            const end = html.indexOf('>', start);
+            return end === -1 ? html.length : end + 1;
+        }
+
+        const tag = rest.match(
+            /^<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'<>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/
+        );
+        if (!tag) {
+            // Not a tag the sanitizer can read: show it as text
+            output.push('&lt;');
+            return start + 1;
+        }
+
+        const [source, closing, rawName, attributes, selfClosing] = tag;
+        const name = rawName.toLowerCase();
+        const end = start + source.length;
+
+        if (HtmlSanitizer.DROP_CONTENT_TAGS.includes(name)) {
+            if (closing) return end;
+            const close = html.substring(end).search(new RegExp(`</${name}\\s*>`, 'i'));
+            return close === -1 ? html.length : end + close + html.substring(end + close).indexOf('>') + 1;
+        }
+
+        if (!this.policy.allowedTags.includes(name)) {
+            return end;
+        }
+
+        if (closing) {
+            if (!HtmlSanitizer.VOID_TAGS.includes(name)) {
+                output.push(`</${name}>`);
+            }
+            return end;
+        }
+
+        output.push(`<${name}${this.sanitizeAttributes(name, attributes)}${selfClosing ? ' /' : ''}>`);
+        return end;
+    }
+
+    /**
+     * Keep only allowed attributes of a tag
+     * @param {string} tagName - Lowercase tag name
+     * @param {string} source - Attribute part of the tag
+     * @returns {string} - ' name="value"' pairs
+     */
+    sanitizeAttributes(tagName, source) {
+        const allowed = this.policy.allowedAttributes;
+        const tagAttributes = [...(allowed['*'] || []), ...(allowed[tagName] || [])];
+        const kept = [];
+        const seen = new Set();
+        const attributeRegex = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        let match;
+
+        while ((match = attributeRegex.exec(source)) !== null) {
+            const name = match[1].toLowerCase();
+            const hasValue = match[2] !== undefined || match[3] !== undefined || match[4] !== undefined;
+            let value = match[2] ?? match[3] ?? match[4] ?? '';
+
+            // The browser keeps the first of repeated attributes
+            if (seen.has(name)) continue;
+            seen.add(name);
+
+            if (name.startsWith('on')) continue;
+            const isData = this.policy.allowDataAttributes && /^data-[a-z0-9_.-]+$/.test(name);
+            if (!isData && !tagAttributes.includes(name)) continue;
+
+            if (HtmlSanitizer.URL_ATTRIBUTES.includes(name) && !this.isSafeUrl(value, tagName, name)) continue;
+
+            if (name === 'style') {
+                value = this.sanitizeStyle(value);
+                if (!value) continue;
+            }
+
+            kept.push(hasValue ? ` ${name}="${this.escapeAttribute(value)}"` : ` ${name}`);
+        }
+
+        return kept.join('');
+    }
+
+    /**
+     * Check a URL attribute against the allowed schemes
+     * Relative URLs and fragments are always allowed.
+     * @param {string} value - Attribute value as written
+     * @param {string} tagName - Lowercase tag name
+     * @param {string} attributeName - Lowercase attribute name
+     * @returns {boolean}
+     */
+    isSafeUrl(value, tagName, attributeName) {
+        // Browsers ignore control characters and whitespace in URLs, so "java\tscript:" is javascript:
+        const url = this.decodeEntities(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+
+        // Named references left undecoded (&colon; and friends) could hide a scheme
+        if (/&[a-z][a-z0-9]*;/i.test(url)) return false;
+
+        // A scheme is anything before a ':' that comes before any '/', '?' or '#'
+        const scheme = url.match(/^([^\/?#]*?):/);
+        if (!scheme) return true;
+
+        const name = scheme[1].toLowerCase();
+        if (name === 'data') {
+            return this.policy.allowDataImages && tagName === 'img' && attributeName === 'src' &&
+                /^data:image\/(png|gif|jpe?g|webp|bmp|avif);/i.test(url);
+        }
+        return this.policy.allowedSchemes.includes(name);
+    }
+
+    /**
+     * Keep only allowed, plain-valued declarations of a style attribute
+     * @param {string} value - Style attribute value
+     * @returns {string} - Cleaned declarations ('' when none are left)
+     */
+    sanitizeStyle(value) {
+        return this.decodeEntities(value)
+            .split(';')
+            .map(declaration => declaration.match(/^\s*([a-z-]+)\s*:\s*([a-z0-9#%., -]+?)\s*$/i))
+            .filter(match => match && this.policy.allowedStyles.includes(match[1].toLowerCase()))
+            .map(match => `${match[1].toLowerCase()}: ${match[2]}`)
+            .join('; ');
+    }
+
+    /**
+     * Decode numeric character references and the named ones that matter for URLs
+     * @param {string} value - Attribute value
+     * @returns {string}
+     */
+    decodeEntities(value) {
+        const named = {
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+            colon: ':', tab: '\t', newline: '\n', sol: '/', lpar: '(', rpar: ')'
+        };
+
+        return value
+            .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => this.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);?/g, (match, decimal) => this.fromCodePoint(parseInt(decimal, 10)))
+            .replace(/&([a-z]+);/gi, (match, name) => named[name.toLowerCase()] ?? match);
+    }
+
+    /**
+     * Character for a code point, or U+FFFD when it isn't valid
+     */
+    fromCodePoint(codePoint) {
+        return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '�';
+    }
+
+    /**
+     * Escape text content, keeping character references that are already there
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeText(text) {
+        return text
+            .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Escape an attribute value for double quotes, keeping character references
+     * @param {string} value
+     * @returns {string}
+     */
+    escapeAttribute(value) {
+        return this.escapeText(value).replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlSanitizer;
+}
@@ -0,0 +1,574 @@
+/**
+ * HTML Serializer Module
+ * Converts a markdown AST into HTML
+ *
+ * Inline nodes (see InlineParser) are rendered here too; MarkdownParser only runs
+ * custom RuleEngine rules over the result. Text is emitted as written, so raw HTML
+ * and entity references pass through. Footnote references are numbered per
+ * document and the definitions are collected into a footnotes section at the end
+ * of the output. Reference links are resolved against the document's definitions.
+ * Code blocks whose language has a registered renderer (see CodeBlockRenderers),
+ * code spans and math (see MathSyntax) are emitted as placeholders and put back by
+ * restoreRenderedBlocks() after the custom rules, so those don't reach into code and
+ * formulas. ![[document]] embeds are left as placeholders for MarkdownParser, which
+ * renders the embedded documents once this document is done.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only turns AST nodes into HTML strings
+ * - Open/Closed: Node renderers are looked up by type and can be overridden
+ */
+
+class HtmlSerializer {
+    constructor(options = {}) {
+        this.trackLines = options.trackLines || false; // Enable data-line attributes for scroll sync
+        this.breaks = options.breaks || false; // Render every newline in a paragraph as <br />
+        this.footnotes = null; // Footnote numbering of the document being serialized
+        this.definitions = null; // Link reference definitions of the document being serialized
+        this.headings = null; // Headings of the document being serialized, for [TOC]
+        this.codeBlockRenderers = options.codeBlockRenderers || null; // CodeBlockRenderers registry
+        this.renderedBlocks = []; // HTML kept from the inline rules (rendered code blocks, math), by placeholder index
+        this.syntaxHighlighter = options.syntaxHighlighter || null; // SyntaxHighlighter for plain code blocks
+        this.mathRenderer = options.mathRenderer || null; // TexToMathML converter for $math$
+        this.wikiLinkResolver = options.wikiLinkResolver || null; // (name) => document or null, for [[wiki links]]
+        this.renderers = this.initializeRenderers();
+    }
+
+    /**
+     * Enable or disable line tracking for scroll sync
+     * @param {boolean} enabled - Whether to add data-line attributes
+     */
+    setLineTracking(enabled) {
+        this.trackLines = enabled;
+    }
+
+    /**
+     * Enable or disable "newline = line break" mode
+     * Hard breaks (two trailing spaces or a backslash) are line breaks either way
+     * @param {boolean} enabled - Whether soft line breaks render as <br />
+     */
+    setBreaks(enabled) {
+        this.breaks = enabled;
+    }
+
+    /**
+     * Set the registry used to render fenced code blocks by language
+     * @param {CodeBlockRenderers|null} registry - null renders every block as code
+     */
+    setCodeBlockRenderers(registry) {
+        this.codeBlockRenderers = registry;
+    }
+
+    /**
+     * Set the highlighter used for code blocks in the languages it knows
+     * @param {SyntaxHighlighter|null} highlighter - null leaves code unhighlighted
+     */
+    setSyntaxHighlighter(highlighter) {
+        this.syntaxHighlighter = highlighter;
+    }
+
+    /**
+     * Set the converter for inline and display math
+     * @param {TexToMathML|null} converter - null shows the TeX source instead
+     */
+    setMathRenderer(converter) {
+        this.mathRenderer = converter;
+    }
+
+    /**
+     * Set how [[wiki link]] names are looked up, so links to missing documents can be marked
+     * @param {Function|null} resolver - (name) => document or null (see WikiLinks.resolve)
+     */
+    setWikiLinkResolver(resolver) {
+        this.wikiLinkResolver = resolver;
+    }
+
+    /**
+     * Initialize node type renderers
+     */
+    initializeRenderers() {
+        const types = MarkdownAst.NodeType;
+        const renderers = {
+            [types.DOCUMENT]: this.renderDocument.bind(this),
+            [types.HEADING]: this.renderHeading.bind(this),
+            [types.PARAGRAPH]: this.renderParagraph.bind(this),
+            [types.LIST]: this.renderList.bind(this),
+            [types.LIST_ITEM]: this.renderListItem.bind(this),
+            [types.BLOCKQUOTE]: this.renderBlockquote.bind(this),
+            [types.CALLOUT]: this.renderCallout.bind(this),
+            [types.CODE_BLOCK]: this.renderCodeBlock.bind(this),
+            [types.MATH]: this.renderMath.bind(this),
+            [types.TABLE]: this.renderTable.bind(this),
+            [types.THEMATIC_BREAK]: this.renderThematicBreak.bind(this),
+            [types.TOC]: this.renderTableOfContents.bind(this),
+            [types.EMBED]: this.renderEmbed.bind(this),
+            [types.FRONT_MATTER]: this.renderFrontMatter.bind(this),
+            [types.FOOTNOTE_DEFINITION]: () => '', // Rendered in the footnotes section
+            [types.DEFINITION]: () => '', // Only used to resolve reference links
+
+            // Inline nodes
+            [types.TEXT]: this.renderText.bind(this),
+            [types.EMPHASIS]: node => `<em>${this.serializeInline(node.children)}</em>`,
+            [types.STRONG]: node => `<strong>${this.serializeInline(node.children)}</strong>`,
+            [types.DELETE]: node => `<del>${this.serializeInline(node.children)}</del>`,
+            [types.INLINE_CODE]: this.renderInlineCode.bind(this),
+            [types.INLINE_MATH]: this.renderInlineMath.bind(this),
+            [types.LINK]: this.renderLink.bind(this),
+            [types.IMAGE]: this.renderImage.bind(this),
+            [types.LINK_REFERENCE]: this.renderLinkReference.bind(this),
+            [types.IMAGE_REFERENCE]: this.renderLinkReference.bind(this),
+            [types.BREAK]: () => '<br />\n',
+            [types.FOOTNOTE_REFERENCE]: this.renderFootnoteReference.bind(this),
+            [types.KEYBOARD]: node => ExtendedInlineSyntax.renderKeys(node.value),
+            [types.WIKI_LINK]: node => WikiLinks.render(node.value, this.wikiLinkResolver),
+            [types.HTML]: node => node.value
+        };
+
+        // ==highlight==, H~2~O, x^2^ and ++underline++ nodes are typed by syntax name
+        if (typeof ExtendedInlineSyntax !== 'undefined') {
+            ExtendedInlineSyntax.NAMES.filter(name => name !== 'keyboard').forEach(name => {
+                const { tag } = ExtendedInlineSyntax.SYNTAXES[name];
+                renderers[name] = node => `<${tag}>${this.serializeInline(node.children)}</${tag}>`;
+            });
+        }
+
+        return renderers;
+    }
+
+    /**
+     * Register or replace the renderer for a node type
+     * @param {string} type - Node type
+     * @param {Function} renderer - (node, serializer) => string
+     */
+    setRenderer(type, renderer) {
+        this.renderers[type] = (node) => renderer(node, this);
+    }
+
+    /**
+     * Serialize an AST to HTML
+     * @param {Object} node - AST node (usually the document)
+     * @returns {string} - HTML
+     */
+    serialize(node) {
+        if (!node) return '';
+
+        const renderer = this.renderers[node.type];
+        if (!renderer) {
+            console.warn(`HtmlSerializer: No renderer for node type "${node.type}"`);
+            return '';
+        }
+        return renderer(node);
+    }
+
+    /**
+     * Serialize a list of sibling nodes, one per line
+     */
+    serializeChildren(nodes) {
+        return nodes.map(child => this.serialize(child)).filter(html => html !== '').join('\n');
+    }
+
+    /**
+     * Serialize inline nodes, run together
+     * @param {Array<Object>} nodes - Inline nodes (see InlineParser)
+     * @returns {string} - HTML
+     */
+    serializeInline(nodes) {
+        return (nodes || []).map(node => this.serialize(node)).join('');
+    }
+
+    /**
+     * Build the data-line attribute for a node
+     * @param {Object} node - AST node with a position
+     * @param {boolean} withEnd - Also add data-line-end when the node spans several lines
+     * @returns {string} - ' data-line="N"' (plus ' data-line-end="M"') or ''
+     */
+    lineAttribute(node, withEnd = false) {
+        if (!this.trackLines || !node.position) return '';
+
+        const { start, end } = node.position;
+        if (withEnd && end.line > start.line) {
+            return ` data-line="${start.line}" data-line-end="${end.line}"`;
+        }
+        return ` data-line="${start.line}"`;
+    }
+
+    renderDocument(node) {
+        this.renderedBlocks = [];
+        this.footnotes = this.collectFootnotes(node);
+        this.definitions = MarkdownAst.collectDefinitions(node);
+        this.headings = MarkdownAst.findAll(node, MarkdownAst.NodeType.HEADING);
+        const html = this.serializeChildren(node.children);
+        const footnotes = this.renderFootnoteSection();
+        this.footnotes = null;
+        this.definitions = null;
+        this.headings = null;
+
+        return [html, footnotes].filter(part => part !== '').join('\n');
+    }
+
+    renderHeading(node) {
+        const id = node.id ? ` id="${node.id}"` : '';
+        return `<h${node.level}${id}${this.lineAttribute(node, true)}>${this.serializeInline(node.children)}</h${node.level}>`;
+    }
+
+    renderParagraph(node) {
+        return `<p${this.lineAttribute(node, true)}>${this.serializeInline(node.children)}</p>`;
+    }
+
+    /**
+     * Render text as written; in "newline = line break" mode every newline is a <br />
+     */
+    renderText(node) {
+        return this.breaks ? node.value.replace(/\n/g, '<br />\n') : node.value;
+    }
+
+    /**
+     * Render a code span as a placeholder for its HTML
+     * Its content is escaped and kept from the custom rules: '`a*b*`' and '`&copy;`'
+     * show as written.
+     */
+    renderInlineCode(node) {
+        return this.protect(`<code>${this.escapeHtml(this.getSource(node.value))}</code>`);
+    }
+
+    /**
+     * Render $math$ or $$math$$ as a placeholder for its MathML
+     * The TeX is kept in data-tex so the WYSIWYG editor and copies can get it back.
+     */
+    renderInlineMath(node) {
+        const { value: tex, display } = node;
+        return this.protect(
+            `<span class="math ${display ? 'math-display' : 'math-inline'}" data-tex="${this.escapeHtml(tex)}">` +
+            `${this.renderTex(tex, display)}</span>`
+        );
+    }
+
+    renderLink(node) {
+        return `<a href="${node.url}"${this.titleAttribute(node.title)}>${this.serializeInline(node.children)}</a>`;
+    }
+
+    renderImage(node) {
+        return `<img src="${node.url}" alt="${node.alt}"${this.titleAttribute(node.title)} />`;
+    }
+
+    /**
+     * Render a reference link ([text][ref], [ref][], [ref]) or image with the URL and
+     * title of its definition; without one (a definition line inside a paragraph isn't
+     * one) it stays as written
+     */
+    renderLinkReference(node) {
+        const definition = this.definitions && this.definitions.get(node.identifier);
+        const isImage = node.type === MarkdownAst.NodeType.IMAGE_REFERENCE;
+        if (!definition) {
+            const text = isImage ? `![${node.alt}]` : `[${this.serializeInline(node.children)}]`;
+            return text + { full: `[${node.label}]`, collapsed: '[]', shortcut: '' }[node.referenceType];
+        }
+
+        const url = definition.url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+        return isImage
+            ? this.renderImage({ url, alt: node.alt, title: definition.title })
+            : this.renderLink({ url, title: definition.title, children: node.children });
+    }
+
+    /**
+     * Build the title attribute of a link or image
+     * @param {string|null} title
+     * @returns {string} - ' title="..."' or ''
+     */
+    titleAttribute(title) {
+        return title !== null && title !== undefined ? ` title="${title.replace(/"/g, '&quot;')}"` : '';
+    }
+
+    renderList(node) {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const className = node.taskList ? ' class="task-list"' : '';
+        return [
+            `<${tag}${className}>`,
+            ...node.children.map(item => this.serialize(item)),
+            `</${tag}>`
+        ].join('\n');
+    }
+
+    /**
+     * Render a list item
+     * Paragraphs in tight items are emitted without <p> tags
+     */
+    renderListItem(node) {
+        const dataLine = this.lineAttribute(node);
+        const content = node.children
+            .map(child => (!node.spread && child.type === MarkdownAst.NodeType.PARAGRAPH)
+                ? this.serializeInline(child.children)
+                : this.serialize(child))
+            .filter(html => html !== '')
+            .join('\n');
+
+        if (node.checked === true || node.checked === false) {
+            const checkbox = node.checked
+                ? '<input type="checkbox" checked disabled />'
+                : '<input type="checkbox" disabled />';
+            return `<li class="task-list-item"${dataLine}>${checkbox} ${content}</li>`;
+        }
+
+        return `<li${dataLine}>${content}</li>`;
+    }
+
+    renderBlockquote(node) {
+        const content = this.serializeChildren(node.children);
+        return `<blockquote${this.lineAttribute(node)}>${content ? `\n${content}\n` : ''}</blockquote>`;
+    }
+
+    renderCallout(node) {
+        const title = node.title ? this.serializeInline(node.titleChildren) : Callouts.getTitle(node.kind);
+        const content = this.serializeChildren(node.children);
+        return `<div class="${Callouts.getClassName(node.kind)}" data-callout="${node.kind}"${this.lineAttribute(node, true)}>\n` +
+            `${Callouts.renderTitle(node.kind, title)}${content ? `\n${content}` : ''}\n</div>`;
+    }
+
+    renderCodeBlock(node) {
+        const value = this.getSource(node.value);
+        const rendered = this.codeBlockRenderers ? this.codeBlockRenderers.render(value, node.language) : null;
+        if (rendered !== null) {
+            // Placeholder keeps the renderer's HTML away from the inline rules
+            const language = this.escapeHtml(CodeBlockRenderers.getLanguage(node.language));
+            return `<div class="code-block-render" data-language="${language}"${this.lineAttribute(node, true)}>` +
+                `${this.protect(rendered)}</div>`;
+        }
+
+        const langClass = node.language ? ` class="language-${node.language}"` : '';
+        const highlighted = this.syntaxHighlighter && node.language
+            ? this.syntaxHighlighter.highlight(value, node.language)
+            : null;
+        const code = highlighted !== null ? highlighted : this.escapeHtml(value);
+        return `<pre${this.lineAttribute(node, true)}><code${langClass}>${code}</code></pre>`;
+    }
+
+    /**
+     * Render a display math block
+     * The whole block is a placeholder: the TeX in data-tex is as vulnerable to
+     * the emphasis rules as the formula itself.
+     * @param {Object} node - Math node
+     * @returns {string}
+     */
+    renderMath(node) {
+        const tex = this.getSource(node.value);
+        return this.protect(
+            `<div class="math math-display" data-tex="${this.escapeHtml(tex)}"${this.lineAttribute(node, true)}>` +
+            `${this.renderTex(tex, true)}</div>`
+        );
+    }
+
+    /**
+     * Get code or TeX as written: backslash escapes don't apply there, so any
+     * that were set aside (a fence inside a blockquote, say) are put back as '\*'
+     * @param {string} value - Node value
+     * @returns {string}
+     */
+    getSource(value) {
+        return typeof MarkdownEscapes !== 'undefined' ? MarkdownEscapes.toSource(value) : value;
+    }
+
+    /**
+     * Render TeX as MathML, or as its escaped source when there is no converter
+     * @param {string} tex - TeX without the $ delimiters
+     * @param {boolean} display - Display (block) math
+     * @returns {string}
+     */
+    renderTex(tex, display) {
+        if (this.mathRenderer) return this.mathRenderer.convert(tex, { display });
+        return this.escapeHtml(display ? `$$${tex}$$` : `$${tex}$`);
+    }
+
+    /**
+     * Keep finished HTML away from the inline rules until restoreRenderedBlocks()
+     * @param {string} html
+     * @returns {string} - Placeholder to put in the output instead
+     */
+    protect(html) {
+        this.renderedBlocks.push(html);
+        return `\uE000${this.renderedBlocks.length - 1}\uE001`;
+    }
+
+    /**
+     * Put the HTML of rendered code blocks and math back in place of their placeholders
+     * @param {string} html - Serialized HTML (after any inline processing)
+     * @returns {string}
+     */
+    restoreRenderedBlocks(html) {
+        return html.replace(/\uE000(\d+)\uE001/g, (match, index) => this.renderedBlocks[index] ?? '');
+    }
+
+    renderTable(node) {
+        const tableHtml = [`<table${this.lineAttribute(node)}>`];
+        const headerRows = node.children.filter(row => row.header);
+        const bodyRows = node.children.filter(row => !row.header);
+
+        if (headerRows.length > 0) {
+            tableHtml.push('<thead>');
+            headerRows.forEach(row => tableHtml.push(...this.renderTableRow(row, 'th', node.align)));
+            tableHtml.push('</thead>');
+        }
+
+        if (bodyRows.length > 0) {
+            tableHtml.push('<tbody>');
+            bodyRows.forEach(row => tableHtml.push(...this.renderTableRow(row, 'td', node.align)));
+            tableHtml.push('</tbody>');
+        }
+
+        tableHtml.push('</table>');
+        return tableHtml.join('\n');
+    }
+
+    /**
+     * Render a table row
+     * @param {Object} row - Table row node
+     * @param {string} cellTag - 'th' or 'td'
+     * @param {Array<string|null>} align - Column alignments from the separator row
+     * @returns {Array<string>} - HTML lines
+     */
+    renderTableRow(row, cellTag, align = []) {
+        return [
+            '<tr>',
+            ...row.children.map((cell, index) => {
+                const style = align[index] ? ` style="text-align: ${align[index]}"` : '';
+                return `<${cellTag}${style}>${this.serializeInline(cell.children)}</${cellTag}>`;
+            }),
+            '</tr>'
+        ];
+    }
+
+    renderThematicBreak(node) {
+        return `<hr${this.lineAttribute(node)} />`;
+    }
+
+    /**
+     * Front matter isn't shown; with line tracking an empty marker keeps its
+     * lines mapped (LineMapper treats data-frontmatter as a raw zone)
+     */
+    renderFrontMatter(node) {
+        if (!this.trackLines) return '';
+        return `<div class="front-matter" data-frontmatter="true"${this.lineAttribute(node, true)}></div>`;
+    }
+
+    /**
+     * Render a [TOC] marker as nested links to the document's headings
+     */
+    renderTableOfContents(node) {
+        const headings = (this.headings || [])
+            .filter(heading => heading.id)
+            .map(heading => ({
+                level: heading.level,
+                id: heading.id,
+                html: this.escapeHtml(MarkdownAst.toPlainText(heading))
+            }));
+        const list = TableOfContents.render(headings);
+        return `<nav class="toc"${this.lineAttribute(node)}>${list ? `\n${list}\n` : ''}</nav>`;
+    }
+
+    /**
+     * Render a ![[document]] embed as a placeholder holding its text (see
+     * MarkdownParser.renderEmbeds); the embedded document can't be serialized while this
+     * one is, since they share the footnote and placeholder state
+     */
+    renderEmbed(node) {
+        const text = typeof MarkdownEscapes !== 'undefined' ? MarkdownEscapes.toText(node.value) : node.value;
+        return this.protect(`<div class="document-embed"${this.lineAttribute(node)}>\uE00A${text}\uE00B</div>`);
+    }
+
+    /**
+     * Number the document's footnotes (see MarkdownAst.numberFootnotes) and start counting references
+     * @param {Object} documentNode - Document node
+     * @returns {{definitions: Map, numbers: Map, referenceCounts: Map}}
+     */
+    collectFootnotes(documentNode) {
+        return {
+            ...MarkdownAst.numberFootnotes(documentNode),
+            referenceCounts: new Map()
+        };
+    }
+
+    /**
+     * Render a [^id] reference as a numbered superscript link, or as written when the
+     * footnote isn't defined. Repeated references get their own ids (fnref-1,
+     * fnref-1-2, ...) so each one can be linked back to.
+     */
+    renderFootnoteReference(node) {
+        const number = this.footnotes && this.footnotes.numbers.get(node.identifier);
+        if (!number) return `[^${node.label}]`;
+
+        const count = (this.footnotes.referenceCounts.get(node.identifier) || 0) + 1;
+        this.footnotes.referenceCounts.set(node.identifier, count);
+        return `<sup class="footnote-ref"><a href="#fn-${number}" id="${this.getReferenceId(number, count)}">${number}</a></sup>`;
+    }
+
+    /**
+     * Get the element id of the nth reference to a footnote
+     */
+    getReferenceId(number, count) {
+        return count === 1 ? `fnref-${number}` : `fnref-${number}-${count}`;
+    }
+
+    /**
+     * Render the numbered footnotes section with links back to every reference
+     * @returns {string} - HTML, or '' when nothing is referenced
+     */
+    renderFootnoteSection() {
+        const { definitions, numbers, referenceCounts } = this.footnotes;
+        if (numbers.size === 0) return '';
+
+        // Render every footnote before building back-references, since footnotes may cite each other.
+        // Footnotes are out of source order, so they get no data-line attributes for scroll sync.
+        const trackLines = this.trackLines;
+        this.trackLines = false;
+        const contents = [...numbers].map(([identifier, number]) => ({
+            identifier,
+            number,
+            html: this.serializeChildren(definitions.get(identifier).children)
+        }));
+        this.trackLines = trackLines;
+
+        const items = contents.map(({ identifier, number, html }) => {
+            const backrefs = [];
+            const count = referenceCounts.get(identifier) || 0;
+            for (let index = 1; index <= count; index++) {
+                const suffix = index === 1 ? '' : `<sup>${index}</sup>`;
+                backrefs.push(`<a href="#${this.getReferenceId(number, index)}" class="footnote-backref" aria-label="Back to reference ${number}">↩${suffix}</a>`);
+            }
+
+            const links = backrefs.join(' ');
+            let content = html;
+            if (links && content.endsWith('</p>')) {
+                content = `${content.slice(0, -'</p>'.length)} ${links}</p>`;
+            } else if (links) {
+                content = content ? `${content}\n${links}` : links;
+            }
+            return `<li id="fn-${number}">${content}</li>`;
+        });
+
+        return [
+            '<section class="footnotes">',
+            '<hr />',
+            '<ol>',
+            ...items,
+            '</ol>',
+            '</section>'
+        ].join('\n');
+    }
+
+    /**
+     * Escape HTML entities in code blocks
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlSerializer;
+}
@@ -0,0 +1,556 @@
+/**
+ * Inline Parser Module
+ * Tokenizes inline markdown into AST nodes: emphasis, code, math, links, images, footnote
+ * references, autolinks, ==highlight==, H~2~O, x^2^, ++underline++, [[keys]], [[wiki links]]
+ * and raw HTML tags (see MarkdownAst.NodeType)
+ *
+ * HtmlSerializer renders these nodes, so the HTML and the tree always agree.
+ *
+ * Reference links ([text][ref], [ref][], [ref]) and images only become
+ * reference nodes when the document defines the label (see setReferenceLabels);
+ * otherwise their brackets stay text.
+ *
+ * With a RuleEngine (see setRuleEngine), a syntax is only recognized while its
+ * default rule is there and turned on, so removing or disabling 'bold-asterisk'
+ * leaves '**' as text. Custom RuleEngine rules run on the HTML afterwards; their
+ * markup stays in text nodes here.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only builds inline nodes
+ * - Open/Closed: Delimiters are table-driven and can be extended
+ */
+
+class InlineParser {
+    /**
+     * Where an inline construct may start; parseRange() skips the text in between
+     * (spaces only matter as a hard break before a newline)
+     * @type {RegExp}
+     */
+    static SPECIAL = / {2,}\n|[\\`$<!\[*_~=^+]/g;
+
+    /**
+     * A raw HTML tag or comment, kept as written
+     * @type {RegExp}
+     */
+    static HTML = /<\/?[A-Za-z][A-Za-z0-9-]*(?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<!--[\s\S]*?-->/y;
+
+    /**
+     * An autolink: a URL ('<https://...>') or an email address ('<me@example.com>')
+     * @type {RegExp}
+     */
+    static AUTOLINK = /<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>|<([A-Za-z0-9.!#$%&'*+\/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*)>/y;
+
+    constructor() {
+        // Emphasis delimiters, longest first so '***' wins over '**' and '*', with their RuleEngine rule
+        this.delimiters = [
+            { marker: '***', type: 'strong-emphasis', rule: 'bold-italic-asterisk' },
+            { marker: '___', type: 'strong-emphasis', rule: 'bold-italic-underscore' },
+            { marker: '**', type: MarkdownAst.NodeType.STRONG, rule: 'bold-asterisk' },
+            { marker: '__', type: MarkdownAst.NodeType.STRONG, rule: 'bold-underscore' },
+            { marker: '~~', type: MarkdownAst.NodeType.DELETE, rule: 'strikethrough' },
+            { marker: '*', type: MarkdownAst.NodeType.EMPHASIS, rule: 'italic-asterisk' },
+            { marker: '_', type: MarkdownAst.NodeType.EMPHASIS, rule: 'italic-underscore' }
+        ];
+
+        // Extended inline syntaxes other than keys (those share [[...]] with wiki links); the
+        // node type is the syntax name, and the patterns are made sticky to match at an offset
+        this.extendedSyntaxes = typeof ExtendedInlineSyntax === 'undefined' ? [] : ExtendedInlineSyntax.NAMES
+            .filter(name => name !== 'keyboard')
+            .map(name => {
+                const { marker, pattern } = ExtendedInlineSyntax.SYNTAXES[name];
+                return { name, marker, pattern: new RegExp(pattern.source, 'y') };
+            });
+
+        // Normalized labels of the document's link reference definitions
+        this.referenceLabels = new Set();
+
+        // Rule engine deciding which syntaxes are on, and resolving wiki links
+        this.ruleEngine = null;
+    }
+
+    /**
+     * Set the rule engine whose default rules turn syntaxes on and off
+     * @param {RuleEngine|null} ruleEngine - null recognizes every syntax
+     */
+    setRuleEngine(ruleEngine) {
+        this.ruleEngine = ruleEngine;
+    }
+
+    /**
+     * Check if the syntax of a default RuleEngine rule is recognized
+     * @param {string} name - Rule name, e.g. 'link' or 'highlight'
+     * @returns {boolean}
+     */
+    isRuleActive(name) {
+        return !this.ruleEngine || this.ruleEngine.isDefaultRuleActive(name);
+    }
+
+    /**
+     * Set the link reference labels defined in the document being parsed
+     * @param {Iterable<string>} labels - Labels normalized with MarkdownAst.normalizeLabel()
+     */
+    setReferenceLabels(labels) {
+        this.referenceLabels = new Set(labels);
+    }
+
+    /**
+     * Parse inline markdown into nodes
+     * @param {string} text - Inline source text (may span several lines)
+     * @param {number} startLine - Source line of the first character (0-based)
+     * @param {number|Array<number>} startColumn - Source column of the first character,
+     *        or of the first character of each line when leading indentation was stripped
+     * @returns {Array<Object>} - Inline AST nodes
+     */
+    parse(text, startLine = 0, startColumn = 0) {
+        if (!text) return [];
+
+        const context = {
+            text,
+            startLine,
+            startColumn,
+            lineStarts: this.getLineStarts(text)
+        };
+
+        return this.parseRange(context, 0, text.length);
+    }
+
+    /**
+     * Parse the characters between two offsets
+     * @param {Object} context - Parse context
+     * @param {number} from - Start offset (inclusive)
+     * @param {number} to - End offset (exclusive)
+     * @returns {Array<Object>}
+     */
+    parseRange(context, from, to) {
+        const { text } = context;
+        const nodes = [];
+        const special = new RegExp(InlineParser.SPECIAL.source, 'g'); // Own copy: parseRange recurses
+        let textStart = from;
+        let i = from;
+
+        const flushText = (end) => {
+            if (end > textStart) {
+                nodes.push(MarkdownAst.createNode(MarkdownAst.NodeType.TEXT, {
+                    value: text.slice(textStart, end)
+                }, this.getPosition(context, textStart, end)));
+            }
+        };
+
+        while (i < to) {
+            special.lastIndex = i;
+            const next = special.exec(text);
+            if (!next || next.index >= to) break;
+            i = next.index;
+
+            const match = this.matchAt(context, i, to);
+            if (!match) {
+                i++;
+            } else if (!match.node) {
+                i = match.end; // Text that must not start anything, e.g. an unmatched run of backticks
+            } else {
+                flushText(i);
+                nodes.push(match.node);
+                i = match.end;
+                textStart = i;
+            }
+        }
+
+        flushText(to);
+        return nodes;
+    }
+
+    /**
+     * Try to match an inline construct starting at an offset
+     * @returns {{node: Object|null, end: number}|null} - a null node means the text up to end stays text
+     */
+    matchAt(context, i, to) {
+        const { text } = context;
+        const char = text[i];
+
+        // Hard line break: two or more spaces, or a backslash, before a newline
+        if (char === ' ' || char === '\\') {
+            const breakMatch = this.isRuleActive('line-break') && this.execAt(/(?: {2,}|\\)\n/y, text, i, to);
+            if (breakMatch) {
+                const end = i + breakMatch[0].length;
+                return {
+                    node: MarkdownAst.createNode(MarkdownAst.NodeType.BREAK, {}, this.getPosition(context, i, end)),
+                    end
+                };
+            }
+            return null;
+        }
+
+        // Inline code, opened and closed by backtick runs of the same length
+        if (char === '`') {
+            const span = MarkdownEscapes.matchCodeSpanAt(text, i);
+            if (span && span.end <= to) {
+                return {
+                    node: MarkdownAst.createNode(MarkdownAst.NodeType.INLINE_CODE, {
+                        value: span.content
+                    }, this.getPosition(context, i, span.end)),
+                    end: span.end
+                };
+            }
+
+            let end = i;
+            while (text[end] === '`') end++;
+            return { node: null, end };
+        }
+
+        // Math $tex$ or $$tex$$ (see MathSyntax)
+        if (char === '$') {
+            const math = MathSyntax.matchInlineAt(text, i);
+            if (math && math.end <= to) {
+                return {
+                    node: MarkdownAst.createNode(MarkdownAst.NodeType.INLINE_MATH, {
+                        value: math.tex,
+                        display: math.display
+                    }, this.getPosition(context, i, math.end)),
+                    end: math.end
+                };
+            }
+            return null;
+        }
+
+        // Autolink, raw HTML tag or comment
+        if (char === '<') {
+            const autolink = this.isRuleActive('link') && this.execAt(InlineParser.AUTOLINK, text, i, to);
+            if (autolink) {
+                const end = i + autolink[0].length;
+                return {
+                    node: MarkdownAst.createNode(MarkdownAst.NodeType.LINK, {
+                        url: autolink[1] !== undefined ? autolink[1] : `mailto:${autolink[2]}`,
+                        title: null,
+                        children: [MarkdownAst.createNode(MarkdownAst.NodeType.TEXT, {
+                            value: autolink[1] !== undefined ? autolink[1] : autolink[2]
+                        }, this.getPosition(context, i + 1, end - 1))]
+                    }, this.getPosition(context, i, end)),
+                    end
+                };
+            }
+
+            const htmlMatch = this.execAt(InlineParser.HTML, text, i, to);
+            if (htmlMatch) {
+                const end = i + htmlMatch[0].length;
+                return {
+                    node: MarkdownAst.createNode(MarkdownAst.NodeType.HTML, {
+                        value: htmlMatch[0]
+                    }, this.getPosition(context, i, end)),
+                    end
+                };
+            }
+            return null;
+        }
+
+        // Image ![alt](url "title") or ![alt][ref]
+        if (char === '!' && text[i + 1] === '[') {
+            if (!this.isRuleActive('image')) return null;
+
+            const imageMatch = this.execAt(/!\[([^\]]*)\]\(([^)]+?)(?:\s+(?:"([^"]*)"|'([^']*)'))?\)/y, text, i, to);
+            if (imageMatch) {
+                const end = i + imageMatch[0].length;
+                return {
+                    node: MarkdownAst.createNode(MarkdownAst.NodeType.IMAGE, {
+                        url: imageMatch[2],
+                        title: this.getTitle(imageMatch[3], imageMatch[4]),
+                        alt: imageMatch[1]
+                    }, this.getPosition(context, i, end)),
+                    end
+                };
+            }
+            return this.matchReference(context, i, to, true);
+        }
+
+        // Footnote reference [^id]
+        if (char === '[' && text[i + 1] === '^') {
+            const footnoteMatch = this.execAt(/\[\^([^\]\s]+)\]/y, text, i, to);
+            if (footnoteMatch) {
+                const end = i + footnoteMatch[0].length;
+                return {
+                    node: MarkdownAst.createNode(MarkdownAst.NodeType.FOOTNOTE_REFERENCE, {
+                        identifier: MarkdownAst.normalizeLabel(footnoteMatch[1]),
+                        label: footnoteMatch[1]
+                    }, this.getPosition(context, i, end)),
+                    end
+                };
+            }
+        }
+
+        // Wiki link [[Name]] or keys [[Ctrl+S]]
+        if (char === '[' && text[i + 1] === '[') {
+            const bracketMatch = this.matchDoubleBrackets(context, i, to);
+            if (bracketMatch) return bracketMatch;
+        }
+
+        // Link [text](url "title") or reference link; the text may hold an image
+        if (char === '[') {
+            if (!this.isRuleActive('link')) return null;
+
+            const linkMatch = this.execAt(/\[((?:!\[[^\]]*\]\([^)]*\)|[^\]])+)\]\(([^)]+?)(?:\s+(?:"([^"]*)"|'([^']*)'))?\)/y, text, i, to);
+            if (linkMatch) {
+                const end = i + linkMatch[0].length;
+                const labelStart = i + 1;
+                return {
+                    node: MarkdownAst.createNode(MarkdownAst.NodeType.LINK, {
+                        url: linkMatch[2],
+                        title: this.getTitle(linkMatch[3], linkMatch[4]),
+                        children: this.parseRange(context, labelStart, labelStart + linkMatch[1].length)
+                    }, this.getPosition(context, i, end)),
+                    end
+                };
+            }
+            return this.matchReference(context, i, to, false);
+        }
+
+        // Emphasis, strong and strikethrough
+        for (const delimiter of this.delimiters) {
+            if (!text.startsWith(delimiter.marker, i) || !this.isRuleActive(delimiter.rule)) continue;
+
+            const contentStart = i + delimiter.marker.length;
+            const close = this.findClosingDelimiter(text, delimiter.marker, contentStart, to);
+            if (close === -1) continue;
+
+            const end = close + delimiter.marker.length;
+            const children = this.parseRange(context, contentStart, close);
+            return { node: this.createEmphasisNode(delimiter.type, children, this.getPosition(context, i, end)), end };
+        }
+
+        // Highlight, subscript, superscript and underline (see ExtendedInlineSyntax)
+        for (const syntax of this.extendedSyntaxes) {
+            if (!text.startsWith(syntax.marker, i) || !this.isRuleActive(syntax.name)) continue;
+
+            const syntaxMatch = this.execAt(syntax.pattern, text, i, to);
+            if (!syntaxMatch) continue;
+
+            const contentStart = i + syntax.marker.length;
+            const end = i + syntaxMatch[0].length;
+            return {
+                node: MarkdownAst.createNode(syntax.name, {
+                    children: this.parseRange(context, contentStart, contentStart + syntaxMatch[1].length)
+                }, this.getPosition(context, i, end)),
+                end
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Match [[...]] as keys or as a wiki link (see ExtendedInlineSyntax and WikiLinks);
+     * keys naming a document are a link to it
+     * @returns {{node: Object, end: number}|null} - null when it is neither
+     */
+    matchDoubleBrackets(context, i, to) {
+        if (typeof WikiLinks === 'undefined') return null;
+
+        const match = this.execAt(/\[\[([^[\]\n]+?)\]\]/y, context.text, i, to);
+        if (!match) return null;
+
+        const end = i + match[0].length;
+        const position = this.getPosition(context, i, end);
+        const value = MarkdownEscapes.toText(match[1]);
+
+        const resolve = this.ruleEngine ? this.ruleEngine.wikiLinkResolver : null;
+        const link = this.isRuleActive('wiki-link') ? WikiLinks.parse(value, resolve) : null;
+        if (link) {
+            return { node: MarkdownAst.createNode(MarkdownAst.NodeType.WIKI_LINK, { ...link, value }, position), end };
+        }
+
+        if (this.isRuleActive('keyboard') && ExtendedInlineSyntax.isKeyCombination(match[1])) {
+            return {
+                node: MarkdownAst.createNode(MarkdownAst.NodeType.KEYBOARD, {
+                    value: match[1],
+                    keys: ExtendedInlineSyntax.splitKeys(match[1])
+                }, position),
+                end
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Match a full ([text][ref]), collapsed ([ref][]) or shortcut ([ref]) reference link or image
+     * @param {boolean} isImage - Whether the match starts with '!'
+     * @returns {{node: Object, end: number}|null} - null when the label isn't defined
+     */
+    matchReference(context, i, to, isImage) {
+        const { text } = context;
+        const offset = isImage ? 1 : 0;
+        const match = this.execAt(/\[([^\[\]]+)\](?:\[([^\[\]]*)\])?/y, text, i + offset, to);
+        if (!match) return null;
+
+        const referenceType = match[2] === undefined ? 'shortcut' : (match[2] === '' ? 'collapsed' : 'full');
+        const label = referenceType === 'full' ? match[2] : match[1];
+        const identifier = MarkdownAst.normalizeLabel(label);
+        if (label.startsWith('^') || !this.referenceLabels.has(identifier)) return null;
+
+        const end = i + offset + match[0].length;
+        const props = { identifier, label, referenceType };
+        if (isImage) {
+            props.alt = match[1];
+        } else {
+            const textStart = i + 1;
+            props.children = this.parseRange(context, textStart, textStart + match[1].length);
+        }
+
+        return {
+            node: MarkdownAst.createNode(
+                isImage ? MarkdownAst.NodeType.IMAGE_REFERENCE : MarkdownAst.NodeType.LINK_REFERENCE,
+                props,
+                this.getPosition(context, i, end)
+            ),
+            end
+        };
+    }
+
+    /**
+     * Pick the title of a link or image from its double- or single-quoted capture
+     * @returns {string|null}
+     */
+    getTitle(doubleQuoted, singleQuoted) {
+        if (doubleQuoted !== undefined) return doubleQuoted;
+        if (singleQuoted !== undefined) return singleQuoted;
+        return null;
+    }
+
+    /**
+     * Create an emphasis-family node
+     * '***text***' becomes strong > emphasis
+     */
+    createEmphasisNode(type, children, position) {
+        if (type === 'strong-emphasis') {
+            const emphasis = MarkdownAst.createNode(MarkdownAst.NodeType.EMPHASIS, { children }, position);
+            return MarkdownAst.createNode(MarkdownAst.NodeType.STRONG, { children: [emphasis] }, position);
+        }
+        return MarkdownAst.createNode(type, { children }, position);
+    }
+
+    /**
+     * Find the closing delimiter on the same line
+     * A single-character marker skips doubled runs so '*a **b** c*' closes at the last '*'.
+     * Markers inside code spans, math, HTML tags, [[...]] and link destinations don't close.
+     * @returns {number} - Offset of the closing marker, or -1
+     */
+    findClosingDelimiter(text, marker, from, to) {
+        let j = from;
+
+        while (j + marker.length <= to) {
+            if (text[j] === '\n') return -1;
+
+            const skip = this.skipLiteralAt(text, j, to);
+            if (skip > j) {
+                j = skip;
+                continue;
+            }
+
+            // Content must be at least one character
+            if (j > from && text.startsWith(marker, j)) {
+                if (marker.length === 1 && text[j + 1] === marker) {
+                    j += 2;
+                    continue;
+                }
+                return j;
+            }
+            j++;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Find a code span, math, HTML tag, [[...]] or link destination ('](url)') at an offset
+     * @returns {number} - Offset after it, or j when there is none
+     */
+    skipLiteralAt(text, j, to) {
+        let end = j;
+        switch (text[j]) {
+            case '`': {
+                const span = MarkdownEscapes.matchCodeSpanAt(text, j);
+                end = span ? span.end : j;
+                break;
+            }
+            case '$': {
+                const math = MathSyntax.matchInlineAt(text, j);
+                end = math ? math.end : j;
+                break;
+            }
+            case '<': {
+                const match = this.execAt(InlineParser.HTML, text, j, to);
+                end = match ? j + match[0].length : j;
+                break;
+            }
+            case '[':
+            case ']': {
+                const match = this.execAt(/\[\[[^[\]\n]+?\]\]|\]\([^)\n]*\)/y, text, j, to);
+                end = match ? j + match[0].length : j;
+                break;
+            }
+        }
+        return end <= to ? end : j;
+    }
+
+    /**
+     * Run a sticky regex at an offset without matching past the range end
+     */
+    execAt(regex, text, offset, to) {
+        regex.lastIndex = offset;
+        const match = regex.exec(text);
+        if (!match || offset + match[0].length > to) return null;
+        return match;
+    }
+
+    /**
+     * Get offsets where each line of the text begins
+     */
+    getLineStarts(text) {
+        const starts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    /**
+     * Convert a pair of text offsets into a source position
+     */
+    getPosition(context, startOffset, endOffset) {
+        const start = this.offsetToPoint(context, startOffset);
+        const end = this.offsetToPoint(context, endOffset);
+        return MarkdownAst.createPosition(start.line, start.column, end.line, end.column);
+    }
+
+    /**
+     * Convert a text offset into a source line/column
+     */
+    offsetToPoint(context, offset) {
+        const { lineStarts, startLine, startColumn } = context;
+
+        // Last line starting at or before the offset
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        const lineIndex = low;
+        const column = offset - lineStarts[lineIndex];
+        const lineColumn = Array.isArray(startColumn)
+            ? (startColumn[lineIndex] || 0)
+            : (lineIndex === 0 ? startColumn : 0);
+        return {
+            line: startLine + lineIndex,
+            column: lineColumn + column
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InlineParser;
+}
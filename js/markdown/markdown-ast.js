@@ -0,0 +1,220 @@
+/**
+ * Markdown AST Module
+ * Node types, node factory and traversal helpers for the markdown syntax tree
+ *
+ * Node shape:
+ *   { type, position: { start: { line, column }, end: { line, column } }, children?, ...props }
+ * Lines and columns are 0-based, matching the data-line attributes used for scroll sync.
+ * Positions refer to the markdown after shortcut expansion (see ShortcutProcessor).
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only defines the tree structure, doesn't parse or render
+ * - Open/Closed: New node types can be added without changing consumers
+ */
+
+class MarkdownAst {
+    /**
+     * Known node types
+     * @type {Object<string, string>}
+     */
+    static NodeType = {
+        // Block nodes
+        DOCUMENT: 'document',
+        HEADING: 'heading',
+        PARAGRAPH: 'paragraph',
+        LIST: 'list',
+        LIST_ITEM: 'listItem',
+        BLOCKQUOTE: 'blockquote',
+        CALLOUT: 'callout',
+        CODE_BLOCK: 'codeBlock',
+        MATH: 'math',
+        TABLE: 'table',
+        TABLE_ROW: 'tableRow',
+        TABLE_CELL: 'tableCell',
+        THEMATIC_BREAK: 'thematicBreak',
+        FOOTNOTE_DEFINITION: 'footnoteDefinition',
+        DEFINITION: 'definition',
+        TOC: 'toc',
+        EMBED: 'embed',
+        FRONT_MATTER: 'frontMatter',
+
+        // Inline nodes
+        TEXT: 'text',
+        EMPHASIS: 'emphasis',
+        STRONG: 'strong',
+        DELETE: 'delete',
+        INLINE_CODE: 'inlineCode',
+        INLINE_MATH: 'inlineMath',
+        LINK: 'link',
+        IMAGE: 'image',
+        LINK_REFERENCE: 'linkReference',
+        IMAGE_REFERENCE: 'imageReference',
+        BREAK: 'break',
+        FOOTNOTE_REFERENCE: 'footnoteReference',
+        HIGHLIGHT: 'highlight',
+        SUBSCRIPT: 'subscript',
+        SUPERSCRIPT: 'superscript',
+        UNDERLINE: 'underline',
+        KEYBOARD: 'keyboard',
+        WIKI_LINK: 'wikiLink',
+        HTML: 'html'
+    };
+
+    /**
+     * Types of the nodes inside paragraphs, headings and table cells
+     * @type {Set<string>}
+     */
+    static INLINE_TYPES = new Set([
+        'text', 'emphasis', 'strong', 'delete', 'inlineCode', 'inlineMath', 'link', 'image', 'linkReference',
+        'imageReference', 'break', 'footnoteReference', 'highlight', 'subscript', 'superscript', 'underline',
+        'keyboard', 'wikiLink', 'html'
+    ]);
+
+    /**
+     * Create a node
+     * @param {string} type - One of MarkdownAst.NodeType
+     * @param {Object} props - Type-specific properties (children, level, url, ...)
+     * @param {Object|null} position - Source range from createPosition()
+     * @returns {Object} - AST node
+     */
+    static createNode(type, props = {}, position = null) {
+        return { type, ...props, position };
+    }
+
+    /**
+     * Create a source range
+     * @param {number} startLine - First line (0-based)
+     * @param {number} startColumn - First column (0-based)
+     * @param {number} endLine - Last line (0-based)
+     * @param {number} endColumn - Column after the last character (0-based)
+     * @returns {Object} - { start: { line, column }, end: { line, column } }
+     */
+    static createPosition(startLine, startColumn, endLine, endColumn) {
+        return {
+            start: { line: startLine, column: startColumn },
+            end: { line: endLine, column: endColumn }
+        };
+    }
+
+    /**
+     * Visit every node depth-first
+     * Return false from the visitor to skip a node's children
+     * @param {Object} node - Root node
+     * @param {Function} visitor - (node, parent) => boolean|void
+     * @param {Object|null} parent - Parent of the root node
+     */
+    static walk(node, visitor, parent = null) {
+        if (!node) return;
+        if (visitor(node, parent) === false) return;
+
+        if (Array.isArray(node.children)) {
+            node.children.forEach(child => MarkdownAst.walk(child, visitor, node));
+        }
+    }
+
+    /**
+     * Collect all nodes of a given type
+     * Block types aren't looked for among the inline nodes.
+     * @param {Object} node - Root node
+     * @param {string} type - Node type to find
+     * @returns {Array<Object>} - Matching nodes in document order
+     */
+    static findAll(node, type) {
+        const found = [];
+        const skipInline = !MarkdownAst.INLINE_TYPES.has(type);
+        MarkdownAst.walk(node, current => {
+            if (current.type === type) found.push(current);
+            if (skipInline && MarkdownAst.INLINE_TYPES.has(current.type)) return false;
+        });
+        return found;
+    }
+
+    /**
+     * Normalize a link or footnote label into the identifier used to match references with definitions
+     * Case and runs of whitespace don't matter: '[Some  Ref]' and '[some ref]:' match
+     * @param {string} label - Label as written in the source
+     * @returns {string}
+     */
+    static normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Collect a document's link reference definitions
+     * @param {Object} node - Document node
+     * @returns {Map<string, Object>} - Definition nodes by identifier; the first definition of a label wins
+     */
+    static collectDefinitions(node) {
+        const definitions = new Map();
+        MarkdownAst.findAll(node, MarkdownAst.NodeType.DEFINITION).forEach(definition => {
+            if (!definitions.has(definition.identifier)) {
+                definitions.set(definition.identifier, definition);
+            }
+        });
+        return definitions;
+    }
+
+    /**
+     * Number a document's footnotes in order of their first reference
+     * References inside a footnote count after the main text, so a footnote that is
+     * only cited by another footnote is numbered after it. Definitions that are
+     * never referenced get no number; the first definition of a label wins.
+     * @param {Object} node - Document node
+     * @returns {{definitions: Map<string, Object>, numbers: Map<string, number>}} - Keyed by identifier
+     */
+    static numberFootnotes(node) {
+        const types = MarkdownAst.NodeType;
+        const definitions = new Map();
+        MarkdownAst.findAll(node, types.FOOTNOTE_DEFINITION).forEach(definition => {
+            if (!definitions.has(definition.identifier)) {
+                definitions.set(definition.identifier, definition);
+            }
+        });
+
+        const order = [];
+        const collectReferences = (root) => MarkdownAst.walk(root, current => {
+            if (current !== root && current.type === types.FOOTNOTE_DEFINITION) return false;
+            if (current.type === types.FOOTNOTE_REFERENCE
+                && definitions.has(current.identifier)
+                && !order.includes(current.identifier)) {
+                order.push(current.identifier);
+            }
+        });
+
+        collectReferences(node);
+        for (let index = 0; index < order.length; index++) {
+            collectReferences(definitions.get(order[index]));
+        }
+
+        return {
+            definitions,
+            numbers: new Map(order.map((identifier, index) => [identifier, index + 1]))
+        };
+    }
+
+    /**
+     * Get the plain text content of a node (markup stripped)
+     * Backslash escapes and entity references in text are resolved (see MarkdownEscapes).
+     * @param {Object} node - AST node
+     * @returns {string}
+     */
+    static toPlainText(node) {
+        if (!node) return '';
+        if (typeof node.value === 'string') {
+            if (typeof MarkdownEscapes === 'undefined') return node.value;
+            return node.type === MarkdownAst.NodeType.TEXT
+                ? MarkdownEscapes.toText(node.value)
+                : MarkdownEscapes.toSource(node.value);
+        }
+        if (node.type === MarkdownAst.NodeType.IMAGE || node.type === MarkdownAst.NodeType.IMAGE_REFERENCE) {
+            return node.alt || '';
+        }
+        if (!Array.isArray(node.children)) return '';
+        return node.children.map(child => MarkdownAst.toPlainText(child)).join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownAst;
+}
@@ -0,0 +1,353 @@
+/**
+ * Markdown Escapes Module
+ * Backslash escapes and entity references, shared by MarkdownParser, ShortcutProcessor,
+ * HtmlSerializer and WysiwygEngine
+ *
+ *     \*not emphasis\*   b\{not bold}   \# not a heading   a \| b   &copy; 2024
+ *
+ * - A backslash before ASCII punctuation makes it a literal character (as in CommonMark);
+ *   before anything else it is a backslash
+ * - Code spans, fenced code, math and autolinks are left alone: '\' means '\' there
+ * - protect() sets escapes aside so no later stage acts on them: the backslash stays and
+ *   the character becomes a placeholder (U+E100 + its code), so source columns don't move.
+ *   restore() turns them into literal HTML at the end, toSource() back into '\*'.
+ * - Entity references (&copy; &#169; &#xA9;) are passed through as HTML; decodeEntities()
+ *   resolves them where plain text is needed (heading anchors, the table of contents)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only finds escapes and entities, doesn't render markdown
+ * - Open/Closed: Consumers decide what an escape, entity or code span becomes (see replaceInline)
+ */
+
+class MarkdownEscapes {
+    /**
+     * Characters a backslash escapes
+     * @type {string}
+     */
+    static PUNCTUATION = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+    /**
+     * Placeholder of a protected character is this plus its code
+     * @type {number}
+     */
+    static OFFSET = 0xE100;
+
+    /**
+     * A protected escape: the backslash and the placeholder of the character
+     * @type {RegExp}
+     */
+    static PROTECTED = /\\([\uE121-\uE17E])/g;
+
+    /**
+     * Named entities decodeEntities() knows (others are left as written)
+     * @type {Object<string, string>}
+     */
+    static NAMED_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00A0', shy: '\u00AD', ensp: '\u2002',
+        emsp: '\u2003', thinsp: '\u2009', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+        lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+        deg: '°', plusmn: '±', times: '×', divide: '÷', minus: '−', ne: '≠', le: '≤', ge: '≥', infin: '∞',
+        frac12: '½', frac14: '¼', frac34: '¾', para: '¶', sect: '§', dagger: '†', cent: '¢', pound: '£',
+        euro: '€', yen: '¥', larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', lArr: '⇐', rArr: '⇒',
+        hArr: '⇔', iexcl: '¡', iquest: '¿', aacute: 'á', agrave: 'à', acirc: 'â', auml: 'ä', aring: 'å',
+        ccedil: 'ç', eacute: 'é', egrave: 'è', ecirc: 'ê', euml: 'ë', iacute: 'í', iuml: 'ï', ntilde: 'ñ',
+        oacute: 'ó', ocirc: 'ô', ouml: 'ö', oslash: 'ø', uacute: 'ú', ugrave: 'ù', uuml: 'ü', szlig: 'ß',
+        Aacute: 'Á', Auml: 'Ä', Aring: 'Å', Ccedil: 'Ç', Eacute: 'É', Ntilde: 'Ñ', Ouml: 'Ö', Uuml: 'Ü',
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', pi: 'π', sigma: 'σ', mu: 'μ', lambda: 'λ', Omega: 'Ω'
+    };
+
+    /**
+     * Check if a character can be backslash-escaped
+     * @param {string} char
+     * @returns {boolean}
+     */
+    static isEscapable(char) {
+        return !!char && char.length === 1 && MarkdownEscapes.PUNCTUATION.includes(char);
+    }
+
+    /**
+     * Walk inline source, handing escapes, entity references and code spans to replacers
+     * Math and autolinks are skipped. A missing replacer leaves its match as written.
+     * @param {string} text - Inline source
+     * @param {Object} replacers
+     * @param {Function} [replacers.escape] - (char, source) => replacement for '\*'
+     * @param {Function} [replacers.entity] - (name, source) => replacement for '&copy;'
+     *        (name is 'copy', '#169' or '#xA9')
+     * @param {Function} [replacers.code] - (content, source) => replacement for '`code`'
+     *        (content loses one space at each end when it has one at both, as in '`` `x` ``')
+     * @returns {string}
+     */
+    static replaceInline(text, replacers = {}) {
+        if (!text || !/[\\&`$<]/.test(text)) return text;
+
+        let result = '';
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\\' && MarkdownEscapes.isEscapable(text[i + 1])) {
+                const source = text.slice(i, i + 2);
+                result += replacers.escape ? replacers.escape(text[i + 1], source) : source;
+                i += 2;
+                continue;
+            }
+
+            if (char === '`') {
+                const span = MarkdownEscapes.matchCodeSpanAt(text, i);
+                if (!span) {
+                    // An unmatched run of backticks is text
+                    let end = i;
+                    while (text[end] === '`') end++;
+                    result += text.slice(i, end);
+                    i = end;
+                    continue;
+                }
+                const source = text.slice(i, span.end);
+                result += replacers.code ? replacers.code(span.content, source) : source;
+                i = span.end;
+                continue;
+            }
+
+            if (char === '&') {
+                const entity = /&(#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/y;
+                entity.lastIndex = i;
+                const match = entity.exec(text);
+                if (match) {
+                    result += replacers.entity ? replacers.entity(match[1], match[0]) : match[0];
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            const skip = MarkdownEscapes.matchLiteralAt(text, i);
+            if (skip > i) {
+                result += text.slice(i, skip);
+                i = skip;
+                continue;
+            }
+
+            result += char;
+            i++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Match a code span opened by the run of backticks at an offset
+     * It closes at the next run of the same length, without crossing a blank line.
+     * @param {string} text - Inline source
+     * @param {number} i - Offset of the first backtick
+     * @returns {{content: string, end: number}|null} - end is the offset after the closing run
+     */
+    static matchCodeSpanAt(text, i) {
+        let runEnd = i;
+        while (text[runEnd] === '`') runEnd++;
+        const length = runEnd - i;
+
+        let search = runEnd;
+        while (search < text.length) {
+            const close = text.indexOf('`', search);
+            if (close === -1) return null;
+
+            let closeEnd = close;
+            while (text[closeEnd] === '`') closeEnd++;
+            if (closeEnd - close === length) {
+                let content = text.slice(runEnd, close);
+                if (/\n[ \t]*\n/.test(content) || !content) return null;
+                if (content.length > 2 && content.startsWith(' ') && content.endsWith(' ') && content.trim()) {
+                    content = content.slice(1, -1);
+                }
+                return { content, end: closeEnd };
+            }
+            search = closeEnd;
+        }
+        return null;
+    }
+
+    /**
+     * Find math or an autolink starting at an offset, where escapes don't apply
+     * @param {string} text - Inline source
+     * @param {number} i - Offset
+     * @returns {number} - Offset after it, or i when there is none
+     */
+    static matchLiteralAt(text, i) {
+        if (text[i] === '$' && typeof MathSyntax !== 'undefined') {
+            const math = MathSyntax.matchInlineAt(text, i);
+            return math ? math.end : i;
+        }
+        if (text[i] === '<') {
+            const autolink = /<[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*>/y;
+            autolink.lastIndex = i;
+            const match = autolink.exec(text);
+            return match ? i + match[0].length : i;
+        }
+        return i;
+    }
+
+    /**
+     * Match an opening code fence: three or more backticks or tildes, then the language
+     * ('```js', '~~~'). A backtick fence's language can't hold a backtick (as in CommonMark).
+     * @param {string} line - Trimmed line
+     * @returns {{marker: string, info: string}|null}
+     */
+    static matchFence(line) {
+        const match = line.match(/^(`{3,}|~{3,})(.*)$/);
+        if (!match || (match[1][0] === '`' && match[2].includes('`'))) return null;
+        return { marker: match[1], info: match[2].trim() };
+    }
+
+    /**
+     * Check if a trimmed line closes the fence opened with a marker: the same
+     * character, at least as many, and nothing after them
+     * @param {string} line - Trimmed line
+     * @param {string} marker - Opening marker, e.g. '~~~~'
+     * @returns {boolean}
+     */
+    static isFenceClose(line, marker) {
+        return new RegExp(`^${marker[0]}{${marker.length},}\\s*$`).test(line);
+    }
+
+    /**
+     * Follow fenced code line by line
+     * @param {string} line - Trimmed line
+     * @param {string|null} fence - Marker of the fence open before the line, null outside code
+     * @returns {string|null} - Marker of the fence open after the line
+     */
+    static trackFence(line, fence) {
+        if (fence) return MarkdownEscapes.isFenceClose(line, fence) ? null : fence;
+        const opening = MarkdownEscapes.matchFence(line);
+        return opening ? opening.marker : null;
+    }
+
+    /**
+     * Set the escapes of a markdown document aside (see the module comment)
+     * Fenced code and display math blocks are skipped line by line.
+     * @param {string} markdown - Markdown text
+     * @returns {string}
+     */
+    static protect(markdown) {
+        if (!markdown || !markdown.includes('\\')) return markdown;
+
+        const lines = markdown.split('\n');
+        let fence = null;
+        for (let i = 0; i < lines.length; i++) {
+            const inFence = fence;
+            fence = MarkdownEscapes.trackFence(lines[i].trim(), fence);
+            if (inFence || fence) continue;
+
+            const math = typeof MathSyntax !== 'undefined' ? MathSyntax.matchBlock(lines, i) : null;
+            if (math && math.end > i) {
+                i = math.end;
+                continue;
+            }
+
+            lines[i] = MarkdownEscapes.protectInline(lines[i]);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Set the escapes of inline source aside, leaving code spans and math alone
+     * @param {string} text - Inline source
+     * @returns {string}
+     */
+    static protectInline(text) {
+        if (!text || !text.includes('\\')) return text;
+        return MarkdownEscapes.replaceInline(text, {
+            escape: char => '\\' + MarkdownEscapes.getPlaceholder(char)
+        });
+    }
+
+    /**
+     * Turn protected escapes into their characters, escaped for HTML
+     * @param {string} html - Rendered HTML
+     * @returns {string}
+     */
+    static restore(html) {
+        if (!html) return html;
+        return html.replace(MarkdownEscapes.PROTECTED, (match, placeholder) =>
+            MarkdownEscapes.escapeHtml(MarkdownEscapes.getCharacter(placeholder)));
+    }
+
+    /**
+     * Turn protected escapes back into the markdown they were written as ('\*')
+     * For content where escapes don't apply (code, math).
+     * @param {string} text
+     * @returns {string}
+     */
+    static toSource(text) {
+        if (!text) return text;
+        return text.replace(MarkdownEscapes.PROTECTED, (match, placeholder) => '\\' + MarkdownEscapes.getCharacter(placeholder));
+    }
+
+    /**
+     * Turn text from the AST into plain text: protected escapes become their
+     * characters and entity references are decoded
+     * @param {string} text
+     * @returns {string}
+     */
+    static toText(text) {
+        if (!text) return text;
+        return MarkdownEscapes.decodeEntities(
+            text.replace(MarkdownEscapes.PROTECTED, (match, placeholder) => {
+                const char = MarkdownEscapes.getCharacter(placeholder);
+                return char === '&' ? '&amp;' : char; // '\&copy;' stays '&copy;' once decoded
+            })
+        );
+    }
+
+    /**
+     * Get the placeholder that stands for an escaped character
+     * @param {string} char - ASCII punctuation
+     * @returns {string}
+     */
+    static getPlaceholder(char) {
+        return String.fromCharCode(MarkdownEscapes.OFFSET + char.charCodeAt(0));
+    }
+
+    /**
+     * Get the character a placeholder stands for
+     * @param {string} placeholder
+     * @returns {string}
+     */
+    static getCharacter(placeholder) {
+        return String.fromCharCode(placeholder.charCodeAt(0) - MarkdownEscapes.OFFSET);
+    }
+
+    /**
+     * Decode entity references: numeric ones, and the named ones in NAMED_ENTITIES
+     * @param {string} text
+     * @returns {string}
+     */
+    static decodeEntities(text) {
+        if (!text || !text.includes('&')) return text;
+
+        return text.replace(/&(?:#([0-9]{1,7})|#[xX]([0-9a-fA-F]{1,6})|([A-Za-z][A-Za-z0-9]{1,31}));/g,
+            (match, decimal, hex, name) => {
+                if (name !== undefined) {
+                    return Object.prototype.hasOwnProperty.call(MarkdownEscapes.NAMED_ENTITIES, name)
+                        ? MarkdownEscapes.NAMED_ENTITIES[name]
+                        : match;
+                }
+                const code = decimal !== undefined ? parseInt(decimal, 10) : parseInt(hex, 16);
+                const valid = code > 0 && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF);
+                return String.fromCodePoint(valid ? code : 0xFFFD);
+            });
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    static escapeHtml(text) {
+        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownEscapes;
+}
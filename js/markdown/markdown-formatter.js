@@ -0,0 +1,692 @@
+/**
+ * Markdown Formatter Module
+ * Re-emits markdown source in one canonical style (Edit → Format Document)
+ *
+ *     Title            *   item          | a | bb |        __bold__ _em_
+ *     =====            *   item          |--|:-:|
+ *                      3) three          | ccc | d |
+ *
+ *     # Title          - item            | a   | bb  |     **bold** *em*
+ *                      - item            | --- | :-: |
+ *                      3) three          | ccc |  d  |
+ *
+ * - Bullets use one marker; ordered lists count up from their first number (or repeat it)
+ * - Setext headings of one unindented line become ATX headings (longer ones, and ones in
+ *   lists and quotes, are left as they are)
+ * - Emphasis and strong emphasis use one character; '_' is kept where '*' can't be used
+ *   in its place ('snake_case' stays text either way)
+ * - Table pipes are aligned
+ * - Prose can be wrapped at a column or unwrapped to one line per paragraph; hard line
+ *   breaks are kept, and with "newline = line break" on prose is never rewrapped
+ * - Front matter, code (fenced and indented), display math and raw HTML blocks are left
+ *   as written, and so are code spans, escapes, inline HTML and URLs
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only rewrites markdown source, doesn't render or save it
+ * - Open/Closed: Each rule is its own pass over the lines, switched by an option
+ */
+
+class MarkdownFormatter {
+    /**
+     * Options used when format() isn't given them (see SettingsManager 'format')
+     * @type {Object}
+     */
+    static DEFAULTS = {
+        listMarker: '-', // '-', '*' or '+'
+        orderedNumbering: 'sequential', // 'sequential' (1. 2. 3.) or 'repeat' (1. 1. 1.)
+        emphasis: '*', // '*' or '_'
+        strong: '**', // '**' or '__'
+        alignTables: true,
+        atxHeadings: true, // Setext headings become ATX
+        proseWrap: 'preserve', // 'preserve', 'wrap' (at wrapColumn) or 'unwrap' (one line per paragraph)
+        wrapColumn: 80,
+        breaks: false, // Newlines are line breaks (MarkdownParser.setBreaks): prose isn't rewrapped
+        frontMatter: true // The text starts the document, so a leading '---' block is front matter
+    };
+
+    /**
+     * @param {MarkdownParser} [markdownParser] - Parser whose ShortcutProcessor knows raw HTML blocks,
+     *        and whose BlockProcessor tells where headings can be
+     */
+    constructor(markdownParser) {
+        this.shortcutProcessor = (markdownParser && markdownParser.getShortcutProcessor()) || new ShortcutProcessor();
+        this.blockProcessor = (markdownParser && markdownParser.getBlockProcessor()) || new BlockProcessor();
+    }
+
+    /**
+     * Format markdown
+     * @param {string} markdown - Document source, or whole lines of it
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {string}
+     */
+    format(markdown, options = {}) {
+        if (!markdown) return '';
+
+        const settings = { ...MarkdownFormatter.DEFAULTS, ...options };
+        return this.formatLines(this.markLiteralLines(markdown.replace(/\r\n?/g, '\n').split('\n'), settings), settings);
+    }
+
+    /**
+     * Format the blocks a selection touches (Format Selection)
+     * The literal lines are found in the whole document, so a selection inside a fence or
+     * a raw HTML block is left as written, and the selection is widened to whole
+     * paragraphs, lists and literal blocks.
+     * @param {string} markdown - Document source, newlines as '\n' (as in a textarea)
+     * @param {number} start - Offset where the selection starts
+     * @param {number} end - Offset where it ends; a selection ending just after a newline
+     *        doesn't take in the next line
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {{start: number, end: number, text: string}} - Offsets of the lines formatted
+     *          and their new text
+     */
+    formatSelection(markdown, start, end, options = {}) {
+        const settings = { ...MarkdownFormatter.DEFAULTS, ...options };
+        const source = markdown || '';
+        const lines = this.markLiteralLines(source.split('\n'), settings);
+
+        const lineOf = offset => source.slice(0, offset).split('\n').length - 1;
+        const { first, last } = this.widenToBlocks(lines,
+            lineOf(start), lineOf(end > start && source[end - 1] === '\n' ? end - 1 : end));
+
+        const from = lines.slice(0, first).reduce((offset, line) => offset + line.text.length + 1, 0);
+        const to = from + lines.slice(first, last + 1).map(line => line.text).join('\n').length;
+        return { start: from, end: to, text: this.formatLines(lines.slice(first, last + 1), settings) };
+    }
+
+    /**
+     * Run the formatting passes over marked lines
+     * @param {Array<Object>} lines - From markLiteralLines() (changed in place)
+     * @param {Object} settings - Formatting options
+     * @returns {string}
+     */
+    formatLines(lines, settings) {
+        if (settings.atxHeadings) {
+            lines = this.convertSetextHeadings(lines);
+        }
+        this.formatLists(lines, settings);
+        lines.forEach(line => {
+            if (!line.literal) line.text = this.formatEmphasis(line.text, settings);
+        });
+        if (settings.alignTables) {
+            this.alignTables(lines);
+        }
+        if (settings.proseWrap !== 'preserve' && !settings.breaks) {
+            lines = this.wrapProse(lines, settings);
+        }
+
+        return lines.map(line => line.text).join('\n');
+    }
+
+    /**
+     * Mark the lines that are left as written: front matter, fenced code at any indent,
+     * code block shortcuts, display math, raw HTML blocks and indented code
+     * @param {string[]} lines - Source lines
+     * @param {Object} settings - Formatting options
+     * @returns {Array<{text: string, literal: boolean, listItem: boolean}>} - listItem: a fence opening
+     *          on a list item's line
+     */
+    markLiteralLines(lines, settings) {
+        const result = lines.map(text => ({ text, literal: false }));
+        const mark = (from, to) => {
+            for (let j = from; j <= to; j++) result[j].literal = true;
+        };
+
+        // Code block shortcuts ('code: js' ... 'endcode:', '[code]' ... '[/code]')
+        const source = lines.join('\n');
+        for (const { pattern } of this.shortcutProcessor.getActiveShortcuts('codeBlock')) {
+            for (const match of source.matchAll(pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g'))) {
+                const first = source.slice(0, match.index).split('\n').length - 1;
+                mark(first, first + match[0].split('\n').length - 1);
+            }
+        }
+
+        let i = 0;
+        const frontMatter = settings.frontMatter ? FrontMatter.extract(source) : null;
+        if (frontMatter) {
+            mark(0, frontMatter.lineCount - 1);
+            i = frontMatter.lineCount;
+        }
+
+        let listContent = -1; // Content column of the open list's last item
+        let previousCode = false;
+        for (; i < lines.length; i++) {
+            const text = lines[i];
+            const previousBlank = i === 0 || !lines[i - 1].trim();
+            const indent = this.getIndent(text);
+            if (text.trim() && indent === 0 && previousBlank && !this.matchListItem(text)) {
+                listContent = -1;
+            }
+
+            // Fenced code, also in list items and block quotes
+            const fence = text.match(/^(?:\s*>)*(?:\s*(?:[-*+]|\d{1,9}[.)]) )?\s*(`{3,}|~{3,})/);
+            if (fence && !(fence[1][0] === '`' && text.slice(fence[0].length).includes('`'))) {
+                const closing = new RegExp(`^(?:\\s*>)*\\s*${fence[1][0]}{${fence[1].length},}\\s*$`);
+                let end = i + 1;
+                while (end < lines.length && !closing.test(lines[end])) end++;
+                mark(i, Math.min(end, lines.length - 1));
+                result[i].listItem = !!this.matchListItem(text); // Its marker is still formatted
+                i = end;
+                continue;
+            }
+
+            const math = typeof MathSyntax !== 'undefined' ? MathSyntax.matchBlock(lines, i) : null;
+            const html = this.shortcutProcessor.findBlockEnd(lines, i);
+            if (math || html !== -1) {
+                const end = math ? math.end : html;
+                mark(i, end);
+                i = end;
+                continue;
+            }
+
+            // Indented code: four columns past the list content (or the margin), after a blank line
+            if (text.trim() && (previousBlank || previousCode) && indent >= (listContent >= 0 ? listContent + 4 : 4)) {
+                mark(i, i);
+                previousCode = true;
+                continue;
+            }
+            previousCode = previousCode && !text.trim();
+
+            const item = this.matchListItem(text);
+            if (item && !this.isThematicBreak(text)) {
+                listContent = item.contentIndent;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Widen a range of lines to the blocks it touches: out to blank lines that are neither
+     * inside a literal block nor followed by indented lines (more of a list item)
+     * @param {Array<Object>} lines - Marked lines
+     * @param {number} first - Index of the first line
+     * @param {number} last - Index of the last line
+     * @returns {{first: number, last: number}}
+     */
+    widenToBlocks(lines, first, last) {
+        // Whether a block ends between lines i - 1 and i
+        const isBoundary = i => {
+            if ((lines[i - 1].literal && lines[i].literal) || (lines[i - 1].text.trim() && lines[i].text.trim())) {
+                return false;
+            }
+            const next = lines.slice(i).find(line => line.text.trim());
+            return !next || this.getIndent(next.text) === 0;
+        };
+
+        while (first > 0 && !isBoundary(first)) first--;
+        while (last + 1 < lines.length && !isBoundary(last + 1)) last++;
+        return { first, last };
+    }
+
+    /**
+     * Turn setext headings ('Title' over '=====' or '-----') into ATX headings ('# Title')
+     * Only where the parser reads the same heading either way: the text is one unindented
+     * line that starts a paragraph (after a blank line, a heading or a rule), so the
+     * line before it doesn't join the heading.
+     * @param {Array<Object>} lines - Marked lines
+     * @returns {Array<Object>}
+     */
+    convertSetextHeadings(lines) {
+        const result = [];
+        let canStart = true; // Whether a paragraph can start at the next line
+        let heading = false; // Whether the last line can be a heading's text
+
+        lines.forEach(line => {
+            const text = line.text;
+            const underline = !line.literal && text.match(/^ {0,3}(=+|-+)[ \t]*$/);
+
+            if (underline && heading) {
+                const content = result.pop().text.trim()
+                    .replace(/(\s)(#+)$/, '$1\\$2'); // 'Use #' would lose its '#' as a closing sequence
+                result.push({ text: `${underline[1][0] === '=' ? '#' : '##'} ${content}`, literal: false });
+                canStart = true;
+                heading = false;
+                return;
+            }
+
+            result.push(line);
+            const trimmed = text.trim();
+            heading = canStart && !line.literal && this.getIndent(text) === 0 && this.isPlainLine(text) &&
+                !this.blockProcessor.startsBlock(text) && !TableOfContents.isMarker(trimmed);
+            canStart = !line.literal &&
+                (!trimmed || !!this.blockProcessor.isHeading(trimmed) || !!this.blockProcessor.isHorizontalRule(trimmed));
+        });
+
+        return result;
+    }
+
+    /**
+     * Use one bullet marker, a single space after markers, and number ordered lists,
+     * also in block quotes
+     * @param {Array<Object>} lines - Marked lines (changed in place)
+     * @param {Object} settings - Formatting options
+     */
+    formatLists(lines, settings) {
+        // Lists in block quotes are formatted like the document, with the '>' markers set aside
+        for (let i = 0; i < lines.length; i++) {
+            const quote = /^\s*> ?/;
+            if (!quote.test(lines[i].text)) continue;
+
+            let end = i;
+            while (end < lines.length && quote.test(lines[end].text)) end++;
+            const quoted = lines.slice(i, end);
+            const prefixes = quoted.map(line => line.text.match(quote)[0]);
+            const content = quoted.map((line, k) => ({ ...line, text: line.text.slice(prefixes[k].length) }));
+            this.formatLists(content, settings);
+            content.forEach((line, k) => {
+                quoted[k].text = prefixes[k] + line.text;
+            });
+            i = end - 1;
+        }
+
+        const lists = []; // Open lists, outermost first: {indent, contentIndent, ordered, delimiter, next}
+        let previous = 'blank'; // 'blank', 'item' or 'text'
+
+        lines.forEach(line => {
+            const text = line.text;
+            if (line.literal && !line.listItem) {
+                previous = 'text';
+                return;
+            }
+            if (!text.trim()) {
+                previous = 'blank';
+                return;
+            }
+
+            const indent = this.getIndent(text);
+            let item = this.isThematicBreak(text) ? null : this.matchListItem(text);
+            const sibling = item ? lists.find(list => list.indent === item.indent) : null;
+            const continues = !!sibling && sibling.ordered === item.ordered && sibling.delimiter === item.delimiter;
+
+            // A new list interrupting a paragraph must start with 1 and have content
+            if (item && !continues && previous === 'text' && !lists.some(list => item.indent >= list.contentIndent) &&
+                (item.ordered ? item.number !== 1 : !item.content)) {
+                item = null;
+            }
+
+            if (!item) {
+                const interrupts = /^ {0,3}(#{1,6}(\s|$)|>)/.test(text) || this.isThematicBreak(text);
+                if (previous === 'blank' || interrupts) {
+                    while (lists.length > 0 && lists[lists.length - 1].contentIndent > indent) lists.pop();
+                }
+                previous = 'text';
+                return;
+            }
+
+            // Deeper lists end at a sibling or parent item; so does a list of another kind
+            while (lists.length > 0 && lists[lists.length - 1].indent > item.indent) lists.pop();
+            if (lists.length > 0 && lists[lists.length - 1].indent === item.indent && !continues) {
+                lists.pop();
+            }
+
+            const top = lists[lists.length - 1];
+            let marker;
+            if (item.ordered) {
+                const list = continues ? top : null;
+                const number = list && settings.orderedNumbering === 'sequential' ? list.next
+                    : list ? list.start : item.number;
+                marker = `${number}${item.delimiter}`;
+                if (list) {
+                    list.next = number + 1;
+                    list.contentIndent = item.contentIndent;
+                } else {
+                    lists.push({ ...item, start: item.number, next: item.number + 1 });
+                }
+            } else {
+                // Every bullet takes the one marker, so bullet lists right after one another join
+                marker = settings.listMarker;
+                if (continues) {
+                    top.contentIndent = item.contentIndent;
+                } else {
+                    lists.push({ ...item });
+                }
+            }
+
+            const gap = item.gap > 4 ? ' '.repeat(item.gap) : ' '; // More is indented code inside the item
+            line.text = ' '.repeat(item.indent) + marker + (item.content ? gap + item.content : '');
+            previous = 'item';
+        });
+    }
+
+    /**
+     * Use the configured characters for emphasis and strong emphasis
+     * @param {string} text - Source line
+     * @param {Object} settings - Formatting options
+     * @returns {string}
+     */
+    formatEmphasis(text, settings) {
+        if (!/[*_]/.test(text) || this.isThematicBreak(text) || /^ {0,3}\[[^\]]+\]:/.test(text)) return text;
+
+        const regions = [];
+        let result = this.protectInline(text, regions);
+
+        const from = settings.emphasis === '_' ? '*' : '_';
+        const to = from === '*' ? '_' : '*';
+        const strong = settings.strong === '__' ? '__' : '**';
+        const pattern = (marker, count) => {
+            const m = `\\${marker}`.repeat(count);
+            // Opens after a non-word character and closes before one ('snake_case' isn't emphasis)
+            return new RegExp(`(^|[^\\w\\\\${marker}])${m}(?=[^\\s${marker}])(.+?)(?<=[^\\s${marker}])${m}(?![\\w${marker}])`, 'g');
+        };
+
+        // Bold italic, strong emphasis, then emphasis; '*' within a word stays, as '_' can't go there
+        result = result
+            .replace(pattern(from, 3), `$1${strong[0]}${strong}$2${strong}${strong[0]}`)
+            .replace(pattern(strong[0] === '*' ? '_' : '*', 2), `$1${strong}$2${strong}`)
+            .replace(pattern(from, 1), `$1${to}$2${to}`);
+
+        return this.restoreInline(result, regions);
+    }
+
+    /**
+     * Align the pipes of tables, padding cells to their column's width
+     * @param {Array<Object>} lines - Marked lines (changed in place)
+     */
+    alignTables(lines) {
+        for (const { start, end } of this.findTables(lines)) {
+            const indent = lines[start].text.match(/^\s*/)[0];
+            const alignments = TableSyntax.parseAlignments(lines[start + 1].text);
+            const count = alignments.length;
+
+            const rows = lines.slice(start, end + 1).map(line =>
+                TableSyntax.normalizeCells(
+                    TableSyntax.splitRow(line.text).map(cell => line.text.slice(cell.start, cell.end)),
+                    count,
+                    () => ''
+                ));
+
+            const widths = alignments.map((alignment, column) => Math.max(3,
+                ...rows.map((cells, row) => row === 1 ? 0 : this.getWidth(cells[column]))));
+
+            rows.forEach((cells, row) => {
+                const text = cells.map((cell, column) => {
+                    const width = widths[column];
+                    const alignment = alignments[column];
+                    if (row === 1) {
+                        const dashes = '-'.repeat(width - (alignment === 'center' ? 2 : alignment ? 1 : 0));
+                        return alignment === 'center' ? `:${dashes}:` : alignment === 'left' ? `:${dashes}`
+                            : alignment === 'right' ? `${dashes}:` : dashes;
+                    }
+                    const padding = width - this.getWidth(cell);
+                    if (alignment === 'right') return ' '.repeat(padding) + cell;
+                    if (alignment === 'center') {
+                        const left = Math.floor(padding / 2);
+                        return ' '.repeat(left) + cell + ' '.repeat(padding - left);
+                    }
+                    return cell + ' '.repeat(padding);
+                });
+                lines[start + row].text = `${indent}| ${text.join(' | ')} |`;
+            });
+        }
+    }
+
+    /**
+     * Find the tables: a header row, a separator row, and the rows after them
+     * @param {Array<Object>} lines - Marked lines
+     * @returns {Array<{start: number, end: number}>} - Line indexes of each table
+     */
+    findTables(lines) {
+        // Rows start and end with a pipe, as BlockProcessor reads them
+        const isRow = line => !!line && !line.literal && /^\|.*\|$/.test(line.text.trim());
+
+        const tables = [];
+        for (let i = 0; i + 1 < lines.length; i++) {
+            if (!isRow(lines[i]) || lines[i + 1].literal || !TableSyntax.isTableStart(lines[i].text, lines[i + 1].text)) {
+                continue;
+            }
+            let end = i + 1;
+            while (isRow(lines[end + 1])) end++;
+            tables.push({ start: i, end });
+            i = end;
+        }
+        return tables;
+    }
+
+    /**
+     * Wrap paragraphs at the column, or join each onto one line
+     * Paragraphs in list items and block quotes keep their markers and indentation.
+     * @param {Array<Object>} lines - Marked lines
+     * @param {Object} settings - Formatting options
+     * @returns {Array<Object>}
+     */
+    wrapProse(lines, settings) {
+        const inTable = new Set();
+        this.findTables(lines).forEach(({ start, end }) => {
+            for (let i = start; i <= end; i++) inTable.add(i);
+        });
+        const isProse = i => i < lines.length && !lines[i].literal && !inTable.has(i) && !!lines[i].text.trim();
+
+        const result = [];
+        for (let i = 0; i < lines.length; i++) {
+            const paragraph = isProse(i) ? this.matchParagraphStart(lines[i].text) : null;
+            if (!paragraph) {
+                result.push(lines[i]);
+                continue;
+            }
+
+            // Lines continuing the paragraph: same quote prefix, not starting a block
+            const contents = [paragraph.content];
+            while (isProse(i + 1)) {
+                const next = lines[i + 1].text;
+                if (paragraph.quote) {
+                    if (!next.startsWith(paragraph.quote)) break;
+                    const content = next.slice(paragraph.quote.length);
+                    if (!content.trim() || this.isBlockStart(content.trim())) break;
+                    contents.push(content.trimStart());
+                } else {
+                    if (this.isBlockLine(next)) break;
+                    contents.push(next.trimStart());
+                }
+                i++;
+            }
+
+            this.wrapParagraph(contents, paragraph.firstPrefix, paragraph.prefix, settings)
+                .forEach(text => result.push({ text, literal: false }));
+        }
+
+        return result;
+    }
+
+    /**
+     * Check if a line starts a paragraph that can be rewrapped
+     * @param {string} text - Source line
+     * @returns {{firstPrefix: string, prefix: string, content: string, quote: string|null}|null} -
+     *          the prefixes of the first and following lines
+     */
+    matchParagraphStart(text) {
+        const quote = text.match(/^( {0,3}(?:> ?)+)(.*)$/);
+        if (quote) {
+            const content = quote[2].trim();
+            if (!content || this.isBlockStart(content) || Callouts.matchAlert(content)) return null;
+            return { firstPrefix: quote[1], prefix: quote[1], content: quote[2].trimStart(), quote: quote[1] };
+        }
+
+        const item = this.isThematicBreak(text) ? null : this.matchListItem(text);
+        if (item) {
+            if (!item.content || item.gap > 4 || this.isBlockStart(item.content)) return null;
+            const firstPrefix = text.slice(0, text.length - item.content.length);
+            return { firstPrefix, prefix: ' '.repeat(firstPrefix.length), content: item.content, quote: null };
+        }
+
+        const indent = text.match(/^\s*/)[0];
+        if (this.isBlockLine(text)) return null;
+        return { firstPrefix: indent, prefix: indent, content: text.slice(indent.length), quote: null };
+    }
+
+    /**
+     * Lay out a paragraph's words, keeping hard line breaks at the end of their lines
+     * @param {string[]} contents - Content of the paragraph's lines, without their indentation
+     * @param {string} firstPrefix - Text before the first line's content (a list marker, '> ')
+     * @param {string} prefix - Text before the other lines' content
+     * @param {Object} settings - Formatting options
+     * @returns {string[]}
+     */
+    wrapParagraph(contents, firstPrefix, prefix, settings) {
+        const width = settings.proseWrap === 'wrap' ? settings.wrapColumn : Infinity;
+        const output = [];
+        let words = [];
+
+        const flush = lineBreak => {
+            const regions = [];
+            const tokens = this.protectInline(words.join(' '), regions, true).split(/\s+/).filter(Boolean);
+            let current = '';
+            let currentWidth = 0;
+
+            tokens.forEach((token, index) => {
+                const word = this.restoreInline(token, regions);
+                const linePrefix = output.length === 0 ? firstPrefix : prefix;
+                const fits = linePrefix.length + currentWidth + 1 + this.getWidth(word) <= width;
+                // Words that would start a block at the start of a line stay on the line before
+                if (!current || fits || this.isBlockLine(this.restoreInline(tokens.slice(index).join(' '), regions))) {
+                    current += (current ? ' ' : '') + word;
+                    currentWidth += (currentWidth ? 1 : 0) + this.getWidth(word);
+                } else {
+                    output.push(linePrefix + current);
+                    current = word;
+                    currentWidth = this.getWidth(word);
+                }
+            });
+
+            output.push((output.length === 0 ? firstPrefix : prefix) + current + lineBreak);
+            words = [];
+        };
+
+        contents.forEach((content, index) => {
+            const lineBreak = content.match(/( {2,}|\\)$/);
+            words.push(lineBreak ? content.slice(0, -lineBreak[1].length).trimEnd() : content.trimEnd());
+            if (lineBreak && index < contents.length - 1) {
+                flush(lineBreak[1]);
+            }
+        });
+        flush('');
+
+        return output;
+    }
+
+    /**
+     * Set code spans, escapes, math, inline HTML, URLs and link destinations aside as placeholders
+     * @param {string} text - Inline source
+     * @param {string[]} regions - Receives the regions as written
+     * @param {boolean} [spans=false] - Also set aside what can't be broken across lines: inline
+     *        shortcuts, links and emphasis (MarkdownParser reads them within a line)
+     * @returns {string}
+     */
+    protectInline(text, regions, spans = false) {
+        const add = source => this.shortcutProcessor.addRegion(source, regions);
+
+        let result = MarkdownEscapes.replaceInline(text, {
+            escape: (char, source) => add(source),
+            code: (content, source) => add(source)
+        });
+        if (typeof MathSyntax !== 'undefined') {
+            result = MathSyntax.replaceInline(result, (match, source) => add(source));
+        }
+
+        if (spans) {
+            result = this.shortcutProcessor.getActiveShortcuts('inline')
+                .reduce((current, shortcut) => current.replace(shortcut.pattern, add), result)
+                .replace(/!?\[[^\]]*\]\([^)]*\)/g, add)
+                .replace(/(\*{1,3}|_{1,3}|~~|==|\+\+)(?=[^\s*_])[^\n]*?[^\s*_]\1/g, add);
+        }
+
+        return result
+            .replace(/<\/?[A-Za-z][^<>\n]*>/g, add)
+            .replace(/\]\([^)\s]*/g, match => `]${add(match.slice(1))}`)
+            .replace(/\b(?:https?:\/\/|www\.)[^\s<>[\]]*/g, add);
+    }
+
+    /**
+     * Put the regions set aside by protectInline() back
+     * @param {string} text
+     * @param {string[]} regions
+     * @returns {string}
+     */
+    restoreInline(text, regions) {
+        return text.replace(/\uE002(\d+)\uE003/g, (match, index) =>
+            regions[index] !== undefined ? this.restoreInline(regions[index], regions) : match);
+    }
+
+    /**
+     * Match a list item line
+     * @param {string} text - Source line
+     * @returns {{indent: number, ordered: boolean, number: number, delimiter: string, gap: number,
+     *          content: string, contentIndent: number}|null}
+     */
+    matchListItem(text) {
+        const match = text.match(/^( *)([-*+]|(\d{1,9})([.)]))( +|$)(.*)$/);
+        if (!match) return null;
+
+        const indent = match[1].length;
+        const gap = match[6] ? match[5].length : 1;
+        return {
+            indent,
+            ordered: match[3] !== undefined,
+            number: match[3] !== undefined ? parseInt(match[3], 10) : null,
+            delimiter: match[4] || match[2],
+            gap,
+            content: match[6],
+            contentIndent: indent + match[2].length + (gap > 4 ? 1 : gap)
+        };
+    }
+
+    /**
+     * Check if a line is a thematic break (---, ***, _ _ _)
+     * @param {string} text - Source line
+     * @returns {boolean}
+     */
+    isThematicBreak(text) {
+        return /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(text);
+    }
+
+    /**
+     * Check if a line starts a block: markdown syntax, or a line shortcut ('h2: Title', 'todo: x')
+     * @param {string} text - Source line
+     * @returns {boolean}
+     */
+    isBlockLine(text) {
+        return this.isBlockStart(text.trim()) ||
+            this.shortcutProcessor.getActiveShortcuts('block').some(shortcut => text.search(shortcut.pattern) !== -1);
+    }
+
+    /**
+     * Check if a line is paragraph text, not markdown or shortcut block syntax
+     * @param {string} text - Source line
+     * @returns {boolean}
+     */
+    isPlainLine(text) {
+        return this.getIndent(text) < 4 && !this.isBlockLine(text);
+    }
+
+    /**
+     * Check if text at the start of a line would start a block instead of continuing a paragraph
+     * @param {string} text - Trimmed line (or a word)
+     * @returns {boolean}
+     */
+    isBlockStart(text) {
+        return /^(#{1,6}(\s|$)|>|[-+*](\s|$)|\d{1,9}[.)](\s|$)|`{3,}|~{3,}|:{3,}|\$\$|<|\[[^\]]+\]:|\||(=+|-+)\s*$)/.test(text) ||
+            this.isThematicBreak(text);
+    }
+
+    /**
+     * Get the indentation of a line in columns (a tab counts as 4)
+     * @param {string} text
+     * @returns {number}
+     */
+    getIndent(text) {
+        return text.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+    }
+
+    /**
+     * Get the width of text in characters (code points)
+     * @param {string} text
+     * @returns {number}
+     */
+    getWidth(text) {
+        return [...text].length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownFormatter;
+}
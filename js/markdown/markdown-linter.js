@@ -0,0 +1,544 @@
+/**
+ * Markdown Linter Module
+ * Checks a document against style and correctness rules and reports the problems found
+ *
+ *     # Title                  ### Details            ![](chart.png)     see https://example.com
+ *     heading-increment: h1 → h3                      image-alt          bare-url
+ *
+ * - Each rule has a name, a severity ('error', 'warning' or 'off') and a check; severities
+ *   can be changed per call (see SettingsManager 'lint.rules') and rules added with addRule()
+ * - Diagnostics point into the source as written: 0-based line, and the columns of the
+ *   problem in that line
+ * - The document is read as the parser reads it (MarkdownParser.parseToAst): headings,
+ *   lists, code and math come from its AST, so 'h3: Details' is a heading and
+ *   '[img]x[/img]' an image without alt text
+ * - Front matter, code, display math and raw HTML blocks aren't checked, nor are code
+ *   spans, escapes and inline math
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only finds problems, doesn't show or fix them
+ * - Open/Closed: Rules are registered by name, each a function over the document
+ */
+
+class MarkdownLinter {
+    /**
+     * Severities a rule can have
+     * @type {string[]}
+     */
+    static SEVERITIES = ['error', 'warning', 'off'];
+
+    /**
+     * Longest line allowed by 'line-length' when lint() isn't given one
+     * @type {number}
+     */
+    static DEFAULT_MAX_LINE_LENGTH = 120;
+
+    /**
+     * Stands in for code spans, escapes and inline math while lines are checked
+     * @type {string}
+     */
+    static MASK = '\uE004';
+
+    /**
+     * @param {MarkdownParser} [markdownParser] - Parser whose shortcuts and heading ids apply
+     */
+    constructor(markdownParser) {
+        this.markdownParser = markdownParser || null;
+        this.shortcutProcessor = (markdownParser && markdownParser.getShortcutProcessor()) || new ShortcutProcessor();
+        this.formatter = new MarkdownFormatter(markdownParser);
+        this.rules = [];
+        this.initializeDefaultRules();
+    }
+
+    /**
+     * Register the built-in rules
+     */
+    initializeDefaultRules() {
+        this.addRule('heading-increment', 'warning', 'Heading levels go up one at a time',
+            context => this.checkHeadingIncrement(context));
+        this.addRule('duplicate-heading', 'warning', 'Headings have different text',
+            context => this.checkDuplicateHeadings(context));
+        this.addRule('image-alt', 'warning', 'Images have alt text',
+            context => this.checkImageAlt(context));
+        this.addRule('bare-url', 'warning', 'URLs are links or in angle brackets',
+            context => this.checkBareUrls(context));
+        this.addRule('broken-anchor', 'error', 'Links to #anchors point at a heading or element in the document',
+            context => this.checkAnchors(context));
+        this.addRule('trailing-spaces', 'warning', 'Lines don\'t end in spaces (except a two-space line break)',
+            context => this.checkTrailingSpaces(context));
+        this.addRule('list-marker', 'warning', 'Bullet lists use the same marker',
+            context => this.checkListMarkers(context));
+        this.addRule('line-length', 'off', 'Lines are no longer than the maximum length',
+            context => this.checkLineLength(context));
+    }
+
+    /**
+     * Add a rule
+     * @param {string} name - Rule identifier ('kebab-case')
+     * @param {string} severity - Default severity: 'error', 'warning' or 'off'
+     * @param {string} description - What the rule expects, for the Settings panel
+     * @param {Function} check - (context) => Array<{line, column, endColumn, message}>;
+     *        context is { markdown, lines, literal, expanded, masked, ast, toSource, settings }
+     *        (see createContext)
+     */
+    addRule(name, severity, description, check) {
+        this.rules = this.rules.filter(rule => rule.name !== name);
+        this.rules.push({ name, severity, description, check });
+    }
+
+    /**
+     * Get the rules, in the order they run
+     * @returns {Array<{name: string, severity: string, description: string}>} - severity is the default
+     */
+    getRules() {
+        return this.rules.map(({ name, severity, description }) => ({ name, severity, description }));
+    }
+
+    /**
+     * Check a document
+     * @param {string} markdown - Document source
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.rules] - Severity by rule name; rules not listed
+     *        keep their default
+     * @param {number} [options.maxLineLength] - Longest line allowed by 'line-length'
+     * @returns {Array<{rule: string, severity: string, message: string, line: number, column: number,
+     *          endColumn: number}>} - In document order
+     */
+    lint(markdown, options = {}) {
+        if (!markdown) return [];
+
+        const severities = options.rules || {};
+        const active = this.rules
+            .map(rule => ({ ...rule, severity: severities[rule.name] || rule.severity }))
+            .filter(rule => rule.severity !== 'off');
+        if (active.length === 0) return [];
+
+        const context = this.createContext(markdown.replace(/\r\n?/g, '\n'), {
+            maxLineLength: options.maxLineLength || MarkdownLinter.DEFAULT_MAX_LINE_LENGTH
+        });
+
+        const diagnostics = [];
+        for (const rule of active) {
+            for (const problem of rule.check(context)) {
+                diagnostics.push({ rule: rule.name, severity: rule.severity, ...problem });
+            }
+        }
+
+        return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    /**
+     * Get the parser documents are read with, created on first use when none was given
+     * @returns {MarkdownParser}
+     */
+    getParser() {
+        if (!this.markdownParser) {
+            this.markdownParser = new MarkdownParser();
+        }
+        return this.markdownParser;
+    }
+
+    /**
+     * Prepare what the rules read, once per lint() call
+     * @param {string} markdown - Document source, newlines normalized
+     * @param {Object} settings - { maxLineLength }
+     * @returns {Object} - lines: source lines; literal[i]: the line isn't checked;
+     *          expanded[i]: the line with shortcuts expanded; masked[i]: expanded, with code spans,
+     *          escapes and inline math masked; ast: the document's AST; toSource(line): the
+     *          source line an AST line comes from
+     */
+    createContext(markdown, settings) {
+        const lines = markdown.split('\n');
+        const expandedMarkdown = this.shortcutProcessor.process(markdown);
+        const ast = this.getParser().parseToAst(markdown);
+        const sourceLines = this.mapExpandedLines(markdown, expandedMarkdown);
+        const toSource = line => sourceLines[Math.min(line, sourceLines.length - 1)];
+        const literal = this.findLiteralLines(lines, ast, toSource);
+
+        // Expanding the whole document is quicker; line by line when shortcuts add or remove lines
+        let expanded = expandedMarkdown.split('\n');
+        if (expanded.length !== lines.length) {
+            expanded = lines.map(text => text.trim() ? this.shortcutProcessor.process(text) : text);
+        }
+        expanded = expanded.map((text, i) => literal[i] ? lines[i] : text);
+        const masked = expanded.map((text, i) => literal[i] ? '' : this.mask(text));
+
+        return { markdown, lines, literal, expanded, masked, ast, toSource, settings };
+    }
+
+    /**
+     * Find the source line each line of the expanded document comes from
+     * Shortcuts can add or remove lines ('[code]x[/code]' becomes a fence); the lines of a
+     * changed region are matched up in order (see TextDiff).
+     * @param {string} markdown - Document source
+     * @param {string} expanded - The document with shortcuts expanded
+     * @returns {number[]} - Source line of each expanded line
+     */
+    mapExpandedLines(markdown, expanded) {
+        const count = expanded.split('\n').length;
+        const sourceCount = markdown.split('\n').length;
+        if (count === sourceCount || typeof TextDiff === 'undefined') {
+            return Array.from({ length: count }, (value, line) => Math.min(line, sourceCount - 1));
+        }
+
+        const map = [];
+        let deleted = []; // Source lines of the changed region so far
+        let inserted = 0;
+        for (const change of TextDiff.diffLines(markdown, expanded)) {
+            if (change.type === 'equal') {
+                map.push(change.beforeLine - 1);
+                deleted = [];
+                inserted = 0;
+            } else if (change.type === 'delete') {
+                deleted.push(change.beforeLine - 1);
+            } else {
+                // An added line belongs to the source line it replaces, or to the one before it
+                const previous = map.length > 0 ? map[map.length - 1] : 0;
+                map.push(deleted.length > 0 ? deleted[Math.min(inserted, deleted.length - 1)] : previous);
+                inserted++;
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Find the lines the rules don't check: front matter, code blocks and display math from
+     * the AST, and raw HTML blocks, which ShortcutProcessor sets aside before parsing
+     * @param {string[]} lines - Source lines
+     * @param {Object} ast - From MarkdownParser.parseToAst()
+     * @param {Function} toSource - (line) => source line of an AST line
+     * @returns {boolean[]}
+     */
+    findLiteralLines(lines, ast, toSource) {
+        const literal = lines.map(() => false);
+        const mark = (from, to) => {
+            for (let i = from; i <= to; i++) literal[i] = true;
+        };
+
+        const { FRONT_MATTER, CODE_BLOCK, MATH } = MarkdownAst.NodeType;
+        for (const type of [FRONT_MATTER, CODE_BLOCK, MATH]) {
+            for (const node of MarkdownAst.findAll(ast, type)) {
+                if (node.position) mark(toSource(node.position.start.line), toSource(node.position.end.line));
+            }
+        }
+
+        for (let i = 0; i < lines.length; i++) {
+            if (literal[i]) continue;
+
+            const end = this.shortcutProcessor.findBlockEnd(lines, i);
+            if (end !== -1) {
+                mark(i, end);
+                i = end;
+            }
+        }
+        return literal;
+    }
+
+    /**
+     * Hide code spans, escapes and inline math behind MASK, keeping the length of the text
+     * @param {string} text - Line
+     * @returns {string}
+     */
+    mask(text) {
+        const hide = (...args) => MarkdownLinter.MASK.repeat(args[args.length - 1].length);
+        let result = MarkdownEscapes.replaceInline(text, {
+            escape: (char, source) => hide(source),
+            code: (content, source) => hide(source)
+        });
+        if (typeof MathSyntax !== 'undefined') {
+            result = MathSyntax.replaceInline(result, (match, source) => hide(source));
+        }
+        return result.replace(/<!--.*?-->/g, match => hide(match));
+    }
+
+    /**
+     * Find where text matched in an expanded line is in the source line
+     * Where a shortcut changed the line and the text isn't in the source, the whole line is meant.
+     * @param {Object} context - From createContext()
+     * @param {number} line - Line index
+     * @param {string} text - Matched text
+     * @param {number} index - Offset of the match in the expanded line
+     * @returns {{line: number, column: number, endColumn: number}}
+     */
+    locate(context, line, text, index) {
+        const source = context.lines[line];
+        let column = source === context.expanded[line] ? index : source.indexOf(text);
+        let endColumn = column + text.length;
+        if (column === -1) {
+            column = source.length - source.trimStart().length;
+            endColumn = source.trimEnd().length;
+        }
+        return { line, column, endColumn };
+    }
+
+    /**
+     * Find the headings of the document, shortcut headings included
+     * @param {Object} context - From createContext()
+     * @returns {Array<{line: number, level: number, text: string, id: string, column: number,
+     *          endColumn: number}>} - text is plain text; id is the heading's anchor
+     */
+    getHeadings(context) {
+        if (context.headings) return context.headings;
+
+        context.headings = MarkdownAst.findAll(context.ast, MarkdownAst.NodeType.HEADING).map(node => {
+            const line = context.toSource(node.position.start.line);
+            const source = context.lines[line];
+            return {
+                line,
+                level: node.level,
+                text: MarkdownAst.toPlainText(node).trim(),
+                id: node.id,
+                column: source.length - source.trimStart().length,
+                endColumn: source.trimEnd().length
+            };
+        });
+        return context.headings;
+    }
+
+    /**
+     * heading-increment: a heading is at most one level deeper than the one before it
+     * @param {Object} context - From createContext()
+     * @returns {Array<Object>}
+     */
+    checkHeadingIncrement(context) {
+        const problems = [];
+        let previous = 0;
+        for (const heading of this.getHeadings(context)) {
+            if (previous && heading.level > previous + 1) {
+                problems.push({
+                    line: heading.line,
+                    column: heading.column,
+                    endColumn: heading.endColumn,
+                    message: `Heading level skips from h${previous} to h${heading.level}`
+                });
+            }
+            previous = heading.level;
+        }
+        return problems;
+    }
+
+    /**
+     * duplicate-heading: no two headings have the same anchor text
+     * @param {Object} context - From createContext()
+     * @returns {Array<Object>}
+     */
+    checkDuplicateHeadings(context) {
+        const problems = [];
+        const seen = new Map(); // slug -> line of the first heading with it
+        for (const heading of this.getHeadings(context)) {
+            const slug = HeadingSlugger.slugify(heading.text);
+            if (!slug) continue;
+
+            if (seen.has(slug)) {
+                problems.push({
+                    line: heading.line,
+                    column: heading.column,
+                    endColumn: heading.endColumn,
+                    message: `Duplicate heading "${heading.text}" (first on line ${seen.get(slug) + 1})`
+                });
+            } else {
+                seen.set(slug, heading.line);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * image-alt: images have alt text ('![](x)' and '<img>' without alt don't)
+     * @param {Object} context - From createContext()
+     * @returns {Array<Object>}
+     */
+    checkImageAlt(context) {
+        const problems = [];
+        context.masked.forEach((text, i) => {
+            for (const match of text.matchAll(/!\[\s*\](?:\([^)]*\)|\[[^\]]*\])|<img\b[^>]*>/gi)) {
+                if (match[0][0] === '<' && /\balt\s*=\s*(?:"[^"]*\S[^"]*"|'[^']*\S[^']*'|[^\s"'>]+)/i.test(match[0])) {
+                    continue;
+                }
+                problems.push({ ...this.locate(context, i, match[0], match.index), message: 'Image has no alt text' });
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * bare-url: URLs in prose are written as links or autolinks ('<https://...>')
+     * @param {Object} context - From createContext()
+     * @returns {Array<Object>}
+     */
+    checkBareUrls(context) {
+        const problems = [];
+        context.masked.forEach((text, i) => {
+            if (/^\s*\[[^\]]+\]:/.test(text)) return; // Reference definition
+
+            for (const match of text.matchAll(/\b(?:https?:\/\/|www\.)[^\s<>\]()"'`]*[^\s<>\]()"'`.,;:!?*_~]/g)) {
+                if (/[<(="'[\]>/]/.test(text[match.index - 1] || '')) continue;
+                if (text.startsWith('](', match.index + match[0].length)) continue; // Link text
+                problems.push({
+                    ...this.locate(context, i, match[0], match.index),
+                    message: `Bare URL: write it as <${match[0]}> or [text](${match[0]})`
+                });
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * broken-anchor: links to '#id' point at a heading, footnote or HTML element of the document
+     * @param {Object} context - From createContext()
+     * @returns {Array<Object>}
+     */
+    checkAnchors(context) {
+        const problems = [];
+        context.masked.forEach((text, i) => {
+            const links = /\]\(\s*<?#([^)\s>]*)|\bhref\s*=\s*["']#([^"']*)["']|^\s*\[[^\]]+\]:\s*<?#([^\s>]*)/gi;
+            for (const match of text.matchAll(links)) {
+                const fragment = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+                if (!fragment) continue;
+
+                let id = fragment;
+                try {
+                    id = decodeURIComponent(fragment);
+                } catch (error) {
+                    // Not percent-encoded: compare as written
+                }
+                if (this.hasId(context, id) || this.hasId(context, fragment)) continue;
+
+                const anchor = `#${fragment}`;
+                problems.push({
+                    ...this.locate(context, i, anchor, match.index + match[0].lastIndexOf(anchor)),
+                    message: `No heading or element with the id "${id}"`
+                });
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Check if the document has an element with an id (or name)
+     * Heading slugs and HTML attributes in the source are looked at first; the document is
+     * only rendered for ids they don't have (headings with links or HTML, footnotes).
+     * @param {Object} context - From createContext()
+     * @param {string} id
+     * @returns {boolean}
+     */
+    hasId(context, id) {
+        if (!context.ids) {
+            context.ids = new Set(this.getHeadings(context).map(heading => heading.id));
+            this.collectIds(context.lines.join('\n'), context.ids);
+        }
+        if (context.ids.has(id)) return true;
+
+        if (!context.renderedIds) {
+            context.renderedIds = this.collectIds(this.getParser().parse(context.markdown));
+        }
+        return context.renderedIds.has(id);
+    }
+
+    /**
+     * Collect the id and name attributes of HTML
+     * @param {string} html
+     * @param {Set<string>} [ids] - Set to add them to
+     * @returns {Set<string>}
+     */
+    collectIds(html, ids = new Set()) {
+        for (const match of html.matchAll(/\s(?:id|name)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)) {
+            ids.add(MarkdownEscapes.decodeEntities(match[1] !== undefined ? match[1] : match[2]));
+        }
+        return ids;
+    }
+
+    /**
+     * trailing-spaces: lines don't end in whitespace, except exactly two spaces before
+     * more text (a line break)
+     * @param {Object} context - From createContext()
+     * @returns {Array<Object>}
+     */
+    checkTrailingSpaces(context) {
+        const problems = [];
+        context.lines.forEach((text, i) => {
+            if (context.literal[i]) return;
+
+            const trailing = text.match(/[ \t]+$/);
+            if (!trailing) return;
+
+            const next = context.lines[i + 1];
+            const lineBreak = trailing[0] === '  ' && text.trim() && next !== undefined && next.trim() &&
+                !context.literal[i + 1];
+            if (lineBreak) return;
+
+            problems.push({
+                line: i,
+                column: trailing.index,
+                endColumn: text.length,
+                message: text.trim() ? 'Trailing whitespace' : 'Whitespace on a blank line'
+            });
+        });
+        return problems;
+    }
+
+    /**
+     * list-marker: every bullet uses the marker of the first one ('-', '*' or '+')
+     * Bullets made by shortcuts ('todo: x') aren't written with a marker, so they aren't counted.
+     * @param {Object} context - From createContext()
+     * @returns {Array<Object>}
+     */
+    checkListMarkers(context) {
+        const problems = [];
+        let expected = null;
+        for (const list of MarkdownAst.findAll(context.ast, MarkdownAst.NodeType.LIST)) {
+            if (list.ordered) continue;
+
+            for (const item of list.children) {
+                const line = context.toSource(item.position.start.line);
+                const column = item.position.start.column;
+                const marker = context.lines[line][column];
+                if (!/^[-*+]$/.test(marker) || context.expanded[line][column] !== marker) continue;
+
+                expected = expected || marker;
+                if (marker !== expected) {
+                    problems.push({
+                        line,
+                        column,
+                        endColumn: column + 1,
+                        message: `List marker "${marker}" differs from "${expected}" used in the document`
+                    });
+                }
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * line-length: prose lines are no longer than settings.maxLineLength (characters)
+     * Tables, reference definitions and lines whose overflow is one long word (a URL) aren't counted.
+     * @param {Object} context - From createContext()
+     * @returns {Array<Object>}
+     */
+    checkLineLength(context) {
+        const max = context.settings.maxLineLength;
+        const problems = [];
+        context.lines.forEach((text, i) => {
+            if (context.literal[i] || /^\s*\|/.test(text) || /^\s*\[[^\]]+\]:/.test(text)) return;
+
+            const width = this.formatter.getWidth(text);
+            if (width <= max) return;
+
+            const column = [...text].slice(0, max).join('').length;
+            if (!/\s/.test(text.slice(column).trimEnd())) return;
+
+            problems.push({
+                line: i,
+                column,
+                endColumn: text.length,
+                message: `Line is ${width} characters long (maximum ${max})`
+            });
+        });
+        return problems;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownLinter;
+}
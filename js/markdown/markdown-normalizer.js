@@ -0,0 +1,142 @@
+/**
+ * Markdown Normalizer Module
+ * Rewrites a document as standard CommonMark/GFM, so it renders the same outside the editor
+ *
+ *     h1: Title   b{bold}   [url=x]y[/url]   todo: z   ==mark==   [[Ctrl+S]]   toc:
+ *     # Title     **bold**  [y](x)           - [ ] z   <mark>mark</mark>   <kbd>Ctrl</kbd>+<kbd>S</kbd>
+ *
+ * - Shortcuts (built-in and custom, as configured) are expanded by the parser's ShortcutProcessor,
+ *   emoji shortcodes become the emoji
+ * - The extended inline syntax that is turned on becomes the HTML it renders to
+ * - [TOC] becomes a list of links to the headings
+ * - 'note: text' alerts get their text on a line of its own, as GitHub expects
+ * - Code, raw HTML, front matter, escapes and math are left as written
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only rewrites markdown source, doesn't render or save it
+ * - Dependency Inversion: Uses the parser's processors, so it follows the user's settings
+ */
+
+class MarkdownNormalizer {
+    /**
+     * @param {MarkdownParser} [markdownParser] - Parser whose shortcuts and inline syntax settings apply
+     */
+    constructor(markdownParser) {
+        this.markdownParser = markdownParser || null;
+        this.shortcutProcessor = (markdownParser && markdownParser.getShortcutProcessor()) || new ShortcutProcessor();
+    }
+
+    /**
+     * Rewrite markdown as standard markdown
+     * @param {string} markdown - Document source
+     * @returns {string}
+     */
+    normalize(markdown) {
+        if (!markdown) return '';
+
+        const expanded = this.expandTableOfContents(this.splitAlerts(
+            this.shortcutProcessor.process(markdown.replace(/\r\n?/g, '\n'))
+        ));
+
+        // Rewrite prose only: code, raw HTML, escapes and math become placeholders
+        const regions = [];
+        const lines = this.shortcutProcessor.protect(expanded, regions).split('\n');
+
+        return this.shortcutProcessor.restore(lines.map(line => this.convertInlineSyntax(line)).join('\n'), regions);
+    }
+
+    /**
+     * Put the text of one-line GitHub alerts ('> [!NOTE] text') on a line of its own
+     * Only alerts the parser reads as starting with a paragraph on the marker's line are
+     * split, so '> [!NOTE] - item', '> [!WARNING] ---' or a '[!NOTE]' further down a
+     * quote stays as written.
+     * @param {string} markdown - Document source, shortcuts expanded
+     * @returns {string}
+     */
+    splitAlerts(markdown) {
+        if (!/\[!/.test(markdown)) return markdown;
+
+        const parser = this.markdownParser || new MarkdownParser();
+        const alerts = new Set(MarkdownAst.findAll(parser.parseToAst(markdown), MarkdownAst.NodeType.CALLOUT)
+            .filter(node => {
+                const first = node.children[0];
+                return node.syntax === 'alert' && first && first.type === MarkdownAst.NodeType.PARAGRAPH &&
+                    first.position.start.line === node.position.start.line;
+            })
+            .map(node => node.position.start.line));
+        if (alerts.size === 0) return markdown;
+
+        return markdown.split('\n').map((line, i) => {
+            const match = alerts.has(i) && line.match(/^((?:\s*>)+ ?)(.*)$/);
+            const alert = match && Callouts.matchAlert(match[2]);
+            return alert && alert.text ? `${match[1]}${alert.marker}\n${match[1]}${alert.text}` : line;
+        }).join('\n');
+    }
+
+    /**
+     * Write the extended inline syntax that is turned on as HTML (see ExtendedInlineSyntax)
+     * @param {string} line - Source line
+     * @returns {string}
+     */
+    convertInlineSyntax(line) {
+        if (typeof ExtendedInlineSyntax === 'undefined') return line;
+
+        const ruleEngine = this.markdownParser ? this.markdownParser.getRuleEngine() : null;
+        const resolve = ruleEngine ? ruleEngine.wikiLinkResolver : null;
+        return ExtendedInlineSyntax.NAMES.reduce((text, name) => {
+            if (ruleEngine && !ruleEngine.isRuleEnabled(name)) return text;
+
+            const { tag, pattern } = ExtendedInlineSyntax.SYNTAXES[name];
+            return text.replace(pattern, (match, content, offset) => {
+                if (name === 'keyboard') {
+                    const isLink = typeof WikiLinks !== 'undefined' && WikiLinks.parse(content, resolve);
+                    return !isLink && ExtendedInlineSyntax.isKeyCombination(content) ? ExtendedInlineSyntax.renderKeys(content) : match;
+                }
+                // '[^1][^2]' is two footnote references, not a superscript
+                if (name === 'superscript' && text[offset - 1] === '[') return match;
+                return `<${tag}>${content}</${tag}>`;
+            });
+        }, line);
+    }
+
+    /**
+     * Replace the [TOC] markers with lists of links to the headings
+     * Markers are found the way the parser finds them, so '[TOC]' continuing a paragraph,
+     * or in code, stays as written.
+     * @param {string} markdown - Document source, shortcuts expanded
+     * @returns {string}
+     */
+    expandTableOfContents(markdown) {
+        if (!/\[toc\]/i.test(markdown)) return markdown;
+
+        const parser = this.markdownParser || new MarkdownParser();
+        const ast = parser.parseToAst(markdown);
+        const markers = new Set(MarkdownAst.findAll(ast, MarkdownAst.NodeType.TOC).map(node => node.position.start.line));
+        if (markers.size === 0) return markdown;
+
+        const toc = TableOfContents.toMarkdown(this.collectHeadings(ast));
+        return markdown.split('\n')
+            .map((line, i) => markers.has(i) && TableOfContents.isMarker(line) ? toc : line)
+            .join('\n');
+    }
+
+    /**
+     * Collect the headings of a document for a table of contents
+     * @param {Object} ast - Document node, from MarkdownParser.parseToAst()
+     * @returns {Array<{level: number, id: string, markdown: string}>}
+     */
+    collectHeadings(ast) {
+        return MarkdownAst.findAll(ast, MarkdownAst.NodeType.HEADING)
+            .filter(heading => heading.id)
+            .map(heading => ({
+                level: heading.level,
+                id: heading.id,
+                markdown: MarkdownAst.toPlainText(heading).replace(/[\\[\]*_`<>]/g, '\\$&')
+            }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownNormalizer;
+}
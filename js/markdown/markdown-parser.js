@@ -13,6 +13,11 @@ class MarkdownParser {
         this.ruleEngine = ruleEngine || new RuleEngine();
         this.blockProcessor = blockProcessor || new BlockProcessor();
 
+        // The default rules decide which inline syntaxes the inline parser recognizes
+        if (this.blockProcessor.getInlineParser()) {
+            this.blockProcessor.getInlineParser().setRuleEngine(this.ruleEngine);
+        }
+
         // Check if ShortcutProcessor is available
         if (typeof ShortcutProcessor !== 'undefined') {
             this.shortcutProcessor = shortcutProcessor || new ShortcutProcessor();
@@ -20,6 +25,91 @@ class MarkdownParser {
             console.warn('ShortcutProcessor not loaded, shortcuts will not work');
             this.shortcutProcessor = null;
         }
+
+        // Renderers for fenced code blocks by language (```csv, ```chart, ...)
+        if (typeof CodeBlockRenderers !== 'undefined') {
+            this.codeBlockRenderers = new CodeBlockRenderers();
+            this.blockProcessor.getSerializer().setCodeBlockRenderers(this.codeBlockRenderers);
+        } else {
+            this.codeBlockRenderers = null;
+        }
+
+        // Token highlighting for code blocks in known languages
+        if (typeof SyntaxHighlighter !== 'undefined') {
+            this.syntaxHighlighter = new SyntaxHighlighter();
+            this.blockProcessor.getSerializer().setSyntaxHighlighter(this.syntaxHighlighter);
+        } else {
+            this.syntaxHighlighter = null;
+        }
+
+        // TeX to MathML for $math$ and $$math$$
+        if (typeof TexToMathML !== 'undefined') {
+            this.mathRenderer = new TexToMathML();
+            this.blockProcessor.getSerializer().setMathRenderer(this.mathRenderer);
+        } else {
+            this.mathRenderer = null;
+        }
+
+        // ![[document]] embeds: the document being rendered and the ones embedded in it so far
+        this.currentDocument = null;
+        this.embeddedDocuments = [];
+        this.embedSanitizer = null;
+    }
+
+    /**
+     * Enable or disable syntax highlighting of code blocks
+     * @param {boolean} enabled - Whether known languages are highlighted
+     */
+    setSyntaxHighlighting(enabled) {
+        this.blockProcessor.getSerializer().setSyntaxHighlighter(enabled ? this.syntaxHighlighter : null);
+    }
+
+    /**
+     * Turn one of the extended inline syntaxes (==highlight==, H~2~O, x^2^, ++underline++,
+     * [[Ctrl+S]]) on or off, together with its shortcut aliases
+     * @param {string} name - One of ExtendedInlineSyntax.NAMES
+     * @param {boolean} enabled - Whether the syntax is rendered
+     */
+    setInlineSyntax(name, enabled) {
+        this.ruleEngine.setRuleEnabled(name, enabled);
+        if (this.shortcutProcessor) {
+            this.shortcutProcessor.setSyntaxEnabled(name, enabled);
+        }
+    }
+
+    /**
+     * Set how [[wiki link]] names are looked up among the open documents
+     * @param {Function|null} resolver - (name) => document or null, e.g.
+     *        name => WikiLinks.resolve(name, documentManager.getAllDocuments())
+     */
+    setWikiLinkResolver(resolver) {
+        this.ruleEngine.setWikiLinkResolver(resolver);
+        this.blockProcessor.setWikiLinkResolver(resolver);
+    }
+
+    /**
+     * Get the wiki link resolver (shared with the WYSIWYG editor)
+     * @returns {Function|null}
+     */
+    getWikiLinkResolver() {
+        return this.ruleEngine.wikiLinkResolver;
+    }
+
+    /**
+     * Set the document being rendered, so embeds leading back to it are caught as cycles
+     * @param {MarkdownDocument|null} document
+     */
+    setCurrentDocument(document) {
+        this.currentDocument = document || null;
+    }
+
+    /**
+     * Set how the HTML of each embedded document is cleaned, so a document rendered
+     * without sanitizing doesn't pass on the raw HTML of the documents it embeds
+     * @param {Function|null} sanitize - (html, document) => HTML, null to keep it as rendered
+     */
+    setEmbedSanitizer(sanitize) {
+        this.embedSanitizer = sanitize || null;
     }
 
     /**
@@ -31,6 +121,16 @@ class MarkdownParser {
         this.blockProcessor.setLineTracking(enabled);
     }
 
+    /**
+     * Enable or disable "newline = line break" mode
+     * When disabled, consecutive lines form one paragraph (CommonMark); when
+     * enabled, each newline inside a paragraph becomes a <br />
+     * @param {boolean} enabled - Whether single newlines render as line breaks
+     */
+    setBreaks(enabled) {
+        this.blockProcessor.setBreaks(enabled);
+    }
+
     /**
      * Parse markdown text to HTML
      * @param {string} markdown - Raw markdown text
@@ -39,43 +139,172 @@ class MarkdownParser {
     parse(markdown) {
         if (!markdown) return '';
 
-        // Step 0: Convert shortcuts to standard markdown (if shortcut processor is available)
-        let processedMarkdown = markdown;
-        if (this.shortcutProcessor) {
-            try {
-                processedMarkdown = this.shortcutProcessor.process(markdown);
-            } catch (error) {
-                console.error('Error in shortcut processing:', error);
-                processedMarkdown = markdown; // Fallback to original markdown
-            }
-        }
+        return this.renderAst(this.parseToAst(markdown));
+    }
+
+    /**
+     * Parse markdown text into an AST
+     * Positions refer to the markdown after shortcut expansion. Backslash escapes in
+     * text are protected (see MarkdownEscapes; MarkdownAst.toPlainText resolves them).
+     * @param {string} markdown - Raw markdown text
+     * @returns {Object} - Document node (see MarkdownAst)
+     */
+    parseToAst(markdown) {
+        // Step 0: Convert shortcuts to standard markdown
+        let processedMarkdown = this.expandShortcuts(markdown || '');
+
+        // Step 1: Set backslash escapes aside so no later stage acts on '\*', '\#', '\|', ...
+        processedMarkdown = this.protectEscapes(processedMarkdown);
 
-        // Step 1: Process block-level elements first (code blocks, lists, tables, etc.)
-        // This prevents inline rules from interfering with block syntax
-        let html = this.blockProcessor.process(processedMarkdown);
+        // Step 2: Build the block tree (code blocks, lists, tables, etc.) with inline nodes
+        return this.blockProcessor.parse(processedMarkdown);
+    }
 
-        // Step 2: Apply inline rules (bold, italic, links, code, etc.)
-        // But we need to avoid processing content inside <pre><code> blocks
+    /**
+     * Render an AST (from parseToAst) to HTML
+     * @param {Object} ast - Document node
+     * @returns {string} - Rendered HTML
+     */
+    renderAst(ast) {
+        // Step 1: Serialize the tree, inline nodes included
+        let html = this.blockProcessor.getSerializer().serialize(ast);
+
+        // Step 2: Apply custom inline rules (see addInlineRule), but not inside <pre><code> blocks
         html = this.applyInlineRulesSelectively(html);
 
-        return html;
+        // Step 3: Put back code blocks rendered by the CodeBlockRenderers registry, math and code spans
+        html = this.blockProcessor.getSerializer().restoreRenderedBlocks(html);
+
+        // Step 4: Escaped characters become literal text
+        if (typeof MarkdownEscapes !== 'undefined') {
+            html = MarkdownEscapes.restore(html);
+        }
+
+        // Step 5: Fill in ![[document]] embeds, now that this document is done
+        return this.renderEmbeds(html);
+    }
+
+    /**
+     * Replace the embed placeholders left by HtmlSerializer.renderEmbed() with the embeds
+     * @param {string} html - Rendered HTML
+     * @returns {string}
+     */
+    renderEmbeds(html) {
+        if (!html.includes('\uE00A')) return html;
+
+        return html.replace(/<div class="document-embed"([^>]*)>\uE00A([^\uE00B]*)\uE00B<\/div>/g,
+            (match, attributes, text) => this.renderEmbed(text, attributes));
+    }
+
+    /**
+     * Render a ![[document]] embed (see DocumentEmbeds), its document looked up with the
+     * wiki link resolver
+     * @param {string} text - Text between ![[ and ]] (plain text, escapes resolved)
+     * @param {string} [attributes] - More attributes for the element, e.g. ' data-line="4"'
+     * @returns {string} - HTML
+     */
+    renderEmbed(text, attributes = '') {
+        return DocumentEmbeds.render(text, {
+            resolve: this.getWikiLinkResolver(),
+            documents: [this.currentDocument, ...this.embeddedDocuments].filter(Boolean),
+            shortcutProcessor: this.shortcutProcessor,
+            attributes,
+            render: (markdown, document) => this.renderEmbeddedDocument(markdown, document)
+        });
+    }
+
+    /**
+     * Render the markdown an embed takes from a document
+     * Without line tracking: its lines aren't lines of the document being rendered.
+     * The result goes through the embed sanitizer (see setEmbedSanitizer()).
+     * @param {string} markdown - See DocumentEmbeds.getContent()
+     * @param {MarkdownDocument} document - The embedded document
+     * @returns {string} - HTML
+     */
+    renderEmbeddedDocument(markdown, document) {
+        const trackLines = this.blockProcessor.trackLines;
+        this.blockProcessor.setLineTracking(false);
+        this.embeddedDocuments.push(document);
+
+        try {
+            const html = this.parse(markdown);
+            return this.embedSanitizer ? this.embedSanitizer(html, document) : html;
+        } finally {
+            this.embeddedDocuments.pop();
+            this.blockProcessor.setLineTracking(trackLines);
+        }
+    }
+
+    /**
+     * Write the markdown of the embedded documents in place of the ![[document]] embeds,
+     * e.g. for exports (see DocumentEmbeds.flatten())
+     * @param {string} markdown - Content of the current document
+     * @returns {string}
+     */
+    flattenEmbeds(markdown) {
+        return DocumentEmbeds.flatten(markdown, {
+            resolve: this.getWikiLinkResolver(),
+            documents: this.currentDocument ? [this.currentDocument] : [],
+            shortcutProcessor: this.shortcutProcessor
+        });
+    }
+
+    /**
+     * Convert shortcuts to standard markdown (if shortcut processor is available)
+     * @param {string} markdown - Raw markdown text
+     * @returns {string} - Markdown with shortcuts expanded
+     */
+    expandShortcuts(markdown) {
+        if (!this.shortcutProcessor) return markdown;
+
+        try {
+            // Front matter, code and raw HTML are left alone by the processor itself
+            return this.shortcutProcessor.process(markdown);
+        } catch (error) {
+            console.error('Error in shortcut processing:', error);
+            return markdown; // Fallback to original markdown
+        }
+    }
+
+    /**
+     * Protect backslash escapes outside front matter, code and math (see MarkdownEscapes)
+     * @param {string} markdown - Markdown text
+     * @returns {string}
+     */
+    protectEscapes(markdown) {
+        if (typeof MarkdownEscapes === 'undefined') return markdown;
+        return this.mapBody(markdown, body => MarkdownEscapes.protect(body));
+    }
+
+    /**
+     * Transform the markdown after its front matter (if any), keeping the front matter as is
+     * @param {string} markdown - Markdown text
+     * @param {Function} transform - (body) => transformed body
+     * @returns {string}
+     */
+    mapBody(markdown, transform) {
+        const frontMatter = FrontMatter.extract(markdown);
+        if (!frontMatter) return transform(markdown);
+
+        const body = markdown.split('\n').slice(frontMatter.lineCount);
+        return body.length > 0 ? `${frontMatter.raw}\n${transform(body.join('\n'))}` : frontMatter.raw;
     }
 
     /**
-     * Apply inline rules but skip content inside code blocks
-     * @param {string} html - HTML with block elements processed
-     * @returns {string} - HTML with inline rules applied
+     * Apply custom inline rules but skip content inside code blocks
+     * @param {string} html - Serialized HTML
+     * @returns {string} - HTML with custom inline rules applied
      */
     applyInlineRulesSelectively(html) {
         // Split by code blocks to protect them
-        const codeBlockRegex = /(<pre><code[\s\S]*?<\/code><\/pre>)/g;
+        const codeBlockRegex = /(<pre[^>]*><code[\s\S]*?<\/code><\/pre>)/g;
         const parts = html.split(codeBlockRegex);
 
         // Apply inline rules only to non-code-block parts
         for (let i = 0; i < parts.length; i++) {
             // Odd indices are code blocks (captured groups), even indices are regular content
             if (i % 2 === 0) {
-                parts[i] = this.ruleEngine.apply(parts[i]);
+                parts[i] = this.ruleEngine.applyCustomRules(parts[i]);
             }
         }
 
@@ -106,14 +335,60 @@ class MarkdownParser {
         return this.shortcutProcessor;
     }
 
+    /**
+     * Get the fenced code block renderer registry
+     * @returns {CodeBlockRenderers|null}
+     */
+    getCodeBlockRenderers() {
+        return this.codeBlockRenderers;
+    }
+
+    /**
+     * Get the syntax highlighter
+     * @returns {SyntaxHighlighter|null}
+     */
+    getSyntaxHighlighter() {
+        return this.syntaxHighlighter;
+    }
+
+    /**
+     * Get the TeX to MathML converter (shared with the WYSIWYG editor)
+     * @returns {TexToMathML|null}
+     */
+    getMathRenderer() {
+        return this.mathRenderer;
+    }
+
+    /**
+     * Render fenced code blocks of a language with a custom renderer
+     * @param {string} language - Fence language, e.g. 'chart' for ```chart
+     * @param {Function} renderer - (code, { language, info }) => HTML string
+     */
+    addCodeBlockRenderer(language, renderer) {
+        if (this.codeBlockRenderers) {
+            this.codeBlockRenderers.register(language, renderer);
+        }
+    }
+
+    /**
+     * Remove a custom code block renderer
+     * @param {string} language - Fence language
+     */
+    removeCodeBlockRenderer(language) {
+        if (this.codeBlockRenderers) {
+            this.codeBlockRenderers.unregister(language);
+        }
+    }
+
     /**
      * Add a custom inline rule
      * @param {RegExp} pattern - Regular expression pattern
      * @param {string} replacement - Replacement string
      * @param {string} name - Rule identifier
+     * @param {Object} [options] - See RuleEngine.addRule()
      */
-    addInlineRule(pattern, replacement, name) {
-        this.ruleEngine.addRule(pattern, replacement, name);
+    addInlineRule(pattern, replacement, name, options) {
+        this.ruleEngine.addRule(pattern, replacement, name, options);
     }
 
     /**
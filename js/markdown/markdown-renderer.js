@@ -4,7 +4,7 @@
  *
  * SOLID Principles:
  * - Single Responsibility: Only handles rendering logic
- * - Dependency Inversion: Depends on MarkdownParser and WindowManager abstractions
+ * - Dependency Inversion: Depends on MarkdownParser, HtmlSanitizer and WindowManager abstractions
  * - Interface Segregation: Clean, focused public API
  */
 
@@ -14,13 +14,26 @@ class MarkdownRenderer {
         this.inputElement = config.inputElement;
         this.outputElement = config.outputElement;
         this.windowManager = config.windowManager;
+        this.sanitizer = config.sanitizer || null; // HtmlSanitizer; null renders parser output as is
         this.onRender = config.onRender || null;
+        this.footnotePopover = null;
+        this.anchorNavigator = null;
     }
 
     /**
      * Initialize renderer and setup event listeners
      */
     init() {
+        // Footnote text on hover in the split preview
+        if (this.outputElement && typeof FootnotePopover !== 'undefined') {
+            this.footnotePopover = new FootnotePopover({ container: this.outputElement }).init();
+        }
+
+        // '#anchor' links scroll within the preview
+        if (this.outputElement && typeof AnchorNavigator !== 'undefined') {
+            this.anchorNavigator = new AnchorNavigator({ container: this.outputElement }).init();
+        }
+
         if (this.inputElement) {
             // Use input event for real-time updates
             this.inputElement.addEventListener('input', () => this.render());
@@ -35,7 +48,7 @@ class MarkdownRenderer {
      */
     render() {
         const markdown = this.inputElement.value;
-        const html = this.parser.parse(markdown);
+        const html = this.sanitize(this.parser.parse(markdown));
 
         // Update split-screen preview
         if (this.outputElement) {
@@ -53,6 +66,15 @@ class MarkdownRenderer {
         }
     }
 
+    /**
+     * Clean parser output before it goes into innerHTML
+     * @param {string} html - Parser output
+     * @returns {string}
+     */
+    sanitize(html) {
+        return this.sanitizer ? this.sanitizer.sanitize(html) : html;
+    }
+
     /**
      * Get current markdown content
      * @returns {string}
@@ -0,0 +1,145 @@
+/**
+ * Math Syntax Module
+ * TeX math delimiters shared by BlockProcessor, InlineParser, HtmlSerializer and WysiwygEngine
+ *
+ *     Euler: $e^{i\pi} + 1 = 0$, and on lines of its own:
+ *
+ *     $$
+ *     \int_0^1 x^2 \, dx = \frac{1}{3}
+ *     $$
+ *
+ * - '$...$' is inline math when the opening '$' isn't followed by a space and the
+ *   closing one isn't preceded by a space or followed by a digit, so "$5 and $10"
+ *   stays text; '\$' is a literal dollar sign and code spans are left alone
+ * - '$$...$$' inside a paragraph is display math within the text
+ * - A line starting with '$$' opens a display block that ends on the next line
+ *   ending with '$$' (which may be the same line); a blank line before that
+ *   means it wasn't math after all
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only finds math in markdown, doesn't convert it
+ * - Open/Closed: Consumers decide how to render the TeX it returns
+ */
+
+class MathSyntax {
+    /**
+     * Match inline math starting at an offset
+     * @param {string} text - Inline source
+     * @param {number} i - Offset of a '$'
+     * @returns {{tex: string, display: boolean, end: number}|null} - end is the offset after the closing '$'
+     */
+    static matchInlineAt(text, i) {
+        if (text[i] !== '$' || text[i - 1] === '\\') return null;
+
+        if (text[i + 1] === '$') {
+            const close = text.indexOf('$$', i + 2);
+            if (close === -1) return null;
+            const tex = text.slice(i + 2, close);
+            if (!tex.trim() || /\n\s*\n/.test(tex)) return null;
+            return { tex: tex.trim(), display: true, end: close + 2 };
+        }
+
+        if (!text[i + 1] || /\s/.test(text[i + 1])) return null;
+        for (let j = i + 1; j < text.length; j++) {
+            if (text[j] === '\\') {
+                j++;
+            } else if (text[j] === '\n' || text[j] === '`') {
+                return null; // Inline math stays on one line and out of code spans
+            } else if (text[j] === '$') {
+                if (/\s/.test(text[j - 1]) || /[0-9]/.test(text[j + 1] || '')) return null;
+                return { tex: text.slice(i + 1, j), display: false, end: j + 1 };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace every inline math span of a text, skipping code spans and escapes
+     * @param {string} text - Inline source
+     * @param {Function} replacer - ({tex, display}, source) => replacement string, where
+     *        source is the math as written, delimiters included
+     * @returns {string}
+     */
+    static replaceInline(text, replacer) {
+        if (!text || !text.includes('$')) return text;
+
+        let result = '';
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '`') {
+                const close = text.indexOf('`', i + 1);
+                const end = close === -1 ? i + 1 : close + 1;
+                result += text.slice(i, end);
+                i = end;
+                continue;
+            }
+
+            if (char === '\\') {
+                result += text.slice(i, i + 2);
+                i += 2;
+                continue;
+            }
+
+            const math = char === '$' ? MathSyntax.matchInlineAt(text, i) : null;
+            if (math) {
+                result += replacer(math, text.slice(i, math.end));
+                i = math.end;
+                continue;
+            }
+
+            result += char;
+            i++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Match a display math block starting at a line
+     * @param {string[]} lines - Source lines
+     * @param {number} start - Index of a possible opening line
+     * @returns {{tex: string, end: number}|null} - TeX between the delimiters and the
+     *          index of the closing line
+     */
+    static matchBlock(lines, start) {
+        const first = lines[start].trim();
+        if (!first.startsWith('$$')) return null;
+
+        // Single line: $$ ... $$
+        const rest = first.slice(2);
+        if (rest.length >= 2 && rest.endsWith('$$')) {
+            const tex = rest.slice(0, -2);
+            return tex.trim() && !tex.includes('$$') ? { tex: tex.trim(), end: start } : null;
+        }
+        if (rest.includes('$$')) return null; // '$$a$$ and text' is inline display math
+
+        for (let j = start + 1; j < lines.length; j++) {
+            const line = lines[j].trim();
+            if (!line) return null;
+            if (line.endsWith('$$')) {
+                const tex = [rest, ...lines.slice(start + 1, j), line.slice(0, -2)].join('\n').trim();
+                return tex ? { tex, end: j } : null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a line on its own opens a display block (a '$$' line, or '$$ ... $$')
+     * Used to end a paragraph before the block.
+     * @param {string} line - Trimmed line
+     * @returns {boolean}
+     */
+    static isBlockStart(line) {
+        return line === '$$' || (line.length > 4 && line.startsWith('$$') && line.endsWith('$$'));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MathSyntax;
+}
@@ -2,6 +2,11 @@
  * Rule Engine Module
  * Manages markdown parsing rules
  *
+ * The default rules name the inline syntaxes. MarkdownParser doesn't run them: its
+ * InlineParser recognizes a syntax while its default rule is there and turned on (see
+ * isDefaultRuleActive), and only custom rules are applied to the HTML (see applyCustomRules).
+ * apply() still runs every rule, for rendering inline markdown on its own.
+ *
  * SOLID Principles:
  * - Single Responsibility: Only manages parsing rules
  * - Open/Closed: Open for extension (add rules), closed for modification
@@ -9,8 +14,17 @@
  */
 
 class RuleEngine {
+    /**
+     * What replaceInText() keeps from a pattern: code elements and spans, HTML tags
+     * (with their attribute values) and comments
+     * @type {RegExp}
+     */
+    static TEXT_MASK = /<code\b[^>]*>[\s\S]*?<\/code>|(`+)[\s\S]*?\1|<\/?[A-Za-z][^>]*>|<!--[\s\S]*?-->/g;
+
     constructor() {
         this.rules = [];
+        this.disabledRules = new Set(); // Names of rules skipped by apply()
+        this.wikiLinkResolver = null; // (name) => document or null, see setWikiLinkResolver()
         this.initializeDefaultRules();
     }
 
@@ -20,11 +34,26 @@ class RuleEngine {
     initializeDefaultRules() {
         // Note: Headers are now processed by BlockProcessor, not here
 
-        // Images (must come before links)
-        this.addRule(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1" />', 'image');
-
-        // Links
-        this.addRule(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>', 'link');
+        // Images (must come before links), with an optional "title" or 'title'
+        this.addRule(/!\[([^\]]*)\]\(([^)]+?)(?:\s+(?:"([^"]*)"|'([^']*)'))?\)/g,
+            (match, alt, src, doubleTitle, singleTitle) =>
+                `<img src="${src}" alt="${alt}"${this.titleAttribute(doubleTitle, singleTitle)} />`,
+            'image');
+
+        // Links, with an optional "title" or 'title'
+        this.addRule(/\[([^\]]+)\]\(([^)]+?)(?:\s+(?:"([^"]*)"|'([^']*)'))?\)/g,
+            (match, text, href, doubleTitle, singleTitle) =>
+                `<a href="${href}"${this.titleAttribute(doubleTitle, singleTitle)}>${text}</a>`,
+            'link');
+
+        // Wiki links to other documents ([[Name]], [[Name#Heading|label]]), before emphasis
+        // could take the '_' out of a name; [[Ctrl+S]] is left for the keyboard rule
+        if (typeof WikiLinks !== 'undefined') {
+            this.addRule(WikiLinks.PATTERN, (match, text) => {
+                const plain = typeof MarkdownEscapes !== 'undefined' ? MarkdownEscapes.toText(text) : text;
+                return WikiLinks.render(plain, this.wikiLinkResolver) || match;
+            }, 'wiki-link');
+        }
 
         // Bold and Italic (process in order from most specific to least)
         this.addRule(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>', 'bold-italic-asterisk');
@@ -37,21 +66,84 @@ class RuleEngine {
         // Strikethrough
         this.addRule(/~~(.+?)~~/g, '<del>$1</del>', 'strikethrough');
 
+        // Highlight, subscript, superscript, underline and keyboard keys, on text only so
+        // link URLs ('/~user/', '?a=b==c') and code are left alone
+        if (typeof ExtendedInlineSyntax !== 'undefined') {
+            ExtendedInlineSyntax.getRules().forEach(rule =>
+                this.addRule(rule.pattern, rule.replacement, rule.name, { textOnly: true }));
+        }
+
         // Inline code
         this.addRule(/`([^`]+)`/g, '<code>$1</code>', 'inline-code');
 
-        // Line breaks
-        this.addRule(/\n$/gim, '<br />', 'line-break');
+        // Hard line breaks (two or more trailing spaces, or a backslash, before a newline)
+        this.addRule(/(?: {2,}|\\)\n/g, '<br />\n', 'line-break');
+
+        this.rules.forEach(rule => {
+            rule.isDefault = true;
+        });
+    }
+
+    /**
+     * Build the title attribute of a link or image from its quoted title
+     * @returns {string} - ' title="..."' or ''
+     */
+    titleAttribute(doubleTitle, singleTitle) {
+        const title = doubleTitle !== undefined ? doubleTitle : singleTitle;
+        return title !== undefined ? ` title="${title.replace(/"/g, '&quot;')}"` : '';
+    }
+
+    /**
+     * Set how wiki link names are looked up, so links to missing documents can be marked
+     * @param {Function|null} resolver - (name) => document or null (see WikiLinks.resolve)
+     */
+    setWikiLinkResolver(resolver) {
+        this.wikiLinkResolver = resolver;
     }
 
     /**
      * Add a new parsing rule
      * @param {RegExp} pattern - Regular expression pattern
-     * @param {string} replacement - Replacement string or template
+     * @param {string|Function} replacement - Replacement string, template or replacer function
      * @param {string} name - Rule identifier
+     * @param {Object} [options]
+     * @param {boolean} [options.textOnly] - Leave tags, attribute values and code alone (see replaceInText)
+     */
+    addRule(pattern, replacement, name, options = {}) {
+        this.rules.push({ pattern, replacement, name, textOnly: options.textOnly === true });
+    }
+
+    /**
+     * Replace a pattern in the text of HTML only
+     * Code, tags and comments (see TEXT_MASK) are swapped for placeholders while the
+     * pattern runs, so a match can span an element ('==a <em>b</em>==') but never
+     * reaches into an attribute value or code.
+     * @param {string} html - HTML, or markdown holding HTML
+     * @param {RegExp} pattern - Global pattern
+     * @param {string|Function} replacement - As for String.prototype.replace
+     * @returns {string}
+     */
+    static replaceInText(html, pattern, replacement) {
+        const kept = [];
+        const masked = html.replace(RuleEngine.TEXT_MASK, match => {
+            kept.push(match);
+            return `\uE00C${kept.length - 1}\uE00D`;
+        });
+        if (kept.length === 0) return html.replace(pattern, replacement);
+
+        return masked.replace(pattern, replacement).replace(/\uE00C(\d+)\uE00D/g, (match, index) => kept[index]);
+    }
+
+    /**
+     * Apply one rule to text
+     * @param {string} text
+     * @param {Object} rule - From getRules()
+     * @returns {string}
      */
-    addRule(pattern, replacement, name) {
-        this.rules.push({ pattern, replacement, name });
+    applyRule(text, rule) {
+        return rule.textOnly
+            ? RuleEngine.replaceInText(text, rule.pattern, rule.replacement)
+            : text.replace(rule.pattern, rule.replacement);
     }
 
     /**
@@ -62,6 +154,51 @@ class RuleEngine {
         this.rules = this.rules.filter(rule => rule.name !== name);
     }
 
+    /**
+     * Turn a rule on or off without removing it (it keeps its place in the order)
+     * @param {string} name - Rule identifier
+     * @param {boolean} enabled - Whether apply() uses the rule
+     */
+    setRuleEnabled(name, enabled) {
+        if (enabled) {
+            this.disabledRules.delete(name);
+        } else {
+            this.disabledRules.add(name);
+        }
+    }
+
+    /**
+     * Check if a rule is turned on
+     * @param {string} name - Rule identifier
+     * @returns {boolean}
+     */
+    isRuleEnabled(name) {
+        return !this.disabledRules.has(name);
+    }
+
+    /**
+     * Check if a default rule is there (not removed or replaced) and turned on
+     * @param {string} name - Rule identifier
+     * @returns {boolean}
+     */
+    isDefaultRuleActive(name) {
+        return this.isRuleEnabled(name) && this.rules.some(rule => rule.name === name && rule.isDefault);
+    }
+
+    /**
+     * Apply the enabled rules added with addRule() (not the default ones) to text
+     * @param {string} text - Text to process
+     * @returns {string} - Processed text
+     */
+    applyCustomRules(text) {
+        if (!text) return '';
+
+        return this.rules.reduce((result, rule) => {
+            if (rule.isDefault || this.disabledRules.has(rule.name)) return result;
+            return this.applyRule(result, rule);
+        }, text);
+    }
+
     /**
      * Apply all rules to text
      * @param {string} text - Text to process
@@ -72,9 +209,10 @@ class RuleEngine {
 
         let result = text;
 
-        // Apply all rules in order
+        // Apply all enabled rules in order
         this.rules.forEach(rule => {
-            result = result.replace(rule.pattern, rule.replacement);
+            if (this.disabledRules.has(rule.name)) return;
+            result = this.applyRule(result, rule);
         });
 
         return result;
@@ -2,14 +2,61 @@
  * Shortcut Processor Module
  * Converts shortcut syntax to standard markdown
  *
+ * Shortcuts are only converted in prose. Before any rule runs, process() sets the
+ * regions where markdown is literal aside as placeholders (see protect()): front
+ * matter, fenced code, raw HTML blocks, backslash escapes, code spans and TeX math.
+ * So 'b{x}' in a JavaScript fence stays code, and '\frac{a}{b}' doesn't turn into
+ * '\fra`a`{b}'.
+ *
+ * A ':name:' token is resolved in the order of COLON_TOKEN_ORDER: the names of colon
+ * shortcuts (':b:', ':i:', ':code:', ':bold:', ...) come first, then emoji shortcodes
+ * (see Emoji), and anything else is left as text. So ':b:' is always bold, never 🅱️.
+ *
+ * Every shortcut has a name, and built-in ones can be turned off by it. Users can add
+ * their own (setCustomShortcuts): a pattern and a markdown template, run before the
+ * built-in shortcuts of their scope.
+ *
  * SOLID Principles:
  * - Single Responsibility: Only handles shortcut-to-markdown conversion
  * - Open/Closed: Can be extended with new shortcuts
  */
 
 class ShortcutProcessor {
+    /**
+     * What a ':name:' token can be, in order of precedence
+     * @type {string[]}
+     */
+    static COLON_TOKEN_ORDER = ['shortcut', 'emoji', 'text'];
+
+    /**
+     * Block-level HTML tags that open a raw HTML block (its lines are left as written)
+     * Tags with shortcuts of their own (<h1>, <blockquote>, <hr>) aren't listed.
+     * @type {string[]}
+     */
+    static HTML_BLOCK_TAGS = [
+        'address', 'article', 'aside', 'center', 'details', 'dialog', 'div', 'dl', 'fieldset',
+        'figcaption', 'figure', 'footer', 'form', 'header', 'iframe', 'main', 'menu', 'nav', 'ol',
+        'p', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+    ];
+
+    /**
+     * HTML blocks that run to their closing tag, blank lines included
+     * @type {string[]}
+     */
+    static HTML_RAW_TAGS = ['pre', 'script', 'style', 'textarea'];
+
+    /**
+     * Scopes of user-defined shortcuts: 'inline' patterns match anywhere in prose,
+     * 'block' patterns match whole lines
+     * @type {string[]}
+     */
+    static SCOPES = ['inline', 'block'];
+
     constructor() {
         this.shortcuts = this.initializeShortcuts();
+        this.disabledSyntaxes = new Set(); // Extended inline syntaxes whose aliases are off
+        this.disabledShortcuts = new Set(); // Names of built-in shortcuts that are off
+        this.customShortcuts = { block: [], inline: [] }; // Compiled user-defined shortcuts, by scope
     }
 
     /**
@@ -17,18 +64,23 @@ class ShortcutProcessor {
      */
     initializeShortcuts() {
         return {
+            // Multi-line code block shortcuts (processed first, on the whole text)
+            codeBlock: this.createCodeBlockShortcuts(),
             // Block-level shortcuts (processed line-by-line)
             block: [
+                ...this.createLineShortcuts(),
                 // Headers - must be processed in order from most specific to least
                 ...this.createHeaderShortcuts(),
                 ...this.createListShortcuts(),
                 ...this.createBlockquoteShortcuts(),
+                ...this.createCalloutShortcuts(),
                 ...this.createHorizontalRuleShortcuts(),
-                ...this.createCodeBlockShortcuts()
+                ...this.createTableOfContentsShortcuts()
             ],
             // Inline shortcuts (processed within text)
             inline: [
                 ...this.createTextFormattingShortcuts(),
+                ...this.createExtendedInlineShortcuts(),
                 ...this.createLinkShortcuts(),
                 ...this.createImageShortcuts(),
                 ...this.createInlineCodeShortcuts()
@@ -121,6 +173,53 @@ class ShortcutProcessor {
         ];
     }
 
+    /**
+     * Create aliases for the extended inline syntax (see ExtendedInlineSyntax)
+     * Each carries the name of its syntax so it is turned off with it. Subscript and
+     * superscript holding spaces, and <kbd> holding something other than keys, are
+     * left as HTML since the markdown form can't express them.
+     */
+    createExtendedInlineShortcuts() {
+        const noSpaces = marker => (match, text) => /\s/.test(text) ? match : marker + text + marker;
+        const keys = (match, text) => typeof ExtendedInlineSyntax !== 'undefined' &&
+            ExtendedInlineSyntax.isKeyCombination(text) ? `[[${text}]]` : match;
+
+        return [
+            // Highlight
+            { pattern: /<mark>(.+?)<\/mark>/g, replacement: '==$1==', name: 'highlight-html', syntax: 'highlight' },
+            { pattern: /\[mark\](.+?)\[\/mark\]/g, replacement: '==$1==', name: 'highlight-bbcode', syntax: 'highlight' },
+            { pattern: /\bh\{(.+?)\}/g, replacement: '==$1==', name: 'highlight-brace', syntax: 'highlight' },
+
+            // Subscript and superscript
+            { pattern: /<sub>(.+?)<\/sub>/g, replacement: noSpaces('~'), name: 'subscript-html', syntax: 'subscript' },
+            { pattern: /\[sub\](.+?)\[\/sub\]/g, replacement: noSpaces('~'), name: 'subscript-bbcode', syntax: 'subscript' },
+            { pattern: /<sup>(.+?)<\/sup>/g, replacement: noSpaces('^'), name: 'superscript-html', syntax: 'superscript' },
+            { pattern: /\[sup\](.+?)\[\/sup\]/g, replacement: noSpaces('^'), name: 'superscript-bbcode', syntax: 'superscript' },
+
+            // Underline
+            { pattern: /<u>(.+?)<\/u>/g, replacement: '++$1++', name: 'underline-html', syntax: 'underline' },
+            { pattern: /\[u\](.+?)\[\/u\]/g, replacement: '++$1++', name: 'underline-bbcode', syntax: 'underline' },
+            { pattern: /\bu\{(.+?)\}/g, replacement: '++$1++', name: 'underline-brace', syntax: 'underline' },
+
+            // Keyboard keys
+            { pattern: /<kbd>([^<]+)<\/kbd>/g, replacement: keys, name: 'keyboard-html', syntax: 'keyboard' },
+            { pattern: /\[kbd\](.+?)\[\/kbd\]/g, replacement: keys, name: 'keyboard-bbcode', syntax: 'keyboard' }
+        ];
+    }
+
+    /**
+     * Turn the aliases of an extended inline syntax on or off
+     * @param {string} syntax - One of ExtendedInlineSyntax.NAMES
+     * @param {boolean} enabled - Whether its aliases are converted
+     */
+    setSyntaxEnabled(syntax, enabled) {
+        if (enabled) {
+            this.disabledSyntaxes.delete(syntax);
+        } else {
+            this.disabledSyntaxes.add(syntax);
+        }
+    }
+
     /**
      * Create link shortcuts
      */
@@ -136,7 +235,7 @@ class ShortcutProcessor {
             { pattern: /<link href="([^"]+)">(.+?)<\/link>/g, replacement: '[$2]($1)', name: 'link-html-with-text' },
             // HTML <link>url</link> (auto-link)
             { pattern: /<link>(.+?)<\/link>/g, replacement: '[$1]($1)', name: 'link-html-auto' }
-            // Note: "link: " shortcuts are handled in processBlockShortcuts as they're line-based
+            // Note: "link: " shortcuts are line-based (see createLineShortcuts)
         ];
     }
 
@@ -153,7 +252,7 @@ class ShortcutProcessor {
             { pattern: /<img src="([^"]+)" alt="([^"]+)"\s*\/?>/g, replacement: '![$2]($1)', name: 'img-html-full' },
             // HTML <img>url</img>
             { pattern: /<img>(.+?)<\/img>/g, replacement: '![]($1)', name: 'img-html' }
-            // Note: "img: " shortcuts are handled in processBlockShortcuts as they're line-based
+            // Note: "img: " shortcuts are line-based (see createLineShortcuts)
         ];
     }
 
@@ -215,6 +314,21 @@ class ShortcutProcessor {
         ];
     }
 
+    /**
+     * Create callout shortcuts (GitHub alerts, see Callouts)
+     * Each starts a callout of its own (see processBlockShortcuts())
+     */
+    createCalloutShortcuts() {
+        return [
+            // Shorthand note: text
+            { pattern: /^note:\s*(.+)$/i, replacement: '> [!NOTE] $1', name: 'callout-note', startsBlock: true },
+            { pattern: /^note:\s*$/i, replacement: '> [!NOTE]', name: 'callout-note-empty', startsBlock: true },
+            // Shorthand warn: text
+            { pattern: /^warn:\s*(.+)$/i, replacement: '> [!WARNING] $1', name: 'callout-warn', startsBlock: true },
+            { pattern: /^warn:\s*$/i, replacement: '> [!WARNING]', name: 'callout-warn-empty', startsBlock: true }
+        ];
+    }
+
     /**
      * Create horizontal rule shortcuts
      */
@@ -231,111 +345,457 @@ class ShortcutProcessor {
         ];
     }
 
+    /**
+     * Create table of contents shortcuts
+     */
+    createTableOfContentsShortcuts() {
+        return [
+            // Shorthand toc:
+            { pattern: /^toc:\s*$/i, replacement: '[TOC]', name: 'toc-short' }
+        ];
+    }
+
+    /**
+     * Create line link and image shortcuts (link: text | url, img: alt | url)
+     * The line's indentation is kept.
+     */
+    createLineShortcuts() {
+        const auto = (match, indent, url) => `${indent}[${url.trim()}](${url.trim()})`;
+        return [
+            // link: text | url
+            { pattern: /^(\s*)link:\s*(.+?)\s*\|\s*(.+)$/i, replacement: '$1[$2]($3)', name: 'link-line' },
+            // link: url (auto-link, use URL as text)
+            { pattern: /^(\s*)link:\s*(.+)$/i, replacement: auto, name: 'link-line-auto' },
+            // img: alt | url
+            { pattern: /^(\s*)img:\s*(.+?)\s*\|\s*(.+)$/i, replacement: '$1![$2]($3)', name: 'img-line' },
+            // img: url (no alt text)
+            { pattern: /^(\s*)img:\s*(.+)$/i, replacement: '$1![]($2)', name: 'img-line-auto' }
+        ];
+    }
+
     /**
      * Create code block shortcuts
+     * They're multi-line, so processCodeBlockShortcuts runs them on the whole text.
      */
     createCodeBlockShortcuts() {
+        const fence = (lang, code) => '```' + lang + '\n' + code.trim() + '\n```';
         return [
-            // These are handled specially in processCodeBlockShortcuts
-            // because they're multi-line
+            // BBCode [code=language]...[/code]
+            {
+                pattern: /\[code=([^\]]+)\]([\s\S]*?)\[\/code\]/gi,
+                replacement: (match, lang, code) => fence(lang, code),
+                name: 'code-block-bbcode-language'
+            },
+            // BBCode [code]...[/code] (no language)
+            {
+                pattern: /\[code\]([\s\S]*?)\[\/code\]/gi,
+                replacement: (match, code) => fence('', code),
+                name: 'code-block-bbcode'
+            },
+            // HTML <code language="lang">...</code>
+            {
+                pattern: /<code language="([^"]+)">([\s\S]*?)<\/code>/gi,
+                replacement: (match, lang, code) => fence(lang, code),
+                name: 'code-block-html'
+            },
+            // Shorthand code: language ... endcode:
+            {
+                pattern: /^code:\s*(\w+)\s*$([\s\S]*?)^endcode:\s*$/gim,
+                replacement: (match, lang, code) => fence(lang, code),
+                name: 'code-block-short-language'
+            },
+            // Shorthand code: ... endcode: (no language)
+            {
+                pattern: /^code:\s*$([\s\S]*?)^endcode:\s*$/gim,
+                replacement: (match, code) => fence('', code),
+                name: 'code-block-short'
+            }
         ];
     }
 
+    /**
+     * Get the names of the built-in shortcuts, by scope
+     * @returns {{codeBlock: string[], block: string[], inline: string[]}}
+     */
+    getBuiltInShortcutNames() {
+        return {
+            codeBlock: this.shortcuts.codeBlock.map(shortcut => shortcut.name),
+            block: this.shortcuts.block.map(shortcut => shortcut.name),
+            inline: this.shortcuts.inline.map(shortcut => shortcut.name)
+        };
+    }
+
+    /**
+     * Turn built-in shortcuts off by name (the others are turned back on)
+     * @param {string[]} names - Names from getBuiltInShortcutNames()
+     */
+    setDisabledShortcuts(names) {
+        this.disabledShortcuts = new Set(names || []);
+    }
+
+    /**
+     * Check if a shortcut is converted
+     * @param {Object} shortcut - Built-in or custom shortcut
+     * @returns {boolean}
+     */
+    isShortcutEnabled(shortcut) {
+        if (shortcut.custom) return true;
+        if (this.disabledShortcuts.has(shortcut.name)) return false;
+        return !(shortcut.syntax && this.disabledSyntaxes.has(shortcut.syntax));
+    }
+
+    /**
+     * Get the shortcuts of a scope that are converted, user-defined ones first
+     * @param {string} scope - 'codeBlock', 'block' or 'inline'
+     * @returns {Object[]}
+     */
+    getActiveShortcuts(scope) {
+        const custom = this.customShortcuts[scope] || [];
+        return [...custom, ...this.shortcuts[scope].filter(shortcut => this.isShortcutEnabled(shortcut))];
+    }
+
+    /**
+     * Check a user-defined shortcut
+     * @param {Object} definition - { name, scope, pattern, template, enabled }
+     * @returns {string|null} - Why it can't be used, or null when it can
+     */
+    validateShortcut(definition) {
+        if (!definition || typeof definition !== 'object') return 'Shortcut must be an object';
+
+        const { name, scope, pattern, template } = definition;
+        if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/i.test(name)) {
+            return 'Name must be letters, digits and dashes';
+        }
+        const builtIn = this.getBuiltInShortcutNames();
+        if ([...builtIn.codeBlock, ...builtIn.block, ...builtIn.inline].includes(name)) {
+            return `'${name}' is the name of a built-in shortcut`;
+        }
+        if (!ShortcutProcessor.SCOPES.includes(scope)) {
+            return `Scope must be one of ${ShortcutProcessor.SCOPES.join(', ')}`;
+        }
+        if (typeof template !== 'string') return 'Template must be text';
+        if (typeof pattern !== 'string' || !pattern) return 'Pattern is empty';
+
+        let regex;
+        try {
+            regex = new RegExp(pattern);
+        } catch (error) {
+            return `Invalid pattern: ${error.message}`;
+        }
+        if (regex.test('')) return 'Pattern must not match empty text';
+
+        return null;
+    }
+
+    /**
+     * Replace the user-defined shortcuts
+     * Patterns are regular expressions and templates use $1, $2, ... for their groups
+     * ('jira:([A-Z]+-\d+)' -> '[$1](https://jira.example.com/browse/$1)'). Block
+     * patterns must match a whole line. Invalid and disabled ones are skipped.
+     * @param {Object[]} definitions - { name, scope, pattern, template, enabled }
+     */
+    setCustomShortcuts(definitions) {
+        this.customShortcuts = { block: [], inline: [] };
+
+        for (const definition of definitions || []) {
+            const error = this.validateShortcut(definition);
+            if (error) {
+                console.warn(`Custom shortcut '${definition && definition.name}' skipped: ${error}`);
+                continue;
+            }
+            if (definition.enabled === false) continue;
+
+            const block = definition.scope === 'block';
+            this.customShortcuts[definition.scope].push({
+                pattern: block ? new RegExp(`^(?:${definition.pattern})$`) : new RegExp(definition.pattern, 'g'),
+                replacement: definition.template,
+                name: definition.name,
+                custom: true
+            });
+        }
+    }
+
     /**
      * Process all shortcuts in markdown text
      * @param {string} markdown - Raw markdown with shortcuts
+     * @param {Object} [options]
+     * @param {boolean} [options.emoji=true] - Replace emoji shortcodes with their characters
+     *        (the WYSIWYG editor renders them itself so the shortcode is kept)
      * @returns {string} - Markdown with shortcuts converted to standard syntax
      */
-    process(markdown) {
+    process(markdown, options = {}) {
         if (!markdown) return '';
 
-        // Step 1: Process code block shortcuts (multi-line, must be first)
-        let result = this.processCodeBlockShortcuts(markdown);
+        // Step 0: Set code, HTML, escapes and math aside, so only prose is converted
+        const regions = [];
+        let result = this.protect(markdown, regions);
+
+        // Step 1: Process code block shortcuts (multi-line, must be first),
+        // then keep the fences they make away from the other rules too
+        result = this.processCodeBlockShortcuts(result);
+        result = this.protectBlocks(result, regions);
 
         // Step 2: Process block-level shortcuts (line-by-line)
         result = this.processBlockShortcuts(result);
 
-        // Step 3: Process inline shortcuts (within text)
+        // Step 3: Emoji shortcodes, before the colon shortcuts they must not take over
+        if (options.emoji !== false) {
+            result = this.replaceEmoji(result);
+        }
+
+        // Step 4: Process inline shortcuts (within text)
         result = this.processInlineShortcuts(result);
 
-        return result;
+        return this.restore(result, regions);
     }
 
     /**
-     * Process code block shortcuts (multi-line)
+     * Get the names used by colon shortcuts (':b:text:b:' -> 'b')
+     * @returns {Set<string>}
      */
-    processCodeBlockShortcuts(markdown) {
-        let result = markdown;
+    getColonShortcutNames() {
+        const names = new Set();
+        for (const shortcut of this.getActiveShortcuts('inline')) {
+            const match = shortcut.pattern.source.match(/^:(\w+):/);
+            if (match) names.add(match[1]);
+        }
+        return names;
+    }
 
-        // BBCode [code=language]...[/code]
-        result = result.replace(/\[code=([^\]]+)\]([\s\S]*?)\[\/code\]/gi, (match, lang, code) => {
-            return '```' + lang + '\n' + code.trim() + '\n```';
-        });
+    /**
+     * Get the order in which a ':name:' token is resolved
+     * @returns {string[]} - e.g. ['shortcut', 'emoji', 'text']
+     */
+    getColonTokenOrder() {
+        return [...ShortcutProcessor.COLON_TOKEN_ORDER];
+    }
 
-        // BBCode [code]...[/code] (no language)
-        result = result.replace(/\[code\]([\s\S]*?)\[\/code\]/gi, (match, code) => {
-            return '```\n' + code.trim() + '\n```';
-        });
+    /**
+     * Resolve a ':name:' token (see COLON_TOKEN_ORDER)
+     * @param {string} name - Name between the colons
+     * @param {Set<string>} [shortcutNames] - From getColonShortcutNames, when resolving many tokens
+     * @returns {{type: string, name: string, emoji?: string}} - type is 'shortcut', 'emoji' or 'text'
+     */
+    resolveColonToken(name, shortcutNames = this.getColonShortcutNames()) {
+        for (const type of ShortcutProcessor.COLON_TOKEN_ORDER) {
+            if (type === 'shortcut' && shortcutNames.has(name)) {
+                return { type, name };
+            }
+            if (type === 'emoji' && typeof Emoji !== 'undefined' && Emoji.get(name)) {
+                return { type, name, emoji: Emoji.get(name) };
+            }
+        }
+        return { type: 'text', name };
+    }
 
-        // HTML <code language="lang">...</code>
-        result = result.replace(/<code language="([^"]+)">([\s\S]*?)<\/code>/gi, (match, lang, code) => {
-            return '```' + lang + '\n' + code.trim() + '\n```';
-        });
+    /**
+     * Replace emoji shortcodes, leaving fenced code, code spans, URLs (link and image
+     * destinations, autolinks, reference definitions) and shortcut names alone
+     * @param {string} markdown - Markdown text
+     * @param {Function} [replacer] - ({name, emoji}) => replacement; defaults to the character
+     * @returns {string}
+     */
+    replaceEmoji(markdown, replacer = token => token.emoji) {
+        if (typeof Emoji === 'undefined' || !markdown.includes(':')) return markdown;
 
-        // Shorthand code: language ... endcode:
-        result = result.replace(/^code:\s*(\w+)\s*$([\s\S]*?)^endcode:\s*$/gim, (match, lang, code) => {
-            return '```' + lang + '\n' + code.trim() + '\n```';
-        });
+        const shortcutNames = this.getColonShortcutNames();
+        let fence = null;
 
-        // Shorthand code: ... endcode: (no language)
-        result = result.replace(/^code:\s*$([\s\S]*?)^endcode:\s*$/gim, (match, code) => {
-            return '```\n' + code.trim() + '\n```';
+        return markdown.split('\n').map(line => {
+            const marker = line.match(/^\s*(`{3,}|~{3,})/);
+            if (marker && (!fence || marker[1].startsWith(fence))) {
+                fence = fence ? null : marker[1];
+                return line;
+            }
+            if (fence || !line.includes(':')) return line;
+
+            const pattern = /(`+)[^`]*?\1|\]\([^)]*\)|<[A-Za-z][A-Za-z0-9+.-]*:[^\s<>]*>|^ {0,3}\[[^\]]+\]:[ \t]*\S+|:([a-z0-9_+-]+):/g;
+            let result = '';
+            let last = 0;
+            let match;
+            while ((match = pattern.exec(line)) !== null) {
+                if (match[2] === undefined) continue; // Code span, link destination or autolink
+
+                const token = this.resolveColonToken(match[2], shortcutNames);
+                if (token.type === 'emoji') {
+                    result += line.slice(last, match.index) + replacer(token);
+                    last = pattern.lastIndex;
+                } else if (token.type === 'text') {
+                    pattern.lastIndex = match.index + 1; // Its closing colon may open a shortcode
+                }
+                // A shortcut name is skipped whole so its colons can't pair with a neighbour's
+            }
+            return result + line.slice(last);
+        }).join('\n');
+    }
+
+    /**
+     * Replace the regions where shortcuts don't apply with placeholders
+     * Block regions first (front matter, fences, raw HTML), then backslash escapes
+     * (see MarkdownEscapes), code spans and $math$ / $$math$$. A backslash escaping
+     * nothing is set aside too, as restore() keeps it literal: '\b{x}' must not
+     * become '\**x**', where it would escape the bold marker.
+     * @param {string} markdown - Markdown text
+     * @param {string[]} regions - Receives the regions as written, by placeholder index
+     * @returns {string}
+     */
+    protect(markdown, regions) {
+        let result = this.protectBlocks(markdown, regions);
+
+        if (typeof MarkdownEscapes !== 'undefined') {
+            result = MarkdownEscapes.protect(result);
+            result = MarkdownEscapes.replaceInline(result, {
+                code: (content, source) => this.addRegion(source, regions)
+            });
+        }
+
+        if (typeof MathSyntax !== 'undefined') {
+            result = MathSyntax.replaceInline(result, (match, source) => this.addRegion(source, regions));
+        }
+
+        return result.replace(/\\(?![\uE121-\uE17E!-\/:-@[-`{-~])/g, source => this.addRegion(source, regions));
+    }
+
+    /**
+     * Replace front matter, fenced code blocks and raw HTML blocks with placeholders
+     * A fence without a closing line runs to the end, as in the preview.
+     * @param {string} markdown - Markdown text
+     * @param {string[]} regions - Receives the blocks as written
+     * @returns {string}
+     */
+    protectBlocks(markdown, regions) {
+        const lines = markdown.split('\n');
+        const result = [];
+        let start = 0;
+
+        const frontMatter = typeof FrontMatter !== 'undefined' ? FrontMatter.extract(markdown) : null;
+        if (frontMatter) {
+            result.push(this.addRegion(lines.slice(0, frontMatter.lineCount).join('\n'), regions));
+            start = frontMatter.lineCount;
+        }
+
+        for (let i = start; i < lines.length; i++) {
+            const end = this.findBlockEnd(lines, i);
+            if (end === -1) {
+                result.push(lines[i]);
+                continue;
+            }
+            result.push(this.addRegion(lines.slice(i, end + 1).join('\n'), regions));
+            i = end;
+        }
+
+        return result.join('\n');
+    }
+
+    /**
+     * Find the last line of a fenced code block or raw HTML block opening at a line
+     * @param {string[]} lines - Markdown lines
+     * @param {number} start - Index of the candidate opening line
+     * @returns {number} - Index of the block's last line, or -1 when no block opens there
+     */
+    findBlockEnd(lines, start) {
+        const line = lines[start];
+        const findLine = test => {
+            for (let i = start + 1; i < lines.length; i++) {
+                if (test(lines[i])) return i;
+            }
+            return lines.length - 1;
+        };
+
+        // Fenced code: closed by a fence of the same character, at least as long
+        const fence = line.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (fence && !(fence[1][0] === '`' && line.slice(fence[0].length).includes('`'))) {
+            const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+            return findLine(next => closing.test(next));
+        }
+
+        // Comments and <pre>, <script>, <style>, <textarea>: up to the closing line
+        if (/^ {0,3}<!--/.test(line)) {
+            return line.includes('-->', line.indexOf('<!--') + 4) ? start : findLine(next => next.includes('-->'));
+        }
+        const raw = line.match(/^ {0,3}<([a-z]+)(?:[\s>]|$)/i);
+        if (raw && ShortcutProcessor.HTML_RAW_TAGS.includes(raw[1].toLowerCase())) {
+            const closing = new RegExp(`</${raw[1]}>`, 'i');
+            return closing.test(line) ? start : findLine(next => closing.test(next));
+        }
+
+        // Other block-level HTML: up to the next blank line
+        const tag = line.match(/^ {0,3}<\/?([a-z][a-z0-9]*)(?:[\s/>]|$)/i);
+        if (tag && ShortcutProcessor.HTML_BLOCK_TAGS.includes(tag[1].toLowerCase())) {
+            const blank = findLine(next => next.trim() === '');
+            return lines[blank].trim() === '' ? blank - 1 : blank;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Set a region aside
+     * @param {string} source - The region as written
+     * @param {string[]} regions - Regions set aside so far
+     * @returns {string} - Placeholder to put in its place
+     */
+    addRegion(source, regions) {
+        regions.push(source);
+        return `\uE002${regions.length - 1}\uE003`;
+    }
+
+    /**
+     * Put the regions set aside by protect() back in place, and escapes back as written
+     * Regions set aside later (the fences of code block shortcuts) can hold earlier ones.
+     * A lone backslash now followed by punctuation (shortcut output, a protected escape
+     * or region) is written as '\\'.
+     * @param {string} markdown - Processed markdown
+     * @param {string[]} regions - Regions as written
+     * @returns {string}
+     */
+    restore(markdown, regions) {
+        const restoreRegions = text => text.replace(/\uE002(\d+)\uE003/g, (match, index, offset) => {
+            if (regions[index] === undefined) return match;
+            if (regions[index] === '\\') {
+                const next = text[offset + match.length];
+                return /^[!-\/:-@[-`{-~\uE002\uE121-\uE17E]/.test(next || '') ? '\\\\' : '\\';
+            }
+            return restoreRegions(regions[index]);
         });
 
+        const result = regions.length > 0 ? restoreRegions(markdown) : markdown;
+        return typeof MarkdownEscapes !== 'undefined' ? MarkdownEscapes.toSource(result) : result;
+    }
+
+    /**
+     * Process code block shortcuts (multi-line)
+     */
+    processCodeBlockShortcuts(markdown) {
+        let result = markdown;
+
+        for (const shortcut of this.getActiveShortcuts('codeBlock')) {
+            result = result.replace(shortcut.pattern, shortcut.replacement);
+        }
+
         return result;
     }
 
     /**
      * Process block-level shortcuts (line-by-line)
+     * A shortcut marked startsBlock right after a quote line gets a blank line before it,
+     * so 'note: a' then 'warn: b' are two callouts rather than one quote.
      */
     processBlockShortcuts(markdown) {
         const lines = markdown.split('\n');
         const result = [];
+        const shortcuts = this.getActiveShortcuts('block');
 
         for (let i = 0; i < lines.length; i++) {
             let line = lines[i];
-            const trimmed = line.trim();
-
-            // Special handling for link: shortcuts
-            if (/^link:\s*/i.test(trimmed)) {
-                const linkMatch = trimmed.match(/^link:\s*(.+?)\s*\|\s*(.+)$/i);
-                if (linkMatch) {
-                    // link: text | url
-                    line = line.replace(/^(\s*)link:\s*(.+?)\s*\|\s*(.+)$/i, '$1[$2]($3)');
-                } else {
-                    // link: url (auto-link, use URL as text)
-                    line = line.replace(/^(\s*)link:\s*(.+)$/i, (match, indent, url) => {
-                        return indent + '[' + url.trim() + '](' + url.trim() + ')';
-                    });
-                }
-            }
-
-            // Special handling for img: shortcuts
-            if (/^img:\s*/i.test(trimmed)) {
-                const imgMatch = trimmed.match(/^img:\s*(.+?)\s*\|\s*(.+)$/i);
-                if (imgMatch) {
-                    // img: alt | url
-                    line = line.replace(/^(\s*)img:\s*(.+?)\s*\|\s*(.+)$/i, '$1![$2]($3)');
-                } else {
-                    // img: url (no alt text)
-                    line = line.replace(/^(\s*)img:\s*(.+)$/i, '$1![]($2)');
-                }
-            }
 
             // Apply block-level shortcut rules
-            for (const shortcut of this.shortcuts.block) {
+            for (const shortcut of shortcuts) {
                 if (shortcut.pattern.test(line)) {
                     line = line.replace(shortcut.pattern, shortcut.replacement);
+                    if (shortcut.startsBlock && result.length > 0 && /^\s*>/.test(result[result.length - 1])) {
+                        result.push('');
+                    }
                     break; // Only apply first matching rule
                 }
             }
@@ -352,8 +812,8 @@ class ShortcutProcessor {
     processInlineShortcuts(markdown) {
         let result = markdown;
 
-        // Apply all inline shortcut rules
-        for (const shortcut of this.shortcuts.inline) {
+        // Apply all inline shortcut rules (except turned-off ones and aliases of turned-off syntaxes)
+        for (const shortcut of this.getActiveShortcuts('inline')) {
             result = result.replace(shortcut.pattern, shortcut.replacement);
         }
 
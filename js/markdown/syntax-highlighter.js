@@ -0,0 +1,323 @@
+/**
+ * Syntax Highlighter Module
+ * Dependency-free highlighting for fenced code blocks
+ *
+ * - Languages: JavaScript, JSON, CSS, HTML, Markdown, Bash and Python
+ *   (plus aliases such as 'js', 'sh', 'py', 'md')
+ * - Output is escaped code with tokens wrapped in <span class="token TYPE">;
+ *   the colours come from the --md-token-* CSS variables of the active theme
+ * - A language is a list of rules tried in order at each position:
+ *   { type, pattern, inside } - type null leaves the match unstyled,
+ *   inside re-tokenizes the match with its own rules (tag names inside tags, ...)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only turns code into highlighted HTML
+ * - Open/Closed: Languages are data; addLanguage() registers more
+ */
+
+class SyntaxHighlighter {
+    /**
+     * Default language definitions
+     * @returns {Object} - name -> { aliases: string[], rules: Object[] }
+     */
+    static getDefaultLanguages() {
+        const javascript = [
+            { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/ },
+            { type: 'string', pattern: /`(?:\\[\s\S]|[^\\`])*`/ },
+            { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/ },
+            // A '/' starts a regex only where a value is expected
+            {
+                type: 'regex',
+                pattern: /(?<=(?:^|[=(,:;!&|?{}[\]]|\breturn|\btypeof)\s*)\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuy]*/
+            },
+            {
+                type: 'keyword',
+                pattern: /\b(?:as|async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|get|if|import|in|instanceof|let|new|of|return|set|static|super|switch|this|throw|try|typeof|var|void|while|with|yield)\b/
+            },
+            { type: 'constant', pattern: /\b(?:true|false|null|undefined|NaN|Infinity)\b/ },
+            {
+                type: 'number',
+                pattern: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.[\d_]*)?(?:[eE][+-]?\d+)?n?)|\B\.\d+(?:[eE][+-]?\d+)?/
+            },
+            { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/ },
+            { type: 'class-name', pattern: /\b[A-Z][\w$]*/ },
+            { type: null, pattern: /[A-Za-z_$][\w$]*/ },
+            { type: 'operator', pattern: /=>|\.{3}|[-+*/%=!<>&|^~?]+/ },
+            { type: 'punctuation', pattern: /[{}[\];(),.:]/ }
+        ];
+
+        const json = [
+            { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/ },
+            { type: 'property', pattern: /"(?:\\.|[^\\"\n])*"(?=\s*:)/ },
+            { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"/ },
+            { type: 'number', pattern: /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/ },
+            { type: 'constant', pattern: /\b(?:true|false|null)\b/ },
+            { type: 'punctuation', pattern: /[{}[\],:]/ }
+        ];
+
+        const cssValues = [
+            { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+            { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/ },
+            { type: 'keyword', pattern: /!important\b/i },
+            { type: 'number', pattern: /#[\da-fA-F]{3,8}\b/ },
+            { type: 'number', pattern: /-?(?:\b\d+(?:\.\d+)?|\B\.\d+)(?:%|[a-zA-Z]+\b)?/ },
+            { type: 'function', pattern: /[-\w]+(?=\()/ },
+            { type: 'variable', pattern: /--[-\w]+/ },
+            { type: null, pattern: /[-\w]+/ },
+            { type: 'punctuation', pattern: /[(),;:]/ }
+        ];
+
+        const css = [
+            { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+            {
+                type: null,
+                pattern: /@[\w-]+[^{};]*/,
+                inside: [{ type: 'keyword', pattern: /^@[\w-]+/ }, ...cssValues]
+            },
+            // Declaration block without nested blocks
+            {
+                type: null,
+                pattern: /\{[^{}]*\}/,
+                inside: [
+                    { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+                    { type: 'property', pattern: /(?<=[{;]\s*)-?[A-Za-z_][-\w]*(?=\s*:)/ },
+                    { type: 'punctuation', pattern: /[{}]/ },
+                    ...cssValues
+                ]
+            },
+            { type: 'selector', pattern: /[^{}\s;][^{};]*?(?=\s*\{)/ },
+            { type: 'punctuation', pattern: /[{};]/ }
+        ];
+
+        const html = [
+            { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/ },
+            { type: 'keyword', pattern: /<!DOCTYPE[^>]*>/i },
+            {
+                type: null,
+                pattern: /<\/?[A-Za-z][\w:-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/,
+                inside: [
+                    { type: 'tag', pattern: /^<\/?[\w:-]+/ },
+                    { type: 'attr-value', pattern: /(?<==\s*)(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+)/ },
+                    { type: 'tag', pattern: /\/?>$/ },
+                    { type: 'punctuation', pattern: /=/ },
+                    { type: 'attr-name', pattern: /[^\s"'>/=]+/ }
+                ]
+            },
+            { type: 'constant', pattern: /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z][\w]*);/ }
+        ];
+
+        const markdown = [
+            { type: 'code', pattern: /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n\1[ \t]*(?=\n|$(?![\s\S]))|$(?![\s\S]))/m },
+            { type: 'heading', pattern: /^#{1,6}(?:[ \t].*)?$/m },
+            { type: 'punctuation', pattern: /^[ \t]*(?:[-*_][ \t]*){3,}$/m },
+            { type: 'punctuation', pattern: /^[ \t]*>/m },
+            { type: 'keyword', pattern: /^[ \t]*(?:[-*+]|\d+[.)])(?=[ \t])/m },
+            { type: 'url', pattern: /^[ \t]*\[[^\]\n]+\]:.*$/m },
+            { type: 'code', pattern: /`[^`\n]+`/ },
+            { type: 'url', pattern: /!?\[[^\]\n]*\](?:\([^)\n]*\)|\[[^\]\n]*\])/ },
+            { type: 'bold', pattern: /(\*\*|__)(?=\S)[^\n]*?\S\1/ },
+            { type: 'italic', pattern: /\*(?=[^\s*])[^*\n]*?[^\s*]\*|\*[^\s*]\*|\b_(?=\S)[^_\n]*?\S_\b/ },
+            { type: 'tag', pattern: /<\/?[A-Za-z][^>\n]*>/ },
+            { type: null, pattern: /\w+/ }
+        ];
+
+        const bashVariable = { type: 'variable', pattern: /\$(?:\{[^}\n]*\}|\(\(?|\w+|[@#?$!*-])/ };
+        const bash = [
+            { type: 'comment', pattern: /(?<=^|\s)#.*/ },
+            { type: 'string', pattern: /"(?:\\[\s\S]|[^\\"])*"/, inside: [bashVariable] },
+            { type: 'string', pattern: /'[^']*'/ },
+            bashVariable,
+            {
+                type: 'keyword',
+                pattern: /\b(?:if|then|else|elif|fi|for|in|do|done|while|until|case|esac|function|select|return|break|continue|local|export|readonly|declare|time)\b/
+            },
+            {
+                type: 'builtin',
+                pattern: /\b(?:echo|cd|pwd|exit|source|alias|unalias|set|unset|shift|test|read|printf|eval|exec|trap|type|which|sudo)\b/
+            },
+            { type: 'variable', pattern: /\b[A-Za-z_]\w*(?==)/ },
+            { type: 'attr-name', pattern: /(?<=\s)--?[A-Za-z][\w-]*/ },
+            { type: 'number', pattern: /\b\d+\b/ },
+            { type: null, pattern: /[\w./-]+/ },
+            { type: 'operator', pattern: /&&|\|\||[|&;<>=]+/ },
+            { type: 'punctuation', pattern: /[[\]{}()]/ }
+        ];
+
+        const python = [
+            { type: 'comment', pattern: /#.*/ },
+            { type: 'string', pattern: /(?:\b[rRbBuUfF]{1,2})?("""|''')[\s\S]*?(?:\1|$)/ },
+            { type: 'string', pattern: /(?:\b[rRbBuUfF]{1,2})?(?:"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*')/ },
+            { type: 'builtin', pattern: /^[ \t]*@[\w.]+/m },
+            {
+                type: 'keyword',
+                pattern: /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|match|nonlocal|not|or|pass|raise|return|try|while|with|yield)\b/
+            },
+            { type: 'constant', pattern: /\b(?:True|False|None)\b/ },
+            {
+                type: 'builtin',
+                pattern: /\b(?:print|len|range|enumerate|zip|map|filter|open|int|float|str|bool|list|dict|set|tuple|type|isinstance|super|self)\b/
+            },
+            { type: 'function', pattern: /(?<=\bdef\s+)\w+/ },
+            { type: 'class-name', pattern: /(?<=\bclass\s+)\w+/ },
+            { type: 'function', pattern: /\b[A-Za-z_]\w*(?=\s*\()/ },
+            { type: 'number', pattern: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.[\d_]*)?(?:[eE][+-]?\d+)?j?)|\B\.\d+/ },
+            { type: null, pattern: /\w+/ },
+            { type: 'operator', pattern: /[-+*/%=!<>&|^~@]+/ },
+            { type: 'punctuation', pattern: /[{}[\];(),.:]/ }
+        ];
+
+        return {
+            javascript: { aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'], rules: javascript },
+            json: { aliases: ['jsonc', 'json5'], rules: json },
+            css: { aliases: [], rules: css },
+            html: { aliases: ['htm', 'xml', 'svg', 'xhtml'], rules: html },
+            markdown: { aliases: ['md'], rules: markdown },
+            bash: { aliases: ['sh', 'shell', 'zsh', 'console'], rules: bash },
+            python: { aliases: ['py', 'python3'], rules: python }
+        };
+    }
+
+    constructor() {
+        this.languages = new Map(); // name -> compiled rules
+        this.aliases = new Map(); // alias -> name
+
+        const languages = SyntaxHighlighter.getDefaultLanguages();
+        Object.keys(languages).forEach(name => {
+            this.addLanguage(name, languages[name].rules, languages[name].aliases);
+        });
+    }
+
+    /**
+     * Register or replace a language
+     * @param {string} name - Language name as written after the fence
+     * @param {Object[]} rules - { type, pattern, inside } rules, tried in order
+     * @param {string[]} aliases - Other names for the language
+     */
+    addLanguage(name, rules, aliases = []) {
+        const key = name.toLowerCase();
+        this.languages.set(key, this.compileRules(rules));
+        aliases.forEach(alias => this.aliases.set(alias.toLowerCase(), key));
+    }
+
+    /**
+     * Get the names of the supported languages (without aliases)
+     * @returns {string[]}
+     */
+    getLanguages() {
+        return Array.from(this.languages.keys());
+    }
+
+    /**
+     * Check if a fence language can be highlighted
+     * @param {string} language - Fence info string
+     * @returns {boolean}
+     */
+    supports(language) {
+        return this.resolveLanguage(language) !== null;
+    }
+
+    /**
+     * Find the language for a fence info string
+     * @param {string} language - Fence info string ('js', 'Python title="x"')
+     * @returns {string|null} - Language name
+     */
+    resolveLanguage(language) {
+        const key = (language || '').trim().split(/\s+/)[0].toLowerCase();
+        if (this.languages.has(key)) return key;
+        return this.aliases.get(key) || null;
+    }
+
+    /**
+     * Highlight code
+     * @param {string} code - Code to highlight
+     * @param {string} language - Fence info string
+     * @returns {string|null} - Escaped HTML with token spans, or null for unknown languages
+     */
+    highlight(code, language) {
+        const name = this.resolveLanguage(language);
+        if (!name) return null;
+        return this.tokenize(code, this.languages.get(name));
+    }
+
+    /**
+     * Make rule patterns sticky so they only match at the current position
+     * @param {Object[]} rules
+     * @returns {Object[]}
+     */
+    compileRules(rules) {
+        return rules.map(rule => ({
+            type: rule.type,
+            pattern: new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, '') + 'y'),
+            inside: rule.inside ? this.compileRules(rule.inside) : null
+        }));
+    }
+
+    /**
+     * Turn code into escaped HTML using compiled rules
+     * @param {string} code
+     * @param {Object[]} rules - Compiled rules
+     * @returns {string}
+     */
+    tokenize(code, rules) {
+        const html = [];
+        let plain = ''; // Unmatched text waiting to be escaped
+        let index = 0;
+
+        while (index < code.length) {
+            const token = this.matchAt(code, index, rules);
+            if (!token) {
+                plain += code[index];
+                index++;
+                continue;
+            }
+
+            if (plain) {
+                html.push(this.escapeHtml(plain));
+                plain = '';
+            }
+
+            const content = token.rule.inside
+                ? this.tokenize(token.text, token.rule.inside)
+                : this.escapeHtml(token.text);
+            html.push(token.rule.type ? `<span class="token ${token.rule.type}">${content}</span>` : content);
+            index += token.text.length;
+        }
+
+        if (plain) html.push(this.escapeHtml(plain));
+        return html.join('');
+    }
+
+    /**
+     * Find the first rule that matches at a position
+     * @returns {{rule: Object, text: string}|null}
+     */
+    matchAt(code, index, rules) {
+        for (const rule of rules) {
+            rule.pattern.lastIndex = index;
+            const match = rule.pattern.exec(code);
+            if (match && match[0].length > 0) {
+                return { rule, text: match[0] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntaxHighlighter;
+}
@@ -0,0 +1,90 @@
+/**
+ * Table of Contents Module
+ * Renders a document's headings as a nested list of anchor links
+ * Shared by HtmlSerializer (preview) and WysiwygEngine
+ *
+ * - A line containing only [TOC] is replaced by the table of contents
+ *   (the 'toc:' shortcut expands to it)
+ * - Lists nest by heading level, relative to the highest level present;
+ *   a heading more than one level deeper than the previous one nests one level only
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only knows the marker and the list markup, doesn't find headings
+ * - Open/Closed: Consumers decide which headings to include and how to label them
+ */
+
+class TableOfContents {
+    /**
+     * Check if a line is the table of contents marker
+     * @param {string} line - Source line
+     * @returns {boolean}
+     */
+    static isMarker(line) {
+        return /^\[toc\]$/i.test(line.trim());
+    }
+
+    /**
+     * Render headings as nested lists
+     * @param {Array<{level: number, id: string, html: string}>} headings - In document order;
+     *        html is the (already escaped) link text
+     * @returns {string} - '<ul>...</ul>', or '' when there are no headings
+     */
+    static render(headings) {
+        if (headings.length === 0) return '';
+
+        const minLevel = Math.min(...headings.map(heading => heading.level));
+        const html = [];
+        let depth = 0;
+
+        headings.forEach(heading => {
+            const level = Math.min(heading.level - minLevel + 1, depth + 1);
+
+            if (level > depth) {
+                // One level deeper: open a list inside the previous item
+                html.push('<ul>');
+                depth = level;
+            } else {
+                html.push('</li>');
+                while (depth > level) {
+                    html.push('</ul>', '</li>');
+                    depth--;
+                }
+            }
+
+            html.push(`<li><a href="#${heading.id}">${heading.html}</a>`);
+        });
+
+        html.push('</li>');
+        while (depth > 1) {
+            html.push('</ul>', '</li>');
+            depth--;
+        }
+        html.push('</ul>');
+
+        return html.join('\n');
+    }
+
+    /**
+     * Write headings as a nested markdown list of links, nested like render()
+     * (for portable files, where [TOC] isn't understood)
+     * @param {Array<{level: number, id: string, markdown: string}>} headings - In document order;
+     *        markdown is the (already escaped) link text
+     * @returns {string} - '- [Title](#title)\n  - ...', or '' when there are no headings
+     */
+    static toMarkdown(headings) {
+        if (headings.length === 0) return '';
+
+        const minLevel = Math.min(...headings.map(heading => heading.level));
+        let depth = 0;
+
+        return headings.map(heading => {
+            depth = Math.min(heading.level - minLevel + 1, depth + 1);
+            return `${'  '.repeat(depth - 1)}- [${heading.markdown}](#${heading.id})`;
+        }).join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TableOfContents;
+}
@@ -0,0 +1,186 @@
+/**
+ * Table Syntax Module
+ * GFM table row rules shared by BlockProcessor (preview) and WysiwygEngine
+ *
+ * - Cells are split on unescaped pipes outside code spans
+ * - '\|' stands for a literal pipe (inside code spans too)
+ * - The separator row (| :--- | :---: | ---: |) sets column alignment
+ * - A table needs a header row followed by a separator with the same cell count
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only knows table row syntax, doesn't build HTML or nodes
+ * - Open/Closed: Consumers decide how to render the cells it returns
+ */
+
+class TableSyntax {
+    /**
+     * A '|' set aside by MarkdownEscapes.protect (the backslash is kept before it)
+     * @type {string}
+     */
+    static PROTECTED_PIPE = '\uE17C';
+
+    /**
+     * Split a table row into cells
+     * @param {string} line - Table row source (leading/trailing pipes optional)
+     * @returns {Array<{content: string, start: number, end: number}>} - Cell text with
+     *          escaped pipes resolved, and the source offsets of the trimmed cell
+     */
+    static splitRow(line) {
+        const cells = [];
+        let from = TableSyntax.getIndent(line);
+        let to = line.trimEnd().length;
+
+        // Leading and trailing pipes are optional delimiters, not cell boundaries
+        if (line[from] === '|') from++;
+        if (to > from && line[to - 1] === '|' && line[to - 2] !== '\\') to--;
+
+        let cellStart = from;
+        let content = '';
+
+        const pushCell = (cellEnd) => {
+            const leading = content.length - content.trimStart().length;
+            const trailing = content.length - content.trimEnd().length;
+            cells.push({
+                content: content.trim(),
+                start: Math.min(cellStart + leading, cellEnd),
+                end: Math.max(cellEnd - trailing, cellStart)
+            });
+        };
+
+        for (let i = from; i < to; i++) {
+            const char = line[i];
+
+            // Escaped pipe (also when MarkdownParser has set the escape aside)
+            if (char === '\\' && (line[i + 1] === '|' || line[i + 1] === TableSyntax.PROTECTED_PIPE)) {
+                content += '|';
+                i++;
+                continue;
+            }
+
+            // Code span: pipes inside are part of the cell
+            if (char === '`') {
+                const span = TableSyntax.matchCodeSpan(line, i, to);
+                if (span) {
+                    content += span.replace(/\\\|/g, '|');
+                    i += span.length - 1;
+                    continue;
+                }
+            }
+
+            if (char === '|') {
+                pushCell(i);
+                cellStart = i + 1;
+                content = '';
+                continue;
+            }
+
+            content += char;
+        }
+
+        pushCell(to);
+        return cells;
+    }
+
+    /**
+     * Get the cell texts of a row
+     * @param {string} line - Table row source
+     * @returns {Array<string>}
+     */
+    static getCells(line) {
+        return TableSyntax.splitRow(line).map(cell => cell.content);
+    }
+
+    /**
+     * Check if a line is a separator row (| --- | :---: |)
+     * @param {string} line - Source line
+     * @returns {boolean}
+     */
+    static isSeparatorRow(line) {
+        if (!line || !line.includes('-')) return false;
+        const cells = TableSyntax.getCells(line);
+        return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell));
+    }
+
+    /**
+     * Check if two lines open a table: a header row and a separator with the same number of cells
+     * @param {string} headerLine - Candidate header row
+     * @param {string} separatorLine - Line after it
+     * @returns {boolean}
+     */
+    static isTableStart(headerLine, separatorLine) {
+        if (typeof separatorLine !== 'string' || !TableSyntax.isSeparatorRow(separatorLine)) {
+            return false;
+        }
+        return TableSyntax.getCells(headerLine).length === TableSyntax.getCells(separatorLine).length;
+    }
+
+    /**
+     * Read column alignments from a separator row
+     * @param {string} line - Separator row
+     * @returns {Array<string|null>} - 'left', 'center', 'right' or null per column
+     */
+    static parseAlignments(line) {
+        return TableSyntax.getCells(line).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+    }
+
+    /**
+     * Pad or truncate a row's cells to the table's column count
+     * @param {Array} cells - Row cells
+     * @param {number} count - Column count (from the header)
+     * @param {Function} createEmpty - (index) => empty cell value
+     * @returns {Array}
+     */
+    static normalizeCells(cells, count, createEmpty) {
+        const result = cells.slice(0, count);
+        while (result.length < count) {
+            result.push(createEmpty(result.length));
+        }
+        return result;
+    }
+
+    /**
+     * Match a code span (backtick run, content, same-length backtick run) at an offset
+     * @returns {string|null} - The full span including backticks
+     */
+    static matchCodeSpan(line, offset, to) {
+        let runEnd = offset;
+        while (runEnd < to && line[runEnd] === '`') runEnd++;
+        const run = line.substring(offset, runEnd);
+
+        let search = runEnd;
+        while (search < to) {
+            const close = line.indexOf(run, search);
+            if (close === -1 || close + run.length > to) return null;
+
+            // The closing run must be exactly as long as the opening one
+            const closeEnd = close + run.length;
+            if (line[closeEnd] !== '`' && line[close - 1] !== '`') {
+                return line.substring(offset, closeEnd);
+            }
+
+            search = closeEnd;
+            while (search < to && line[search] === '`') search++;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the number of leading whitespace characters in a line
+     */
+    static getIndent(line) {
+        return line.length - line.trimStart().length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TableSyntax;
+}
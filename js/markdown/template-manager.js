@@ -0,0 +1,243 @@
+/**
+ * Template Manager
+ * Keeps the document templates: documents saved to start new documents from (see
+ * DocumentTemplates for their placeholders)
+ *
+ * Templates are stored in localStorage next to the documents, under their own key, and
+ * can be exported to and imported from a JSON file. Names are unique, ignoring case:
+ * saving or importing a template under a name in use replaces that template.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only manages the template collection and its storage
+ * - Open/Closed: Extensible through the onChange callback
+ */
+
+class TemplateManager {
+    /**
+     * localStorage key of the templates
+     * @type {string}
+     */
+    static STORAGE_KEY = 'markdown-templates';
+
+    constructor(config = {}) {
+        this.templates = [];
+
+        // Callback
+        this.onChange = config.onChange || null; // (templates) => void, after any change
+
+        // Save to storage on every change
+        this.autoSave = config.autoSave !== false;
+    }
+
+    /**
+     * Generate unique template ID
+     * @returns {string}
+     */
+    generateId() {
+        return `template-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Save content as a template, replacing the template of the same name
+     * @param {string} name - Template name
+     * @param {string} content - Template content, placeholders and all
+     * @returns {Object|null} - The template { id, name, content, created, modified }, or
+     *          null without a name
+     */
+    saveTemplate(name, content) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return null;
+
+        const now = new Date();
+        let template = this.findTemplate(trimmed);
+        if (template) {
+            template.name = trimmed;
+            template.content = content || '';
+            template.modified = now;
+        } else {
+            template = { id: this.generateId(), name: trimmed, content: content || '', created: now, modified: now };
+            this.templates.push(template);
+        }
+
+        this.changed();
+        return template;
+    }
+
+    /**
+     * Get template by ID
+     * @param {string} id - Template ID
+     * @returns {Object|null}
+     */
+    getTemplate(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    /**
+     * Find a template by name, ignoring case
+     * @param {string} name - Template name
+     * @returns {Object|null}
+     */
+    findTemplate(name) {
+        const key = String(name).trim().toLowerCase();
+        return this.templates.find(template => template.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Get all templates, by name
+     * @returns {Array<Object>}
+     */
+    getAllTemplates() {
+        return [...this.templates].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Delete a template
+     * @param {string} id - Template ID
+     * @returns {boolean} - Whether there was such a template
+     */
+    deleteTemplate(id) {
+        const index = this.templates.findIndex(template => template.id === id);
+        if (index === -1) return false;
+
+        this.templates.splice(index, 1);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Store the templates and tell the listener
+     */
+    changed() {
+        if (this.autoSave) {
+            this.saveToStorage();
+        }
+        if (this.onChange) {
+            this.onChange(this.getAllTemplates());
+        }
+    }
+
+    /**
+     * Save all templates to localStorage
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem(TemplateManager.STORAGE_KEY, JSON.stringify({ templates: this.templates }));
+        } catch (error) {
+            console.error('Failed to save templates:', error);
+        }
+    }
+
+    /**
+     * Load templates from localStorage
+     * @returns {boolean} - Whether templates were stored
+     */
+    loadFromStorage() {
+        try {
+            const data = localStorage.getItem(TemplateManager.STORAGE_KEY);
+            if (!data) return false;
+
+            this.templates = JSON.parse(data).templates.map(template => ({
+                ...template,
+                created: new Date(template.created),
+                modified: new Date(template.modified)
+            }));
+            return true;
+        } catch (error) {
+            console.error('Failed to load templates:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Export templates to JSON
+     * @returns {string} JSON string of the templates' names and content
+     */
+    export() {
+        const exportData = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            templates: this.getAllTemplates().map(({ name, content }) => ({ name, content }))
+        };
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    /**
+     * Export templates and trigger download
+     */
+    exportToFile() {
+        const json = this.export();
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `markdown-editor-templates-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import templates from a JSON string, replacing templates of the same names
+     * @param {string} json - JSON string from export()
+     * @returns {Object} Result { success: boolean, imported?: number, errors?: string[], warnings?: string[] }
+     */
+    import(json) {
+        const warnings = [];
+
+        try {
+            const imported = JSON.parse(json);
+
+            // Validate structure
+            if (!imported || !Array.isArray(imported.templates)) {
+                return { success: false, errors: ['Invalid templates file format: missing templates list'] };
+            }
+
+            let count = 0;
+            const autoSave = this.autoSave;
+            const onChange = this.onChange;
+            this.autoSave = false; // Store and notify once, below
+            this.onChange = null;
+
+            try {
+                imported.templates.forEach((template, index) => {
+                    if (!template || typeof template.name !== 'string' || !template.name.trim() ||
+                        typeof template.content !== 'string') {
+                        warnings.push(`Template ${index + 1} has no name or content and will be ignored`);
+                        return;
+                    }
+                    this.saveTemplate(template.name, template.content);
+                    count++;
+                });
+            } finally {
+                this.autoSave = autoSave;
+                this.onChange = onChange;
+            }
+
+            if (count > 0) {
+                this.changed();
+            }
+
+            return { success: true, imported: count, warnings: warnings.length > 0 ? warnings : undefined };
+        } catch (error) {
+            return { success: false, errors: [`Parse error: ${error.message}`] };
+        }
+    }
+
+    /**
+     * Import templates from a File object
+     * @param {File} file - JSON file to import
+     * @returns {Promise<Object>} Result, see import()
+     */
+    async importFromFile(file) {
+        try {
+            const text = await file.text();
+            return this.import(text);
+        } catch (error) {
+            return { success: false, errors: [`Failed to read file: ${error.message}`] };
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateManager;
+}
@@ -0,0 +1,738 @@
+/**
+ * TeX to MathML Module
+ * Converts the TeX math people write in notes into MathML, which browsers render natively
+ *
+ *     \frac{-b \pm \sqrt{b^2 - 4ac}}{2a}     x_{i,j}^2     \sum_{k=1}^{n} k
+ *     \begin{pmatrix} a & b \\ c & d \end{pmatrix}       \left( \frac{1}{x} \right)
+ *
+ * Supported: scripts and primes, groups, \frac/\dfrac/\tfrac/\binom, \sqrt[n]{},
+ * Greek letters, operators, relations and arrows, big operators with limits,
+ * function names (\sin, \lim, \operatorname{}), accents (\hat, \vec, \overline, ...),
+ * fonts (\mathbb, \mathbf, \mathcal, \mathrm, ...), \text{}, spacing, \left/\middle/\right,
+ * \big-style delimiters, \not, \displaystyle and the matrix, cases, aligned and
+ * array environments. Unknown commands are shown in an <merror>; the converter never throws.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only translates TeX source to MathML markup
+ * - Open/Closed: Symbols and commands are table-driven (see the static maps)
+ */
+
+class TexToMathML {
+    /**
+     * MathML namespace
+     * @type {string}
+     */
+    static NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+    /**
+     * Greek letters (uppercase ones are upright, as in TeX)
+     * @type {Object<string, string>}
+     */
+    static GREEK = {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+        eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+        xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς',
+        tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+        Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+        Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+    };
+
+    /**
+     * Symbols that are identifiers (<mi>)
+     * @type {Object<string, string>}
+     */
+    static IDENTIFIERS = {
+        infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', emptyset: '∅', varnothing: '∅',
+        aleph: 'ℵ', Re: 'ℜ', Im: 'ℑ', wp: '℘', imath: 'ı', jmath: 'ȷ'
+    };
+
+    /**
+     * Symbols that are operators, relations, arrows or delimiters (<mo>)
+     * @type {Object<string, string>}
+     */
+    static OPERATORS = {
+        pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘',
+        bullet: '∙', oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', setminus: '∖',
+        cup: '∪', cap: '∩', wedge: '∧', land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬',
+        leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡',
+        sim: '∼', simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻',
+        in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+        perp: '⊥', parallel: '∥', mid: '∣', vdash: '⊢', models: '⊨', angle: '∠', triangle: '△',
+        to: '→', rightarrow: '→', gets: '←', leftarrow: '←', leftrightarrow: '↔',
+        Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸',
+        iff: '⟺', mapsto: '↦', longrightarrow: '⟶', longleftarrow: '⟵', uparrow: '↑',
+        downarrow: '↓', forall: '∀', exists: '∃', nexists: '∄', therefore: '∴', because: '∵',
+        ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', prime: '′', colon: ':',
+        langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+        lbrace: '{', rbrace: '}', vert: '|', Vert: '‖', lvert: '|', rvert: '|', lVert: '‖', rVert: '‖'
+    };
+
+    /**
+     * Big operators; integrals keep their limits at the side
+     * @type {Object<string, string>}
+     */
+    static BIG_OPERATORS = {
+        sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigvee: '⋁', bigwedge: '⋀',
+        bigoplus: '⨁', bigotimes: '⨂', bigodot: '⨀', biguplus: '⨄',
+        int: '∫', iint: '∬', iiint: '∭', oint: '∮'
+    };
+
+    /**
+     * Function names set upright; the second group takes limits below in display math
+     * @type {{plain: string[], limits: string[]}}
+     */
+    static FUNCTIONS = {
+        plain: [
+            'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh',
+            'tanh', 'coth', 'log', 'ln', 'lg', 'exp', 'dim', 'ker', 'deg', 'hom', 'arg'
+        ],
+        limits: ['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr']
+    };
+
+    /**
+     * Accents over (and under) their argument: [character, stretchy]
+     * @type {Object<string, Array>}
+     */
+    static ACCENTS = {
+        hat: ['^', false], widehat: ['^', true], bar: ['¯', false], overline: ['‾', true],
+        vec: ['→', false], overrightarrow: ['→', true], overleftarrow: ['←', true],
+        tilde: ['~', false], widetilde: ['~', true], dot: ['˙', false], ddot: ['¨', false],
+        check: ['ˇ', false], breve: ['˘', false], acute: ['´', false], grave: ['`', false],
+        mathring: ['˚', false], overbrace: ['⏞', true]
+    };
+
+    /**
+     * Marks under their argument: [character, stretchy]
+     * @type {Object<string, Array>}
+     */
+    static UNDER_ACCENTS = {
+        underline: ['_', true], underbrace: ['⏟', true]
+    };
+
+    /**
+     * Font commands and the math variant they select
+     * @type {Object<string, string>}
+     */
+    static FONTS = {
+        mathrm: 'normal', mathup: 'normal', mathit: 'italic', mathbf: 'bold', boldsymbol: 'bold-italic',
+        bm: 'bold-italic', mathbb: 'double-struck', mathcal: 'script', mathscr: 'script',
+        mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace'
+    };
+
+    /**
+     * Code points of 'A' (and of '0' where Unicode has digits) in each math alphabet,
+     * plus the letters that live in the Letterlike Symbols block instead
+     * @type {Object<string, {letters: number, digits?: number, holes?: Object<string, string>}>}
+     */
+    static ALPHABETS = {
+        bold: { letters: 0x1D400, digits: 0x1D7CE },
+        italic: { letters: 0x1D434, holes: { h: 'ℎ' } },
+        'bold-italic': { letters: 0x1D468 },
+        script: {
+            letters: 0x1D49C,
+            holes: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' }
+        },
+        fraktur: { letters: 0x1D504, holes: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' } },
+        'double-struck': {
+            letters: 0x1D538,
+            digits: 0x1D7D8,
+            holes: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }
+        },
+        'sans-serif': { letters: 0x1D5A0, digits: 0x1D7E2 },
+        monospace: { letters: 0x1D670, digits: 0x1D7F6 }
+    };
+
+    /**
+     * Spacing commands and their widths
+     * @type {Object<string, string>}
+     */
+    static SPACES = {
+        ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', '!': '-0.1667em',
+        ' ': '0.25em', quad: '1em', qquad: '2em', enspace: '0.5em', thinspace: '0.1667em'
+    };
+
+    /**
+     * \big-style delimiter sizes
+     * @type {Object<string, string>}
+     */
+    static DELIMITER_SIZES = { big: '1.2em', Big: '1.8em', bigg: '2.4em', Bigg: '3em' };
+
+    /**
+     * Matrix environments and their delimiters
+     * @type {Object<string, Array<string>>}
+     */
+    static MATRICES = {
+        matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'],
+        Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖']
+    };
+
+    constructor() {
+        this.input = '';
+        this.pos = 0;
+        this.font = null; // Math variant selected by the enclosing font command
+    }
+
+    /**
+     * Convert TeX to a <math> element
+     * @param {string} tex - TeX source without the $ delimiters
+     * @param {Object} options - { display: true } for display (block) math
+     * @returns {string} - MathML markup, with the source kept as an annotation
+     */
+    convert(tex, options = {}) {
+        let body;
+        try {
+            this.input = tex;
+            this.pos = 0;
+            this.font = null;
+            body = this.toRow(this.parseRow([]));
+        } catch (error) {
+            // Only pathological input (like thousands of nested groups) gets here
+            body = `<merror><mtext>${this.escape(tex)}</mtext></merror>`;
+        }
+
+        const display = options.display ? ' display="block"' : '';
+        return `<math xmlns="${TexToMathML.NAMESPACE}"${display}><semantics><mrow>${body}</mrow>` +
+            `<annotation encoding="application/x-tex">${this.escape(tex)}</annotation></semantics></math>`;
+    }
+
+    /**
+     * Parse atoms until the input ends or a stop token comes up
+     * @param {string[]} stops - Tokens ending the row: '}', '&', '\\\\', '\\right', '\\end'
+     * @returns {Array<{ml: string, limits?: boolean}>} - Atoms; limits marks operators
+     *          whose scripts go below and above
+     */
+    parseRow(stops) {
+        const atoms = [];
+
+        while (true) {
+            this.skipSpaces();
+            if (this.pos >= this.input.length || this.atStop(stops)) break;
+
+            const char = this.input[this.pos];
+            if (char === '^' || char === '_' || char === "'") {
+                atoms.push(this.parseScripts(atoms.pop()));
+                continue;
+            }
+
+            const atom = this.parseAtom(stops);
+            if (atom) atoms.push(atom);
+        }
+
+        return atoms;
+    }
+
+    /**
+     * Check if the input continues with one of the stop tokens
+     */
+    atStop(stops) {
+        const char = this.input[this.pos];
+        if (char === '}' || char === '&') return stops.includes(char);
+        const command = this.peekCommand();
+        return command !== null && stops.includes(command);
+    }
+
+    /**
+     * Get the command at the current position ('\\frac', '\\\\', '\\,') without consuming it
+     * @returns {string|null}
+     */
+    peekCommand() {
+        if (this.input[this.pos] !== '\\') return null;
+        const match = this.input.slice(this.pos + 1).match(/^(?:[A-Za-z]+|[\s\S])/);
+        return match ? `\\${match[0]}` : '\\';
+    }
+
+    /**
+     * Parse one atom: a group, number, letter, command or operator character
+     * @param {string[]} stops - Stop tokens of the enclosing row (for \displaystyle)
+     * @returns {{ml: string, limits?: boolean}|null} - null for input that renders nothing
+     */
+    parseAtom(stops) {
+        const input = this.input;
+        const char = input[this.pos];
+
+        if (char === '{') return { ml: this.parseGroup() };
+        if (char === '\\') return this.parseCommand(stops);
+
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(input[this.pos + 1] || ''))) {
+            const number = input.slice(this.pos).match(/^[0-9]*\.?[0-9]+|^[0-9]+/)[0];
+            this.pos += number.length;
+            return { ml: this.number(number) };
+        }
+
+        this.pos++;
+        if (/\p{L}/u.test(char)) return { ml: this.identifier(char) };
+        if (char === '}' || char === '&') return null; // Unbalanced; TeX would stop here
+        if (char === '~') return { ml: '<mtext>\u00a0</mtext>' };
+
+        const operators = { '-': '−', '*': '∗' };
+        const fence = '()[]|'.includes(char) ? ' stretchy="false"' : '';
+        return { ml: `<mo${fence}>${this.escape(operators[char] || char)}</mo>` };
+    }
+
+    /**
+     * Parse a braced group
+     * @returns {string} - MathML of its content
+     */
+    parseGroup() {
+        this.pos++; // '{'
+        const atoms = this.parseRow(['}']);
+        if (this.input[this.pos] === '}') this.pos++;
+        return this.toRow(atoms);
+    }
+
+    /**
+     * Parse the argument of a command or script: a group or a single token
+     * @returns {string} - MathML
+     */
+    parseArgument() {
+        this.skipSpaces();
+        const char = this.input[this.pos];
+        if (char === undefined) return '<mrow></mrow>';
+        if (char === '{') return this.parseGroup();
+        if (char === '\\') {
+            const atom = this.parseCommand([]);
+            return atom ? atom.ml : '<mrow></mrow>';
+        }
+
+        this.pos++;
+        if (/[0-9]/.test(char)) return this.number(char);
+        if (/[A-Za-z]/.test(char)) return this.identifier(char);
+        return `<mo>${this.escape(char === '-' ? '−' : char)}</mo>`;
+    }
+
+    /**
+     * Read the raw text of a braced argument ('{name}' gives 'name')
+     * @returns {string}
+     */
+    readRawArgument() {
+        this.skipSpaces();
+        if (this.input[this.pos] !== '{') {
+            const char = this.input[this.pos] || '';
+            this.pos += char.length;
+            return char;
+        }
+
+        let depth = 0;
+        const start = this.pos + 1;
+        for (; this.pos < this.input.length; this.pos++) {
+            const char = this.input[this.pos];
+            if (char === '\\') {
+                this.pos++;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                this.pos++;
+                return this.input.slice(start, this.pos - 1);
+            }
+        }
+        return this.input.slice(start);
+    }
+
+    /**
+     * Read an optional [argument]
+     * @returns {string|null}
+     */
+    readOptionalArgument() {
+        this.skipSpaces();
+        if (this.input[this.pos] !== '[') return null;
+        const close = this.input.indexOf(']', this.pos);
+        if (close === -1) return null;
+        const value = this.input.slice(this.pos + 1, close);
+        this.pos = close + 1;
+        return value;
+    }
+
+    /**
+     * Attach sub/superscripts and primes to the atom before them
+     * @param {Object|undefined} base - Preceding atom (missing at the start of a row)
+     * @returns {{ml: string}}
+     */
+    parseScripts(base = { ml: '<mrow></mrow>' }) {
+        let sub = null;
+        let sup = null;
+        let primes = '';
+
+        while (true) {
+            this.skipSpaces();
+            const char = this.input[this.pos];
+            if (char === "'") {
+                primes += '′';
+                this.pos++;
+            } else if (char === '_' && sub === null) {
+                this.pos++;
+                sub = this.parseArgument();
+            } else if (char === '^' && sup === null) {
+                this.pos++;
+                sup = this.parseArgument();
+            } else {
+                break;
+            }
+        }
+
+        if (primes) {
+            sup = sup === null ? `<mo>${primes}</mo>` : `<mrow><mo>${primes}</mo>${sup}</mrow>`;
+        }
+
+        const [under, over, both] = base.limits
+            ? ['munder', 'mover', 'munderover']
+            : ['msub', 'msup', 'msubsup'];
+        if (sub !== null && sup !== null) return { ml: `<${both}>${base.ml}${sub}${sup}</${both}>` };
+        if (sub !== null) return { ml: `<${under}>${base.ml}${sub}</${under}>` };
+        return { ml: `<${over}>${base.ml}${sup}</${over}>` };
+    }
+
+    /**
+     * Parse a command starting at the current backslash
+     * @param {string[]} stops - Stop tokens of the enclosing row
+     * @returns {{ml: string, limits?: boolean}|null}
+     */
+    parseCommand(stops) {
+        const command = this.peekCommand();
+        this.pos += command.length;
+        const name = command.slice(1);
+        const T = TexToMathML;
+
+        if (name === '') return null; // Backslash at the very end
+        if (Object.hasOwn(T.SPACES, name)) return { ml: `<mspace width="${T.SPACES[name]}"></mspace>` };
+        if (name.length === 1 && '{}$%&#_|'.includes(name)) {
+            return { ml: `<mo>${this.escape(name === '|' ? '‖' : name)}</mo>` };
+        }
+
+        if (Object.hasOwn(T.GREEK, name)) {
+            const upright = /^[A-Z]/.test(name) ? ' mathvariant="normal"' : '';
+            return { ml: `<mi${upright}>${T.GREEK[name]}</mi>` };
+        }
+        if (Object.hasOwn(T.IDENTIFIERS, name)) return { ml: `<mi mathvariant="normal">${T.IDENTIFIERS[name]}</mi>` };
+        if (Object.hasOwn(T.OPERATORS, name)) {
+            const fence = /^[lr]?(angle|floor|ceil|brace|vert|Vert)$/.test(name) ? ' stretchy="false"' : '';
+            return { ml: `<mo${fence}>${this.escape(T.OPERATORS[name])}</mo>` };
+        }
+
+        if (Object.hasOwn(T.BIG_OPERATORS, name)) {
+            const integral = /int$/.test(name);
+            const limits = this.readLimits(!integral);
+            return {
+                ml: `<mo largeop="true" movablelimits="${limits && !integral}">${T.BIG_OPERATORS[name]}</mo>`,
+                limits
+            };
+        }
+        if (T.FUNCTIONS.plain.includes(name)) return { ml: `<mi>${name}</mi>` };
+        if (T.FUNCTIONS.limits.includes(name)) {
+            const text = { liminf: 'lim inf', limsup: 'lim sup' }[name] || name;
+            return { ml: `<mo movablelimits="true" form="prefix">${text}</mo>`, limits: this.readLimits(true) };
+        }
+        if (name === 'operatorname') {
+            const text = this.readRawArgument().trim();
+            const upright = text.length === 1 ? ' mathvariant="normal"' : '';
+            return { ml: `<mi${upright}>${this.escape(text)}</mi>` };
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+            case 'cfrac': {
+                const fraction = `<mfrac>${this.parseArgument()}${this.parseArgument()}</mfrac>`;
+                if (name === 'dfrac') return { ml: `<mstyle displaystyle="true">${fraction}</mstyle>` };
+                if (name === 'tfrac') return { ml: `<mstyle displaystyle="false">${fraction}</mstyle>` };
+                return { ml: fraction };
+            }
+            case 'binom':
+                return {
+                    ml: `<mrow><mo>(</mo><mfrac linethickness="0">${this.parseArgument()}${this.parseArgument()}</mfrac><mo>)</mo></mrow>`
+                };
+            case 'sqrt': {
+                const index = this.readOptionalArgument();
+                const radicand = this.parseArgument();
+                if (index === null) return { ml: `<msqrt>${radicand}</msqrt>` };
+                return { ml: `<mroot>${radicand}${this.convertFragment(index)}</mroot>` };
+            }
+            case 'overset':
+            case 'stackrel': {
+                const over = this.parseArgument();
+                return { ml: `<mover>${this.parseArgument()}${over}</mover>` };
+            }
+            case 'underset': {
+                const under = this.parseArgument();
+                return { ml: `<munder>${this.parseArgument()}${under}</munder>` };
+            }
+            case 'text':
+            case 'textrm':
+            case 'textit':
+            case 'textbf':
+            case 'mbox': {
+                const variant = { textit: ' mathvariant="italic"', textbf: ' mathvariant="bold"' }[name] || '';
+                const text = this.readRawArgument().replace(/\\([{}$%&#_ ])/g, '$1').replace(/ /g, '\u00a0');
+                return { ml: `<mtext${variant}>${this.escape(text)}</mtext>` };
+            }
+            case 'left':
+                return this.parseLeftRight();
+            case 'middle':
+                return { ml: `<mo stretchy="true" fence="true">${this.readDelimiter()}</mo>` };
+            case 'right':
+                this.readDelimiter(); // Without \left; TeX reports an error
+                return null;
+            case 'not': {
+                const next = this.parseArgument();
+                return { ml: next.replace(/<\/(mo|mi)>$/, '\u0338</$1>') };
+            }
+            case 'displaystyle':
+            case 'textstyle': {
+                const rest = this.toRow(this.parseRow(stops));
+                return { ml: `<mstyle displaystyle="${name === 'displaystyle'}">${rest}</mstyle>` };
+            }
+            case 'bmod':
+            case 'mod':
+                return { ml: '<mo lspace="0.2222em" rspace="0.2222em">mod</mo>' };
+            case 'pmod':
+                return {
+                    ml: `<mrow><mspace width="1em"></mspace><mo>(</mo><mi>mod</mi><mspace width="0.3333em"></mspace>${this.parseArgument()}<mo>)</mo></mrow>`
+                };
+            case 'begin':
+                return this.parseEnvironment(this.readRawArgument().trim());
+            case 'end':
+                this.readRawArgument(); // Without \begin
+                return null;
+            case 'limits':
+            case 'nolimits':
+            case '\\':
+                return null;
+        }
+
+        if (Object.hasOwn(T.DELIMITER_SIZES, name.replace(/[lrm]$/, ''))) {
+            const size = T.DELIMITER_SIZES[name.replace(/[lrm]$/, '')];
+            return { ml: `<mo minsize="${size}" maxsize="${size}">${this.readDelimiter()}</mo>` };
+        }
+
+        if (Object.hasOwn(T.ACCENTS, name) || Object.hasOwn(T.UNDER_ACCENTS, name)) {
+            const under = Object.hasOwn(T.UNDER_ACCENTS, name);
+            const [character, stretchy] = under ? T.UNDER_ACCENTS[name] : T.ACCENTS[name];
+            const accent = `<mo stretchy="${stretchy}">${character}</mo>`;
+            const base = this.parseArgument();
+            return under
+                ? { ml: `<munder accentunder="true">${base}${accent}</munder>`, limits: name === 'underbrace' }
+                : { ml: `<mover accent="true">${base}${accent}</mover>`, limits: name === 'overbrace' };
+        }
+
+        if (Object.hasOwn(T.FONTS, name)) {
+            const outer = this.font;
+            this.font = T.FONTS[name];
+            const ml = this.parseArgument();
+            this.font = outer;
+            return { ml };
+        }
+
+        return { ml: `<merror><mtext>${this.escape(command)}</mtext></merror>` };
+    }
+
+    /**
+     * Consume a \limits or \nolimits after a big operator
+     * @param {boolean} defaultLimits - Whether the operator takes limits below/above by default
+     * @returns {boolean}
+     */
+    readLimits(defaultLimits) {
+        this.skipSpaces();
+        const command = this.peekCommand();
+        if (command === '\\limits' || command === '\\nolimits') {
+            this.pos += command.length;
+            return command === '\\limits';
+        }
+        return defaultLimits;
+    }
+
+    /**
+     * Read the delimiter after \left, \right, \middle or \big
+     * @returns {string} - Escaped delimiter character ('' for '.')
+     */
+    readDelimiter() {
+        this.skipSpaces();
+        const command = this.peekCommand();
+        if (command !== null) {
+            this.pos += command.length;
+            const name = command.slice(1);
+            if (name === '|') return '‖';
+            return this.escape(TexToMathML.OPERATORS[name] || name);
+        }
+
+        const char = this.input[this.pos] || '';
+        this.pos += char.length;
+        return char === '.' ? '' : this.escape(char);
+    }
+
+    /**
+     * Parse '\left( ... \right)' into a row with stretchy fences
+     * @returns {{ml: string}}
+     */
+    parseLeftRight() {
+        const open = this.readDelimiter();
+        const content = this.parseRow(['\\right', '}']);
+        let close = '';
+        if (this.peekCommand() === '\\right') {
+            this.pos += '\\right'.length;
+            close = this.readDelimiter();
+        }
+
+        const fence = (delimiter) => delimiter
+            ? `<mo fence="true" stretchy="true" symmetric="true">${delimiter}</mo>`
+            : '';
+        return { ml: `<mrow>${fence(open)}${content.map(atom => atom.ml).join('')}${fence(close)}</mrow>` };
+    }
+
+    /**
+     * Parse an environment body after '\begin{name}' into a table
+     * @param {string} name - Environment name
+     * @returns {{ml: string}}
+     */
+    parseEnvironment(name) {
+        const T = TexToMathML;
+        let columnAlign = null;
+        let delimiters = ['', ''];
+
+        if (Object.hasOwn(T.MATRICES, name)) {
+            delimiters = T.MATRICES[name];
+        } else if (name === 'cases') {
+            delimiters = ['{', ''];
+            columnAlign = 'left left';
+        } else if (/^(aligned|align\*?|split|alignat\*?)$/.test(name)) {
+            columnAlign = 'right left right left right left';
+        } else if (name === 'array') {
+            const spec = this.readRawArgument().replace(/[^lcr]/g, '');
+            columnAlign = spec.split('').map(align => ({ l: 'left', c: 'center', r: 'right' })[align]).join(' ');
+        } else if (!/^(gathered|gather\*?)$/.test(name)) {
+            return { ml: `<merror><mtext>${this.escape(`\\begin{${name}}`)}</mtext></merror>` };
+        }
+
+        const rows = [];
+        let cells = [];
+        while (true) {
+            cells.push(this.toRow(this.parseRow(['&', '\\\\', '\\end', '}'])));
+
+            const command = this.peekCommand();
+            if (this.input[this.pos] === '&') {
+                this.pos++;
+                continue;
+            }
+            rows.push(cells);
+            cells = [];
+            if (command === '\\\\') {
+                this.pos += 2;
+                this.readOptionalArgument(); // Row spacing like \\[2pt]
+                continue;
+            }
+            if (command === '\\end') {
+                this.pos += command.length;
+                this.readRawArgument();
+            }
+            break;
+        }
+
+        // A trailing '\\' leaves an empty last row
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0] === '<mrow></mrow>') rows.pop();
+
+        const align = columnAlign ? ` columnalign="${columnAlign}"` : '';
+        const display = /^(aligned|align\*?|split|gathered|gather\*?|alignat\*?)$/.test(name)
+            ? ' displaystyle="true"'
+            : '';
+        const table = `<mtable${align}${display}>` +
+            rows.map(row => `<mtr>${row.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`).join('') +
+            '</mtable>';
+
+        const [open, close] = delimiters;
+        if (!open && !close) return { ml: table };
+        const fence = (delimiter) => delimiter
+            ? `<mo fence="true" stretchy="true" symmetric="true">${this.escape(delimiter)}</mo>`
+            : '';
+        return { ml: `<mrow>${fence(open)}${table}${fence(close)}</mrow>` };
+    }
+
+    /**
+     * Convert a piece of TeX (like the index of \sqrt[3]) without leaving the current parse
+     * @param {string} tex
+     * @returns {string}
+     */
+    convertFragment(tex) {
+        const { input, pos } = this;
+        this.input = tex;
+        this.pos = 0;
+        const ml = this.toRow(this.parseRow([]));
+        this.input = input;
+        this.pos = pos;
+        return ml;
+    }
+
+    /**
+     * Build an identifier in the current font
+     * @param {string} letter - Single Latin letter
+     * @returns {string}
+     */
+    identifier(letter) {
+        if (this.font === 'normal') return `<mi mathvariant="normal">${letter}</mi>`;
+        const styled = this.font ? this.styleCharacter(letter, this.font) : letter;
+        return styled === letter ? `<mi>${letter}</mi>` : `<mi mathvariant="normal">${styled}</mi>`;
+    }
+
+    /**
+     * Build a number in the current font
+     * @param {string} digits
+     * @returns {string}
+     */
+    number(digits) {
+        if (!this.font || this.font === 'normal') return `<mn>${digits}</mn>`;
+        return `<mn>${digits.split('').map(digit => this.styleCharacter(digit, this.font)).join('')}</mn>`;
+    }
+
+    /**
+     * Map a Latin letter or digit to its Unicode math alphabet character
+     * (MathML Core only supports mathvariant="normal", so the other fonts use these)
+     * @param {string} char
+     * @param {string} variant - Math variant from FONTS
+     * @returns {string} - The styled character, or char when the alphabet has none
+     */
+    styleCharacter(char, variant) {
+        const alphabet = TexToMathML.ALPHABETS[variant];
+        if (!alphabet) return char;
+        if (alphabet.holes && alphabet.holes[char]) return alphabet.holes[char];
+
+        const code = char.charCodeAt(0);
+        if (code >= 65 && code <= 90) return String.fromCodePoint(alphabet.letters + code - 65);
+        if (code >= 97 && code <= 122) return String.fromCodePoint(alphabet.letters + 26 + code - 97);
+        if (code >= 48 && code <= 57 && alphabet.digits) return String.fromCodePoint(alphabet.digits + code - 48);
+        return char;
+    }
+
+    /**
+     * Wrap atoms in an <mrow> unless there is exactly one
+     * @param {Array<{ml: string}>} atoms
+     * @returns {string}
+     */
+    toRow(atoms) {
+        if (atoms.length === 1) return atoms[0].ml;
+        return `<mrow>${atoms.map(atom => atom.ml).join('')}</mrow>`;
+    }
+
+    /**
+     * Skip whitespace between tokens (TeX ignores it in math)
+     */
+    skipSpaces() {
+        while (this.pos < this.input.length && /\s/.test(this.input[this.pos])) this.pos++;
+    }
+
+    /**
+     * Escape text for MathML
+     * @param {string} text
+     * @returns {string}
+     */
+    escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TexToMathML;
+}
@@ -21,7 +21,7 @@ class ThemeLoader {
         this.onThemeChange = config.onThemeChange || null;
 
         // Initialize Typora adapter
-        this.typoraAdapter = new TyporaAdapter();
+        this.typoraAdapter = new TyporaAdapter({ sanitizer: config.sanitizer || null });
 
         // Built-in themes registry - Updated for v2 CSS variable system
         this.builtInThemes = {
@@ -7,7 +7,8 @@
  */
 
 class TyporaAdapter {
-    constructor() {
+    constructor(config = {}) {
+        this.sanitizer = config.sanitizer || null; // HtmlSanitizer whose policy the window applies
         this.adapterStyleSheet = null;
         this.typoraWindow = null;
         this.currentThemeCSS = null;
@@ -121,9 +122,12 @@ class TyporaAdapter {
         // Get rendered HTML from preview
         const preview = document.querySelector('.markdown-output');
         if (preview) {
+            // The window sanitizes with this policy (its default one if there's no sanitizer)
             this.typoraWindow.postMessage({
                 type: 'UPDATE_CONTENT',
-                html: preview.innerHTML
+                html: preview.innerHTML,
+                policy: this.sanitizer ? this.sanitizer.getPolicy() : null,
+                trusted: this.sanitizer ? !this.sanitizer.enabled : false
             }, window.location.origin);
         }
     }
@@ -0,0 +1,205 @@
+/**
+ * Wiki Links Module
+ * Links between the editor's documents, by name, shared by RuleEngine, WysiwygEngine,
+ * WikiLinkNavigator and the backlinks panel
+ *
+ *     [[Meeting Notes]]   [[Meeting Notes#Action Items]]   [[Meeting Notes|last week]]   [[#Intro]]
+ *
+ * - A name matches a document's name or its front matter title, ignoring case, runs of
+ *   spaces and a trailing '.md'
+ * - [[...]] holding keys ('Ctrl+S', 'Enter') is keyboard keys (see ExtendedInlineSyntax),
+ *   unless a document of that name exists: [[Home]] links to a document named 'Home'
+ * - A link renders as <a class="wiki-link"> whose href is the document's file name
+ *   ('Meeting%20Notes.md#action-items'), so it still points somewhere once exported; the
+ *   link as written is kept in data-wiki-link. Links to documents that don't exist get
+ *   the class wiki-link-missing as well.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only knows the link syntax and how names resolve to documents
+ * - Dependency Inversion: Documents are looked up through a resolver function, so the
+ *   renderers don't depend on DocumentManager
+ */
+
+class WikiLinks {
+    /**
+     * [[target#heading|label]], on one line
+     * @type {RegExp}
+     */
+    static PATTERN = /\[\[([^[\]\n]+?)\]\]/g;
+
+    /**
+     * Read the text between [[ and ]]
+     * @param {string} text - e.g. 'Meeting Notes#Action Items|the actions'
+     * @param {Function|null} [resolve] - (target) => document or null; keys naming a
+     *        document it finds are a link to that document
+     * @returns {{target: string, heading: string|null, label: string|null}|null} - null when it
+     *          isn't a link: keys, or neither a name nor a heading
+     */
+    static parse(text, resolve = null) {
+        const link = WikiLinks.parseReference(text);
+        if (!link || typeof ExtendedInlineSyntax === 'undefined' || !ExtendedInlineSyntax.isKeyCombination(text)) {
+            return link;
+        }
+        return resolve && link.target && resolve(link.target) ? link : null;
+    }
+
+    /**
+     * Read the text between [[ and ]] as a link, keys or not
+     * @param {string} text - See parse()
+     * @returns {{target: string, heading: string|null, label: string|null}|null} - null when
+     *          there is neither a name nor a heading
+     */
+    static parseReference(text) {
+        const bar = text.indexOf('|');
+        const reference = bar === -1 ? text : text.slice(0, bar);
+        const label = bar === -1 ? '' : text.slice(bar + 1).trim();
+
+        const hash = reference.indexOf('#');
+        const target = (hash === -1 ? reference : reference.slice(0, hash)).trim();
+        const heading = hash === -1 ? '' : reference.slice(hash + 1).trim();
+        if (!target && !heading) return null;
+
+        return { target, heading: heading || null, label: label || null };
+    }
+
+    /**
+     * Normalize a document name for comparison
+     * @param {string} name
+     * @returns {string}
+     */
+    static normalizeName(name) {
+        return String(name).trim().replace(/\.md$/i, '').replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Find the document a link names: by name first, then by front matter title
+     * @param {string} target - Name as written in the link
+     * @param {Array<MarkdownDocument>} documents - e.g. DocumentManager.getAllDocuments()
+     * @returns {MarkdownDocument|null}
+     */
+    static resolve(target, documents) {
+        const name = WikiLinks.normalizeName(target);
+        if (!name) return null;
+
+        return documents.find(document => WikiLinks.normalizeName(document.name) === name) ||
+            documents.find(document => document.metadata && document.metadata.title &&
+                WikiLinks.normalizeName(document.metadata.title) === name) ||
+            null;
+    }
+
+    /**
+     * Get the text a link shows: its label, or what it points to
+     * @param {Object} link - From parse()
+     * @returns {string}
+     */
+    static getText(link) {
+        if (link.label) return link.label;
+        if (link.target && link.heading) return `${link.target} › ${link.heading}`;
+        return link.target || link.heading;
+    }
+
+    /**
+     * Get the href of a link: '#heading' within the document, or the file name of the
+     * document it points to ('Name.md#heading')
+     * @param {Object} link - From parse()
+     * @param {MarkdownDocument|null} document - The document it resolves to, if any
+     * @returns {string}
+     */
+    static getHref(link, document) {
+        const fragment = link.heading && typeof HeadingSlugger !== 'undefined'
+            ? `#${HeadingSlugger.slugify(link.heading)}`
+            : '';
+        if (!link.target) return fragment;
+
+        return `${encodeURIComponent(document ? document.name : link.target)}.md${fragment}`;
+    }
+
+    /**
+     * Render the text between [[ and ]] as a link
+     * Markup characters are written as references, so the emphasis and extended inline
+     * rules that run after this one leave names such as 'my_notes' alone.
+     * @param {string} text - Text between [[ and ]] (plain text, escapes resolved)
+     * @param {Function|null} resolve - (target) => document or null; without one no link
+     *        is marked missing
+     * @param {string} [attributes] - More attributes for the element, e.g. ' contenteditable="false"'
+     * @returns {string|null} - null when the text isn't a link
+     */
+    static render(text, resolve, attributes = '') {
+        const link = WikiLinks.parse(text, resolve);
+        if (!link) return null;
+
+        const document = link.target && resolve ? resolve(link.target) : null;
+        const missing = !!link.target && !!resolve && !document;
+        const escape = value => value.replace(/[&<>"'*_~=^+`]/g, char => `&#${char.charCodeAt(0)};`);
+
+        return `<a href="${escape(WikiLinks.getHref(link, document))}" ` +
+            `class="wiki-link${missing ? ' wiki-link-missing' : ''}" data-wiki-link="${escape(text)}"` +
+            `${missing ? ` title="${escape(`Create "${link.target}"`)}"` : ''}${attributes}>` +
+            `${escape(WikiLinks.getText(link))}</a>`;
+    }
+
+    /**
+     * Find the wiki links in a document
+     * @param {string} markdown - Document content
+     * @param {ShortcutProcessor} [shortcutProcessor] - Sets front matter, code, raw HTML and
+     *        escapes aside (see ShortcutProcessor.protect); without one every [[...]] counts
+     * @param {Function|null} [resolve] - See parse(); without one [[Home]] is keys, not a link
+     * @returns {Array<{target: string, heading: string|null, label: string|null, context: string}>} -
+     *          context is the line holding the link, as written
+     */
+    static findLinks(markdown, shortcutProcessor = null, resolve = null) {
+        if (!markdown || !markdown.includes('[[')) return [];
+
+        const regions = [];
+        const text = shortcutProcessor ? shortcutProcessor.protect(markdown, regions) : markdown;
+        const links = [];
+
+        text.split('\n').forEach(line => {
+            for (const match of line.matchAll(WikiLinks.PATTERN)) {
+                const value = typeof MarkdownEscapes !== 'undefined' ? MarkdownEscapes.toText(match[1]) : match[1];
+                const link = WikiLinks.parse(value, resolve);
+                if (!link) continue;
+
+                const context = shortcutProcessor ? shortcutProcessor.restore(line, regions) : line;
+                links.push({ ...link, context: context.trim() });
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * Find the documents linking to a document
+     * @param {MarkdownDocument} document - Document linked to
+     * @param {Array<MarkdownDocument>} documents - All documents
+     * @param {ShortcutProcessor} [shortcutProcessor] - See findLinks()
+     * @returns {Array<{document: MarkdownDocument, contexts: string[]}>} - In the order of
+     *          documents, each with the lines holding its links (once each)
+     */
+    static findBacklinks(document, documents, shortcutProcessor = null) {
+        const backlinks = [];
+        const resolve = target => WikiLinks.resolve(target, documents);
+
+        for (const source of documents) {
+            if (source.id === document.id) continue;
+
+            const contexts = new Set(WikiLinks.findLinks(source.content, shortcutProcessor, resolve)
+                .filter(link => {
+                    const linked = link.target ? resolve(link.target) : null;
+                    return !!linked && linked.id === document.id;
+                })
+                .map(link => link.context));
+
+            if (contexts.size > 0) {
+                backlinks.push({ document: source, contexts: [...contexts] });
+            }
+        }
+
+        return backlinks;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WikiLinks;
+}
@@ -14,6 +14,7 @@ class WindowManager {
         this.windowHeight = config.windowHeight || 600;
         this.windowStyles = config.windowStyles || this.getDefaultStyles();
         this.previewElementId = config.previewElementId || 'preview';
+        this.sanitizer = config.sanitizer || null; // HtmlSanitizer applied to content before display
         this.externalWindow = null;
     }
 
@@ -49,6 +50,15 @@ class WindowManager {
                 border-radius: 3px;
                 font-family: 'Courier New', Courier, monospace;
             }
+            mark { background: rgba(255, 213, 79, 0.45); color: inherit; padding: 0 2px; }
+            kbd {
+                padding: 1px 6px;
+                border: 1px solid rgba(255, 255, 255, 0.35);
+                border-bottom-width: 2px;
+                border-radius: 4px;
+                font-family: 'Courier New', Courier, monospace;
+                font-size: 0.85em;
+            }
             pre {
                 background: rgba(0, 0, 0, 0.5);
                 padding: 15px;
@@ -65,9 +75,59 @@ class WindowManager {
                 color: #ccc;
                 font-style: italic;
             }
+            .token.comment { color: var(--md-token-comment, #7f8c98); font-style: italic; }
+            .token.keyword { color: var(--md-token-keyword, #c792ea); }
+            .token.string, .token.attr-value, .token.regex, .token.code { color: var(--md-token-string, #c3e88d); }
+            .token.number, .token.constant { color: var(--md-token-number, #f78c6c); }
+            .token.function { color: var(--md-token-function, #82aaff); }
+            .token.class-name, .token.builtin { color: var(--md-token-type, #ffcb6b); }
+            .token.tag, .token.selector, .token.heading { color: var(--md-token-tag, #f07178); }
+            .token.attr-name, .token.property { color: var(--md-token-attribute, #ffcb6b); }
+            .token.variable, .token.url { color: var(--md-token-variable, #89ddff); }
+            .token.operator, .token.punctuation { color: var(--md-token-punctuation, #a6accd); }
+            .token.heading, .token.bold { font-weight: bold; }
+            .token.italic { font-style: italic; }
+            .callout {
+                --callout-color: var(--md-callout-note, #4a9eff);
+                margin: 12px 0;
+                padding: 8px 16px;
+                border-left: 4px solid var(--callout-color);
+                border-radius: 4px;
+            }
+            .callout-tip { --callout-color: var(--md-callout-tip, #3fb950); }
+            .callout-important { --callout-color: var(--md-callout-important, #a371f7); }
+            .callout-warning { --callout-color: var(--md-callout-warning, #d29922); }
+            .callout-caution { --callout-color: var(--md-callout-caution, #f85149); }
+            .callout-success { --callout-color: var(--md-callout-success, #3fb950); }
+            .callout-title { margin: 0 0 6px 0; font-weight: bold; color: var(--callout-color); }
+            .callout-icon { display: inline-block; width: 1.4em; }
+            .math-display { display: block; margin: 1em 0; text-align: center; overflow-x: auto; }
+            .math-inline { white-space: nowrap; }
+            .math math { font-size: 1.1em; }
         `;
     }
 
+    /**
+     * Copy the active theme's code highlighting (--md-token-*) and callout (--md-callout-*)
+     * colors for the external window
+     * @returns {string} - ':root { ... }' rule, or '' when the theme doesn't set them
+     */
+    getThemeColorStyles() {
+        const computed = getComputedStyle(document.documentElement);
+        const properties = [
+            ...['comment', 'keyword', 'string', 'number', 'function', 'type', 'tag', 'attribute', 'variable', 'punctuation']
+                .map(name => `--md-token-${name}`),
+            ...['note', 'tip', 'important', 'warning', 'caution', 'success']
+                .map(name => `--md-callout-${name}`)
+        ];
+        const declarations = properties
+            .map(property => [property, computed.getPropertyValue(property).trim()])
+            .filter(([, value]) => value !== '')
+            .map(([property, value]) => `${property}: ${value};`);
+
+        return declarations.length > 0 ? `:root { ${declarations.join(' ')} }` : '';
+    }
+
     /**
      * Open external preview window
      * @returns {Window|null} - External window reference
@@ -99,7 +159,7 @@ class WindowManager {
             <html>
             <head>
                 <title>${this.windowTitle}</title>
-                <style>${this.windowStyles}</style>
+                <style>${this.windowStyles}${this.getThemeColorStyles()}</style>
             </head>
             <body>
                 <div id="${this.previewElementId}"></div>
@@ -117,7 +177,7 @@ class WindowManager {
         if (this.externalWindow && !this.externalWindow.closed) {
             const previewElement = this.externalWindow.document.getElementById(this.previewElementId);
             if (previewElement) {
-                previewElement.innerHTML = html;
+                previewElement.innerHTML = this.sanitizer ? this.sanitizer.sanitize(html) : html;
             }
         }
     }
@@ -0,0 +1,90 @@
+/**
+ * Anchor Navigator Module
+ * Scrolls to in-document targets when '#anchor' links are clicked
+ *
+ * Works on any container holding rendered markdown: a link such as
+ * [Basic Syntax](#basic-syntax) scrolls to the element with that id
+ * inside the container instead of changing the page location.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only handles clicks on same-document links
+ * - Open/Closed: Works with any markup whose targets carry ids (headings, footnotes)
+ */
+
+class AnchorNavigator {
+    constructor(config = {}) {
+        this.container = config.container || null;
+
+        // Bind methods
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Start listening for clicks on anchor links
+     * @returns {AnchorNavigator}
+     */
+    init() {
+        if (!this.container) {
+            console.warn('AnchorNavigator: Missing container element');
+            return this;
+        }
+
+        // Delegated, so links added by later renders work too
+        this.container.addEventListener('click', this.handleClick);
+        return this;
+    }
+
+    /**
+     * Stop listening
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+        }
+    }
+
+    /**
+     * Scroll to the target of a clicked '#anchor' link
+     */
+    handleClick(event) {
+        const link = event.target.closest ? event.target.closest('a[href^="#"]') : null;
+        if (!link || !this.container.contains(link)) return;
+
+        const target = this.findTarget(link.getAttribute('href'));
+        if (!target) return;
+
+        event.preventDefault();
+        this.scrollTo(target);
+    }
+
+    /**
+     * Find the element an anchor href points to
+     * @param {string} href - '#id' href
+     * @returns {Element|null}
+     */
+    findTarget(href) {
+        if (!href || href.length < 2) return null;
+
+        let id;
+        try {
+            id = decodeURIComponent(href.substring(1));
+        } catch (error) {
+            id = href.substring(1);
+        }
+
+        return Array.from(this.container.querySelectorAll('[id]')).find(element => element.id === id) || null;
+    }
+
+    /**
+     * Scroll an element to the top of its scroll container
+     * @param {Element} target - Element to reveal
+     */
+    scrollTo(target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnchorNavigator;
+}
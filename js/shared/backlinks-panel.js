@@ -0,0 +1,261 @@
+/**
+ * Backlinks Panel Module
+ * Lists the documents whose [[wiki links]] point to the active document (see
+ * WikiLinks.findBacklinks) beside a toolbar button, which shows how many there are
+ *
+ * Each entry shows the lines holding the links. Like the Problems panel it stays open
+ * while editing and follows the backlinks as they change; the button, Escape or its
+ * close button hide it.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only shows the backlinks and reports the chosen document
+ * - Dependency Inversion: Opening a document is left to the onSelect callback
+ */
+
+class BacklinksPanel {
+    constructor(config = {}) {
+        this.button = config.button || null;
+        this.onSelect = config.onSelect || null; // (document) => void
+        this.offset = config.offset !== undefined ? config.offset : 6; // Gap between button and panel (px)
+        this.backlinks = [];
+        this.document = null;
+        this.panel = null;
+        this.summary = null;
+        this.list = null;
+        this.badge = null;
+
+        // Bind methods
+        this.handleButtonClick = this.handleButtonClick.bind(this);
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Start listening for clicks on the button and add its count badge
+     * @returns {BacklinksPanel}
+     */
+    init() {
+        if (!this.button) {
+            console.warn('BacklinksPanel: Missing button element');
+            return this;
+        }
+
+        this.badge = this.button.ownerDocument.createElement('span');
+        this.badge.className = 'backlinks-count';
+        this.button.appendChild(this.badge);
+        this.button.addEventListener('click', this.handleButtonClick);
+        this.update();
+        return this;
+    }
+
+    /**
+     * Stop listening and remove the panel and the badge
+     */
+    destroy() {
+        if (this.button) {
+            this.button.removeEventListener('click', this.handleButtonClick);
+        }
+        this.close();
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        if (this.badge) {
+            this.badge.remove();
+            this.badge = null;
+        }
+    }
+
+    /**
+     * Show the backlinks of a document
+     * @param {Array<{document: MarkdownDocument, contexts: string[]}>} backlinks - From WikiLinks.findBacklinks()
+     * @param {MarkdownDocument|null} document - The document linked to
+     */
+    setBacklinks(backlinks, document) {
+        this.backlinks = backlinks || [];
+        this.document = document || null;
+        this.update();
+    }
+
+    /**
+     * Open or close the panel
+     */
+    handleButtonClick() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check if the panel is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display === 'flex';
+    }
+
+    /**
+     * Show the panel next to the button
+     */
+    open() {
+        if (!this.panel) {
+            this.createPanel(this.button.ownerDocument);
+        }
+
+        this.panel.style.display = 'flex';
+        this.update();
+        this.position();
+        this.button.classList.add('active');
+        this.panel.ownerDocument.addEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.panel.style.display = 'none';
+        this.button.classList.remove('active');
+        this.panel.ownerDocument.removeEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    /**
+     * Build the panel: a title bar with the count and a close button, above the list
+     * @param {Document} doc - Document to create the elements in
+     */
+    createPanel(doc) {
+        this.panel = doc.createElement('div');
+        this.panel.className = 'backlinks-panel';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-label', 'Backlinks');
+
+        const header = doc.createElement('div');
+        header.className = 'backlinks-panel-header';
+
+        const title = doc.createElement('h3');
+        title.textContent = 'Backlinks';
+
+        this.summary = doc.createElement('span');
+        this.summary.className = 'backlinks-panel-summary';
+
+        const closeButton = doc.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'backlinks-panel-close';
+        closeButton.title = 'Close';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+
+        this.list = doc.createElement('div');
+        this.list.className = 'backlinks-panel-list';
+        this.list.setAttribute('role', 'list');
+        this.list.addEventListener('click', this.handleListClick);
+
+        header.append(title, this.summary, closeButton);
+        this.panel.append(header, this.list);
+        doc.body.appendChild(this.panel);
+    }
+
+    /**
+     * Refresh the badge and, when it is open, the panel
+     */
+    update() {
+        const count = this.backlinks.length;
+        const documents = `${count} ${count === 1 ? 'document' : 'documents'}`;
+
+        if (this.badge) {
+            this.badge.textContent = count > 0 ? String(count) : '';
+            this.button.title = count > 0 ? `Backlinks: ${documents}` : 'Backlinks: none';
+        }
+
+        if (this.isOpen()) {
+            this.summary.textContent = this.document
+                ? `${documents} ${count === 1 ? 'links' : 'link'} to "${this.document.getTitle()}"`
+                : '';
+            this.renderList();
+        }
+    }
+
+    /**
+     * Fill the list: one entry per linking document, with the lines holding its links
+     */
+    renderList() {
+        const doc = this.list.ownerDocument;
+        this.list.innerHTML = '';
+
+        this.backlinks.forEach(({ document, contexts }, index) => {
+            const item = doc.createElement('button');
+            item.type = 'button';
+            item.className = 'backlinks-panel-item';
+            item.setAttribute('role', 'listitem');
+            item.setAttribute('data-index', index);
+            item.title = `Open "${document.name}"`;
+
+            const name = doc.createElement('span');
+            name.className = 'backlinks-panel-name';
+            name.textContent = document.getTitle();
+            item.appendChild(name);
+
+            contexts.forEach(context => {
+                const line = doc.createElement('span');
+                line.className = 'backlinks-panel-context';
+                line.textContent = context;
+                item.appendChild(line);
+            });
+
+            this.list.appendChild(item);
+        });
+
+        if (this.backlinks.length === 0) {
+            const empty = doc.createElement('div');
+            empty.className = 'backlinks-panel-empty';
+            empty.textContent = 'No documents link here';
+            this.list.appendChild(empty);
+        }
+    }
+
+    /**
+     * Place the panel beside the button, kept inside the viewport
+     */
+    position() {
+        const view = this.button.ownerDocument.defaultView;
+        const rect = this.button.getBoundingClientRect();
+
+        let left = rect.right + this.offset;
+        if (left + this.panel.offsetWidth > view.innerWidth) {
+            left = Math.max(this.offset, rect.left - this.panel.offsetWidth - this.offset);
+        }
+        const maxTop = view.innerHeight - this.panel.offsetHeight - this.offset;
+        const top = Math.max(this.offset, Math.min(rect.top, maxTop));
+
+        this.panel.style.left = `${left + view.scrollX}px`;
+        this.panel.style.top = `${top + view.scrollY}px`;
+    }
+
+    /**
+     * Open the clicked document
+     */
+    handleListClick(event) {
+        const item = event.target.closest ? event.target.closest('.backlinks-panel-item') : null;
+        if (item && this.onSelect) {
+            this.onSelect(this.backlinks[parseInt(item.getAttribute('data-index'), 10)].document);
+        }
+    }
+
+    /**
+     * Escape closes the panel
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BacklinksPanel;
+}
@@ -0,0 +1,174 @@
+/**
+ * Diff Preview Module
+ * A dialog showing the changes a command would make to a document (see TextDiff),
+ * to be applied or cancelled
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only shows the changes and reports the choice
+ * - Dependency Inversion: Applying is left to the callback passed to open()
+ */
+
+class DiffPreview {
+    constructor(config = {}) {
+        this.title = config.title || 'Review Changes';
+        this.applyLabel = config.applyLabel || 'Apply';
+        this.context = config.context !== undefined ? config.context : 2; // Unchanged lines around changes
+        this.container = config.container || document.body;
+        this.panel = null;
+        this.summary = null;
+        this.list = null;
+        this.onApply = null;
+
+        // Bind methods
+        this.handleApplyClick = this.handleApplyClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleOverlayMouseDown = this.handleOverlayMouseDown.bind(this);
+    }
+
+    /**
+     * Show the changes from one text to another
+     * @param {string} before - Current text
+     * @param {string} after - Text after the change
+     * @param {Function} onApply - Called when the changes are applied
+     */
+    open(before, after, onApply) {
+        if (!this.panel) {
+            this.createPanel(this.container.ownerDocument);
+        }
+
+        this.onApply = onApply;
+        this.renderDiff(TextDiff.diffLines(before, after));
+        this.panel.style.display = 'flex';
+        this.panel.ownerDocument.addEventListener('keydown', this.handleKeyDown, true);
+        this.panel.querySelector('.diff-preview-apply').focus();
+    }
+
+    /**
+     * Hide the dialog without applying
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.panel.style.display = 'none';
+        this.panel.ownerDocument.removeEventListener('keydown', this.handleKeyDown, true);
+        this.onApply = null;
+    }
+
+    /**
+     * Check if the dialog is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display === 'flex';
+    }
+
+    /**
+     * Build the dialog: title, summary, the changes, and Cancel / Apply buttons
+     * @param {Document} doc - Document to create the elements in
+     */
+    createPanel(doc) {
+        this.panel = doc.createElement('div');
+        this.panel.className = 'diff-preview';
+        this.panel.addEventListener('mousedown', this.handleOverlayMouseDown);
+
+        const dialog = doc.createElement('div');
+        dialog.className = 'diff-preview-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', this.title);
+
+        const heading = doc.createElement('h3');
+        heading.textContent = this.title;
+
+        this.summary = doc.createElement('p');
+        this.summary.className = 'diff-preview-summary';
+
+        this.list = doc.createElement('div');
+        this.list.className = 'diff-preview-list';
+
+        const buttons = doc.createElement('div');
+        buttons.className = 'diff-preview-buttons';
+
+        const cancel = doc.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'panel-button diff-preview-cancel';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => this.close());
+
+        const apply = doc.createElement('button');
+        apply.type = 'button';
+        apply.className = 'panel-button diff-preview-apply';
+        apply.textContent = this.applyLabel;
+        apply.addEventListener('click', this.handleApplyClick);
+
+        buttons.append(cancel, apply);
+        dialog.append(heading, this.summary, this.list, buttons);
+        this.panel.appendChild(dialog);
+        this.container.appendChild(this.panel);
+    }
+
+    /**
+     * Fill the list with the hunks of the changes
+     * @param {Array<Object>} changes - From TextDiff.diffLines()
+     */
+    renderDiff(changes) {
+        const doc = this.list.ownerDocument;
+        const { deleted, inserted } = TextDiff.countChanges(changes);
+        const hunks = TextDiff.getHunks(changes, this.context);
+
+        this.summary.textContent = `${hunks.length} ${hunks.length === 1 ? 'change' : 'changes'}: ` +
+            `${deleted} ${deleted === 1 ? 'line' : 'lines'} removed, ${inserted} added`;
+        this.list.innerHTML = '';
+
+        for (const hunk of hunks) {
+            const header = doc.createElement('div');
+            header.className = 'diff-preview-hunk';
+            header.textContent = `Line ${hunk.afterLine}`;
+            this.list.appendChild(header);
+
+            for (const change of hunk.changes) {
+                const line = doc.createElement('div');
+                line.className = `diff-preview-line diff-preview-${change.type}`;
+                const sign = { equal: ' ', delete: '-', insert: '+' }[change.type];
+                line.textContent = `${sign} ${change.text}`;
+                this.list.appendChild(line);
+            }
+        }
+    }
+
+    /**
+     * Apply the changes and close
+     */
+    handleApplyClick() {
+        const onApply = this.onApply;
+        this.close();
+        if (onApply) {
+            onApply();
+        }
+    }
+
+    /**
+     * Escape closes the dialog
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.close();
+        }
+    }
+
+    /**
+     * Close the dialog when clicking the backdrop around it
+     */
+    handleOverlayMouseDown(event) {
+        if (event.target === this.panel) {
+            this.close();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiffPreview;
+}
@@ -0,0 +1,300 @@
+/**
+ * Emoji Picker Module
+ * Opens a searchable grid of the bundled emoji (see Emoji) from a toolbar button
+ *
+ * The selection in the editor is remembered when the picker opens, since the
+ * search box takes the focus, and put back before onSelect is called, so the
+ * caller can insert at the cursor.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only shows the picker and reports the chosen emoji
+ * - Dependency Inversion: Inserting is left to the onSelect callback
+ */
+
+class EmojiPicker {
+    constructor(config = {}) {
+        this.button = config.button || null;
+        this.onSelect = config.onSelect || null; // (name, emoji) => void
+        this.offset = config.offset !== undefined ? config.offset : 6; // Gap between button and picker (px)
+        this.maxResults = config.maxResults || 200; // Search results shown
+        this.panel = null;
+        this.searchInput = null;
+        this.list = null;
+        this.savedFocus = null;
+        this.savedRange = null;
+
+        // Bind methods
+        this.handleButtonMouseDown = this.handleButtonMouseDown.bind(this);
+        this.handleButtonClick = this.handleButtonClick.bind(this);
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleSearchInput = this.handleSearchInput.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleDocumentMouseDown = this.handleDocumentMouseDown.bind(this);
+    }
+
+    /**
+     * Start listening for clicks on the button
+     * @returns {EmojiPicker}
+     */
+    init() {
+        if (!this.button) {
+            console.warn('EmojiPicker: Missing button element');
+            return this;
+        }
+
+        this.button.addEventListener('mousedown', this.handleButtonMouseDown);
+        this.button.addEventListener('click', this.handleButtonClick);
+        return this;
+    }
+
+    /**
+     * Stop listening and remove the picker
+     */
+    destroy() {
+        if (this.button) {
+            this.button.removeEventListener('mousedown', this.handleButtonMouseDown);
+            this.button.removeEventListener('click', this.handleButtonClick);
+        }
+        this.close();
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+
+    /**
+     * Keep the editor's focus and selection when the button is pressed
+     */
+    handleButtonMouseDown(event) {
+        event.preventDefault();
+    }
+
+    /**
+     * Open or close the picker
+     */
+    handleButtonClick() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check if the picker is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display === 'flex';
+    }
+
+    /**
+     * Show the picker next to the button, with an empty search
+     */
+    open() {
+        const doc = this.button.ownerDocument;
+        this.saveSelection();
+
+        if (!this.panel) {
+            this.createPanel(doc);
+        }
+
+        this.searchInput.value = '';
+        this.renderList('');
+        this.panel.style.display = 'flex';
+        this.position();
+        this.button.classList.add('active');
+
+        doc.addEventListener('mousedown', this.handleDocumentMouseDown, true);
+        this.searchInput.focus();
+    }
+
+    /**
+     * Hide the picker
+     * @param {boolean} [restoreFocus=false] - Give the focus back to the editor
+     */
+    close(restoreFocus = false) {
+        if (!this.isOpen()) return;
+
+        this.panel.style.display = 'none';
+        this.button.classList.remove('active');
+        this.button.ownerDocument.removeEventListener('mousedown', this.handleDocumentMouseDown, true);
+        if (restoreFocus) {
+            this.restoreSelection();
+        }
+    }
+
+    /**
+     * Build the picker: a search box above the emoji list
+     * @param {Document} doc - Document to create the elements in
+     */
+    createPanel(doc) {
+        this.panel = doc.createElement('div');
+        this.panel.className = 'emoji-picker';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-label', 'Emoji');
+
+        this.searchInput = doc.createElement('input');
+        this.searchInput.type = 'text';
+        this.searchInput.className = 'emoji-picker-search';
+        this.searchInput.placeholder = 'Search emoji';
+        this.searchInput.setAttribute('aria-label', 'Search emoji');
+        this.searchInput.addEventListener('input', this.handleSearchInput);
+        this.searchInput.addEventListener('keydown', this.handleKeyDown);
+
+        this.list = doc.createElement('div');
+        this.list.className = 'emoji-picker-list';
+        this.list.addEventListener('click', this.handleListClick);
+        this.list.addEventListener('keydown', this.handleKeyDown);
+
+        this.panel.appendChild(this.searchInput);
+        this.panel.appendChild(this.list);
+        doc.body.appendChild(this.panel);
+    }
+
+    /**
+     * Fill the list: every category when the query is empty, else the matches
+     * @param {string} query - Search text
+     */
+    renderList(query) {
+        const doc = this.list.ownerDocument;
+        this.list.innerHTML = '';
+
+        const groups = query.trim()
+            ? [{ title: null, emoji: Emoji.search(query, this.maxResults) }]
+            : Object.entries(Emoji.CATEGORIES).map(([title, emoji]) => ({
+                title,
+                emoji: Object.entries(emoji).map(([name, char]) => ({ name, emoji: char }))
+            }));
+
+        for (const group of groups) {
+            if (group.title) {
+                const heading = doc.createElement('div');
+                heading.className = 'emoji-picker-category';
+                heading.textContent = group.title;
+                this.list.appendChild(heading);
+            }
+
+            const grid = doc.createElement('div');
+            grid.className = 'emoji-picker-grid';
+            for (const { name, emoji } of group.emoji) {
+                const item = doc.createElement('button');
+                item.type = 'button';
+                item.className = 'emoji-picker-item';
+                item.title = `:${name}:`;
+                item.textContent = emoji;
+                item.setAttribute('data-emoji-name', name);
+                grid.appendChild(item);
+            }
+            this.list.appendChild(grid);
+        }
+
+        if (!this.list.querySelector('.emoji-picker-item')) {
+            const empty = doc.createElement('div');
+            empty.className = 'emoji-picker-empty';
+            empty.textContent = 'No emoji found';
+            this.list.appendChild(empty);
+        }
+    }
+
+    /**
+     * Place the picker beside the button, kept inside the viewport
+     */
+    position() {
+        const view = this.button.ownerDocument.defaultView;
+        const rect = this.button.getBoundingClientRect();
+
+        let left = rect.right + this.offset;
+        if (left + this.panel.offsetWidth > view.innerWidth) {
+            left = Math.max(this.offset, rect.left - this.panel.offsetWidth - this.offset);
+        }
+        const maxTop = view.innerHeight - this.panel.offsetHeight - this.offset;
+        const top = Math.max(this.offset, Math.min(rect.top, maxTop));
+
+        this.panel.style.left = `${left + view.scrollX}px`;
+        this.panel.style.top = `${top + view.scrollY}px`;
+    }
+
+    /**
+     * Filter the list as the search text changes
+     */
+    handleSearchInput() {
+        this.renderList(this.searchInput.value);
+    }
+
+    /**
+     * Pick the clicked emoji
+     */
+    handleListClick(event) {
+        const item = event.target.closest ? event.target.closest('.emoji-picker-item') : null;
+        if (item) {
+            this.select(item.getAttribute('data-emoji-name'));
+        }
+    }
+
+    /**
+     * Escape closes the picker; Enter in the search box picks the first match
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close(true);
+        } else if (event.key === 'Enter' && event.target === this.searchInput) {
+            event.preventDefault();
+            const first = this.list.querySelector('.emoji-picker-item');
+            if (first) {
+                this.select(first.getAttribute('data-emoji-name'));
+            }
+        }
+    }
+
+    /**
+     * Close the picker when clicking outside it
+     */
+    handleDocumentMouseDown(event) {
+        if (this.panel.contains(event.target) || this.button.contains(event.target)) return;
+        this.close();
+    }
+
+    /**
+     * Close the picker, put the editor's selection back and report the emoji
+     * @param {string} name - Shortcode name
+     */
+    select(name) {
+        this.close(true);
+        if (this.onSelect) {
+            this.onSelect(name, Emoji.get(name));
+        }
+    }
+
+    /**
+     * Remember the focused element and the selection in it
+     */
+    saveSelection() {
+        const doc = this.button.ownerDocument;
+        const selection = doc.getSelection ? doc.getSelection() : null;
+        this.savedFocus = doc.activeElement;
+        this.savedRange = selection && selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+    }
+
+    /**
+     * Focus the remembered element and put its selection back
+     * (a textarea keeps its own selection while it isn't focused)
+     */
+    restoreSelection() {
+        const focus = this.savedFocus;
+        if (!focus || !focus.isConnected || typeof focus.focus !== 'function') return;
+
+        focus.focus();
+        if (this.savedRange && focus.isContentEditable && focus.contains(this.savedRange.startContainer)) {
+            const selection = focus.ownerDocument.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(this.savedRange);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmojiPicker;
+}
@@ -0,0 +1,145 @@
+/**
+ * Footnote Popover Module
+ * Shows a footnote's text in a popover while hovering its reference
+ *
+ * Works on any container holding rendered markdown: references are
+ * 'sup.footnote-ref' elements linking to the footnote's element id
+ * (the preview's footnotes section, or a WYSIWYG footnote definition).
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only shows and hides the footnote popover
+ * - Open/Closed: Works with any markup that follows the footnote-ref convention
+ */
+
+class FootnotePopover {
+    constructor(config = {}) {
+        this.container = config.container || null;
+        this.offset = config.offset !== undefined ? config.offset : 6; // Gap between reference and popover (px)
+        this.popover = null;
+        this.activeReference = null;
+
+        // Bind methods
+        this.handleMouseOver = this.handleMouseOver.bind(this);
+        this.handleMouseOut = this.handleMouseOut.bind(this);
+    }
+
+    /**
+     * Start listening for hovers on footnote references
+     * @returns {FootnotePopover}
+     */
+    init() {
+        if (!this.container) {
+            console.warn('FootnotePopover: Missing container element');
+            return this;
+        }
+
+        // Delegated, so references added by later renders work too
+        this.container.addEventListener('mouseover', this.handleMouseOver);
+        this.container.addEventListener('mouseout', this.handleMouseOut);
+        return this;
+    }
+
+    /**
+     * Stop listening and remove the popover
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('mouseover', this.handleMouseOver);
+            this.container.removeEventListener('mouseout', this.handleMouseOut);
+        }
+        if (this.popover) {
+            this.popover.remove();
+            this.popover = null;
+        }
+        this.activeReference = null;
+    }
+
+    /**
+     * Show the popover when the pointer enters a footnote reference
+     */
+    handleMouseOver(event) {
+        const reference = event.target.closest ? event.target.closest('.footnote-ref') : null;
+        if (!reference || reference === this.activeReference || !this.container.contains(reference)) return;
+
+        const definition = this.findDefinition(reference);
+        if (!definition) return;
+
+        this.activeReference = reference;
+        this.show(reference, definition);
+    }
+
+    /**
+     * Hide the popover when the pointer leaves the active reference
+     */
+    handleMouseOut(event) {
+        if (!this.activeReference) return;
+
+        // Moving between children of the reference is not leaving it
+        if (event.relatedTarget && this.activeReference.contains(event.relatedTarget)) return;
+
+        this.hide();
+    }
+
+    /**
+     * Find the footnote element a reference links to
+     * @param {Element} reference - sup.footnote-ref element
+     * @returns {Element|null}
+     */
+    findDefinition(reference) {
+        const link = reference.querySelector('a[href^="#"]');
+        if (!link) return null;
+
+        const id = decodeURIComponent(link.getAttribute('href').substring(1));
+        return Array.from(this.container.querySelectorAll('[id]')).find(element => element.id === id) || null;
+    }
+
+    /**
+     * Show the footnote text next to a reference
+     * @param {Element} reference - Hovered reference
+     * @param {Element} definition - Footnote element
+     */
+    show(reference, definition) {
+        const doc = this.container.ownerDocument;
+        if (!this.popover) {
+            this.popover = doc.createElement('div');
+            this.popover.className = 'footnote-popover';
+            this.popover.setAttribute('role', 'tooltip');
+            doc.body.appendChild(this.popover);
+        }
+
+        // Copy the footnote without its back-reference links and number label
+        const content = definition.cloneNode(true);
+        content.removeAttribute('id');
+        content.querySelectorAll('.footnote-backref, .footnote-label').forEach(element => element.remove());
+        this.popover.innerHTML = content.innerHTML.trim();
+        this.popover.style.display = 'block';
+
+        // Below the reference, kept inside the viewport
+        const view = doc.defaultView;
+        const rect = reference.getBoundingClientRect();
+        const maxLeft = view.innerWidth - this.popover.offsetWidth - this.offset;
+        const left = Math.max(this.offset, Math.min(rect.left, maxLeft));
+        let top = rect.bottom + this.offset;
+        if (top + this.popover.offsetHeight > view.innerHeight) {
+            top = Math.max(this.offset, rect.top - this.popover.offsetHeight - this.offset);
+        }
+
+        this.popover.style.left = `${left + view.scrollX}px`;
+        this.popover.style.top = `${top + view.scrollY}px`;
+    }
+
+    /**
+     * Hide the popover
+     */
+    hide() {
+        this.activeReference = null;
+        if (this.popover) {
+            this.popover.style.display = 'none';
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FootnotePopover;
+}
@@ -704,9 +704,9 @@ class LineMapper {
                 startLine = parseInt(element.getAttribute('data-line-start'), 10);
                 endLine = parseInt(element.getAttribute('data-line-end') || startLine, 10);
             } else {
-                // Single line attribute
+                // Single line attribute, with an optional end for multi-line paragraphs and code blocks
                 startLine = parseInt(element.getAttribute('data-line'), 10);
-                endLine = startLine;
+                endLine = parseInt(element.getAttribute('data-line-end') || startLine, 10);
             }
 
             if (isNaN(startLine)) {
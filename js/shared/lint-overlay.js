@@ -0,0 +1,204 @@
+/**
+ * Lint Overlay Module
+ * Shows lint problems (see MarkdownLinter) over the source mode textarea: a wavy
+ * underline under each problem and a dot in the gutter of its line
+ *
+ * A textarea can't style parts of its text, so a copy of the text is laid over it with
+ * the same font, padding and wrapping, in transparent ink, and only the marks show.
+ * The copy follows the textarea's scrolling and is rebuilt as the text changes.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only draws the marks, doesn't lint or edit
+ * - Open/Closed: Works on any textarea; the look is left to the stylesheet
+ */
+
+class LintOverlay {
+    /**
+     * Computed styles copied from the textarea, so the text wraps at the same places
+     * @type {string[]}
+     */
+    static MIRRORED_STYLES = [
+        'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'wordSpacing',
+        'tabSize', 'textIndent', 'whiteSpace', 'overflowWrap', 'wordBreak',
+        'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+        'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'
+    ];
+
+    constructor(config = {}) {
+        this.textarea = config.textarea || null;
+        this.diagnostics = [];
+        this.element = null;
+
+        // Bind methods
+        this.render = this.render.bind(this);
+        this.syncScroll = this.syncScroll.bind(this);
+    }
+
+    /**
+     * Add the overlay over the textarea and follow its text and scrolling
+     * @returns {LintOverlay}
+     */
+    init() {
+        if (!this.textarea) {
+            console.warn('LintOverlay: Missing textarea element');
+            return this;
+        }
+
+        const doc = this.textarea.ownerDocument;
+        this.element = doc.createElement('div');
+        this.element.className = 'lint-overlay';
+        this.element.setAttribute('aria-hidden', 'true');
+        this.textarea.parentNode.insertBefore(this.element, this.textarea.nextSibling);
+
+        this.textarea.addEventListener('input', this.render);
+        this.textarea.addEventListener('scroll', this.syncScroll);
+        doc.defaultView.addEventListener('resize', this.render);
+        this.render();
+        return this;
+    }
+
+    /**
+     * Stop following the textarea and remove the overlay
+     */
+    destroy() {
+        if (!this.element) return;
+
+        this.textarea.removeEventListener('input', this.render);
+        this.textarea.removeEventListener('scroll', this.syncScroll);
+        this.textarea.ownerDocument.defaultView.removeEventListener('resize', this.render);
+        this.element.remove();
+        this.element = null;
+    }
+
+    /**
+     * Show a new set of problems
+     * @param {Array<{severity: string, message: string, line: number, column: number, endColumn: number}>} diagnostics -
+     *        From MarkdownLinter.lint(), for the textarea's text
+     */
+    setDiagnostics(diagnostics) {
+        this.diagnostics = diagnostics || [];
+        this.render();
+    }
+
+    /**
+     * Rebuild the overlay; it is hidden while the textarea is
+     */
+    render() {
+        if (!this.element) return;
+
+        const view = this.textarea.ownerDocument.defaultView;
+        const hidden = view.getComputedStyle(this.textarea).display === 'none';
+        if (hidden || this.diagnostics.length === 0) {
+            this.element.style.display = 'none';
+            this.element.textContent = '';
+            return;
+        }
+
+        this.mirrorTextarea(view);
+        this.element.replaceChildren(...this.createLines(this.textarea.value.split('\n')));
+        this.syncScroll();
+    }
+
+    /**
+     * Lay the overlay exactly over the textarea's text area (its scrollbar stays uncovered)
+     * @param {Window} view
+     */
+    mirrorTextarea(view) {
+        const computed = view.getComputedStyle(this.textarea);
+        const style = this.element.style;
+        for (const property of LintOverlay.MIRRORED_STYLES) {
+            style[property] = computed[property];
+        }
+
+        const borderLeft = parseFloat(computed.borderLeftWidth) || 0;
+        const borderTop = parseFloat(computed.borderTopWidth) || 0;
+        style.display = 'block';
+        style.left = `${this.textarea.offsetLeft}px`;
+        style.top = `${this.textarea.offsetTop}px`;
+        style.width = `${this.textarea.clientWidth + borderLeft}px`;
+        style.height = `${this.textarea.clientHeight + borderTop}px`;
+        style.borderRightWidth = '0';
+        style.borderBottomWidth = '0';
+    }
+
+    /**
+     * Build one element per line up to the last line with a problem, then one for the rest
+     * @param {string[]} lines - Text of the textarea
+     * @returns {HTMLElement[]}
+     */
+    createLines(lines) {
+        const doc = this.element.ownerDocument;
+        const byLine = new Map();
+        for (const diagnostic of this.diagnostics) {
+            if (diagnostic.line >= lines.length) continue;
+            if (!byLine.has(diagnostic.line)) byLine.set(diagnostic.line, []);
+            byLine.get(diagnostic.line).push(diagnostic);
+        }
+
+        const last = Math.max(-1, ...byLine.keys());
+        const elements = [];
+        for (let i = 0; i <= last; i++) {
+            const line = doc.createElement('div');
+            line.className = 'lint-overlay-line';
+
+            const diagnostics = byLine.get(i);
+            if (diagnostics) {
+                line.setAttribute('data-lint', diagnostics.some(d => d.severity === 'error') ? 'error' : 'warning');
+                this.appendMarks(line, lines[i], diagnostics);
+            } else {
+                line.textContent = lines[i];
+            }
+            if (!lines[i]) {
+                line.appendChild(doc.createElement('br')); // Keep the height of an empty line
+            }
+            elements.push(line);
+        }
+
+        // The rest of the text in one piece, so the overlay scrolls as far as the textarea
+        const rest = doc.createElement('div');
+        rest.textContent = lines.slice(last + 1).join('\n') + ' '; // ' ' keeps a last empty line
+        elements.push(rest);
+        return elements;
+    }
+
+    /**
+     * Fill a line with its text, the problems in it wrapped in marks
+     * (where problems overlap, the first one is marked)
+     * @param {HTMLElement} line - Line element
+     * @param {string} text - Line text
+     * @param {Array<Object>} diagnostics - Problems on the line
+     */
+    appendMarks(line, text, diagnostics) {
+        const doc = line.ownerDocument;
+        let offset = 0;
+        const sorted = [...diagnostics].sort((a, b) => a.column - b.column);
+
+        for (const diagnostic of sorted) {
+            const start = Math.max(offset, Math.min(diagnostic.column, text.length));
+            const end = Math.min(text.length, Math.max(diagnostic.endColumn, start + 1));
+            if (end <= start) continue;
+
+            line.appendChild(doc.createTextNode(text.slice(offset, start)));
+            const mark = doc.createElement('mark');
+            mark.className = `lint-mark lint-${diagnostic.severity}`;
+            mark.textContent = text.slice(start, end);
+            line.appendChild(mark);
+            offset = end;
+        }
+        line.appendChild(doc.createTextNode(text.slice(offset)));
+    }
+
+    /**
+     * Scroll the overlay with the textarea
+     */
+    syncScroll() {
+        if (!this.element) return;
+        this.element.scrollTop = this.textarea.scrollTop;
+        this.element.scrollLeft = this.textarea.scrollLeft;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LintOverlay;
+}
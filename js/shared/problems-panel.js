@@ -0,0 +1,261 @@
+/**
+ * Problems Panel Module
+ * Lists the lint problems of the active document (see MarkdownLinter) beside a toolbar
+ * button, which shows how many there are
+ *
+ * The panel stays open while editing and follows the diagnostics as they change;
+ * the button, Escape or its close button hide it.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only shows the problems and reports the chosen one
+ * - Dependency Inversion: Going to a problem is left to the onSelect callback
+ */
+
+class ProblemsPanel {
+    constructor(config = {}) {
+        this.button = config.button || null;
+        this.onSelect = config.onSelect || null; // (diagnostic) => void
+        this.offset = config.offset !== undefined ? config.offset : 6; // Gap between button and panel (px)
+        this.diagnostics = [];
+        this.panel = null;
+        this.summary = null;
+        this.list = null;
+        this.badge = null;
+
+        // Bind methods
+        this.handleButtonClick = this.handleButtonClick.bind(this);
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Start listening for clicks on the button and add its count badge
+     * @returns {ProblemsPanel}
+     */
+    init() {
+        if (!this.button) {
+            console.warn('ProblemsPanel: Missing button element');
+            return this;
+        }
+
+        this.badge = this.button.ownerDocument.createElement('span');
+        this.badge.className = 'problems-count';
+        this.button.appendChild(this.badge);
+        this.button.addEventListener('click', this.handleButtonClick);
+        this.update();
+        return this;
+    }
+
+    /**
+     * Stop listening and remove the panel and the badge
+     */
+    destroy() {
+        if (this.button) {
+            this.button.removeEventListener('click', this.handleButtonClick);
+        }
+        this.close();
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        if (this.badge) {
+            this.badge.remove();
+            this.badge = null;
+        }
+    }
+
+    /**
+     * Show a new set of problems
+     * @param {Array<{rule: string, severity: string, message: string, line: number, column: number}>} diagnostics -
+     *        From MarkdownLinter.lint()
+     */
+    setDiagnostics(diagnostics) {
+        this.diagnostics = diagnostics || [];
+        this.update();
+    }
+
+    /**
+     * Open or close the panel
+     */
+    handleButtonClick() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check if the panel is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display === 'flex';
+    }
+
+    /**
+     * Show the panel next to the button
+     */
+    open() {
+        if (!this.panel) {
+            this.createPanel(this.button.ownerDocument);
+        }
+
+        this.panel.style.display = 'flex';
+        this.update();
+        this.position();
+        this.button.classList.add('active');
+        this.panel.ownerDocument.addEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.panel.style.display = 'none';
+        this.button.classList.remove('active');
+        this.panel.ownerDocument.removeEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    /**
+     * Build the panel: a title bar with the counts and a close button, above the list
+     * @param {Document} doc - Document to create the elements in
+     */
+    createPanel(doc) {
+        this.panel = doc.createElement('div');
+        this.panel.className = 'problems-panel';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-label', 'Problems');
+
+        const header = doc.createElement('div');
+        header.className = 'problems-panel-header';
+
+        const title = doc.createElement('h3');
+        title.textContent = 'Problems';
+
+        this.summary = doc.createElement('span');
+        this.summary.className = 'problems-panel-summary';
+
+        const closeButton = doc.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'problems-panel-close';
+        closeButton.title = 'Close';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+
+        this.list = doc.createElement('div');
+        this.list.className = 'problems-panel-list';
+        this.list.setAttribute('role', 'list');
+        this.list.addEventListener('click', this.handleListClick);
+
+        header.append(title, this.summary, closeButton);
+        this.panel.append(header, this.list);
+        doc.body.appendChild(this.panel);
+    }
+
+    /**
+     * Refresh the badge and, when it is open, the panel
+     */
+    update() {
+        const errors = this.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+        const warnings = this.diagnostics.length - errors;
+
+        if (this.badge) {
+            this.badge.textContent = this.diagnostics.length > 0 ? String(this.diagnostics.length) : '';
+            this.badge.setAttribute('data-severity', errors > 0 ? 'error' : 'warning');
+            this.button.title = this.diagnostics.length > 0
+                ? `Problems: ${errors} ${errors === 1 ? 'error' : 'errors'}, ${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`
+                : 'Problems: none';
+        }
+
+        if (this.isOpen()) {
+            this.summary.textContent = `${errors} ${errors === 1 ? 'error' : 'errors'}, ` +
+                `${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`;
+            this.renderList();
+        }
+    }
+
+    /**
+     * Fill the list: one entry per problem, in document order
+     */
+    renderList() {
+        const doc = this.list.ownerDocument;
+        this.list.innerHTML = '';
+
+        this.diagnostics.forEach((diagnostic, index) => {
+            const item = doc.createElement('button');
+            item.type = 'button';
+            item.className = `problems-panel-item problems-panel-${diagnostic.severity}`;
+            item.setAttribute('role', 'listitem');
+            item.setAttribute('data-index', index);
+
+            const icon = doc.createElement('span');
+            icon.className = 'problems-panel-icon';
+            icon.textContent = diagnostic.severity === 'error' ? '✖' : '⚠';
+            icon.title = diagnostic.severity === 'error' ? 'Error' : 'Warning';
+
+            const message = doc.createElement('span');
+            message.className = 'problems-panel-message';
+            message.textContent = diagnostic.message;
+
+            const location = doc.createElement('span');
+            location.className = 'problems-panel-location';
+            location.textContent = `${diagnostic.rule} · Ln ${diagnostic.line + 1}, Col ${diagnostic.column + 1}`;
+
+            item.append(icon, message, location);
+            this.list.appendChild(item);
+        });
+
+        if (this.diagnostics.length === 0) {
+            const empty = doc.createElement('div');
+            empty.className = 'problems-panel-empty';
+            empty.textContent = 'No problems found';
+            this.list.appendChild(empty);
+        }
+    }
+
+    /**
+     * Place the panel beside the button, kept inside the viewport
+     */
+    position() {
+        const view = this.button.ownerDocument.defaultView;
+        const rect = this.button.getBoundingClientRect();
+
+        let left = rect.right + this.offset;
+        if (left + this.panel.offsetWidth > view.innerWidth) {
+            left = Math.max(this.offset, rect.left - this.panel.offsetWidth - this.offset);
+        }
+        const maxTop = view.innerHeight - this.panel.offsetHeight - this.offset;
+        const top = Math.max(this.offset, Math.min(rect.top, maxTop));
+
+        this.panel.style.left = `${left + view.scrollX}px`;
+        this.panel.style.top = `${top + view.scrollY}px`;
+    }
+
+    /**
+     * Go to the clicked problem
+     */
+    handleListClick(event) {
+        const item = event.target.closest ? event.target.closest('.problems-panel-item') : null;
+        if (item && this.onSelect) {
+            this.onSelect(this.diagnostics[parseInt(item.getAttribute('data-index'), 10)]);
+        }
+    }
+
+    /**
+     * Escape closes the panel
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProblemsPanel;
+}
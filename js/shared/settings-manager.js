@@ -74,6 +74,56 @@ class SettingsManager {
             theme: {
                 current: 'default',
                 tabMenu: 'steel'
+            },
+            markdown: {
+                breaks: false, // true = every newline in a paragraph is a line break
+                // Extended inline syntax (see ExtendedInlineSyntax), each on its own
+                highlight: true, // ==text==
+                subscript: true, // H~2~O
+                superscript: true, // x^2^
+                underline: true, // ++text++
+                keyboard: true // [[Ctrl+S]]
+            },
+            shortcuts: {
+                // User-defined shortcuts: { name, scope: 'inline'|'block', pattern, template, enabled }
+                custom: [],
+                disabled: [] // Names of built-in shortcuts that are turned off
+            },
+            format: {
+                // Style of Edit → Format Document (see MarkdownFormatter)
+                listMarker: '-',
+                orderedNumbering: 'sequential', // 'sequential' (1. 2. 3.) or 'repeat' (1. 1. 1.)
+                emphasis: '*',
+                strong: '**',
+                alignTables: true,
+                atxHeadings: true, // Setext headings (underlined with === or ---) become '# Title'
+                proseWrap: 'preserve', // 'preserve', 'wrap' (at wrapColumn) or 'unwrap' (one line per paragraph)
+                wrapColumn: 80
+            },
+            lint: {
+                // Problems reported as the document changes (see MarkdownLinter)
+                enabled: true,
+                maxLineLength: 120, // For the line-length rule
+                rules: {
+                    // Severity of each rule: 'error', 'warning' or 'off'
+                    'heading-increment': 'warning',
+                    'duplicate-heading': 'warning',
+                    'image-alt': 'warning',
+                    'bare-url': 'warning',
+                    'broken-anchor': 'error',
+                    'trailing-spaces': 'warning',
+                    'list-marker': 'warning',
+                    'line-length': 'off'
+                }
+            },
+            security: {
+                sanitizeHtml: true, // Clean rendered HTML with HtmlSanitizer
+                allowedSchemes: 'http, https, mailto, tel', // URL schemes kept in links and images
+                allowDataImages: true, // Keep data:image URLs in images
+                trustLocalFiles: false // Render files opened from disk without sanitizing
+            },
+            export: {
+                flattenEmbeds: false // Save ![[document]] embeds as the markdown they show (see DocumentEmbeds)
             }
         };
     }
@@ -84,6 +134,9 @@ class SettingsManager {
      * @returns {Object} Schema object
      */
     static getSettingsSchema() {
+        // Severity of a lint rule (see MarkdownLinter)
+        const severity = description => ({ type: 'string', values: ['error', 'warning', 'off'], description });
+
         return {
             editor: {
                 fontSize: {
@@ -156,6 +209,142 @@ class SettingsManager {
                     values: ['steel', 'minimal', 'classic'],
                     description: 'Tab menu style'
                 }
+            },
+            markdown: {
+                breaks: {
+                    type: 'boolean',
+                    description: 'Render single newlines inside paragraphs as line breaks'
+                },
+                highlight: {
+                    type: 'boolean',
+                    description: 'Render ==text== as highlighted text'
+                },
+                subscript: {
+                    type: 'boolean',
+                    description: 'Render H~2~O as subscript'
+                },
+                superscript: {
+                    type: 'boolean',
+                    description: 'Render x^2^ as superscript'
+                },
+                underline: {
+                    type: 'boolean',
+                    description: 'Render ++text++ as underlined text'
+                },
+                keyboard: {
+                    type: 'boolean',
+                    description: 'Render [[Ctrl+S]] as keyboard keys'
+                }
+            },
+            shortcuts: {
+                custom: {
+                    type: 'array',
+                    unique: 'name',
+                    maxItems: 200,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', match: /^[a-z0-9][a-z0-9-]*$/i, description: 'Shortcut name' },
+                            scope: { type: 'string', values: ['inline', 'block'], description: 'Where the pattern matches' },
+                            pattern: { type: 'string', format: 'regex', description: 'Regular expression to replace' },
+                            template: { type: 'string', description: 'Markdown replacement ($1, $2, ... for groups)' },
+                            enabled: { type: 'boolean', description: 'Whether the shortcut is converted' }
+                        }
+                    },
+                    description: 'User-defined shortcuts'
+                },
+                disabled: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Names of built-in shortcuts that are turned off'
+                }
+            },
+            format: {
+                listMarker: {
+                    type: 'string',
+                    values: ['-', '*', '+'],
+                    description: 'Bullet list marker'
+                },
+                orderedNumbering: {
+                    type: 'string',
+                    values: ['sequential', 'repeat'],
+                    description: 'Number ordered list items up from the first, or repeat its number'
+                },
+                emphasis: {
+                    type: 'string',
+                    values: ['*', '_'],
+                    description: 'Emphasis character'
+                },
+                strong: {
+                    type: 'string',
+                    values: ['**', '__'],
+                    description: 'Strong emphasis characters'
+                },
+                alignTables: {
+                    type: 'boolean',
+                    description: 'Align table pipes'
+                },
+                atxHeadings: {
+                    type: 'boolean',
+                    description: 'Turn underlined (setext) headings into # headings'
+                },
+                proseWrap: {
+                    type: 'string',
+                    values: ['preserve', 'wrap', 'unwrap'],
+                    description: 'Keep prose lines as written, wrap them at the column, or join each paragraph onto one line'
+                },
+                wrapColumn: {
+                    type: 'number',
+                    min: 20,
+                    max: 200,
+                    description: 'Column prose is wrapped at'
+                }
+            },
+            lint: {
+                enabled: {
+                    type: 'boolean',
+                    description: 'Check documents for problems as they change'
+                },
+                maxLineLength: {
+                    type: 'number',
+                    min: 40,
+                    max: 400,
+                    description: 'Longest line allowed by the line-length rule'
+                },
+                rules: {
+                    'heading-increment': severity('Headings that skip a level (h1 then h3)'),
+                    'duplicate-heading': severity('Headings with the same text'),
+                    'image-alt': severity('Images without alt text'),
+                    'bare-url': severity('URLs that aren\'t links or in angle brackets'),
+                    'broken-anchor': severity('Links to #anchors that aren\'t in the document'),
+                    'trailing-spaces': severity('Spaces at the end of lines (two before a line break are allowed)'),
+                    'list-marker': severity('Bullet lists with another marker than the first'),
+                    'line-length': severity('Lines longer than the maximum length')
+                }
+            },
+            security: {
+                sanitizeHtml: {
+                    type: 'boolean',
+                    description: 'Remove scripts, event handlers and unsafe URLs from rendered HTML'
+                },
+                allowedSchemes: {
+                    type: 'string',
+                    description: 'Comma-separated URL schemes allowed in links and images'
+                },
+                allowDataImages: {
+                    type: 'boolean',
+                    description: 'Allow data:image URLs in images'
+                },
+                trustLocalFiles: {
+                    type: 'boolean',
+                    description: 'Treat files opened from disk as trusted (rendered without sanitizing; embedded documents not opened from disk are still sanitized)'
+                }
+            },
+            export: {
+                flattenEmbeds: {
+                    type: 'boolean',
+                    description: 'Write embedded documents in place of ![[document]] embeds when saving'
+                }
             }
         };
     }
@@ -540,6 +729,92 @@ class SettingsManager {
                     'Invalid value'
                 );
             }
+
+            // Format validation
+            if (schema.match && !schema.match.test(value)) {
+                throw new SettingsError(
+                    `Invalid value for ${path}: does not match ${schema.match}`,
+                    path,
+                    value,
+                    'Invalid format'
+                );
+            }
+
+            if (schema.format === 'regex') {
+                try {
+                    new RegExp(value);
+                } catch (error) {
+                    throw new SettingsError(
+                        `Invalid regular expression for ${path}: ${error.message}`,
+                        path,
+                        value,
+                        'Invalid format'
+                    );
+                }
+            }
+        }
+
+        if (schema.type === 'array') {
+            if (!Array.isArray(value)) {
+                throw new SettingsError(
+                    `Invalid type for ${path}: expected array, got ${typeof value}`,
+                    path,
+                    value,
+                    'Type mismatch'
+                );
+            }
+
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                throw new SettingsError(
+                    `Too many items for ${path} (maximum ${schema.maxItems})`,
+                    path,
+                    value,
+                    'Above maximum'
+                );
+            }
+
+            // Each item against the item schema
+            if (schema.items) {
+                value.forEach((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`));
+            }
+
+            // Items keyed by a property must not share it
+            if (schema.unique) {
+                const keys = value.map(item => item[schema.unique]);
+                const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+                if (duplicate !== undefined) {
+                    throw new SettingsError(
+                        `Duplicate ${schema.unique} in ${path}: ${duplicate}`,
+                        path,
+                        value,
+                        'Duplicate value'
+                    );
+                }
+            }
+        }
+
+        if (schema.type === 'object') {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                throw new SettingsError(
+                    `Invalid type for ${path}: expected object, got ${value === null ? 'null' : typeof value}`,
+                    path,
+                    value,
+                    'Type mismatch'
+                );
+            }
+
+            // Every property is required; unknown ones are rejected
+            for (const key of Object.keys(value)) {
+                if (!schema.properties[key]) {
+                    throw new SettingsError(`Unknown property in ${path}: ${key}`, path, value, 'Unknown property');
+                }
+            }
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                if (value[key] === undefined) {
+                    throw new SettingsError(`Missing property in ${path}: ${key}`, path, value, 'Missing property');
+                }
+                this.validateValue(value[key], propertySchema, `${path}.${key}`);
+            }
         }
 
         return true;
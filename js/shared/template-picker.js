@@ -0,0 +1,225 @@
+/**
+ * Template Picker Module
+ * The New from Template dialog: lists the templates (see TemplateManager) with the start
+ * of their content, to create a document from one, delete one, or import and export them
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only shows the templates and reports the choice
+ * - Dependency Inversion: Creating, deleting, importing and exporting are left to callbacks
+ */
+
+class TemplatePicker {
+    constructor(config = {}) {
+        this.title = config.title || 'New from Template';
+        this.previewLength = config.previewLength || 120; // Characters of content shown per template
+        this.container = config.container || document.body;
+        this.onSelect = config.onSelect || null; // (template) => void
+        this.onDelete = config.onDelete || null; // (template) => void
+        this.onImport = config.onImport || null; // () => void
+        this.onExport = config.onExport || null; // () => void
+        this.templates = [];
+        this.panel = null;
+        this.list = null;
+        this.exportButton = null;
+
+        // Bind methods
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleOverlayMouseDown = this.handleOverlayMouseDown.bind(this);
+    }
+
+    /**
+     * Show the dialog
+     * @param {Array<Object>} templates - From TemplateManager.getAllTemplates()
+     */
+    open(templates) {
+        if (!this.panel) {
+            this.createPanel(this.container.ownerDocument);
+        }
+
+        this.panel.style.display = 'flex';
+        this.setTemplates(templates);
+        this.panel.ownerDocument.addEventListener('keydown', this.handleKeyDown, true);
+
+        const first = this.list.querySelector('.template-picker-item');
+        (first || this.panel.querySelector('.template-picker-cancel')).focus();
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.panel.style.display = 'none';
+        this.panel.ownerDocument.removeEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    /**
+     * Check if the dialog is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display === 'flex';
+    }
+
+    /**
+     * Show other templates, e.g. after one is deleted or more are imported
+     * @param {Array<Object>} templates - From TemplateManager.getAllTemplates()
+     */
+    setTemplates(templates) {
+        this.templates = templates || [];
+        if (this.isOpen()) {
+            this.renderList();
+        }
+    }
+
+    /**
+     * Build the dialog: title, the templates, and Import / Export / Cancel buttons
+     * @param {Document} doc - Document to create the elements in
+     */
+    createPanel(doc) {
+        this.panel = doc.createElement('div');
+        this.panel.className = 'template-picker';
+        this.panel.addEventListener('mousedown', this.handleOverlayMouseDown);
+
+        const dialog = doc.createElement('div');
+        dialog.className = 'template-picker-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', this.title);
+
+        const heading = doc.createElement('h3');
+        heading.textContent = this.title;
+
+        this.list = doc.createElement('div');
+        this.list.className = 'template-picker-list';
+        this.list.setAttribute('role', 'list');
+        this.list.addEventListener('click', this.handleListClick);
+
+        const buttons = doc.createElement('div');
+        buttons.className = 'template-picker-buttons';
+
+        const createButton = (label, className, onClick) => {
+            const button = doc.createElement('button');
+            button.type = 'button';
+            button.className = `panel-button ${className}`;
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        const importButton = createButton('Import...', 'template-picker-import', () => {
+            if (this.onImport) this.onImport();
+        });
+        this.exportButton = createButton('Export', 'template-picker-export', () => {
+            if (this.onExport) this.onExport();
+        });
+        const cancel = createButton('Cancel', 'template-picker-cancel', () => this.close());
+
+        buttons.append(importButton, this.exportButton, cancel);
+        dialog.append(heading, this.list, buttons);
+        this.panel.appendChild(dialog);
+        this.container.appendChild(this.panel);
+    }
+
+    /**
+     * Fill the list: one entry per template with its name, the start of its content and
+     * a delete button
+     */
+    renderList() {
+        const doc = this.list.ownerDocument;
+        this.list.innerHTML = '';
+
+        this.templates.forEach((template, index) => {
+            const row = doc.createElement('div');
+            row.className = 'template-picker-row';
+            row.setAttribute('role', 'listitem');
+
+            const item = doc.createElement('button');
+            item.type = 'button';
+            item.className = 'template-picker-item';
+            item.setAttribute('data-index', index);
+            item.title = `New document from "${template.name}"`;
+
+            const name = doc.createElement('span');
+            name.className = 'template-picker-name';
+            name.textContent = template.name;
+
+            const preview = doc.createElement('span');
+            preview.className = 'template-picker-preview';
+            const content = template.content.replace(/\s+/g, ' ').trim();
+            preview.textContent = content.length > this.previewLength
+                ? `${content.slice(0, this.previewLength)}…`
+                : content || '(empty)';
+
+            item.append(name, preview);
+
+            const remove = doc.createElement('button');
+            remove.type = 'button';
+            remove.className = 'template-picker-delete';
+            remove.setAttribute('data-index', index);
+            remove.title = `Delete template "${template.name}"`;
+            remove.setAttribute('aria-label', remove.title);
+            remove.textContent = '×';
+
+            row.append(item, remove);
+            this.list.appendChild(row);
+        });
+
+        if (this.templates.length === 0) {
+            const empty = doc.createElement('div');
+            empty.className = 'template-picker-empty';
+            empty.textContent = 'No templates yet. Open a document and use Save as Template, or import templates.';
+            this.list.appendChild(empty);
+        }
+
+        this.exportButton.disabled = this.templates.length === 0;
+    }
+
+    /**
+     * Create a document from the clicked template, or delete it
+     */
+    handleListClick(event) {
+        const button = event.target.closest ? event.target.closest('button[data-index]') : null;
+        if (!button) return;
+
+        const template = this.templates[parseInt(button.getAttribute('data-index'), 10)];
+        if (button.classList.contains('template-picker-delete')) {
+            if (this.onDelete) {
+                this.onDelete(template);
+            }
+            return;
+        }
+
+        this.close();
+        if (this.onSelect) {
+            this.onSelect(template);
+        }
+    }
+
+    /**
+     * Escape closes the dialog
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.close();
+        }
+    }
+
+    /**
+     * Close the dialog when clicking the backdrop around it
+     */
+    handleOverlayMouseDown(event) {
+        if (event.target === this.panel) {
+            this.close();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplatePicker;
+}
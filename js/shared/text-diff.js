@@ -0,0 +1,169 @@
+/**
+ * Text Diff Module
+ * Line by line differences between two texts, grouped into hunks for display
+ *
+ * - Lines are matched by their longest common subsequence, after the common
+ *   start and end are set aside
+ * - A changed region too large to compare (MAX_CELLS) is shown as deleted, then inserted
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only compares text, doesn't display it (see DiffPreview)
+ */
+
+class TextDiff {
+    /**
+     * Largest changed region compared line by line (lines before × lines after)
+     * @type {number}
+     */
+    static MAX_CELLS = 4000000;
+
+    /**
+     * Compare two texts line by line
+     * @param {string} before - Old text
+     * @param {string} after - New text
+     * @returns {Array<{type: string, text: string, beforeLine: number|null, afterLine: number|null}>} -
+     *          type is 'equal', 'delete' or 'insert'; line numbers start at 1
+     */
+    static diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const types = [
+            ...a.slice(0, start).map(() => 'equal'),
+            ...TextDiff.compare(a.slice(start, endA), b.slice(start, endB)),
+            ...a.slice(endA).map(() => 'equal')
+        ];
+
+        // Number the lines on each side
+        let i = 0;
+        let j = 0;
+        return types.map(type => {
+            if (type === 'insert') return { type, text: b[j], beforeLine: null, afterLine: ++j };
+            if (type === 'delete') return { type, text: a[i], beforeLine: ++i, afterLine: null };
+            return { type, text: a[i], beforeLine: ++i, afterLine: ++j };
+        });
+    }
+
+    /**
+     * Find the edit from one list of lines to another
+     * @param {string[]} a - Old lines
+     * @param {string[]} b - New lines
+     * @returns {string[]} - 'equal', 'delete' or 'insert' per step
+     */
+    static compare(a, b) {
+        if (a.length * b.length > TextDiff.MAX_CELLS) {
+            return [...a.map(() => 'delete'), ...b.map(() => 'insert')];
+        }
+
+        // lengths[i * width + j]: longest common subsequence of a[i..] and b[j..]
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const types = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                types.push('equal');
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                types.push('delete');
+                i++;
+            } else {
+                types.push('insert');
+                j++;
+            }
+        }
+        while (i++ < a.length) types.push('delete');
+        while (j++ < b.length) types.push('insert');
+
+        return types;
+    }
+
+    /**
+     * Group changes into hunks: runs of changed lines with some unchanged lines around them
+     * @param {Array<Object>} changes - From diffLines()
+     * @param {number} [context=2] - Unchanged lines kept before and after each change
+     * @returns {Array<{beforeLine: number, afterLine: number, changes: Array<Object>}>} - where
+     *          each hunk starts on either side
+     */
+    static getHunks(changes, context = 2) {
+        const hunks = [];
+        let current = null;
+        let lastChange = -Infinity;
+
+        changes.forEach((change, index) => {
+            if (change.type === 'equal') return;
+
+            const start = Math.max(0, index - context);
+            if (current && start <= lastChange + context + 1) {
+                current.end = index;
+            } else {
+                current = { start, end: index };
+                hunks.push(current);
+            }
+            lastChange = index;
+        });
+
+        return hunks.map(({ start, end }) => {
+            const lines = changes.slice(start, Math.min(changes.length, end + context + 1));
+            return {
+                beforeLine: TextDiff.firstLine(changes, start, 'beforeLine'),
+                afterLine: TextDiff.firstLine(changes, start, 'afterLine'),
+                changes: lines
+            };
+        });
+    }
+
+    /**
+     * Line number on one side at a change, or just after the last one before it
+     * @param {Array<Object>} changes - From diffLines()
+     * @param {number} index - Change index
+     * @param {string} side - 'beforeLine' or 'afterLine'
+     * @returns {number}
+     */
+    static firstLine(changes, index, side) {
+        for (let i = index; i < changes.length; i++) {
+            if (changes[i][side] !== null) return changes[i][side];
+        }
+        for (let i = index - 1; i >= 0; i--) {
+            if (changes[i][side] !== null) return changes[i][side] + 1;
+        }
+        return 1;
+    }
+
+    /**
+     * Count the lines deleted and inserted
+     * @param {Array<Object>} changes - From diffLines()
+     * @returns {{deleted: number, inserted: number}}
+     */
+    static countChanges(changes) {
+        return {
+            deleted: changes.filter(change => change.type === 'delete').length,
+            inserted: changes.filter(change => change.type === 'insert').length
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextDiff;
+}
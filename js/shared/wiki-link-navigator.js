@@ -0,0 +1,87 @@
+/**
+ * Wiki Link Navigator Module
+ * Opens the document a clicked [[wiki link]] names (see WikiLinks)
+ *
+ * A link to an open document switches to its tab; a link to a document that doesn't
+ * exist yet offers to create it. Links to a heading of the same document ([[#Intro]])
+ * are '#anchor' links, left to AnchorNavigator.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only handles clicks on wiki links
+ * - Dependency Inversion: Tabs and scrolling are left to the onOpen callback
+ */
+
+class WikiLinkNavigator {
+    constructor(config = {}) {
+        this.container = config.container || null;
+        this.documentManager = config.documentManager || null;
+        this.onOpen = config.onOpen || null; // (document, link) => void, after switching to it
+        this.confirm = config.confirm || (message => window.confirm(message));
+
+        // Bind methods
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Start listening for clicks on wiki links
+     * @returns {WikiLinkNavigator}
+     */
+    init() {
+        if (!this.container || !this.documentManager) {
+            console.warn('WikiLinkNavigator: Missing container or document manager');
+            return this;
+        }
+
+        // Delegated, so links added by later renders work too
+        this.container.addEventListener('click', this.handleClick);
+        return this;
+    }
+
+    /**
+     * Stop listening
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+        }
+    }
+
+    /**
+     * Open the document of a clicked wiki link
+     */
+    handleClick(event) {
+        const element = event.target.closest ? event.target.closest('a.wiki-link[data-wiki-link]') : null;
+        if (!element || !this.container.contains(element)) return;
+
+        const link = WikiLinks.parseReference(element.getAttribute('data-wiki-link'));
+        if (!link || !link.target) return;
+
+        event.preventDefault();
+        this.open(link);
+    }
+
+    /**
+     * Switch to the document a link names, creating it first if the user agrees
+     * @param {{target: string, heading: string|null}} link - From WikiLinks.parse()
+     * @returns {MarkdownDocument|null} - The document opened, or null when none was
+     */
+    open(link) {
+        let document = WikiLinks.resolve(link.target, this.documentManager.getAllDocuments());
+
+        if (!document) {
+            if (!this.confirm(`There is no document named "${link.target}". Create it?`)) return null;
+            document = this.documentManager.createDocument({ name: link.target });
+        }
+
+        this.documentManager.switchDocument(document.id);
+        if (this.onOpen) {
+            this.onOpen(document, link);
+        }
+        return document;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WikiLinkNavigator;
+}
@@ -28,8 +28,16 @@ class WysiwygEngine {
         // Scroll debounce timer - prevents excessive scroll calculations during rapid typing
         this.scrollDebounceTimer = null;
 
-        // Initialize shortcut processor for custom markdown syntax
-        this.shortcutProcessor = new ShortcutProcessor();
+        // Shortcut processor for custom markdown syntax (the parser's, so settings apply to both)
+        this.shortcutProcessor = (markdownParser && typeof markdownParser.getShortcutProcessor === 'function' &&
+            markdownParser.getShortcutProcessor()) || new ShortcutProcessor();
+
+        // Footnote numbers and link reference definitions by identifier, collected when a document is loaded
+        this.footnoteNumbers = new Map();
+        this.linkDefinitions = new Map();
+
+        // Cleans rendered HTML (set with setSanitizer); null renders it as is
+        this.sanitizer = null;
 
         // Bind methods
         this.handleKeyDown = this.handleKeyDown.bind(this);
@@ -149,6 +157,28 @@ class WysiwygEngine {
             return;
         }
 
+        // Inside a callout body, Enter adds a line; Enter on an empty line leaves the callout
+        const callout = block.closest('div[data-callout][data-wysiwyg-rendered="true"]');
+        if (callout && block.tagName === 'P' && !block.classList.contains('callout-title')) {
+            const newParagraph = document.createElement('p');
+            newParagraph.innerHTML = '<br>';
+
+            if (block.textContent.trim() === '') {
+                // Keep at least one body line to type into
+                callout.parentNode.insertBefore(newParagraph, callout.nextSibling);
+                if (callout.querySelectorAll('p:not(.callout-title)').length > 1) {
+                    block.remove();
+                }
+            } else {
+                block.parentNode.insertBefore(newParagraph, block.nextSibling);
+            }
+
+            this.setCursorAt(newParagraph, 0);
+            this.updateRenderedBlockMarkdown(callout);
+            this.scrollCursorIntoView();
+            return;
+        }
+
         // Get the markdown text from the block - preserve leading whitespace for indentation
         let markdownText = block.textContent;
         const trimmedText = markdownText.trim();
@@ -182,6 +212,8 @@ class WysiwygEngine {
             newParagraph.innerHTML = '<br>';
             newBlock.parentNode.insertBefore(newParagraph, newBlock.nextSibling);
 
+            this.refreshHeadingAnchors();
+
             // Move cursor to new paragraph
             this.setCursorAt(newParagraph, 0);
 
@@ -243,6 +275,9 @@ class WysiwygEngine {
             this.tryAutoRender();
         }
 
+        // Heading text may have changed, keep ids and tables of contents current
+        this.refreshHeadingAnchors();
+
         // Auto-save could be triggered here
         // For now, just ensure we maintain proper structure
         this.ensureProperStructure();
@@ -594,11 +629,36 @@ class WysiwygEngine {
         // Manually process bi{text} first to avoid collision with b{text}
         processedText = processedText.replace(/bi\{(.+?)\}/g, '***$1***');
 
-        // Then process the rest of the shortcuts
-        processedText = this.shortcutProcessor.process(processedText);
+        // Then process the rest of the shortcuts (emoji are rendered inline, keeping the shortcode)
+        processedText = this.shortcutProcessor.process(processedText, { emoji: false });
 
         // Detect markdown patterns and render
 
+        // Footnote definition ([^id]: text)
+        const footnoteMatch = processedText.match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+        if (footnoteMatch) {
+            const label = footnoteMatch[1];
+            const number = this.getFootnoteNumber(label);
+            const content = this.renderInlineFormatting(footnoteMatch[2]);
+            return this.applyIndent(
+                `<div class="footnote-definition" id="fn-${number}" data-footnote-id="${this.escapeAttribute(label)}">` +
+                `<span class="footnote-label" contenteditable="false">${number}.</span> ` +
+                `<span class="footnote-text">${content}</span></div>`,
+                indentLevel
+            );
+        }
+
+        // Document embed (![[name]]), showing the embedded document read-only
+        const embed = this.createEmbedElement(processedText);
+        if (embed) {
+            return embed.outerHTML;
+        }
+
+        // Table of contents ([TOC]), filled in by refreshHeadingAnchors()
+        if (TableOfContents.isMarker(processedText)) {
+            return '<nav class="toc"></nav>';
+        }
+
         // Headers (# through ######)
         const headerMatch = processedText.match(/^(#{1,6})\s+(.+)$/);
         if (headerMatch) {
@@ -607,6 +667,20 @@ class WysiwygEngine {
             return this.applyIndent(`<h${level}>${this.escapeHtml(content)}</h${level}>`, indentLevel);
         }
 
+        // Alert callout (> [!NOTE] text)
+        const alertMatch = processedText.match(/^>\s?(.*)$/);
+        const alert = alertMatch ? Callouts.matchAlert(alertMatch[1]) : null;
+        if (alert) {
+            const callout = this.createCalloutElement({
+                kind: alert.kind,
+                title: '',
+                opening: `> ${alert.marker}`,
+                inline: alert.text !== '',
+                body: alert.text ? [alert.text] : []
+            });
+            return this.applyIndent(callout.outerHTML, indentLevel);
+        }
+
         // Blockquote (> text)
         const quoteMatch = processedText.match(/^>\s*(.+)$/);
         if (quoteMatch) {
@@ -658,6 +732,11 @@ class WysiwygEngine {
             return this.applyIndent(`<p>${checkbox} ${formattedContent}</p>`, indentLevel);
         }
 
+        // Link reference definition ([ref]: url "title") - kept as typed, like the preview hides it
+        if (/^\[[^\]^][^\]]*\]:\s*\S/.test(processedText)) {
+            return null;
+        }
+
         // Regular paragraph with inline formatting
         const formatted = this.renderInlineFormatting(processedText);
         if (formatted !== processedText) {
@@ -688,34 +767,89 @@ class WysiwygEngine {
     }
 
     /**
-     * Check if a line is a table separator row (|---|---|)
+     * Check if a line is a table separator row (|---|:---:|)
      */
     isTableSeparator(text) {
-        return /^\|[\s:-]+\|$/.test(text.trim()) && text.includes('-');
+        return TableSyntax.isSeparatorRow(text);
     }
 
     /**
      * Parse a table row into cells
+     * Same rules as the preview: escaped pipes and pipes in code spans don't split cells
      */
     parseTableRow(text) {
-        // Remove leading/trailing pipes and split by |
-        const trimmed = text.trim().replace(/^\||\|$/g, '');
-        const cells = trimmed.split('|').map(cell => cell.trim());
-        return cells;
+        return TableSyntax.getCells(text);
     }
 
     /**
      * Render inline markdown formatting (bold, italic, code, links)
      */
     renderInlineFormatting(text) {
+        // Math is set aside first so '_' and '*' in formulas aren't read as emphasis
+        const math = [];
+        let result = MathSyntax.replaceInline(text, ({ tex, display }) => {
+            math.push(this.renderMath(tex, display));
+            return `\uE002${math.length - 1}\uE003`;
+        });
+
+        // Code spans, backslash escapes and entity references are literal text
+        const literals = [];
+        result = MarkdownEscapes.replaceInline(result, {
+            code: content => {
+                literals.push(`<code>${this.escapeHtml(content)}</code>`);
+                return `\uE006${literals.length - 1}\uE007`;
+            },
+            escape: char => {
+                literals.push(this.renderEscape(char));
+                return `\uE006${literals.length - 1}\uE007`;
+            },
+            entity: name => {
+                literals.push(this.renderEntity(name));
+                return `\uE006${literals.length - 1}\uE007`;
+            }
+        });
+
+        // Footnote references likewise, so their labels aren't read as emphasis
+        const footnotes = [];
+        result = result.replace(/(`+)[\s\S]*?\1|\[\^([^\]\s]+)\]/g, (match, codeFence, label) => {
+            if (codeFence) return match;
+            footnotes.push(this.renderFootnoteReference(label));
+            return `\uE000${footnotes.length - 1}\uE001`;
+        });
+
+        // Emoji shortcodes too, so ':sweat_smile:' isn't read as emphasis
+        const emoji = [];
+        if (this.shortcutProcessor) {
+            result = this.shortcutProcessor.replaceEmoji(result, ({ name, emoji: char }) => {
+                emoji.push(this.renderEmoji(name, char));
+                return `\uE004${emoji.length - 1}\uE005`;
+            });
+        }
+
+        // Wiki links to other documents too, so '_' in their names isn't read as emphasis
+        // (links holding code or escapes, set aside above, stay text)
+        const wikiLinks = [];
+        result = result.replace(WikiLinks.PATTERN, (match, linkText) => {
+            const link = /[\uE000-\uE007]/.test(linkText) ? null : this.renderWikiLink(linkText);
+            if (!link) return match;
+            wikiLinks.push(link);
+            return `\uE008${wikiLinks.length - 1}\uE009`;
+        });
+
         // Process images and links BEFORE escaping HTML to preserve special characters
-        let result = text;
 
-        // Images (![alt](url)) - process first before escaping
-        result = result.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1">');
+        // Images (![alt](url "title")) - process first before escaping
+        result = result.replace(/!\[([^\]]*)\]\(([^)]+?)(?:\s+(?:"([^"]*)"|'([^']*)'))?\)/g,
+            (match, alt, src, doubleTitle, singleTitle) =>
+                `<img src="${src}" alt="${alt}"${this.titleAttribute(doubleTitle, singleTitle)}>`);
 
-        // Links ([text](url))
-        result = result.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+        // Links ([text](url "title"))
+        result = result.replace(/\[([^\]]+)\]\(([^)]+?)(?:\s+(?:"([^"]*)"|'([^']*)'))?\)/g,
+            (match, linkText, href, doubleTitle, singleTitle) =>
+                `<a href="${href}"${this.titleAttribute(doubleTitle, singleTitle)}>${linkText}</a>`);
+
+        // Reference links and images ([text][ref], [ref][], [ref])
+        result = this.renderLinkReferences(result);
 
         // Now escape HTML for the rest of the text (but preserve our HTML tags)
         // Split by HTML tags, escape only non-tag parts
@@ -727,24 +861,467 @@ class WysiwygEngine {
             return this.escapeHtml(part);
         }).join('');
 
+        // The formatting rules below only apply to text, not to the link and image tags
+        // (their URLs) rendered above
+        const replaceInText = (pattern, replacement) => {
+            result = RuleEngine.replaceInText(result, pattern, replacement);
+        };
+
         // Bold + Italic (***text***)
-        result = result.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
+        replaceInText(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
 
         // Bold (**text** or __text__)
-        result = result.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-        result = result.replace(/__(.+?)__/g, '<strong>$1</strong>');
+        replaceInText(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+        replaceInText(/__(.+?)__/g, '<strong>$1</strong>');
 
         // Italic (*text* or _text_)
-        result = result.replace(/\*(.+?)\*/g, '<em>$1</em>');
-        result = result.replace(/_(.+?)_/g, '<em>$1</em>');
+        replaceInText(/\*(.+?)\*/g, '<em>$1</em>');
+        replaceInText(/_(.+?)_/g, '<em>$1</em>');
 
         // Strikethrough (~~text~~)
-        result = result.replace(/~~(.+?)~~/g, '<s>$1</s>');
+        replaceInText(/~~(.+?)~~/g, '<s>$1</s>');
+
+        // Highlight, subscript, superscript, underline and keys - those turned on in the parser
+        const ruleEngine = this.markdownParser ? this.markdownParser.getRuleEngine() : null;
+        ExtendedInlineSyntax.getRules()
+            .filter(rule => !ruleEngine || ruleEngine.isRuleEnabled(rule.name))
+            .forEach(rule => replaceInText(rule.pattern, rule.replacement));
+
+        // Footnote references ([^id])
+        result = result.replace(/\uE000(\d+)\uE001/g, (match, index) => footnotes[index]);
+
+        // Math ($tex$ and $$tex$$)
+        result = result.replace(/\uE002(\d+)\uE003/g, (match, index) => math[index]);
+
+        // Emoji (:rocket:)
+        result = result.replace(/\uE004(\d+)\uE005/g, (match, index) => emoji[index]);
+
+        // Wiki links ([[Name]])
+        result = result.replace(/\uE008(\d+)\uE009/g, (match, index) => wikiLinks[index]);
+
+        // Inline code (`code`), escapes (\*) and entities (&copy;)
+        result = result.replace(/\uE006(\d+)\uE007/g, (match, index) => literals[index]);
+
+        // Link and image URLs come straight from the text
+        return this.sanitizeHtml(result);
+    }
+
+    /**
+     * Render TeX as a read-only span holding its MathML
+     * The TeX is kept in data-tex for htmlToMarkdown().
+     * @param {string} tex - TeX without the $ delimiters
+     * @param {boolean} display - Display math ($$tex$$)
+     * @returns {string}
+     */
+    renderMath(tex, display) {
+        return `<span class="math ${display ? 'math-display' : 'math-inline'}" data-tex="${this.escapeAttribute(tex)}" ` +
+            `contenteditable="false">${this.renderTex(tex, display)}</span>`;
+    }
+
+    /**
+     * Render a backslash escape as a read-only span holding the character
+     * htmlToMarkdown() writes it back with its backslash, so '\*' stays literal.
+     * @param {string} char - Escaped ASCII punctuation
+     * @returns {string}
+     */
+    renderEscape(char) {
+        return `<span class="md-escape" contenteditable="false">${this.escapeHtml(char)}</span>`;
+    }
+
+    /**
+     * Render an entity reference as a read-only span showing its character
+     * The reference is kept in data-entity for htmlToMarkdown().
+     * @param {string} name - 'copy', '#169' or '#xA9'
+     * @returns {string}
+     */
+    renderEntity(name) {
+        return `<span class="md-entity" data-entity="${name}" title="&amp;${name};" ` +
+            `contenteditable="false">&${name};</span>`;
+    }
+
+    /**
+     * Render an emoji shortcode as a read-only span holding the character
+     * The name is kept in data-emoji for htmlToMarkdown().
+     * @param {string} name - Shortcode name, e.g. 'rocket' (letters, digits, '_', '+' and '-')
+     * @param {string} char - The emoji
+     * @returns {string}
+     */
+    renderEmoji(name, char) {
+        return `<span class="emoji" data-emoji="${name}" title=":${name}:" ` +
+            `contenteditable="false">${char}</span>`;
+    }
+
+    /**
+     * Render a wiki link as a read-only link (see WikiLinks); clicking it is left to
+     * WikiLinkNavigator. The link as written is kept in data-wiki-link for htmlToMarkdown().
+     * @param {string} text - Text between [[ and ]]
+     * @returns {string|null} - null when the text isn't a link ([[Ctrl+S]])
+     */
+    renderWikiLink(text) {
+        const resolver = this.markdownParser && typeof this.markdownParser.getWikiLinkResolver === 'function'
+            ? this.markdownParser.getWikiLinkResolver()
+            : null;
+        return WikiLinks.render(text, resolver, ' contenteditable="false"');
+    }
+
+    /**
+     * Convert TeX to MathML with the parser's converter, or show it escaped without one
+     * @param {string} tex - TeX without the $ delimiters
+     * @param {boolean} display - Display math
+     * @returns {string}
+     */
+    renderTex(tex, display) {
+        const converter = this.markdownParser && typeof this.markdownParser.getMathRenderer === 'function'
+            ? this.markdownParser.getMathRenderer()
+            : null;
+        if (converter) return converter.convert(tex, { display });
+        return this.escapeHtml(display ? `$$${tex}$$` : `$${tex}$`);
+    }
+
+    /**
+     * Set the sanitizer for rendered HTML
+     * @param {HtmlSanitizer|null} sanitizer - null to render HTML unsanitized
+     */
+    setSanitizer(sanitizer) {
+        this.sanitizer = sanitizer;
+    }
+
+    /**
+     * Run HTML through the sanitizer, if there is one
+     * @param {string} html
+     * @returns {string}
+     */
+    sanitizeHtml(html) {
+        return this.sanitizer ? this.sanitizer.sanitize(html) : html;
+    }
+
+    /**
+     * Render reference links and images whose label is defined in the document
+     * The reference form and label are kept in data attributes so they convert back unchanged
+     * @param {string} text - Inline markdown (inline links already rendered)
+     * @returns {string}
+     */
+    renderLinkReferences(text) {
+        if (this.linkDefinitions.size === 0) return text;
+
+        return text.replace(/(`+)[\s\S]*?\1|(!?)\[([^\[\]]+)\](?:\[([^\[\]]*)\])?/g, (match, codeFence, bang, content, reference) => {
+            if (codeFence) return match;
+
+            const type = reference === undefined ? 'shortcut' : (reference === '' ? 'collapsed' : 'full');
+            const label = type === 'full' ? reference : content;
+            const definition = !label.startsWith('^') && this.linkDefinitions.get(MarkdownAst.normalizeLabel(label));
+            if (!definition) return match;
+
+            const title = definition.title !== null ? ` title="${this.escapeAttribute(definition.title)}"` : '';
+            const referenceAttributes = ` data-reference-type="${type}" data-reference-label="${this.escapeAttribute(label)}"`;
+            if (bang) {
+                return `<img src="${this.escapeAttribute(definition.url)}" alt="${this.escapeAttribute(content)}"${title}${referenceAttributes}>`;
+            }
+            return `<a href="${this.escapeAttribute(definition.url)}"${title}${referenceAttributes}>${content}</a>`;
+        });
+    }
+
+    /**
+     * Build the title attribute of a link or image from its quoted title
+     * @returns {string} - ' title="..."' or ''
+     */
+    titleAttribute(doubleTitle, singleTitle) {
+        const title = doubleTitle !== undefined ? doubleTitle : singleTitle;
+        return title !== undefined ? ` title="${this.escapeAttribute(title)}"` : '';
+    }
+
+    /**
+     * Render a footnote reference as a numbered superscript linking to its definition
+     * The label is kept in data-footnote-id so the reference converts back to [^id]
+     */
+    renderFootnoteReference(label) {
+        const number = this.getFootnoteNumber(label);
+        return `<sup class="footnote-ref" data-footnote-id="${this.escapeAttribute(label)}" contenteditable="false">` +
+            `<a href="#fn-${number}">${number}</a></sup>`;
+    }
+
+    /**
+     * Get the number shown for a footnote
+     * Footnotes that weren't numbered when the document was loaded (new ones
+     * typed since, or ones the preview leaves out) are numbered after the rest.
+     * @param {string} label - Footnote label as written
+     * @returns {number}
+     */
+    getFootnoteNumber(label) {
+        const identifier = MarkdownAst.normalizeLabel(label);
+        if (!this.footnoteNumbers.has(identifier)) {
+            this.footnoteNumbers.set(identifier, this.footnoteNumbers.size + 1);
+        }
+        return this.footnoteNumbers.get(identifier);
+    }
+
+    /**
+     * Collect what single lines can't know: footnote numbers (numbered the way the
+     * preview does, see MarkdownAst.numberFootnotes) and link reference definitions
+     * @param {string} markdown - Whole document
+     */
+    updateDocumentReferences(markdown) {
+        this.footnoteNumbers = new Map();
+        this.linkDefinitions = new Map();
+        if (!this.markdownParser || typeof this.markdownParser.parseToAst !== 'function') return;
+
+        try {
+            const ast = this.markdownParser.parseToAst(markdown);
+            this.footnoteNumbers = MarkdownAst.numberFootnotes(ast).numbers;
+            this.linkDefinitions = MarkdownAst.collectDefinitions(ast);
+        } catch (error) {
+            console.error('Error collecting footnotes and link definitions:', error);
+        }
+    }
+
+    /**
+     * Render front matter as a read-only block holding the original text
+     * @param {Object} frontMatter - Result of FrontMatter.extract()
+     * @returns {string} - HTML
+     */
+    renderFrontMatter(frontMatter) {
+        const pre = document.createElement('pre');
+        pre.className = 'front-matter';
+        pre.textContent = frontMatter.value;
+        pre.setAttribute('data-frontmatter', 'true');
+        pre.setAttribute('data-wysiwyg-rendered', 'true');
+        pre.setAttribute('data-wysiwyg-markdown', frontMatter.raw);
+        pre.contentEditable = 'false';
+        return pre.outerHTML;
+    }
+
+    /**
+     * Render a fenced code block whose language has a renderer (see CodeBlockRenderers)
+     * as a read-only block holding the raw fence
+     * @param {string[]} lines - Document lines
+     * @param {number} start - Index of a possible opening fence
+     * @returns {{html: string, nextIndex: number}|null} - null unless the line opens such a block
+     */
+    renderFencedBlock(lines, start) {
+        const registry = this.markdownParser && typeof this.markdownParser.getCodeBlockRenderers === 'function'
+            ? this.markdownParser.getCodeBlockRenderers()
+            : null;
+        const opening = lines[start].trim().match(/^```(.*)$/);
+        if (!registry || !opening || !registry.has(opening[1])) return null;
+
+        const end = lines.findIndex((line, index) => index > start && line.trim().startsWith('```'));
+        if (end === -1) return null;
+
+        const rendered = registry.render(lines.slice(start + 1, end).join('\n'), opening[1]);
+        if (rendered === null) return null;
+
+        const div = document.createElement('div');
+        div.className = 'code-block-render';
+        div.innerHTML = this.sanitizeHtml(rendered);
+        div.setAttribute('data-language', CodeBlockRenderers.getLanguage(opening[1]));
+        div.setAttribute('data-wysiwyg-rendered', 'true');
+        div.setAttribute('data-wysiwyg-markdown', lines.slice(start, end + 1).join('\n'));
+        div.contentEditable = 'false';
+        return { html: div.outerHTML, nextIndex: end + 1 };
+    }
+
+    /**
+     * Render a display math block ('$$' lines) as a read-only block holding the raw lines
+     * @param {string[]} lines - Document lines
+     * @param {number} start - Index of a possible opening line
+     * @returns {{html: string, nextIndex: number}|null} - null unless the line opens a math block
+     */
+    renderMathBlock(lines, start) {
+        const math = MathSyntax.matchBlock(lines, start);
+        if (!math) return null;
+
+        const div = document.createElement('div');
+        div.className = 'math math-display';
+        div.setAttribute('data-tex', math.tex);
+        div.innerHTML = this.renderTex(math.tex, true);
+        div.setAttribute('data-wysiwyg-rendered', 'true');
+        div.setAttribute('data-wysiwyg-markdown', lines.slice(start, math.end + 1).join('\n'));
+        div.contentEditable = 'false';
+        return { html: div.outerHTML, nextIndex: math.end + 1 };
+    }
+
+    /**
+     * Render a ![[document]] embed (see DocumentEmbeds) as a read-only block showing the
+     * embedded document, holding the line as written
+     * @param {string} line - Source line
+     * @returns {HTMLElement|null} - null unless the line is an embed
+     */
+    createEmbedElement(line) {
+        const resolver = this.markdownParser && typeof this.markdownParser.getWikiLinkResolver === 'function'
+            ? this.markdownParser.getWikiLinkResolver()
+            : null;
+        const text = DocumentEmbeds.match(line, resolver);
+        if (text === null || !this.markdownParser || typeof this.markdownParser.renderEmbed !== 'function') return null;
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = this.sanitizeHtml(
+            this.markdownParser.renderEmbed(MarkdownEscapes.toText(MarkdownEscapes.protectInline(text)))
+        );
+        const div = wrapper.firstElementChild;
+        div.setAttribute('data-wysiwyg-rendered', 'true');
+        div.setAttribute('data-wysiwyg-markdown', line);
+        div.contentEditable = 'false';
+        return div;
+    }
+
+    /**
+     * Render the embeds again, e.g. after a document they show changed or was opened,
+     * renamed or closed; embeds that look the same are left alone
+     */
+    refreshEmbeds() {
+        this.editorElement.querySelectorAll(':scope > .document-embed[data-wysiwyg-markdown]').forEach(block => {
+            const embed = this.createEmbedElement(block.getAttribute('data-wysiwyg-markdown'));
+            if (embed && !embed.isEqualNode(block)) {
+                block.replaceWith(embed);
+            }
+        });
+    }
+
+    /**
+     * Render a callout - a '> [!KIND]' alert with its quoted lines, or a closed
+     * ':::kind' container - as one block whose body lines are edited in place
+     * @param {string[]} lines - Document lines
+     * @param {number} start - Index of a possible opening line
+     * @returns {{html: string, nextIndex: number}|null} - null unless the line opens a callout
+     */
+    renderCalloutBlock(lines, start) {
+        const quote = lines[start].trim().match(/^>\s?(.*)$/);
+        const alert = quote ? Callouts.matchAlert(quote[1]) : null;
+        let callout;
+        let end;
+
+        if (alert) {
+            end = start + 1;
+            while (end < lines.length && lines[end].trim().startsWith('>')) end++;
+            const body = lines.slice(start + 1, end).map(line => line.trim().replace(/^>\s?/, ''));
+            callout = {
+                kind: alert.kind,
+                title: '',
+                opening: `> ${alert.marker}`,
+                inline: alert.text !== '',
+                body: alert.text ? [alert.text, ...body] : body
+            };
+        } else {
+            const container = Callouts.matchContainerOpen(lines[start]);
+            const close = container ? Callouts.findContainerClose(lines, start) : -1;
+            if (close === -1) return null;
+
+            end = close + 1;
+            callout = {
+                kind: container.kind,
+                title: container.title,
+                opening: lines[start].trim(),
+                inline: false,
+                body: lines.slice(start + 1, close)
+            };
+        }
+
+        // Fenced code and nested containers don't survive line-by-line editing -
+        // such callouts are shown like the preview and kept as loaded
+        const editable = !callout.body.some(line => line.trim().startsWith('```') || Callouts.matchContainerOpen(line));
+        if (!editable && this.markdownParser) {
+            callout.bodyHtml = this.sanitizeHtml(this.markdownParser.parse(callout.body.join('\n')));
+        }
+
+        const div = this.createCalloutElement(callout);
+        div.setAttribute('data-wysiwyg-rendered', 'true');
+        div.setAttribute('data-wysiwyg-markdown', lines.slice(start, end).join('\n'));
+        div.contentEditable = editable ? 'true' : 'false';
+        if (!editable) {
+            div.setAttribute('data-callout-readonly', 'true');
+        }
+
+        return { html: div.outerHTML, nextIndex: end };
+    }
+
+    /**
+     * Create the element of a callout: a read-only title, then one paragraph per body line
+     * @param {Object} callout - { kind, title, opening, inline, body, bodyHtml }; opening
+     *        is the '> [!KIND]' or ':::kind title' line, inline whether the alert text
+     *        started on the marker line, body the lines without quote markers and
+     *        bodyHtml (optional) markup to show instead of the body lines
+     * @returns {HTMLElement}
+     */
+    createCalloutElement(callout) {
+        const div = document.createElement('div');
+        div.className = Callouts.getClassName(callout.kind);
+        div.setAttribute('data-callout', callout.kind);
+        div.setAttribute('data-callout-opening', callout.opening);
+        if (callout.inline) {
+            div.setAttribute('data-callout-inline', 'true');
+        }
 
-        // Inline code (`code`)
-        result = result.replace(/`(.+?)`/g, '<code>$1</code>');
+        const title = callout.title
+            ? this.renderInlineFormatting(callout.title)
+            : this.escapeHtml(Callouts.getTitle(callout.kind));
+        const lines = callout.body.length > 0 ? callout.body : [''];
+        const body = callout.bodyHtml !== undefined
+            ? callout.bodyHtml
+            : lines.map(line => `<p>${line.trim() ? this.renderInlineFormatting(line) : '<br>'}</p>`).join('');
+        div.innerHTML = Callouts.renderTitle(callout.kind, title) + body;
+        div.querySelector('.callout-title').setAttribute('contenteditable', 'false');
+
+        return div;
+    }
+
+    /**
+     * Rebuild the markdown of an edited callout from its body paragraphs
+     * @param {HTMLElement} callout - Rendered callout block
+     * @returns {string}
+     */
+    getCalloutMarkdown(callout) {
+        const lines = Array.from(callout.children)
+            .filter(child => child.tagName === 'P' && !child.classList.contains('callout-title'))
+            .map(paragraph => this.htmlToMarkdown(paragraph.innerHTML).trim());
+        while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+        const opening = callout.getAttribute('data-callout-opening');
+        if (!opening.startsWith('>')) {
+            return [opening, ...lines, ':::'].join('\n');
+        }
 
-        return result;
+        // Alert: the first line stays on the marker line if it was written there
+        const quoted = callout.getAttribute('data-callout-inline') === 'true' && lines[0]
+            ? [`${opening} ${lines.shift()}`]
+            : [opening];
+        return quoted.concat(lines.map(line => (line ? `> ${line}` : '>'))).join('\n');
+    }
+
+    /**
+     * Give headings unique anchor ids (the same ones the preview generates) and
+     * rebuild every table of contents from them
+     */
+    refreshHeadingAnchors() {
+        const slugger = new HeadingSlugger();
+        const headings = [];
+
+        this.editorElement.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+            // Headings of embedded documents keep the ids of their own document
+            if (heading.closest('.document-embed')) return;
+
+            // Headings show their source; resolve escapes and entities as the preview does
+            const text = MarkdownEscapes.toText(MarkdownEscapes.protectInline(heading.textContent));
+            const id = text.trim() ? slugger.slug(text) : '';
+            if (!id) {
+                heading.removeAttribute('id');
+                return;
+            }
+
+            heading.id = id;
+            headings.push({
+                level: parseInt(heading.tagName.substring(1)),
+                id,
+                html: this.escapeHtml(text.trim())
+            });
+        });
+
+        const html = TableOfContents.render(headings);
+        this.editorElement.querySelectorAll('nav.toc').forEach(nav => {
+            // Only touch it when it changed, so a caret inside isn't lost
+            if (nav.innerHTML !== html) {
+                nav.innerHTML = html;
+            }
+        });
     }
 
     /**
@@ -761,7 +1338,8 @@ class WysiwygEngine {
         // Mark as rendered and store original markdown
         element.setAttribute('data-wysiwyg-rendered', 'true');
         element.setAttribute('data-wysiwyg-markdown', originalMarkdown);
-        element.contentEditable = 'true'; // Make it editable in rendered state
+        // Make it editable in rendered state, unless it is read-only (an embed)
+        element.contentEditable = element.getAttribute('contenteditable') === 'false' ? 'false' : 'true';
 
         console.log('[DEBUG] createRenderedBlock - element tagName:', element.tagName);
         console.log('[DEBUG] createRenderedBlock - element has data-indent-level:', element.hasAttribute('data-indent-level'));
@@ -804,11 +1382,23 @@ class WysiwygEngine {
             case 'hr':
                 markdown = '---';
                 break;
+            case 'pre':
+                if (renderedBlock.hasAttribute('data-frontmatter')) {
+                    // Front matter isn't edited here - keep it exactly as loaded
+                    markdown = renderedBlock.getAttribute('data-wysiwyg-markdown');
+                    break;
+                }
+                markdown = this.getTextWithFootnotes(renderedBlock);
+                break;
+            case 'nav':
+                // Generated table of contents - keep the marker it was typed as
+                markdown = (renderedBlock.getAttribute('data-wysiwyg-markdown') || '[TOC]').trim();
+                break;
             case 'ol':
                 // Ordered list - extract list items, filtering out empty ones
                 const olItems = Array.from(renderedBlock.querySelectorAll('li'))
                     .filter(li => li.textContent.trim() !== '');
-                markdown = olItems.map((li, index) => `${index + 1}. ${li.textContent}`).join('\n');
+                markdown = olItems.map((li, index) => `${index + 1}. ${this.getTextWithFootnotes(li)}`).join('\n');
                 break;
             case 'ul':
                 // Unordered list - extract list items, filtering out empty ones
@@ -820,16 +1410,48 @@ class WysiwygEngine {
                     console.log(`[DEBUG] LI[${idx}] textContent:`, JSON.stringify(li.textContent));
                     console.log(`[DEBUG] LI[${idx}] innerHTML:`, li.innerHTML);
                 });
-                markdown = ulItems.map(li => `- ${li.textContent}`).join('\n');
+                markdown = ulItems.map(li => `- ${this.getTextWithFootnotes(li)}`).join('\n');
                 console.log('[DEBUG] UL markdown result:', JSON.stringify(markdown));
                 break;
             case 'p':
                 // Paragraph - could have inline formatting
                 markdown = this.htmlToMarkdown(renderedBlock.innerHTML);
                 break;
+            case 'div':
+                if (renderedBlock.classList.contains('code-block-render')) {
+                    // Rendered by a code block renderer - keep the fence exactly as loaded
+                    markdown = renderedBlock.getAttribute('data-wysiwyg-markdown');
+                    break;
+                }
+                if (renderedBlock.classList.contains('document-embed')) {
+                    // Embeds show another document - keep the ![[name]] line as written
+                    markdown = renderedBlock.getAttribute('data-wysiwyg-markdown');
+                    break;
+                }
+                if (renderedBlock.classList.contains('math-display')) {
+                    // Display math isn't edited here - keep the '$$' lines exactly as loaded
+                    markdown = renderedBlock.getAttribute('data-wysiwyg-markdown');
+                    break;
+                }
+                if (renderedBlock.hasAttribute('data-callout')) {
+                    // Callouts holding code or nested containers aren't edited here
+                    markdown = renderedBlock.hasAttribute('data-callout-readonly')
+                        ? renderedBlock.getAttribute('data-wysiwyg-markdown')
+                        : this.getCalloutMarkdown(renderedBlock);
+                    break;
+                }
+                if (renderedBlock.classList.contains('footnote-definition')) {
+                    // Footnote definition - label from the block, text could have inline formatting
+                    const text = renderedBlock.querySelector('.footnote-text');
+                    const label = renderedBlock.getAttribute('data-footnote-id');
+                    markdown = `[^${label}]: ${this.htmlToMarkdown(text ? text.innerHTML : '')}`.trimEnd();
+                    break;
+                }
+                markdown = this.getTextWithFootnotes(renderedBlock);
+                break;
             default:
                 // Fallback to text content
-                markdown = renderedBlock.textContent;
+                markdown = this.getTextWithFootnotes(renderedBlock);
         }
 
         // Prepend tabs based on indent level
@@ -851,6 +1473,34 @@ class WysiwygEngine {
     htmlToMarkdown(html) {
         let result = html;
 
+        // Math is written back from its TeX (first, since MathML holds no markup of ours)
+        result = result.replace(/<span class="math (math-inline|math-display)" data-tex="([^"]*)"[^>]*>.*?<\/span>/g,
+            (match, kind, tex) => {
+                const delimiter = kind === 'math-display' ? '$$' : '$';
+                return delimiter + this.unescapeAttribute(tex) + delimiter;
+            });
+
+        // Emoji are written back as their shortcode
+        result = result.replace(/<span class="emoji" data-emoji="([^"]*)"[^>]*>.*?<\/span>/g,
+            (match, name) => `:${name}:`);
+
+        // Wiki links are written back as written (before links, since they are one)
+        result = result.replace(/<a [^>]*data-wiki-link="([^"]*)"[^>]*>.*?<\/a>/g,
+            (match, text) => `[[${this.unescapeAttribute(text)}]]`);
+
+        // Escaped characters get their backslash back; entity references are set aside
+        // until the text's own entities are decoded below
+        result = result.replace(/<span class="md-escape"[^>]*>(.*?)<\/span>/g, '\\$1');
+        const entities = [];
+        result = result.replace(/<span class="md-entity" data-entity="([^"]*)"[^>]*>.*?<\/span>/g, (match, name) => {
+            entities.push(`&${name};`);
+            return `\uE006${entities.length - 1}\uE007`;
+        });
+
+        // Footnote references (before links, since they contain one)
+        result = result.replace(/<sup class="footnote-ref" data-footnote-id="([^"]*)"[^>]*>.*?<\/sup>/g,
+            (match, label) => `[^${this.unescapeAttribute(label)}]`);
+
         // Convert HTML tags back to markdown syntax
         // Bold + Italic
         result = result.replace(/<strong><em>(.+?)<\/em><\/strong>/g, '***$1***');
@@ -865,19 +1515,103 @@ class WysiwygEngine {
         // Strikethrough
         result = result.replace(/<s>(.+?)<\/s>/g, '~~$1~~');
 
+        // Highlight, subscript, superscript, underline and keys
+        result = ExtendedInlineSyntax.toMarkdown(result);
+
         // Inline code
-        result = result.replace(/<code>(.+?)<\/code>/g, '`$1`');
+        result = result.replace(/<code>(.+?)<\/code>/g, (match, code) => this.formatCodeSpan(code));
+
+        // Reference links and images keep their original form
+        result = result.replace(/<a [^>]*data-reference-type="(\w+)" data-reference-label="([^"]*)"[^>]*>(.*?)<\/a>/g,
+            (match, type, label, text) => this.formatLinkReference('', text, type, this.unescapeAttribute(label)));
+        result = result.replace(/<img [^>]*alt="([^"]*)"[^>]*data-reference-type="(\w+)" data-reference-label="([^"]*)"[^>]*>/g,
+            (match, alt, type, label) => this.formatLinkReference('!', this.unescapeAttribute(alt), type, this.unescapeAttribute(label)));
 
         // Links
+        result = result.replace(/<a href="([^"]*)" title="([^"]*)">(.+?)<\/a>/g,
+            (match, href, title, text) => `[${text}](${href} "${this.unescapeAttribute(title)}")`);
         result = result.replace(/<a href="(.+?)">(.+?)<\/a>/g, '[$2]($1)');
 
         // Images
+        result = result.replace(/<img src="([^"]*)" alt="([^"]*)" title="([^"]*)">/g,
+            (match, src, alt, title) => `![${alt}](${src} "${this.unescapeAttribute(title)}")`);
         result = result.replace(/<img src="(.+?)" alt="(.+?)">/g, '![$2]($1)');
 
         // Remove any remaining HTML tags
         result = result.replace(/<[^>]+>/g, '');
 
-        return result;
+        // Text is HTML-escaped in innerHTML ('a &amp; b'); the markdown holds it as typed
+        result = this.decodeHtmlText(result);
+
+        return result.replace(/\uE006(\d+)\uE007/g, (match, index) => entities[index]);
+    }
+
+    /**
+     * Decode the entities innerHTML uses for text (in one pass, so '&amp;lt;' becomes '&lt;')
+     * A non-breaking space the editor inserted becomes a plain space.
+     * @param {string} text
+     * @returns {string}
+     */
+    decodeHtmlText(text) {
+        const map = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#039;': "'", '&#39;': "'", '&nbsp;': ' ' };
+        return text.replace(/&(?:amp|lt|gt|quot|#0?39|nbsp);/g, m => map[m]);
+    }
+
+    /**
+     * Write code back as a code span, with a backtick run longer than any in it
+     * @param {string} code - Code span content
+     * @returns {string}
+     */
+    formatCodeSpan(code) {
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return fence + padding + code + padding + fence;
+    }
+
+    /**
+     * Write a reference link or image back in its original form
+     * @param {string} bang - '!' for images, '' for links
+     * @param {string} text - Link text or image alt
+     * @param {string} type - 'full', 'collapsed' or 'shortcut'
+     * @param {string} label - Reference label
+     */
+    formatLinkReference(bang, text, type, label) {
+        if (type === 'full') return `${bang}[${text}][${label}]`;
+        if (type === 'collapsed') return `${bang}[${text}][]`;
+        return `${bang}[${text}]`;
+    }
+
+    /**
+     * Get an element's text with footnote references written back as [^id], math as $tex$,
+     * emoji as :name:, wiki links as [[Name]], escapes as \* and entities as &name;
+     */
+    getTextWithFootnotes(element) {
+        const selector = 'sup.footnote-ref, span.math[data-tex], span.emoji[data-emoji], a.wiki-link[data-wiki-link], ' +
+            'span.md-escape, span.md-entity';
+        if (!element.querySelector(selector)) return element.textContent;
+
+        const copy = element.cloneNode(true);
+        copy.querySelectorAll('sup.footnote-ref').forEach(reference => {
+            reference.replaceWith(`[^${reference.getAttribute('data-footnote-id')}]`);
+        });
+        copy.querySelectorAll('span.math[data-tex]').forEach(math => {
+            const delimiter = math.classList.contains('math-display') ? '$$' : '$';
+            math.replaceWith(delimiter + math.getAttribute('data-tex') + delimiter);
+        });
+        copy.querySelectorAll('span.emoji[data-emoji]').forEach(emoji => {
+            emoji.replaceWith(`:${emoji.getAttribute('data-emoji')}:`);
+        });
+        copy.querySelectorAll('a.wiki-link[data-wiki-link]').forEach(link => {
+            link.replaceWith(`[[${link.getAttribute('data-wiki-link')}]]`);
+        });
+        copy.querySelectorAll('span.md-escape').forEach(escape => {
+            escape.replaceWith(`\\${escape.textContent}`);
+        });
+        copy.querySelectorAll('span.md-entity[data-entity]').forEach(entity => {
+            entity.replaceWith(`&${entity.getAttribute('data-entity')};`);
+        });
+        return copy.textContent;
     }
 
     /**
@@ -1012,6 +1746,25 @@ class WysiwygEngine {
         return div.innerHTML;
     }
 
+    /**
+     * Escape text for use in a double-quoted HTML attribute
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Reverse escapeAttribute() on an attribute value taken from innerHTML
+     */
+    unescapeAttribute(text) {
+        return text
+            .replace(/&quot;/g, '"')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, '\u00A0')
+            .replace(/&amp;/g, '&');
+    }
+
     /**
      * Get current document content as markdown
      */
@@ -1036,6 +1789,58 @@ class WysiwygEngine {
         return markdownLines.join('\n');
     }
 
+    /**
+     * Get the editor block that holds a line of getMarkdown()
+     * @param {number} line - Line index (0-based)
+     * @returns {HTMLElement|null}
+     */
+    getBlockAtLine(line) {
+        let end = 0;
+        for (const block of this.editorElement.children) {
+            end += this.countBlockLines(block);
+            if (line < end) return block;
+        }
+        return null;
+    }
+
+    /**
+     * Count the lines of markdown a block stands for in getMarkdown()
+     * @param {HTMLElement} block - Child of the editor
+     * @returns {number}
+     */
+    countBlockLines(block) {
+        const markdown = block.hasAttribute('data-wysiwyg-rendered')
+            ? block.getAttribute('data-wysiwyg-markdown') || ''
+            : block.textContent || '';
+        return markdown.split('\n').length;
+    }
+
+    /**
+     * Highlight the blocks that have lint problems (see MarkdownLinter); the messages
+     * are their tooltip
+     * @param {Array<{line: number, severity: string, message: string}>} diagnostics - Lines of getMarkdown()
+     */
+    setDiagnostics(diagnostics) {
+        this.editorElement.querySelectorAll('[data-lint]').forEach(block => {
+            block.removeAttribute('data-lint');
+            block.removeAttribute('title');
+        });
+
+        const sorted = [...diagnostics].sort((a, b) => a.line - b.line);
+        let index = 0;
+        let end = 0;
+        for (const block of this.editorElement.children) {
+            if (index >= sorted.length) break;
+
+            end += this.countBlockLines(block);
+            for (; index < sorted.length && sorted[index].line < end; index++) {
+                const marked = block.getAttribute('data-lint');
+                block.setAttribute('data-lint', marked === 'error' ? 'error' : sorted[index].severity);
+                block.title = marked ? `${block.title}\n${sorted[index].message}` : sorted[index].message;
+            }
+        }
+    }
+
     /**
      * Set document content from markdown
      * @param {boolean} renderAll - If true, render all markdown blocks immediately
@@ -1058,12 +1863,22 @@ class WysiwygEngine {
         // Normalize line endings (convert \r\n and \r to \n) before splitting
         const normalizedMarkdown = markdown.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 
+        // Number footnotes and collect link definitions for the whole document before rendering any line
+        this.updateDocumentReferences(normalizedMarkdown);
+
         // Split into lines and create paragraphs
         const lines = normalizedMarkdown.split('\n');
         console.log('[DEBUG] Split into', lines.length, 'lines');
         const blocks = [];
 
         let i = 0;
+
+        // Front matter stays one read-only block so it round-trips untouched
+        const frontMatter = FrontMatter.extract(normalizedMarkdown);
+        if (frontMatter) {
+            blocks.push(this.renderFrontMatter(frontMatter));
+            i = frontMatter.lineCount;
+        }
         while (i < lines.length) {
             const line = lines[i];
 
@@ -1073,6 +1888,38 @@ class WysiwygEngine {
                 continue;
             }
 
+            // Fenced code with a registered renderer becomes one read-only block
+            const fencedBlock = renderAll ? this.renderFencedBlock(lines, i) : null;
+            if (fencedBlock) {
+                blocks.push(fencedBlock.html);
+                i = fencedBlock.nextIndex;
+                continue;
+            }
+
+            // Callouts become one block; their body lines are edited in place
+            const calloutBlock = renderAll ? this.renderCalloutBlock(lines, i) : null;
+            if (calloutBlock) {
+                blocks.push(calloutBlock.html);
+                i = calloutBlock.nextIndex;
+                continue;
+            }
+
+            // Display math ($$ ... $$) becomes one read-only block
+            const mathBlock = renderAll ? this.renderMathBlock(lines, i) : null;
+            if (mathBlock) {
+                blocks.push(mathBlock.html);
+                i = mathBlock.nextIndex;
+                continue;
+            }
+
+            // Document embeds (![[name]]) become read-only blocks showing the embedded document
+            const embed = renderAll ? this.createEmbedElement(line) : null;
+            if (embed) {
+                blocks.push(embed.outerHTML);
+                i++;
+                continue;
+            }
+
             // Filter out empty list item lines (e.g., "- " or "1. " with no content)
             // These are created when user presses Enter in source mode but doesn't add content
             const emptyListItemMatch = line.match(/^(\s*)([-*+]|\d+\.)\s*$/);
@@ -1192,8 +2039,7 @@ class WysiwygEngine {
                 if (rendered && rendered.startsWith('<table-row>')) {
                     const tableRows = [];
                     const tableMarkdown = [];
-                    let hasHeader = false;
-                    let headerRowIndex = -1;
+                    const tableStartIndex = i;
 
                     // Collect all consecutive table rows
                     while (i < lines.length) {
@@ -1202,16 +2048,7 @@ class WysiwygEngine {
 
                         if (currentRendered && currentRendered.startsWith('<table-row>')) {
                             // Extract the raw markdown from the marker
-                            const rawRow = currentRendered.replace('<table-row>', '').replace('</table-row>', '');
-
-                            // Check if this is a separator row
-                            if (this.isTableSeparator(rawRow)) {
-                                hasHeader = true;
-                                headerRowIndex = tableRows.length - 1; // Previous row is the header
-                            } else {
-                                tableRows.push(rawRow);
-                            }
-
+                            tableRows.push(currentRendered.replace('<table-row>', '').replace('</table-row>', ''));
                             tableMarkdown.push(currentLine);
                             i++;
                         } else {
@@ -1219,40 +2056,50 @@ class WysiwygEngine {
                         }
                     }
 
+                    // A header row needs a separator row right after it; otherwise it's plain text
+                    if (!TableSyntax.isTableStart(tableRows[0], tableRows[1])) {
+                        const paragraph = document.createElement('p');
+                        paragraph.textContent = lines[tableStartIndex];
+                        blocks.push(paragraph.outerHTML);
+                        i = tableStartIndex + 1;
+                        continue;
+                    }
+
+                    // Separator row sets the column count and alignment
+                    const alignments = TableSyntax.parseAlignments(tableRows[1]);
+                    const createCell = (tagName, cellContent, index) => {
+                        const cell = document.createElement(tagName);
+                        cell.innerHTML = this.renderInlineFormatting(cellContent);
+                        if (alignments[index]) {
+                            cell.style.textAlign = alignments[index];
+                        }
+                        return cell;
+                    };
+                    const getRowCells = (rawRow) => TableSyntax.normalizeCells(
+                        this.parseTableRow(rawRow), alignments.length, () => ''
+                    );
+
                     // Build the HTML table
                     const table = document.createElement('table');
                     table.className = 'markdown-table';
 
-                    // Add header if present
-                    if (hasHeader && headerRowIndex >= 0) {
-                        const thead = document.createElement('thead');
-                        const headerRow = document.createElement('tr');
-                        const headerCells = this.parseTableRow(tableRows[headerRowIndex]);
-
-                        headerCells.forEach(cellContent => {
-                            const th = document.createElement('th');
-                            th.innerHTML = this.renderInlineFormatting(cellContent);
-                            headerRow.appendChild(th);
-                        });
-
-                        thead.appendChild(headerRow);
-                        table.appendChild(thead);
-                    }
+                    // Add header
+                    const thead = document.createElement('thead');
+                    const headerRow = document.createElement('tr');
+                    getRowCells(tableRows[0]).forEach((cellContent, index) => {
+                        headerRow.appendChild(createCell('th', cellContent, index));
+                    });
+                    thead.appendChild(headerRow);
+                    table.appendChild(thead);
 
-                    // Add body rows
+                    // Add body rows (ragged rows are padded or truncated to the header's width)
                     const tbody = document.createElement('tbody');
-                    const bodyStartIndex = hasHeader ? headerRowIndex + 1 : 0;
 
-                    for (let j = bodyStartIndex; j < tableRows.length; j++) {
+                    for (let j = 2; j < tableRows.length; j++) {
                         const row = document.createElement('tr');
-                        const cells = this.parseTableRow(tableRows[j]);
-
-                        cells.forEach(cellContent => {
-                            const td = document.createElement('td');
-                            td.innerHTML = this.renderInlineFormatting(cellContent);
-                            row.appendChild(td);
+                        getRowCells(tableRows[j]).forEach((cellContent, index) => {
+                            row.appendChild(createCell('td', cellContent, index));
                         });
-
                         tbody.appendChild(row);
                     }
 
@@ -1288,7 +2135,7 @@ class WysiwygEngine {
             i++;
         }
 
-        const htmlToSet = blocks.join('');
+        const htmlToSet = this.sanitizeHtml(blocks.join(''));
         console.log('[DEBUG] About to set innerHTML with', htmlToSet.length, 'characters');
         console.log('[DEBUG] First 200 chars of HTML:', htmlToSet.substring(0, 200));
         // Log any indent levels in the HTML
@@ -1298,6 +2145,7 @@ class WysiwygEngine {
         }
 
         this.editorElement.innerHTML = htmlToSet;
+        this.refreshHeadingAnchors();
 
         // Reset loading flag after content is set
         this.isLoadingDocument = false;
@@ -0,0 +1,1698 @@
+/**
+ * MarkdownParser Unit Tests
+ * Test suite for the markdown parsing pipeline
+ *
+ * Test Coverage:
+ * - AST structure (parseToAst)
+ * - Source positions
+ * - Inline nodes
+ * - HTML rendering from the AST
+ * - Nested and loose lists
+ * - Paragraphs and line breaks
+ * - Blockquotes
+ * - GFM tables
+ * - Footnotes
+ * - Reference links and link titles
+ * - Heading anchors and table of contents
+ * - HTML sanitization of rendered output
+ * - YAML front matter
+ * - Fenced code block renderers
+ * - Syntax highlighting
+ * - Callouts (alerts and ::: containers)
+ * - TeX math
+ * - Extended inline syntax (highlight, sub/superscript, underline, keys)
+ */
+
+class MarkdownParserTests {
+    constructor() {
+        this.testResults = [];
+        this.passCount = 0;
+        this.failCount = 0;
+    }
+
+    /**
+     * Create a parser with the default processors
+     */
+    createParser() {
+        return new MarkdownParser(new RuleEngine(), new BlockProcessor());
+    }
+
+    /**
+     * Assert helper
+     */
+    assert(condition, testName, expected, actual) {
+        if (condition) {
+            this.passCount++;
+            this.testResults.push({
+                status: 'PASS',
+                name: testName,
+                expected,
+                actual
+            });
+            console.log(`✓ PASS: ${testName}`);
+        } else {
+            this.failCount++;
+            this.testResults.push({
+                status: 'FAIL',
+                name: testName,
+                expected,
+                actual
+            });
+            console.error(`✗ FAIL: ${testName}`);
+            console.error(`  Expected: ${expected}`);
+            console.error(`  Actual: ${actual}`);
+        }
+    }
+
+    /**
+     * Test 1: Block node types
+     */
+    testBlockNodeTypes() {
+        console.log('\n--- Test 1: Block Node Types ---');
+        const parser = this.createParser();
+        const ast = parser.parseToAst('# Title\n\nText\n\n- a\n- b\n\n```js\nx\n```\n\n---');
+        const types = ast.children.map(node => node.type).join(',');
+
+        this.assert(
+            ast.type === 'document',
+            'Root node is a document',
+            'document',
+            ast.type
+        );
+
+        this.assert(
+            types === 'heading,paragraph,list,codeBlock,thematicBreak',
+            'Block children are typed in document order',
+            'heading,paragraph,list,codeBlock,thematicBreak',
+            types
+        );
+    }
+
+    /**
+     * Test 2: Source positions
+     */
+    testPositions() {
+        console.log('\n--- Test 2: Source Positions ---');
+        const parser = this.createParser();
+        const ast = parser.parseToAst('intro\n\n## Sub *heading*');
+        const heading = ast.children[1];
+        const emphasis = heading.children[1];
+
+        this.assert(
+            heading.position.start.line === 2 && heading.position.end.column === 16,
+            'Heading spans its source line',
+            '2:0-2:16',
+            `${heading.position.start.line}:${heading.position.start.column}-${heading.position.end.line}:${heading.position.end.column}`
+        );
+
+        this.assert(
+            emphasis.type === 'emphasis' && emphasis.position.start.column === 7,
+            'Inline emphasis has its own column range',
+            'emphasis at column 7',
+            `${emphasis.type} at column ${emphasis.position.start.column}`
+        );
+    }
+
+    /**
+     * Test 3: Inline nodes
+     */
+    testInlineNodes() {
+        console.log('\n--- Test 3: Inline Nodes ---');
+        const parser = this.createParser();
+        const paragraph = parser.parseToAst('See [the **docs**](http://x.io) and `code`').children[0];
+        const link = paragraph.children.find(node => node.type === 'link');
+        const code = paragraph.children.find(node => node.type === 'inlineCode');
+
+        this.assert(
+            link && link.url === 'http://x.io' && link.children[1].type === 'strong',
+            'Link node keeps url and nested inline children',
+            'link(http://x.io) > strong',
+            link ? `link(${link.url}) > ${link.children.map(node => node.type).join(',')}` : 'no link'
+        );
+
+        this.assert(
+            code && code.value === 'code',
+            'Inline code node holds its literal value',
+            'code',
+            code ? code.value : 'no inline code'
+        );
+
+        // The HTML is rendered from the inline nodes, so the two agree on every syntax
+        const samples = [
+            ['==mark==', 'highlight', '<mark>mark</mark>'],
+            ['H~2~O', 'subscript', 'H<sub>2</sub>O'],
+            ['x^2^', 'superscript', 'x<sup>2</sup>'],
+            ['++under++', 'underline', '<u>under</u>'],
+            ['[[Ctrl+S]]', 'keyboard', '<kbd>Ctrl</kbd>+<kbd>S</kbd>'],
+            ['[[Notes]]', 'wikiLink', '<a href="Notes.md" class="wiki-link" data-wiki-link="Notes">Notes</a>'],
+            ['<span title="*a*">b</span>', 'html', '<span title="*a*">b</span>'],
+            ['<https://x.io/a_b_>', 'link', '<a href="https://x.io/a_b_">https://x.io/a_b_</a>'],
+            ['<me@x.io>', 'link', '<a href="mailto:me@x.io">me@x.io</a>']
+        ];
+        const mismatches = samples.filter(([markdown, type, html]) => {
+            const nodes = parser.parseToAst(markdown).children[0].children;
+            return !nodes.some(node => node.type === type) || parser.parse(markdown) !== `<p>${html}</p>`;
+        });
+        this.assert(
+            mismatches.length === 0,
+            'Highlight, sub/superscript, underline, keys, wiki links, autolinks and raw HTML are nodes rendered as their elements',
+            'no mismatches',
+            mismatches.map(([markdown]) => `${markdown} -> ${parser.parse(markdown)}`).join(' | ')
+        );
+
+        parser.setInlineSyntax('highlight', false);
+        const plain = parser.parseToAst('==mark==').children[0].children;
+        this.assert(
+            plain.length === 1 && plain[0].type === 'text' && parser.parse('==mark==') === '<p>==mark==</p>',
+            'A syntax turned off is text in the AST and in the HTML',
+            'text, <p>==mark==</p>',
+            `${plain.map(node => node.type).join(',')}, ${parser.parse('==mark==')}`
+        );
+    }
+
+    /**
+     * Test 4: Lists and tables
+     */
+    testListsAndTables() {
+        console.log('\n--- Test 4: Lists and Tables ---');
+        const parser = this.createParser();
+        const ast = parser.parseToAst('- [x] done\n- [ ] open\n\n| A | B |\n|---|---|\n| 1 | 2 |');
+        const list = ast.children[0];
+        const table = ast.children[1];
+
+        this.assert(
+            list.taskList && list.children[0].checked === true && list.children[1].checked === false,
+            'Task list items carry checked state',
+            'true,false',
+            list.children.map(item => item.checked).join(',')
+        );
+
+        this.assert(
+            table.children.length === 2 && table.children[0].header && table.children[1].children[1].raw === '2',
+            'Table rows exclude the separator and keep cell content',
+            '2 rows, header first',
+            `${table.children.length} rows`
+        );
+    }
+
+    /**
+     * Test 5: HTML rendering from the AST
+     */
+    testRenderAst() {
+        console.log('\n--- Test 5: Render AST ---');
+        const parser = this.createParser();
+        const markdown = '# Hi\n\n- [ ] task\n\nsome **bold** text';
+        const html = parser.parse(markdown);
+
+        this.assert(
+            parser.renderAst(parser.parseToAst(markdown)) === html,
+            'renderAst(parseToAst()) matches parse()',
+            html,
+            parser.renderAst(parser.parseToAst(markdown))
+        );
+
+        this.assert(
+            html.includes('<ul class="task-list">') && html.includes('</ul>') && !html.includes('</ul-task>'),
+            'Task list is closed with </ul>',
+            '</ul>',
+            html
+        );
+
+        this.assert(
+            html.includes('<p>some <strong>bold</strong> text</p>'),
+            'Inline rules still apply to serialized blocks',
+            '<p>some <strong>bold</strong> text</p>',
+            html
+        );
+    }
+
+    /**
+     * Test 6: Shortcuts are expanded before building the AST
+     */
+    testShortcutExpansion() {
+        console.log('\n--- Test 6: Shortcut Expansion ---');
+        const parser = this.createParser();
+        const heading = parser.parseToAst('h2: Shortcut').children[0];
+
+        this.assert(
+            heading.type === 'heading' && heading.level === 2,
+            'Shortcut heading becomes a heading node',
+            'heading level 2',
+            `${heading.type} level ${heading.level}`
+        );
+    }
+
+    /**
+     * Test 7: Nested lists
+     */
+    testNestedLists() {
+        console.log('\n--- Test 7: Nested Lists ---');
+        const parser = this.createParser();
+        const ast = parser.parseToAst('- parent\n  - child\n    1. grandchild\n- sibling');
+        const list = ast.children[0];
+        const parent = list.children[0];
+        const childList = parent.children[1];
+        const grandchildList = childList.children[0].children[1];
+
+        this.assert(
+            ast.children.length === 1 && list.children.length === 2,
+            'Indented items nest instead of becoming siblings',
+            '1 list with 2 items',
+            `${ast.children.length} lists, ${list.children.length} items`
+        );
+
+        this.assert(
+            childList.type === 'list' && grandchildList.type === 'list' && grandchildList.ordered,
+            'Ordered list nests inside a bullet list',
+            'list > listItem > list > listItem > ordered list',
+            grandchildList ? `${grandchildList.type} ordered=${grandchildList.ordered}` : 'missing'
+        );
+
+        parser.setLineTracking(true);
+        const html = parser.parse('- parent\n  - child\n- sibling');
+        const expected = '<ul>\n<li data-line="0">parent\n<ul>\n<li data-line="1">child</li>\n</ul></li>\n<li data-line="2">sibling</li>\n</ul>';
+
+        this.assert(
+            html === expected,
+            'Nested list HTML keeps data-line on every item',
+            expected,
+            html
+        );
+    }
+
+    /**
+     * Test 8: List items with multiple blocks
+     */
+    testLooseListItems() {
+        console.log('\n--- Test 8: Loose List Items ---');
+        const parser = this.createParser();
+        const ast = parser.parseToAst('1. first\n\n   more text\n\n   ```\n   code\n   ```\n2. second');
+        const list = ast.children[0];
+        const item = list.children[0];
+        const types = item.children.map(node => node.type).join(',');
+
+        this.assert(
+            list.children.length === 2 && types === 'paragraph,paragraph,codeBlock',
+            'Item owns indented paragraphs and code blocks after blank lines',
+            'paragraph,paragraph,codeBlock',
+            types
+        );
+
+        this.assert(
+            item.children[2].value === 'code',
+            'Code block inside item drops the item indentation',
+            'code',
+            item.children[2].value
+        );
+
+        const html = parser.parse('- a\n\n  b');
+        this.assert(
+            html.includes('<li><p>a</p>\n<p>b</p></li>'),
+            'Loose item wraps its paragraphs in <p>',
+            '<li><p>a</p>\n<p>b</p></li>',
+            html
+        );
+    }
+
+    /**
+     * Test 9: Paragraphs and line breaks
+     */
+    testParagraphsAndBreaks() {
+        console.log('\n--- Test 9: Paragraphs and Line Breaks ---');
+        const parser = this.createParser();
+        const ast = parser.parseToAst('one\ntwo\nthree\n\nnext');
+
+        this.assert(
+            ast.children.length === 2 && ast.children[0].raw === 'one\ntwo\nthree',
+            'Consecutive lines merge into one paragraph',
+            '2 paragraphs, first spanning 3 lines',
+            `${ast.children.length} paragraphs`
+        );
+
+        this.assert(
+            ast.children[0].position.end.line === 2,
+            'Merged paragraph position ends on its last line',
+            2,
+            ast.children[0].position.end.line
+        );
+
+        const html = parser.parse('hard  \nbreak\\\nend\nsoft');
+        this.assert(
+            html === '<p>hard<br />\nbreak<br />\nend\nsoft</p>',
+            'Trailing spaces and backslash make hard breaks; plain newline stays soft',
+            '<p>hard<br />\nbreak<br />\nend\nsoft</p>',
+            html
+        );
+
+        const breakNodes = parser.parseToAst('hard  \nbreak').children[0].children
+            .filter(node => node.type === 'break');
+        this.assert(
+            breakNodes.length === 1,
+            'Hard break becomes a break node in the AST',
+            1,
+            breakNodes.length
+        );
+
+        parser.setBreaks(true);
+        const breaksHtml = parser.parse('a\nb  \nc');
+        this.assert(
+            breaksHtml === '<p>a<br />\nb<br />\nc</p>',
+            'Newline = line break mode turns every newline into <br />',
+            '<p>a<br />\nb<br />\nc</p>',
+            breaksHtml
+        );
+    }
+
+    /**
+     * Test 10: Blockquotes
+     */
+    testBlockquotes() {
+        console.log('\n--- Test 10: Blockquotes ---');
+        const parser = this.createParser();
+        const ast = parser.parseToAst('> first\nlazy\n>\n> > nested\n> - item\n\nafter');
+        const quote = ast.children[0];
+        const types = quote.children.map(node => node.type).join(',');
+
+        this.assert(
+            ast.children.length === 2 && quote.type === 'blockquote',
+            'Contiguous quote lines form one blockquote',
+            'blockquote,paragraph',
+            ast.children.map(node => node.type).join(',')
+        );
+
+        this.assert(
+            types === 'paragraph,blockquote,list',
+            'Quote content is parsed as blocks, including nested quotes and lists',
+            'paragraph,blockquote,list',
+            types
+        );
+
+        this.assert(
+            quote.children[0].raw === 'first\nlazy',
+            'Lazy continuation line joins the quoted paragraph',
+            'first\nlazy',
+            quote.children[0].raw
+        );
+
+        const html = parser.parse('> **quoted**');
+        this.assert(
+            html === '<blockquote>\n<p><strong>quoted</strong></p>\n</blockquote>',
+            'Blockquote HTML wraps its paragraphs',
+            '<blockquote>\n<p><strong>quoted</strong></p>\n</blockquote>',
+            html
+        );
+    }
+
+    /**
+     * Test 11: GFM tables
+     */
+    testTables() {
+        console.log('\n--- Test 11: GFM Tables ---');
+        const parser = this.createParser();
+        const table = parser.parseToAst('| L | C | R |\n|:--|:-:|--:|\n| a \\| b | `x | y` |').children[0];
+        const cells = table.children[1].children.map(cell => cell.raw);
+
+        this.assert(
+            table.align.join(',') === 'left,center,right',
+            'Separator row sets column alignment',
+            'left,center,right',
+            table.align.join(',')
+        );
+
+        this.assert(
+            cells.join(',') === 'a | b,`x | y`,',
+            'Escaped pipes and code-span pipes stay in their cell; short rows are padded',
+            'a | b,`x | y`,',
+            cells.join(',')
+        );
+
+        const html = parser.parse('| A |\n|:-:|\n| 1 |');
+        this.assert(
+            html.includes('<th style="text-align: center">A</th>') && html.includes('<td style="text-align: center">1</td>'),
+            'Alignment is rendered as text-align on th and td',
+            'style="text-align: center"',
+            html
+        );
+
+        const rejected = parser.parseToAst('| a | b |\n| c | d |').children;
+        this.assert(
+            rejected.length === 1 && rejected[0].type === 'paragraph',
+            'Rows without a separator are not a table',
+            'paragraph',
+            rejected.map(node => node.type).join(',')
+        );
+    }
+
+    /**
+     * Test 12: Footnotes
+     */
+    testFootnotes() {
+        console.log('\n--- Test 12: Footnotes ---');
+        const parser = this.createParser();
+        const markdown = 'A[^b] and `[^a]` then [^a] and [^b].\n\n[^a]: First\n    more\n[^b]: Second\n[^unused]: Never cited';
+        const ast = parser.parseToAst(markdown);
+        const definitions = ast.children.filter(node => node.type === 'footnoteDefinition');
+
+        this.assert(
+            definitions.length === 3 && definitions[0].identifier === 'a' && definitions[0].children[0].raw === 'First\nmore',
+            'Definitions become footnoteDefinition nodes that own their indented lines',
+            'a: First\nmore',
+            definitions.map(node => `${node.identifier}: ${node.children[0] && node.children[0].raw}`).join(' | ')
+        );
+
+        const references = MarkdownAst.findAll(ast, 'footnoteReference');
+        this.assert(
+            references.length === 3 && references[0].identifier === 'b',
+            'References become footnoteReference nodes (not inside code spans)',
+            3,
+            references.length
+        );
+
+        const html = parser.parse(markdown);
+        this.assert(
+            html.includes('A<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup>')
+                && html.includes('<a href="#fn-1" id="fnref-1-2">1</a>')
+                && html.includes('<code>[^a]</code>'),
+            'Footnotes are numbered by first reference; repeated references get their own ids',
+            'fnref-1, fnref-1-2',
+            html
+        );
+
+        this.assert(
+            html.endsWith('</section>')
+                && html.includes('<li id="fn-1"><p>Second <a href="#fnref-1" class="footnote-backref"')
+                && html.includes('<a href="#fnref-1-2" class="footnote-backref" aria-label="Back to reference 1">↩<sup>2</sup></a></p></li>')
+                && !html.includes('Never cited'),
+            'Footnotes section lists referenced footnotes with back-references',
+            '<section class="footnotes">...',
+            html
+        );
+
+        const undefinedReference = parser.parse('Missing[^none]');
+        this.assert(
+            undefinedReference === '<p>Missing[^none]</p>',
+            'References without a definition stay text',
+            '<p>Missing[^none]</p>',
+            undefinedReference
+        );
+    }
+
+    /**
+     * Test 13: Reference links and link titles
+     */
+    testReferenceLinks() {
+        console.log('\n--- Test 13: Reference Links ---');
+        const parser = this.createParser();
+        const markdown = '[Full][Site], [site][], [SITE] and ![logo] but not [other].\n\n[site]: https://example.com "Example"\n[logo]: <img/logo 1.png>';
+        const ast = parser.parseToAst(markdown);
+        const inline = ast.children[0].children.filter(node => node.type !== 'text');
+
+        this.assert(
+            inline.map(node => `${node.type}:${node.referenceType}`).join(',') ===
+                'linkReference:full,linkReference:collapsed,linkReference:shortcut,imageReference:shortcut',
+            'Full, collapsed and shortcut references to defined labels become reference nodes',
+            'linkReference:full,linkReference:collapsed,linkReference:shortcut,imageReference:shortcut',
+            inline.map(node => `${node.type}:${node.referenceType}`).join(',')
+        );
+
+        const definition = ast.children[1];
+        this.assert(
+            definition.type === 'definition' && definition.identifier === 'site' && definition.title === 'Example',
+            'Definition lines become definition nodes with url and title',
+            'site -> https://example.com "Example"',
+            `${definition.identifier} -> ${definition.url} "${definition.title}"`
+        );
+
+        const html = parser.parse(markdown);
+        this.assert(
+            html === '<p><a href="https://example.com" title="Example">Full</a>, ' +
+                '<a href="https://example.com" title="Example">site</a>, ' +
+                '<a href="https://example.com" title="Example">SITE</a> and ' +
+                '<img src="img/logo%201.png" alt="logo" /> but not [other].</p>',
+            'References resolve case-insensitively, undefined ones stay text, definitions are removed',
+            'resolved links, no definition lines',
+            html
+        );
+
+        const titled = parser.parse('[a](https://a.com "A title") ![b](b.png \'B\')');
+        this.assert(
+            titled === '<p><a href="https://a.com" title="A title">a</a> <img src="b.png" alt="b" title="B" /></p>',
+            'Inline links and images accept titles',
+            'title attributes',
+            titled
+        );
+    }
+
+    /**
+     * Test 14: Heading anchor ids and [TOC]
+     */
+    testHeadingAnchors() {
+        console.log('\n--- Test 14: Heading Anchors ---');
+        const parser = this.createParser();
+
+        const slugger = new HeadingSlugger();
+        const slugs = ['Groups and Capturing', 'Groups and Capturing', 'What\'s *new*? (v2)', 'Café 1.0'].map(text => slugger.slug(text));
+        this.assert(
+            slugs.join(',') === 'groups-and-capturing,groups-and-capturing-1,whats-new-v2,café-10',
+            'Slugs are GitHub-compatible and unique within a document',
+            'groups-and-capturing,groups-and-capturing-1,whats-new-v2,café-10',
+            slugs.join(',')
+        );
+
+        const headings = parser.parse('# Basic *Syntax*\n\n## Basic Syntax');
+        this.assert(
+            headings === '<h1 id="basic-syntax">Basic <em>Syntax</em></h1>\n<h2 id="basic-syntax-1">Basic Syntax</h2>',
+            'Headings get ids from their plain text',
+            'id="basic-syntax" and id="basic-syntax-1"',
+            headings
+        );
+
+        const expected = '<nav class="toc">\n<ul>\n<li><a href="#guide">Guide</a>\n<ul>\n' +
+            '<li><a href="#setup">Setup</a>\n<ul>\n<li><a href="#deep">Deep</a>\n</li>\n</ul>\n</li>\n' +
+            '<li><a href="#usage--tips">Usage &amp; tips</a>\n</li>\n</ul>\n</li>\n</ul>\n</nav>';
+        ['[TOC]', 'toc:'].forEach(marker => {
+            const html = parser.parse(`${marker}\n\n# Guide\n\n## Setup\n\n#### Deep\n\n## Usage & tips`);
+            this.assert(
+                html.startsWith(expected),
+                `${marker} expands into a nested table of contents`,
+                expected,
+                html.split('\n<h1')[0]
+            );
+        });
+    }
+
+    /**
+     * Test 15: Sanitizing rendered HTML
+     */
+    testHtmlSanitizer() {
+        console.log('\n--- Test 15: HTML Sanitizer ---');
+        const parser = this.createParser();
+        const sanitizer = new HtmlSanitizer();
+
+        const markdown = '# Title\n\n| a |\n|:-:|\n| 1 |\n\n- [x] done\n\nText[^1] with [a link](https://example.com "T") and ![i](i.png)\n\n[^1]: Note';
+        const html = parser.parse(markdown);
+        this.assert(
+            sanitizer.sanitize(html) === html,
+            'Parser output passes through unchanged',
+            'unchanged HTML',
+            sanitizer.sanitize(html)
+        );
+
+        const links = sanitizer.sanitize(parser.parse('[a](javascript:void%200) [b](JaVa&#x09;script&colon;x) [c](mailto:me@example.com)'));
+        this.assert(
+            links === '<p><a>a</a> <a>b</a> <a href="mailto:me@example.com">c</a></p>',
+            'javascript: URLs are removed, even when obfuscated',
+            '<p><a>a</a> <a>b</a> <a href="mailto:me@example.com">c</a></p>',
+            links
+        );
+
+        const markup = sanitizer.sanitize('<img src="x.png" onerror="alert(1)"><script>alert(2)</script><div style="text-align: center; background: url(x)">ok</div><iframe src="x"></iframe>');
+        this.assert(
+            markup === '<img src="x.png"><div style="text-align: center">ok</div>',
+            'Event handlers, scripts, frames and unsafe styles are removed',
+            '<img src="x.png"><div style="text-align: center">ok</div>',
+            markup
+        );
+
+        const unreadable = sanitizer.sanitize('<img/src=x/onerror=alert(1)> a < b & c');
+        this.assert(
+            unreadable === '&lt;img/src=x/onerror=alert(1)&gt; a &lt; b &amp; c',
+            'Markup the sanitizer cannot read is escaped as text',
+            '&lt;img/src=x/onerror=alert(1)&gt; a &lt; b &amp; c',
+            unreadable
+        );
+
+        const custom = new HtmlSanitizer({ allowedSchemes: ['https'], allowDataImages: false });
+        const images = custom.sanitize('<a href="http://a.com">a</a><img src="data:image/png;base64,AA">');
+        this.assert(
+            images === '<a>a</a><img>',
+            'The policy decides which schemes and data images are kept',
+            '<a>a</a><img>',
+            images
+        );
+
+        const trusted = new HtmlSanitizer({ enabled: false }).sanitize('<b onclick="x()">raw</b>');
+        this.assert(
+            trusted === '<b onclick="x()">raw</b>',
+            'A disabled sanitizer (trusted document) leaves HTML alone',
+            '<b onclick="x()">raw</b>',
+            trusted
+        );
+    }
+
+    /**
+     * Test 16: YAML front matter
+     */
+    testFrontMatter() {
+        console.log('\n--- Test 16: Front Matter ---');
+        const parser = this.createParser();
+        const markdown = '---\ntitle: "Notes: 2024"\ntags: [docs, release]\nauthor: Ann # maintainer\nsection: x\n---\n# Heading';
+
+        const html = parser.parse(markdown);
+        this.assert(
+            html === '<h1 id="heading">Heading</h1>',
+            'Front matter is left out of the output and its keys are not expanded as shortcuts',
+            '<h1 id="heading">Heading</h1>',
+            html
+        );
+
+        parser.setLineTracking(true);
+        const tracked = parser.parse(markdown);
+        parser.setLineTracking(false);
+        this.assert(
+            tracked.startsWith('<div class="front-matter" data-frontmatter="true" data-line="0" data-line-end="5"></div>\n<h1 id="heading" data-line="6">'),
+            'With line tracking the front matter lines are marked data-frontmatter',
+            'data-frontmatter marker for lines 0-5',
+            tracked
+        );
+
+        const frontMatter = FrontMatter.extract('---\ntitle: Guide\ntags:\n  - a\n  - b\ndate: 2024-05-01\ndraft: true\n---\nText');
+        const metadata = FrontMatter.toMetadata(frontMatter.data);
+        this.assert(
+            JSON.stringify(metadata) === '{"title":"Guide","tags":["a","b"],"date":"2024-05-01"}' &&
+                frontMatter.data.draft === true && frontMatter.lineCount === 8,
+            'Keys are parsed and the metadata keys picked out',
+            '{"title":"Guide","tags":["a","b"],"date":"2024-05-01"}',
+            JSON.stringify(metadata)
+        );
+
+        const rule = parser.parse('---\nJust text\n---');
+        this.assert(
+            FrontMatter.extract('---\nJust text\n---') === null && rule.startsWith('<hr />'),
+            'A leading horizontal rule is not front matter',
+            '<hr /> ...',
+            rule
+        );
+    }
+
+    /**
+     * Test 17: Fenced code blocks rendered by the CodeBlockRenderers registry
+     */
+    testCodeBlockRenderers() {
+        console.log('\n--- Test 17: Code Block Renderers ---');
+        const parser = this.createParser();
+        parser.addCodeBlockRenderer('chart', (code, { language, info }) => `<div class="chart">${info}: ${code}</div>`);
+
+        const html = parser.parse('```Chart type=bar\nsales_q1 *up*\n```');
+        this.assert(
+            html === '<div class="code-block-render" data-language="chart"><div class="chart">Chart type=bar: sales_q1 *up*</div></div>',
+            'A registered language renders through its renderer, untouched by the inline rules',
+            '<div class="code-block-render" data-language="chart"><div class="chart">Chart type=bar: sales_q1 *up*</div></div>',
+            html
+        );
+
+        parser.setLineTracking(true);
+        const tracked = parser.parse('Intro\n\n```csv\nname,qty\n"a, b",3\n```');
+        parser.setLineTracking(false);
+        this.assert(
+            tracked.endsWith('<div class="code-block-render" data-language="csv" data-line="2" data-line-end="5">' +
+                '<table class="csv-table"><thead><tr><th>name</th><th>qty</th></tr></thead>' +
+                '<tbody><tr><td>a, b</td><td>3</td></tr></tbody></table></div>'),
+            'The built-in csv renderer makes a table and the block keeps its line range',
+            'csv table with data-line="2" data-line-end="5"',
+            tracked
+        );
+
+        parser.addCodeBlockRenderer('broken', () => { throw new Error('broken'); });
+        parser.removeCodeBlockRenderer('chart');
+        const fallback = parser.parse('```chart\na < b\n```\n\n```broken\nx\n```');
+        this.assert(
+            fallback === '<pre><code class="language-chart">a &lt; b</code></pre>\n<pre><code class="language-broken">x</code></pre>',
+            'Unregistered languages and failing renderers fall back to escaped code',
+            '<pre><code class="language-chart">a &lt; b</code></pre> ...',
+            fallback
+        );
+    }
+
+    /**
+     * Test 18: Syntax highlighting of code blocks
+     */
+    testSyntaxHighlighting() {
+        console.log('\n--- Test 18: Syntax Highlighting ---');
+        const parser = this.createParser();
+
+        const js = parser.parse('```js\nconst a = "x"; // *not* emphasis\n```');
+        this.assert(
+            js === '<pre><code class="language-js"><span class="token keyword">const</span> a <span class="token operator">=</span> ' +
+                '<span class="token string">&quot;x&quot;</span><span class="token punctuation">;</span> ' +
+                '<span class="token comment">// *not* emphasis</span></code></pre>',
+            'JavaScript is split into token spans and inline rules stay out of the block',
+            'keyword, operator, string, punctuation and comment spans',
+            js
+        );
+
+        const html = parser.parse('```html\n<a href="#x">&amp;</a>\n```');
+        this.assert(
+            html.includes('<span class="token tag">&lt;a</span> <span class="token attr-name">href</span>') &&
+                html.includes('<span class="token attr-value">&quot;#x&quot;</span>') &&
+                html.includes('<span class="token constant">&amp;amp;</span>'),
+            'HTML tags are highlighted as escaped text',
+            'tag, attr-name, attr-value and entity spans',
+            html
+        );
+
+        const highlighter = parser.getSyntaxHighlighter();
+        const python = highlighter.highlight('def f():\n    return None  # done', 'Python');
+        const bash = highlighter.highlight('echo "$HOME"', 'sh');
+        this.assert(
+            python.includes('<span class="token function">f</span>') &&
+                python.includes('<span class="token constant">None</span>') &&
+                bash === '<span class="token builtin">echo</span> <span class="token string">&quot;<span class="token variable">$HOME</span>&quot;</span>',
+            'Languages are found by name or alias, case-insensitively, and tokens can nest',
+            'function/constant spans; variable inside string',
+            `${python} | ${bash}`
+        );
+
+        const unknown = parser.parse('```brainfuck\n+[<>]\n```');
+        parser.setSyntaxHighlighting(false);
+        const disabled = parser.parse('```js\nlet a;\n```');
+        this.assert(
+            unknown === '<pre><code class="language-brainfuck">+[&lt;&gt;]</code></pre>' &&
+                disabled === '<pre><code class="language-js">let a;</code></pre>',
+            'Unknown languages and disabled highlighting leave the code escaped only',
+            '<pre><code class="language-brainfuck">+[&lt;&gt;]</code></pre>',
+            `${unknown} | ${disabled}`
+        );
+    }
+
+    /**
+     * Test 19: Alert and container callouts
+     */
+    testCallouts() {
+        console.log('\n--- Test 19: Callouts ---');
+        const parser = this.createParser();
+
+        const alert = parser.parse('> [!WARNING]\n> Mind the *gap*');
+        this.assert(
+            alert === '<div class="callout callout-warning" data-callout="warning">\n' +
+                '<p class="callout-title"><span class="callout-icon" aria-hidden="true">⚠</span>Warning</p>\n' +
+                '<p>Mind the <em>gap</em></p>\n</div>',
+            'A GitHub alert renders as a callout with icon and title',
+            'div.callout.callout-warning with a title line and the quoted paragraph',
+            alert
+        );
+
+        const plain = parser.parse('> [!NOPE]\n> quote');
+        const ast = parser.parseToAst('> [!tip] Inline text');
+        const node = ast.children[0];
+        this.assert(
+            plain.startsWith('<blockquote>') &&
+                node.type === MarkdownAst.NodeType.CALLOUT && node.kind === 'tip' && node.syntax === 'alert' &&
+                node.children[0].type === MarkdownAst.NodeType.PARAGRAPH,
+            'Unknown markers stay blockquotes; text after the marker starts the body',
+            'blockquote; callout(tip, alert) holding a paragraph',
+            `${plain} | ${JSON.stringify({ type: node.type, kind: node.kind, syntax: node.syntax })}`
+        );
+
+        const container = parser.parse(':::danger Do **not**\nOuter\n\n:::tip\nInner\n:::\n```\n:::\n```\n:::\nAfter');
+        this.assert(
+            container.startsWith('<div class="callout callout-caution" data-callout="caution">\n' +
+                '<p class="callout-title"><span class="callout-icon" aria-hidden="true">⛔</span>Do <strong>not</strong></p>') &&
+                container.includes('<div class="callout callout-tip" data-callout="tip">') &&
+                container.includes('<pre><code>:::</code></pre>\n</div>') &&
+                container.endsWith('</div>\n<p>After</p>'),
+            'Containers take aliases and titles, nest, and ignore ::: inside code',
+            'caution callout titled "Do not" holding a tip callout and a code block',
+            container
+        );
+
+        const shortcuts = parser.parse('note: Remember\n\nwarn:');
+        parser.setLineTracking(true);
+        const lines = parser.parse(':::note\nBody\n:::');
+        this.assert(
+            lines.startsWith('<div class="callout callout-note" data-callout="note" data-line="0" data-line-end="2">') &&
+                lines.includes('<p data-line="1">Body</p>') &&
+                shortcuts.includes('data-callout="note">\n<p class="callout-title"><span class="callout-icon" aria-hidden="true">ℹ</span>Note</p>\n<p>Remember</p>') &&
+                shortcuts.includes('data-callout="warning"'),
+            'Callouts carry source lines, and note:/warn: expand to alerts',
+            'data-line 0-2 on the callout; note and warning callouts',
+            `${lines} | ${shortcuts}`
+        );
+
+        parser.setLineTracking(false);
+        const adjacent = parser.parse('note: First\nwarn: Second');
+        const expectedAdjacent = '<div class="callout callout-note" data-callout="note">\n' +
+            '<p class="callout-title"><span class="callout-icon" aria-hidden="true">ℹ</span>Note</p>\n<p>First</p>\n</div>\n' +
+            '<div class="callout callout-warning" data-callout="warning">\n' +
+            '<p class="callout-title"><span class="callout-icon" aria-hidden="true">⚠</span>Warning</p>\n<p>Second</p>\n</div>';
+        this.assert(
+            adjacent === expectedAdjacent,
+            'Adjacent note:/warn: lines are two callouts',
+            expectedAdjacent,
+            adjacent
+        );
+    }
+
+    /**
+     * Test 20: TeX math
+     */
+    testMath() {
+        console.log('\n--- Test 20: Math ---');
+        const parser = this.createParser();
+
+        const inline = parser.parse('Let $a_1 * b_2 * c$ be *small*, and $\\frac{x}{y}$ a ratio');
+        this.assert(
+            inline.includes('<span class="math math-inline" data-tex="a_1 * b_2 * c"><math xmlns="http://www.w3.org/1998/Math/MathML">') &&
+                inline.includes('<msub><mi>a</mi><mn>1</mn></msub><mo>∗</mo>') &&
+                inline.includes('<mfrac><mi>x</mi><mi>y</mi></mfrac>') &&
+                inline.includes('<em>small</em>') &&
+                !inline.includes('<em>1'),
+            'Inline math is converted to MathML, untouched by emphasis and shortcuts',
+            'msub and mfrac with the TeX kept in data-tex',
+            inline
+        );
+
+        const text = parser.parse('Costs $5 and $10, \\$x and `$y$`');
+        this.assert(
+            !text.includes('class="math') && text.includes('<code>$y$</code>'),
+            'Dollar amounts, escaped dollars and code spans are not math',
+            'no math spans',
+            text
+        );
+
+        parser.setLineTracking(true);
+        const block = parser.parse('Sum:\n$$\n\\sum_{i=1}^n x_i^2\n$$\nDone');
+        parser.setLineTracking(false);
+        this.assert(
+            block.includes('<p data-line="0">Sum:</p>') &&
+                block.includes('<div class="math math-display" data-tex="\\sum_{i=1}^n x_i^2" data-line="1" data-line-end="3">' +
+                    '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block">') &&
+                block.includes('<munderover><mo largeop="true" movablelimits="true">∑</mo>') &&
+                block.includes('<msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup>') &&
+                block.includes('<p data-line="4">Done</p>'),
+            'A $$ block interrupts a paragraph and renders as display math',
+            'math-display div on lines 1-3 with limits on the sum',
+            block
+        );
+
+        const ast = parser.parseToAst('$$E = mc^2$$\n\nSee $x$.');
+        const inlineNode = ast.children[1].children[1];
+        this.assert(
+            ast.children[0].type === MarkdownAst.NodeType.MATH && ast.children[0].value === 'E = mc^2' &&
+                inlineNode.type === MarkdownAst.NodeType.INLINE_MATH && inlineNode.value === 'x' && !inlineNode.display,
+            'Math becomes math and inlineMath nodes',
+            'math "E = mc^2", inlineMath "x"',
+            JSON.stringify(ast.children.map(node => node.type))
+        );
+
+        const converter = new TexToMathML();
+        const matrix = converter.convert('\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}');
+        const unknown = converter.convert('\\nosuchcommand');
+        this.assert(
+            matrix.includes('<mo fence="true"') && matrix.includes('<mtable>') &&
+                (matrix.match(/<mtr>/g) || []).length === 2 &&
+                unknown.includes('<merror><mtext>\\nosuchcommand</mtext></merror>'),
+            'Environments become tables and unknown commands are flagged',
+            'a 2x2 mtable in parentheses; merror for the unknown command',
+            `${matrix} | ${unknown}`
+        );
+
+        const sanitizer = new HtmlSanitizer();
+        const sanitized = sanitizer.sanitize(inline);
+        const unsafe = sanitizer.sanitize('<math><annotation-xml encoding="text/html"><img src=x onerror=alert(1)></annotation-xml><mi href="javascript:x">a</mi></math>');
+        this.assert(
+            sanitized === inline && unsafe === '<math><mi>a</mi></math>',
+            'The sanitizer keeps MathML but drops annotation-xml and links',
+            '<math><mi>a</mi></math>',
+            unsafe
+        );
+    }
+
+    /**
+     * Test 21: Highlight, subscript, superscript, underline and keyboard keys
+     */
+    testExtendedInlineSyntax() {
+        console.log('\n--- Test 21: Extended Inline Syntax ---');
+        const parser = this.createParser();
+
+        const html = parser.parse('==Note== H~2~O and x^2^ are ++key++: press [[Ctrl+Shift+P]] or [[Enter]]');
+        this.assert(
+            html === '<p><mark>Note</mark> H<sub>2</sub>O and x<sup>2</sup> are <u>key</u>: press ' +
+                '<kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>P</kbd> or <kbd>Enter</kbd></p>',
+            'Highlight, sub/superscript, underline and keys render',
+            'mark, sub, sup, u and kbd elements',
+            html
+        );
+
+        const plain = parser.parse('a == b == c, C++ and C++, 2^10 and 3^4, ~~gone~~ ~/a ~/b [[Some page]]');
+        this.assert(
+            plain === '<p>a == b == c, C++ and C++, 2^10 and 3^4, <del>gone</del> ~/a ~/b ' +
+                '<a href="Some%20page.md" class="wiki-link" data-wiki-link="Some page">Some page</a></p>',
+            'Markers around spaces and code-like text stay text; non-key [[...]] is a wiki link',
+            'only the strikethrough is rendered',
+            plain
+        );
+
+        const urls = '[home](http://example.com/~alice/x~y) ![i](a^b^c.png) [u](http://x.com/?a==b==c) x^2^';
+        const urlsHtml = parser.parse(urls);
+        const ruleHtml = new RuleEngine().apply(`${urls} \`H~2~O\``);
+        this.assert(
+            urlsHtml === '<p><a href="http://example.com/~alice/x~y">home</a> <img src="a^b^c.png" alt="i" /> ' +
+                '<a href="http://x.com/?a==b==c">u</a> x<sup>2</sup></p>' &&
+                ruleHtml.includes('href="http://example.com/~alice/x~y"') && ruleHtml.includes('src="a^b^c.png"') &&
+                ruleHtml.includes('<code>H~2~O</code>') && ruleHtml.endsWith('x<sup>2</sup> <code>H~2~O</code>'),
+            'Tildes, carets and == in link and image URLs and in code are left alone',
+            'URLs and code as written',
+            `${urlsHtml} | ${ruleHtml}`
+        );
+
+        const aliases = parser.parse('<mark>a</mark> [sub]b[/sub] [sup]c[/sup] h{d} u{e} [kbd]Alt+F4[/kbd] <sub>f g</sub>');
+        this.assert(
+            aliases === '<p><mark>a</mark> <sub>b</sub> <sup>c</sup> <mark>d</mark> <u>e</u> <kbd>Alt</kbd>+<kbd>F4</kbd> <sub>f g</sub></p>' &&
+                parser.expandShortcuts('h{d} [kbd]Alt+F4[/kbd]') === '==d== [[Alt+F4]]',
+            'Shortcut aliases expand to the markdown syntax',
+            '==d== [[Alt+F4]]',
+            `${aliases} | ${parser.expandShortcuts('h{d} [kbd]Alt+F4[/kbd]')}`
+        );
+
+        parser.setInlineSyntax('highlight', false);
+        parser.setInlineSyntax('keyboard', false);
+        const disabled = parser.parse('==a== h{b} [[Ctrl+S]] x^2^');
+        parser.setInlineSyntax('highlight', true);
+        parser.setInlineSyntax('keyboard', true);
+        this.assert(
+            disabled === '<p>==a== h{b} [[Ctrl+S]] x<sup>2</sup></p>' &&
+                parser.parse('==a==') === '<p><mark>a</mark></p>',
+            'Each syntax and its aliases can be turned off',
+            'highlight and keys left as typed while off',
+            disabled
+        );
+
+        const markdown = ExtendedInlineSyntax.toMarkdown(
+            '<mark>a</mark> H<sub>2</sub>O x<sup>2</sup> <u>b</u> <kbd>Ctrl</kbd>+<kbd>S</kbd> <sup class="footnote-ref">1</sup>');
+        this.assert(
+            markdown === '==a== H~2~O x^2^ ++b++ [[Ctrl+S]] <sup class="footnote-ref">1</sup>',
+            'Rendered elements convert back to markdown',
+            '==a== H~2~O x^2^ ++b++ [[Ctrl+S]]',
+            markdown
+        );
+    }
+
+    /**
+     * Test 22: Emoji shortcodes and their precedence after colon shortcuts
+     */
+    testEmoji() {
+        console.log('\n--- Test 22: Emoji ---');
+        const parser = this.createParser();
+        const shortcuts = parser.getShortcutProcessor();
+
+        const html = parser.parse('Shipped :rocket::tada: :thumbsup: :+1: :notanemoji:smile: at 10:30:00');
+        this.assert(
+            html === '<p>Shipped 🚀🎉 👍 👍 :notanemoji😄 at 10:30:00</p>',
+            'Emoji shortcodes and aliases render; unknown names and times stay text',
+            '🚀🎉 👍 👍',
+            html
+        );
+
+        const precedence = parser.parse(':b:bold:b: :b: :code:x:code: :x:');
+        this.assert(
+            precedence === '<p><strong>bold</strong> :b: <code>x</code> ❌</p>' &&
+                shortcuts.resolveColonToken('b').type === 'shortcut' &&
+                shortcuts.resolveColonToken('rocket').type === 'emoji' &&
+                shortcuts.resolveColonToken('nope').type === 'text' &&
+                shortcuts.getColonTokenOrder().join(',') === 'shortcut,emoji,text',
+            'Colon shortcut names win over emoji names (:b: is never 🅱️)',
+            'shortcut, emoji, text',
+            precedence
+        );
+
+        const code = parser.parse('`:smile:`\n\n```\n:smile:\n```');
+        this.assert(
+            code === '<p><code>:smile:</code></p>\n<pre><code>:smile:</code></pre>',
+            'Shortcodes in code spans and fenced code stay as typed',
+            ':smile: in code',
+            code
+        );
+
+        const urls = shortcuts.process('[x](https://example.com/a:bug:b) ![i](/a:bug:b.png) <https://e.com/:bug:> :bug:\n\n[y]: /c:bug:d');
+        this.assert(
+            urls === '[x](https://example.com/a:bug:b) ![i](/a:bug:b.png) <https://e.com/:bug:> 🐛\n\n[y]: /c:bug:d',
+            'Shortcodes in link and image destinations, autolinks and definitions stay as typed',
+            'only the last :bug: replaced',
+            urls
+        );
+
+        const kept = shortcuts.process('Hi :wave:', { emoji: false });
+        const found = Emoji.search('heart', 3).map(result => result.name);
+        this.assert(
+            kept === 'Hi :wave:' && Emoji.get('thumbsup') === Emoji.get('+1') && found[0] === 'heart' &&
+                Emoji.search('thumbsup')[0].name === '+1',
+            'Emoji table lookups, search and skipping emoji in process()',
+            'heart first; aliases map to the main name',
+            `${kept} | ${found.join(',')}`
+        );
+    }
+
+    testEscapes() {
+        console.log('\n--- Test 23: Backslash Escapes and Entities ---');
+        const parser = this.createParser();
+
+        const literal = parser.parse('\\*not em\\* b\\{x} \\:smile: \\\\*em\\\\*\n\n\\# not a heading');
+        this.assert(
+            literal === '<p>*not em* b{x} :smile: \\<em>em\\</em></p>\n<p># not a heading</p>',
+            'Escaped punctuation is literal in every processor (emphasis, shortcuts, emoji, headings)',
+            '*not em* b{x} :smile:',
+            literal
+        );
+
+        const lone = parser.parse('\\b{escaped} \\i{it} a\\b');
+        this.assert(
+            lone === '<p>\\<strong>escaped</strong> \\<em>it</em> a\\b</p>' &&
+                parser.shortcutProcessor.process('\\b{x}') === '\\\\**x**',
+            'A backslash escaping nothing stays literal before shortcut output, not escaping its markers',
+            '\\<strong>escaped</strong> \\<em>it</em>',
+            lone
+        );
+
+        const code = parser.parse('`a*b*` `&copy;` `a\\*b` `<div>`\n\n```\n\\*raw\\*\n```');
+        this.assert(
+            code === '<p><code>a*b*</code> <code>&amp;copy;</code> <code>a\\*b</code> <code>&lt;div&gt;</code></p>\n' +
+                '<pre><code>\\*raw\\*</code></pre>',
+            'Code spans and fenced code keep backslashes, entities and markup as written',
+            '<code>a*b*</code> <code>&amp;copy;</code>',
+            code
+        );
+
+        const table = parser.parse('| a | b |\n|---|---|\n| x \\| y | `p\\|q` |');
+        this.assert(
+            table.includes('<td>x | y</td>') && table.includes('<td><code>p|q</code></td>'),
+            'Escaped pipes in table cells are literal',
+            '<td>x | y</td>',
+            table
+        );
+
+        const entities = parser.parse('&copy; 2024 &#169; \\&copy;');
+        const heading = parser.parseToAst('# Tom \\& Jerry &amp; \\*co\\*').children[0];
+        this.assert(
+            entities === '<p>&copy; 2024 &#169; &amp;copy;</p>' &&
+                MarkdownAst.toPlainText(heading) === 'Tom & Jerry & *co*' && heading.id === 'tom--jerry--co' &&
+                MarkdownEscapes.decodeEntities('&#xA9; &euro; &bogus;') === '© € &bogus;',
+            'Entity references pass through; plain text (anchors, TOC) resolves escapes and entities',
+            'Tom & Jerry & *co*',
+            `${entities} | ${MarkdownAst.toPlainText(heading)} | ${heading.id}`
+        );
+    }
+
+    testCodeAwareShortcuts() {
+        console.log('\n--- Test 24: Code-Aware Shortcuts ---');
+        const parser = this.createParser();
+        const shortcuts = parser.getShortcutProcessor();
+
+        const fenced = shortcuts.process('```js\nconst a = b{x} + i{y};\nh1: <b>c</b> [code]d[/code]\n```\n~~~\ns{z}\n~~~\nb{bold}');
+        this.assert(
+            fenced === '```js\nconst a = b{x} + i{y};\nh1: <b>c</b> [code]d[/code]\n```\n~~~\ns{z}\n~~~\n**bold**',
+            'Fenced code (``` and ~~~) is left alone; prose after it is converted',
+            'b{x} kept, **bold**',
+            fenced
+        );
+
+        const tildes = parser.parse('~~~\nb{x} *y* \\*z\n~~~\n\n~~~~ py\n~~~\n```\n~~~~\n\n> ~~~\n> ![[Doc]]\n> ~~~');
+        this.assert(
+            tildes === '<pre><code>b{x} *y* \\*z</code></pre>\n' +
+                '<pre><code class="language-py"><span class="token operator">~~~</span>\n```</code></pre>\n' +
+                '<blockquote>\n<pre><code>![[Doc]]</code></pre>\n</blockquote>',
+            'A ~~~ fence is code in the preview too, closed only by a fence as long',
+            '<pre><code>b{x} *y* \\*z</code></pre>',
+            tildes
+        );
+
+        const inline = parser.parse('`b{x}` and ``a`i{y}`` and `<b>c</b>` but b{bold}');
+        this.assert(
+            inline === '<p><code>b{x}</code> and <code>a`i{y}</code> and <code>&lt;b&gt;c&lt;/b&gt;</code> but <strong>bold</strong></p>',
+            'Code spans are left alone, double-backtick spans included',
+            '<code>b{x}</code> ... <strong>bold</strong>',
+            inline
+        );
+
+        const html = shortcuts.process('<div>\n<b>x</b> b{x}\n</div>\n\n<pre>\nh1: y\n\ni{z}\n</pre>\n<!-- s{c} -->\nb{y}');
+        const frontMatter = shortcuts.process('---\ntitle: Doc\n---\ntitle: Heading');
+        this.assert(
+            html === '<div>\n<b>x</b> b{x}\n</div>\n\n<pre>\nh1: y\n\ni{z}\n</pre>\n<!-- s{c} -->\n**y**' &&
+                frontMatter === '---\ntitle: Doc\n---\n# Heading',
+            'Raw HTML blocks, comments and front matter are left alone',
+            '**y**, # Heading',
+            `${html} | ${frontMatter}`
+        );
+
+        const made = shortcuts.process('code: js\nconst a = i{b};\nendcode:\n[code]\nh2: c\n[/code]\nb\\{x} $b{x}$ b{y}');
+        this.assert(
+            made === '```js\nconst a = i{b};\n```\n```\nh2: c\n```\nb\\{x} $b{x}$ **y**',
+            'Code made by code block shortcuts, escapes and math are left alone',
+            'i{b} and h2: kept',
+            made
+        );
+    }
+
+    /**
+     * Test user-defined shortcuts and turning built-in shortcuts off by name
+     */
+    testCustomShortcuts() {
+        console.log('\n--- Test 25: Custom Shortcuts ---');
+        const parser = this.createParser();
+        const shortcuts = parser.getShortcutProcessor();
+
+        shortcuts.setCustomShortcuts([
+            { name: 'jira', scope: 'inline', pattern: 'jira:([A-Z]+-\\d+)', template: '[$1](https://jira.example.com/browse/$1)', enabled: true },
+            { name: 'sig', scope: 'block', pattern: 'sig:\\s*(.+)', template: '— *$1*', enabled: true },
+            { name: 'off', scope: 'inline', pattern: 'off', template: 'on', enabled: false }
+        ]);
+
+        const html = parser.parse('See jira:ABC-12 and b{this}, off\n\nsig: Ada');
+        this.assert(
+            html === '<p>See <a href="https://jira.example.com/browse/ABC-12">ABC-12</a> and <strong>this</strong>, off</p>\n<p>— <em>Ada</em></p>',
+            'Inline and whole-line custom shortcuts expand; turned-off ones do not',
+            'jira link, — <em>Ada</em>',
+            html
+        );
+
+        const literal = shortcuts.process('`jira:ABC-1` \\jira:ABC-2 jira\\:ABC-3\n```\nsig: x\n```');
+        this.assert(
+            literal === '`jira:ABC-1` \\\\[ABC-2](https://jira.example.com/browse/ABC-2) jira\\:ABC-3\n```\nsig: x\n```',
+            'Custom shortcuts leave code and escapes alone',
+            'code span and fence kept',
+            literal
+        );
+
+        shortcuts.setDisabledShortcuts(['bold-brace', 'link-line', 'link-line-auto']);
+        const disabled = shortcuts.process('b{kept} i{it}\nlink: a | https://a.example');
+        this.assert(
+            disabled === 'b{kept} *it*\nlink: a | https://a.example',
+            'Built-in shortcuts can be turned off by name',
+            'b{kept} *it*',
+            disabled
+        );
+        shortcuts.setDisabledShortcuts([]);
+
+        const names = shortcuts.getBuiltInShortcutNames();
+        const errors = [
+            { name: 'bad name', scope: 'inline', pattern: 'x', template: 'y' },
+            { name: 'bold-brace', scope: 'inline', pattern: 'x', template: 'y' },
+            { name: 'a', scope: 'page', pattern: 'x', template: 'y' },
+            { name: 'b', scope: 'inline', pattern: '(', template: 'y' },
+            { name: 'c', scope: 'inline', pattern: 'x*', template: 'y' }
+        ].map(definition => shortcuts.validateShortcut(definition));
+        this.assert(
+            names.inline.includes('bold-brace') && names.block.includes('link-line') &&
+                errors.every(error => typeof error === 'string') &&
+                shortcuts.validateShortcut({ name: 'ok', scope: 'block', pattern: 'x', template: 'y' }) === null,
+            'Built-in names are listed; invalid definitions are rejected with a reason',
+            '5 errors, ok accepted',
+            errors.join(' | ')
+        );
+    }
+
+    /**
+     * Test rewriting documents as standard markdown, and the line diff previewing it
+     */
+    testNormalizeMarkdown() {
+        console.log('\n--- Test 26: Normalize Markdown ---');
+        const parser = this.createParser();
+        const normalizer = new MarkdownNormalizer(parser);
+
+        const shortcuts = normalizer.normalize(
+            'h1: Title\nb{bold} [url=https://a.example]A[/url] `i{code}` :smile:\ntodo: task\ncode: js\nconst a = b{x};\nendcode:'
+        );
+        this.assert(
+            shortcuts === '# Title\n**bold** [A](https://a.example) `i{code}` 😄\n- [ ] task\n```js\nconst a = b{x};\n```',
+            'Shortcuts become standard markdown; code is left alone',
+            '# Title ... ```js',
+            shortcuts
+        );
+
+        const inline = normalizer.normalize('==mark== H~2~O x^2^ ++u++ [[Ctrl+S]] [[Page]] [^1][^2]\n\n[^1]: a\n[^2]: b');
+        parser.setInlineSyntax('underline', false);
+        const disabled = normalizer.normalize('++u++ u{v}');
+        parser.setInlineSyntax('underline', true);
+        this.assert(
+            inline === '<mark>mark</mark> H<sub>2</sub>O x<sup>2</sup> <u>u</u> <kbd>Ctrl</kbd>+<kbd>S</kbd> [[Page]] [^1][^2]\n\n[^1]: a\n[^2]: b' &&
+                disabled === '++u++ u{v}',
+            'Extended inline syntax becomes HTML, unless it is turned off',
+            '<mark>mark</mark> ... <kbd>Ctrl</kbd>+<kbd>S</kbd>',
+            `${inline} | ${disabled}`
+        );
+
+        const blocks = normalizer.normalize('toc:\n\nh2: One\nh3: Two\n\nnote: Read this\n> more');
+        this.assert(
+            blocks === '- [One](#one)\n  - [Two](#two)\n\n## One\n### Two\n\n> [!NOTE]\n> Read this\n> more',
+            'Tables of contents become lists of links; alert text moves to its own line',
+            '- [One](#one) ... > [!NOTE]\\n> Read this',
+            blocks
+        );
+
+        const alerts = '> [!WARNING] ---\n\n> [!NOTE] * x\n\n> a\n> [!NOTE] mid\n\n> [!TIP] text\nlazy';
+        const split = normalizer.normalize(alerts);
+        this.assert(
+            split === '> [!WARNING] ---\n\n> [!NOTE] * x\n\n> a\n> [!NOTE] mid\n\n> [!TIP]\n> text\nlazy' &&
+                parser.parse(split) === parser.parse(alerts),
+            'Only an alert starting with paragraph text is split, and it renders the same',
+            '> [!TIP]\\n> text\\nlazy, the others as written',
+            split
+        );
+
+        const continued = normalizer.normalize('Some text\n[TOC]\n\n```\n[TOC]\n```\n\n[TOC]\n\n## One');
+        this.assert(
+            continued === 'Some text\n[TOC]\n\n```\n[TOC]\n```\n\n- [One](#one)\n\n## One',
+            'Only a [TOC] starting its own paragraph becomes a table of contents',
+            'Some text\\n[TOC] ... - [One](#one)',
+            continued
+        );
+
+        const source = 'title: Doc\nb{x} and h{y}, [b]z[/b]\nwarn: careful\n\n<kbd>Esc</kbd> c{code} \\b{kept}';
+        const normalized = normalizer.normalize(source);
+        this.assert(
+            parser.parse(normalized) === parser.parse(source) && normalizer.normalize(normalized) === normalized,
+            'Normalized markdown renders the same, and normalizing again changes nothing',
+            'same HTML, stable',
+            normalized
+        );
+
+        const hunks = TextDiff.getHunks(TextDiff.diffLines('a\nb\nc\nd\ne\nf\ng', 'a\nB\nc\nd\ne\nf\ng\nh'), 1);
+        const described = hunks.map(hunk => `${hunk.beforeLine}/${hunk.afterLine}:` +
+            hunk.changes.map(change => ({ equal: ' ', delete: '-', insert: '+' }[change.type] + change.text)).join(''));
+        this.assert(
+            described.join(' | ') === '1/1: a-b+B c | 7/7: g+h',
+            'The diff preview groups changed lines into hunks with context',
+            '1/1: a-b+B c | 7/7: g+h',
+            described.join(' | ')
+        );
+    }
+
+    /**
+     * Test Format Document: lists, headings, emphasis, tables and prose wrapping
+     */
+    testFormatDocument() {
+        console.log('\n--- Test 27: Format Document ---');
+        const parser = this.createParser();
+        const formatter = new MarkdownFormatter(parser);
+
+        const blocks = formatter.format(
+            'Title\n=====\n\n* one\n*   two\n    + nested\n\n3) three\n3) four\n\n| a | bb |\n|--|:-:|\n| ccc | d |'
+        );
+        this.assert(
+            blocks === '# Title\n\n- one\n- two\n    - nested\n\n3) three\n4) four\n\n| a   | bb  |\n| --- | :-: |\n| ccc |  d  |',
+            'Setext headings become ATX, list markers and numbers are normalized, table pipes align',
+            '# Title ... 4) four ... | --- | :-: |',
+            blocks
+        );
+
+        const setext = 'Title\n=====\n\nSub\n---\n\nPara\n[^1]: note\n====\n\n- item\n\n  In\n  ---\n\ntwo\nlines\n---\n\n***\nRule\n---';
+        const atx = formatter.format(setext);
+        this.assert(
+            parser.parse(setext).includes('<h1 id="title">Title</h1>\n<h2 id="sub">Sub</h2>') &&
+                atx === '# Title\n\n## Sub\n\nPara\n[^1]: note\n====\n\n- item\n\n  In\n  ---\n\ntwo\nlines\n---\n\n***\n## Rule' &&
+                parser.parse(atx) === parser.parse(setext),
+            'Setext headings render as headings; formatting converts the one-line ones and the HTML stays the same',
+            '# Title, ## Sub, ## Rule, the rest as written',
+            atx
+        );
+
+        const markers = formatter.format('* one\n+ two\n- three');
+        const quoted = formatter.format('> * a\n> + b\n>\n> > + deep\n\n- top\n  > * in item');
+        this.assert(
+            markers === '- one\n- two\n- three' && formatter.format(markers, { listMarker: '*' }) === '* one\n* two\n* three' &&
+                quoted === '> - a\n> - b\n>\n> > - deep\n\n- top\n  > - in item',
+            'Every bullet takes the configured marker, in block quotes too',
+            '- one\\n- two\\n- three',
+            markers
+        );
+
+        const emphasis = formatter.format('__bold__ _em_ snake_case `__code__` [a](./_b_.md)', { emphasis: '*', strong: '**' });
+        const underscores = formatter.format('**bold** *em* in*tra*word', { emphasis: '_', strong: '__' });
+        this.assert(
+            emphasis === '**bold** *em* snake_case `__code__` [a](./_b_.md)' &&
+                underscores === '__bold__ _em_ in*tra*word',
+            'Emphasis characters are normalized, leaving code, links and words alone',
+            '**bold** *em* snake_case ... | __bold__ _em_ in*tra*word',
+            `${emphasis} | ${underscores}`
+        );
+
+        const literal = '---\ntitle: _x_\n---\n\n```\n__init__\n* a\n```\n\n    __indented__\n\n<div>\n_raw_\n</div>\n\ncode: py\n__init__\nendcode:';
+        this.assert(
+            formatter.format(literal) === literal,
+            'Front matter, code, raw HTML and code block shortcuts are left as written',
+            'unchanged',
+            formatter.format(literal)
+        );
+
+        const markdown = '```\n__init__\n* a\n```\n\n* b __c__\n* d\n\n<div>\n_raw_\n</div>';
+        const select = text => formatter.formatSelection(markdown, markdown.indexOf(text), markdown.indexOf(text) + text.length);
+        const inFence = select('* a');
+        const inList = select('* d');
+        const inHtml = select('_raw_');
+        this.assert(
+            inFence.text === markdown.slice(inFence.start, inFence.end) && inFence.start === 0 &&
+                inHtml.text === '<div>\n_raw_\n</div>' &&
+                markdown.slice(inList.start, inList.end) === '* b __c__\n* d' && inList.text === '- b **c**\n- d',
+            'A selection is read in the whole document: code and raw HTML stay, lists are formatted whole',
+            'fence and HTML unchanged | - b **c**\\n- d',
+            `${JSON.stringify(inFence)} | ${JSON.stringify(inList)}`
+        );
+
+        const prose = 'One two three four five six seven\neight - nine.  \nTen\n\n- Item one two three four\nfive\n\nh2: Not joined';
+        const wrapped = formatter.format(prose, { proseWrap: 'wrap', wrapColumn: 16 });
+        const unwrapped = formatter.format(prose, { proseWrap: 'unwrap' });
+        this.assert(
+            wrapped === 'One two three\nfour five six\nseven eight -\nnine.  \nTen\n\n- Item one two\n  three four\n  five\n\nh2: Not joined' &&
+                unwrapped === 'One two three four five six seven eight - nine.  \nTen\n\n- Item one two three four five\n\nh2: Not joined' &&
+                formatter.format(prose, { proseWrap: 'unwrap', breaks: true }) === prose,
+            'Prose wraps or unwraps, keeping hard breaks, list indentation and line shortcuts',
+            'One two three\\nfour five six ... | ... | unchanged with breaks',
+            `${wrapped} | ${unwrapped}`
+        );
+
+        const source = '* a __b__\n* c\n\n| x | y |\n|---|---|\n| 1 | 2 |\n\nText with `code` and [link](http://e.com/_a_)';
+        const formatted = formatter.format(source);
+        this.assert(
+            parser.parse(formatted) === parser.parse(source) && formatter.format(formatted) === formatted,
+            'Formatted markdown renders the same, and formatting again changes nothing',
+            'same HTML, stable',
+            formatted
+        );
+    }
+
+    testMarkdownLinter() {
+        console.log('\n--- Test 28: Markdown Linter ---');
+        const linter = new MarkdownLinter(this.createParser());
+        const summarize = diagnostics => diagnostics.map(d => `${d.rule}@${d.line}:${d.column}-${d.endColumn}`).join(' ');
+
+        const headings = summarize(linter.lint('# Title\n\n### Skipped\n\n## Intro\n\nh2: Intro'));
+        this.assert(
+            headings === 'heading-increment@2:0-11 duplicate-heading@6:0-9',
+            'Skipped heading levels and duplicate headings are reported, shortcut headings included',
+            'heading-increment@2:0-11 duplicate-heading@6:0-9',
+            headings
+        );
+
+        const inline = summarize(linter.lint(
+            '![](a.png) ![ok](b.png) <img src="c.png">\n' +
+            'See https://e.com/x. <https://e.com> [https://e.com](https://e.com) `https://code.com`\n' +
+            '[Intro](#title) [Gone](#missing) [^1]\n\n# Title\n\n[^1]: Note'
+        ));
+        this.assert(
+            inline === 'image-alt@0:0-10 image-alt@0:24-41 bare-url@1:4-19 broken-anchor@2:23-31',
+            'Images without alt text, bare URLs and links to missing anchors are reported',
+            'image-alt@0:0-10 image-alt@0:24-41 bare-url@1:4-19 broken-anchor@2:23-31',
+            inline
+        );
+
+        const lines = summarize(linter.lint(
+            'Break  \nnext \n\n- a\n- b\n\n* same list\n\nText\n\n+ other\n\n```\ncode   \n```\n\n' + 'word '.repeat(30).trim(),
+            { rules: { 'line-length': 'warning' }, maxLineLength: 100 }
+        ));
+        this.assert(
+            lines === 'trailing-spaces@1:4-5 list-marker@6:0-1 list-marker@10:0-1 line-length@16:100-149',
+            'Trailing spaces (not a two-space break or code), list markers and long lines are reported',
+            'trailing-spaces@1:4-5 list-marker@6:0-1 list-marker@10:0-1 line-length@16:100-149',
+            lines
+        );
+
+        const parsed = summarize(linter.lint(
+            '- a\n* b\n> + c\n\ntodo: task\n\nh1: Title\n\n[code]\n### In code\n[/code]\n\n## Real\n\n#### Deep\n\n```\n* d\n```'
+        ));
+        this.assert(
+            parsed === 'list-marker@1:0-1 list-marker@2:2-3 heading-increment@14:0-9',
+            'Lists, headings and code are read as the parser reads them, shortcuts included',
+            'list-marker@1:0-1 list-marker@2:2-3 heading-increment@14:0-9',
+            parsed
+        );
+
+        const off = linter.lint('# A\n### B \n', { rules: { 'heading-increment': 'off', 'trailing-spaces': 'error' } });
+        this.assert(
+            off.length === 1 && off[0].rule === 'trailing-spaces' && off[0].severity === 'error' &&
+                linter.getRules().some(rule => rule.name === 'line-length' && rule.severity === 'off'),
+            'Rules can be turned off or given another severity',
+            'one trailing-spaces error',
+            summarize(off)
+        );
+    }
+
+    /**
+     * Test wiki links between documents and backlinks
+     */
+    testWikiLinks() {
+        console.log('\n--- Test 29: Wiki Links ---');
+        const documents = [
+            { id: 'a', name: 'Meeting Notes', content: 'See [[Roadmap#Q3 Goals|the goals]] and `[[Roadmap]]`.', metadata: {} },
+            { id: 'b', name: 'plan', content: '# Roadmap\n\n[[meeting notes]] [[Roadmap]]\n\n```\n[[plan]]\n```', metadata: { title: 'Roadmap' } },
+            { id: 'c', name: 'Other', content: 'Press [[Ctrl+S]], then read [[Roadmap.md]] and [[Roadmap]].', metadata: {} }
+        ];
+
+        const link = WikiLinks.parse(' Roadmap # Q3 Goals | the goals ');
+        this.assert(
+            link.target === 'Roadmap' && link.heading === 'Q3 Goals' && link.label === 'the goals' &&
+                WikiLinks.parse('Ctrl+S') === null &&
+                WikiLinks.resolve('ROADMAP.md', documents) === documents[1] &&
+                WikiLinks.resolve('meeting  notes', documents) === documents[0] &&
+                WikiLinks.resolve('Missing', documents) === null,
+            'Wiki links name a document, heading and label; names match ignoring case, spaces and .md',
+            'Roadmap / Q3 Goals / the goals, resolved by name and title',
+            JSON.stringify(link)
+        );
+
+        const parser = this.createParser();
+        parser.setWikiLinkResolver(name => WikiLinks.resolve(name, documents));
+        const html = parser.parse('[[Roadmap#Q3 Goals|the goals]] [[my_draft]] [[Ctrl+S]] `[[plan]]`');
+        const expected = '<p><a href="plan.md#q3-goals" class="wiki-link" data-wiki-link="Roadmap#Q3 Goals|the goals">the goals</a> ' +
+            '<a href="my&#95;draft.md" class="wiki-link wiki-link-missing" data-wiki-link="my&#95;draft" ' +
+            'title="Create &#34;my&#95;draft&#34;">my&#95;draft</a> <kbd>Ctrl</kbd>+<kbd>S</kbd> <code>[[plan]]</code></p>';
+        this.assert(
+            html === expected,
+            'Wiki links render as links to the document, missing ones marked; keys and code are left alone',
+            expected,
+            html
+        );
+
+        const backlinks = WikiLinks.findBacklinks(documents[1], documents, parser.getShortcutProcessor())
+            .map(({ document, contexts }) => `${document.id}: ${contexts.join(' / ')}`);
+        this.assert(
+            backlinks.join(' | ') === 'a: See [[Roadmap#Q3 Goals|the goals]] and `[[Roadmap]]`. | ' +
+                'c: Press [[Ctrl+S]], then read [[Roadmap.md]] and [[Roadmap]].',
+            'Backlinks list the other documents linking to a document, outside code, each line once',
+            'a and c',
+            backlinks.join(' | ')
+        );
+
+        const home = { id: 'home', name: 'Home', content: 'Welcome *home*', metadata: {}, getTitle() { return this.name; } };
+        const withHome = [...documents, home];
+        const homeParser = this.createParser();
+        homeParser.setWikiLinkResolver(name => WikiLinks.resolve(name, withHome));
+        const homeHtml = homeParser.parse('[[Home]] [[End]]\n\n![[Home]]');
+        const expectedHome = '<p><a href="Home.md" class="wiki-link" data-wiki-link="Home">Home</a> <kbd>End</kbd></p>\n' +
+            '<div class="document-embed" data-embed="Home">\n<div class="document-embed-title">' +
+            '<a href="Home.md" class="wiki-link" data-wiki-link="Home">Home</a></div>\n' +
+            '<div class="document-embed-content">\n<p>Welcome <em>home</em></p>\n</div>\n</div>';
+        this.assert(
+            homeHtml === expectedHome &&
+                WikiLinks.findBacklinks(home, [...withHome, { id: 'd', name: 'Start', content: 'Go [[Home]]', metadata: {} }])
+                    .map(({ document }) => document.id).join() === 'd',
+            'A key name that names a document is a link to it, and can be embedded',
+            expectedHome,
+            homeHtml
+        );
+    }
+
+    /**
+     * Test ![[document]] embeds: sections, cycles and flattening
+     */
+    testDocumentEmbeds() {
+        console.log('\n--- Test 30: Document Embeds ---');
+        const createDocument = (id, name, content) => ({ id, name, content, metadata: {}, getTitle() { return this.name; } });
+        const documents = [
+            createDocument('main', 'Main', 'Intro\n![[Glossary#Terms]]\n\n> ![[License]]\n\n![[Loop]]\n\n![[Missing]]'),
+            createDocument('glossary', 'Glossary', '---\ntitle: Glossary\n---\n# Glossary\n\n## Terms\n\n```\n## Code\n```\n### Sub\n\n## Other'),
+            createDocument('license', 'License', 'MIT *licensed*'),
+            createDocument('loop', 'Loop', 'Loop text\n\n![[Main]]')
+        ];
+
+        const parser = this.createParser();
+        const content = DocumentEmbeds.getContent(documents[1].content, 'terms', parser.getShortcutProcessor());
+        const expectedContent = '## Terms\n\n```\n## Code\n```\n### Sub';
+        this.assert(
+            content === expectedContent &&
+                DocumentEmbeds.getContent(documents[1].content, null).startsWith('# Glossary') &&
+                DocumentEmbeds.getContent(documents[1].content, 'Nope') === null,
+            'A section runs to the next heading of its level, skipping code; front matter is left out',
+            expectedContent,
+            content
+        );
+
+        parser.setWikiLinkResolver(name => WikiLinks.resolve(name, documents));
+        parser.setCurrentDocument(documents[0]);
+        const html = parser.parse(documents[0].content);
+        const expected = [
+            '<p>Intro</p>\n<div class="document-embed" data-embed="Glossary#Terms">',
+            '<div class="document-embed-content">\n<h2 id="terms">Terms</h2>',
+            '<blockquote>\n<div class="document-embed" data-embed="License">',
+            '<p>MIT <em>licensed</em></p>',
+            '<p>Loop text</p>\n<div class="document-embed document-embed-error" data-embed="Main">',
+            '<p class="document-embed-notice">Embed cycle: Main → Loop → Main</p>',
+            '<p class="document-embed-notice">No document named &#34;Missing&#34;</p>'
+        ];
+        this.assert(
+            expected.every(part => html.includes(part)),
+            'Embeds show the document or section, and a notice for cycles and missing documents',
+            expected.join(' ... '),
+            html
+        );
+
+        const sanitizer = new HtmlSanitizer();
+        const sanitized = [];
+        documents[2].content = 'MIT <img src="x" onerror="alert(1)">';
+        parser.setEmbedSanitizer((embedHtml, document) => {
+            sanitized.push(document.name);
+            return document.id === 'license' ? sanitizer.sanitize(embedHtml) : embedHtml;
+        });
+        const trustedHtml = parser.parse('<b onclick="x()">Trusted</b>\n\n![[License]]');
+        parser.setEmbedSanitizer(null);
+        documents[2].content = 'MIT *licensed*';
+        this.assert(
+            trustedHtml.includes('<b onclick="x()">') && trustedHtml.includes('<img src="x">') &&
+                !trustedHtml.includes('onerror') && sanitized.join() === 'License',
+            'The embed sanitizer cleans the HTML of each embedded document, not the document embedding it',
+            '<b onclick="x()"> ... <img src="x">',
+            trustedHtml
+        );
+
+        const flattened = parser.flattenEmbeds(documents[0].content);
+        const expectedFlattened = 'Intro\n\n## Terms\n\n```\n## Code\n```\n### Sub\n\n> MIT *licensed*\n\n' +
+            'Loop text\n\n![[Main]]\n\n![[Missing]]';
+        this.assert(
+            flattened === expectedFlattened,
+            'Flattening writes the embedded markdown in place, leaving embeds that can\'t be shown',
+            expectedFlattened,
+            flattened
+        );
+    }
+
+    /**
+     * Test document templates: placeholders, questions and the template collection
+     */
+    testDocumentTemplates() {
+        console.log('\n--- Test 31: Document Templates ---');
+        const template = '# {{title}}\n\nDate: {{date}} {{ time }} ({{date:DD.MM.YYYY}})\n' +
+            'Attendees: {{prompt:Attendees}}\nStatus: {{prompt:Status|Draft}} / {{prompt:Attendees}}\n\n' +
+            '{{cursor}}\n{{cursor}}{{unknown}}';
+
+        const prompts = DocumentTemplates.getPrompts(template);
+        this.assert(
+            JSON.stringify(prompts) === '[{"question":"Attendees","defaultValue":""},{"question":"Status","defaultValue":"Draft"}]' &&
+                DocumentTemplates.usesTitle(template) && !DocumentTemplates.usesTitle('{{date}}'),
+            'A template asks each question once, with its suggested answer',
+            'Attendees, Status (Draft)',
+            JSON.stringify(prompts)
+        );
+
+        const result = DocumentTemplates.expand(template, {
+            date: new Date(2024, 4, 7, 9, 5, 30),
+            title: 'Weekly Sync',
+            answers: { Attendees: 'Ana, Ben' }
+        });
+        const expected = '# Weekly Sync\n\nDate: 2024-05-07 09:05 (07.05.2024)\n' +
+            'Attendees: Ana, Ben\nStatus: Draft / Ana, Ben\n\n\n{{unknown}}';
+        this.assert(
+            result.content === expected && result.cursor === expected.indexOf('\n\n\n') + 2,
+            'Placeholders are filled in, the first {{cursor}} marks the cursor and unknown ones are kept',
+            `${JSON.stringify(expected)} (cursor ${expected.indexOf('\n\n\n') + 2})`,
+            `${JSON.stringify(result.content)} (cursor ${result.cursor})`
+        );
+
+        const templates = new TemplateManager({ autoSave: false });
+        templates.saveTemplate('RFC', '# RFC: {{title}}');
+        templates.saveTemplate('Meeting notes', 'old');
+        templates.saveTemplate('meeting notes', '# {{title}}');
+        const copy = new TemplateManager({ autoSave: false });
+        const imported = copy.import(templates.export());
+        const names = copy.getAllTemplates().map(t => `${t.name}: ${t.content}`).join(' | ');
+        this.assert(
+            imported.success && imported.imported === 2 && names === 'meeting notes: # {{title}} | RFC: # RFC: {{title}}' &&
+                !copy.import('{"templates": 1}').success,
+            'Saving under a name in use replaces that template; exported templates import',
+            'meeting notes: # {{title}} | RFC: # RFC: {{title}}',
+            names
+        );
+    }
+
+    /**
+     * Run all tests
+     */
+    runAllTests() {
+        console.log('═══════════════════════════════════════════════════════');
+        console.log('          MARKDOWN PARSER UNIT TEST SUITE');
+        console.log('═══════════════════════════════════════════════════════');
+
+        this.testResults = [];
+        this.passCount = 0;
+        this.failCount = 0;
+
+        this.testBlockNodeTypes();
+        this.testPositions();
+        this.testInlineNodes();
+        this.testListsAndTables();
+        this.testRenderAst();
+        this.testShortcutExpansion();
+        this.testNestedLists();
+        this.testLooseListItems();
+        this.testParagraphsAndBreaks();
+        this.testBlockquotes();
+        this.testTables();
+        this.testFootnotes();
+        this.testReferenceLinks();
+        this.testHeadingAnchors();
+        this.testHtmlSanitizer();
+        this.testFrontMatter();
+        this.testCodeBlockRenderers();
+        this.testSyntaxHighlighting();
+        this.testCallouts();
+        this.testMath();
+        this.testExtendedInlineSyntax();
+        this.testEmoji();
+        this.testEscapes();
+        this.testCodeAwareShortcuts();
+        this.testCustomShortcuts();
+        this.testNormalizeMarkdown();
+        this.testFormatDocument();
+        this.testMarkdownLinter();
+        this.testWikiLinks();
+        this.testDocumentEmbeds();
+        this.testDocumentTemplates();
+
+        return this.printSummary();
+    }
+
+    /**
+     * Print test summary
+     */
+    printSummary() {
+        console.log('\n═══════════════════════════════════════════════════════');
+        console.log('                  TEST SUMMARY');
+        console.log('═══════════════════════════════════════════════════════');
+        console.log(`Total Tests: ${this.passCount + this.failCount}`);
+        console.log(`✓ Passed: ${this.passCount}`);
+        console.log(`✗ Failed: ${this.failCount}`);
+        console.log(`Success Rate: ${((this.passCount / (this.passCount + this.failCount)) * 100).toFixed(2)}%`);
+        console.log('═══════════════════════════════════════════════════════\n');
+
+        if (this.failCount > 0) {
+            console.log('Failed Tests:');
+            this.testResults
+                .filter(r => r.status === 'FAIL')
+                .forEach(r => {
+                    console.log(`  ✗ ${r.name}`);
+                    console.log(`    Expected: ${r.expected}`);
+                    console.log(`    Actual: ${r.actual}`);
+                });
+        }
+
+        return {
+            total: this.passCount + this.failCount,
+            passed: this.passCount,
+            failed: this.failCount,
+            results: this.testResults
+        };
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownParserTests;
+}